@@ -0,0 +1,46 @@
+const { violationId } = require('@nelson-method/spc');
+const { evaluateSamples, productSamples } = require('./evaluation');
+
+// Server-side violation detection. check() evaluates the loaded samples of
+// the active product (its batches' and those without a batch, see
+// productSamples) and returns only the violations not on record yet, so
+// re-reading an unchanged file (or the watcher firing after our own write, or
+// a restart) doesn't alert twice. New violations are recorded in the
+// violation store for investigation.
+//
+// A violation is identified by product, parameter, rule and the samples of
+// the chart point it fired at.
+
+const MAX_RECENT = 100;
+
+function createAlertMonitor({ parameters, products, batches, limitSets, violations }) {
+  let recent = [];
+
+  const check = (samples) => {
+    const product = products.getActive();
+    const found = evaluateSamples({
+      samples: productSamples(samples, batches, product.id),
+      parameters,
+      product,
+      limitSets: limitSets.list(product.id)
+    });
+
+    const detectedAt = new Date().toISOString();
+    const alerts = violations.record(found.map(violation => ({
+      id: violationId(product.id, violation.parameter, violation.rule, violation.triggerSampleIds),
+      productId: product.id,
+      detectedAt,
+      ...violation
+    })));
+
+    recent = [...alerts, ...recent].slice(0, MAX_RECENT);
+    return alerts;
+  };
+
+  // Newest first
+  const list = () => recent;
+
+  return { check, list };
+}
+
+module.exports = { createAlertMonitor };
@@ -0,0 +1,105 @@
+const { toJson, fromJson } = require('./db');
+const { badRequest } = require('./errors');
+
+// Append-only audit trail (21 CFR Part 11): who changed which value of which
+// record, from what to what, when and why. One entry per changed field; the
+// database refuses updates and deletes on the table.
+//
+// Table: audit_log
+
+// Changes made by the server itself (workbook imports, detection)
+const SYSTEM_USER = { id: null, username: 'system' };
+
+// Fields whose values never go into the log
+const REDACTED = new Set(['password']);
+
+const fromRow = (row) => ({
+  id: row.id,
+  at: row.at,
+  userId: row.user_id,
+  username: row.username,
+  action: row.action,
+  entityType: row.entity_type,
+  entityId: row.entity_id,
+  field: row.field,
+  oldValue: fromJson(row.old_value),
+  newValue: fromJson(row.new_value),
+  reason: row.reason
+});
+
+// Fields that differ between two versions of a record, as audit changes
+const diff = (before = {}, after = {}, ignore = []) => [...new Set([...Object.keys(before), ...Object.keys(after)])]
+  .filter(field => !ignore.includes(field))
+  .filter(field => toJson(before[field] ?? null) !== toJson(after[field] ?? null))
+  .map(field => ({ field, oldValue: before[field] ?? null, newValue: after[field] ?? null }));
+
+const FILTERS = {
+  entityType: 'entity_type = @entityType',
+  entityId: 'entity_id = @entityId',
+  username: 'username = @username',
+  action: 'action = @action',
+  from: 'at >= @from',
+  to: 'at <= @to'
+};
+
+// Entries listed at once: DEFAULT_LIMIT unless asked for, never above MAX_LIMIT
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+
+// A paging parameter as a whole number of at least `min`; blank gives `fallback`
+const parseCount = (value, field, min, fallback) => {
+  if (value == null || value === '') return fallback;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < min) {
+    throw badRequest(`${field} must be a whole number of at least ${min}`);
+  }
+  return count;
+};
+
+function createAuditLog(db) {
+  const insert = db.prepare(`
+    INSERT INTO audit_log (at, user_id, username, action, entity_type, entity_id, field, old_value, new_value, reason)
+    VALUES (@at, @userId, @username, @action, @entityType, @entityId, @field, @oldValue, @newValue, @reason)`);
+
+  // `changes` is a list of { field, oldValue, newValue }; without any, one
+  // entry records the action itself (e.g. a delete)
+  const record = db.transaction(({ user, action, entityType, entityId, changes = [], reason }) => {
+    if (!reason || !String(reason).trim()) {
+      throw badRequest('A reason for the change is required');
+    }
+    const at = new Date().toISOString();
+    const rows = changes.length > 0 ? changes : [{ field: null, oldValue: null, newValue: null }];
+    rows.forEach(({ field, oldValue, newValue }) => insert.run({
+      at,
+      userId: user.id,
+      username: user.username,
+      action,
+      entityType,
+      entityId: String(entityId),
+      field,
+      oldValue: REDACTED.has(field) ? null : toJson(oldValue ?? null),
+      newValue: REDACTED.has(field) ? null : toJson(newValue ?? null),
+      reason: String(reason).trim()
+    }));
+  });
+
+  // Newest first
+  const list = (filters = {}) => {
+    const active = Object.keys(FILTERS).filter(key => filters[key]);
+    const where = active.length > 0 ? `WHERE ${active.map(key => FILTERS[key]).join(' AND ')}` : '';
+    const limit = Math.min(parseCount(filters.limit, 'limit', 1, DEFAULT_LIMIT), MAX_LIMIT);
+    const offset = parseCount(filters.offset, 'offset', 0, 0);
+    const params = Object.fromEntries(active.map(key => [key, String(filters[key])]));
+    return db.prepare(`SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit, offset })
+      .map(fromRow);
+  };
+
+  // Run a change and the audit entries it records in one transaction, so a
+  // change that can't be audited doesn't happen either
+  const atomic = (fn) => db.transaction(fn)();
+
+  return { record, list, atomic };
+}
+
+module.exports = { SYSTEM_USER, diff, createAuditLog };
@@ -0,0 +1,143 @@
+const { badRequest, notFound } = require('./errors');
+
+// Production batches and their QC release. A batch moves through
+//
+//   in-progress -> under-review -> released | rejected
+//
+// and can be sent back from review to in-progress for corrections. Releasing
+// or rejecting is signed electronically: the signer re-enters their
+// credentials (checked by the caller, see users.js) and states what the
+// signature means. Samples of a batch can only change while it is in
+// progress; once it's submitted for review the results are locked.
+//
+// Tables: batches, batch_signatures
+
+const STATUSES = ['in-progress', 'under-review', 'released', 'rejected'];
+
+// Allowed transitions and the role each needs
+const TRANSITIONS = {
+  'in-progress': { 'under-review': 'operator' },
+  'under-review': { 'in-progress': 'qa', released: 'qa', rejected: 'qa' }
+};
+
+// Transitions that need an electronic signature
+const SIGNED_STATUSES = ['released', 'rejected'];
+
+// What a signature means (21 CFR 11.50), offered to the signer
+const SIGNATURE_MEANINGS = {
+  approval: 'Approved: the batch meets its specifications',
+  review: 'Reviewed: the QC results are complete and correct',
+  responsibility: 'Responsible for the disposition of this batch'
+};
+
+const isLocked = (status) => status !== 'in-progress';
+
+const fromRow = (row) => ({
+  id: row.id,
+  number: row.number,
+  productId: row.product_id,
+  status: row.status,
+  createdAt: row.created_at,
+  createdBy: row.created_by,
+  updatedAt: row.updated_at,
+  sampleCount: row.sample_count
+});
+
+const signatureFromRow = (row) => ({
+  userId: row.user_id,
+  username: row.username,
+  displayName: row.display_name,
+  meaning: row.meaning,
+  decision: row.decision,
+  signedAt: row.signed_at
+});
+
+function createBatchStore(db) {
+  const select = `
+    SELECT batches.*, (SELECT COUNT(*) FROM samples WHERE samples.batch_id = batches.id) AS sample_count
+    FROM batches`;
+  const statements = {
+    list: db.prepare(`${select} WHERE @productId IS NULL OR product_id = @productId ORDER BY id DESC`),
+    get: db.prepare(`${select} WHERE id = ?`),
+    byNumber: db.prepare('SELECT id FROM batches WHERE number = ?'),
+    signatures: db.prepare('SELECT * FROM batch_signatures WHERE batch_id = ? ORDER BY id'),
+    insert: db.prepare(`
+      INSERT INTO batches (number, product_id, status, created_at, created_by, updated_at)
+      VALUES (@number, @productId, 'in-progress', @now, @createdBy, @now)`),
+    setStatus: db.prepare('UPDATE batches SET status = ?, updated_at = ? WHERE id = ?'),
+    sign: db.prepare(`
+      INSERT INTO batch_signatures (batch_id, user_id, username, display_name, meaning, decision, signed_at)
+      VALUES (@batchId, @userId, @username, @displayName, @meaning, @decision, @signedAt)`)
+  };
+
+  const withSignatures = (row) => ({
+    ...fromRow(row),
+    signatures: statements.signatures.all(row.id).map(signatureFromRow)
+  });
+
+  const list = ({ productId = null } = {}) => statements.list.all({ productId }).map(withSignatures);
+
+  const get = (id) => {
+    const row = statements.get.get(id);
+    if (!row) {
+      throw notFound(`Batch ${id} not found`);
+    }
+    return withSignatures(row);
+  };
+
+  const create = ({ number, productId }, user) => {
+    const trimmed = typeof number === 'string' ? number.trim() : '';
+    if (!trimmed) {
+      throw badRequest('A batch number is required');
+    }
+    if (statements.byNumber.get(trimmed)) {
+      throw badRequest(`Batch ${trimmed} already exists`);
+    }
+    const { lastInsertRowid } = statements.insert.run({
+      number: trimmed,
+      productId,
+      createdBy: user.username,
+      now: new Date().toISOString()
+    });
+    return get(Number(lastInsertRowid));
+  };
+
+  // The batch with `number`, started for `productId` when there's none yet
+  // (batch numbers read from workbooks)
+  const findOrCreate = (number, productId, user) => {
+    const existing = statements.byNumber.get(number);
+    return existing
+      ? { batch: get(existing.id), created: false }
+      : { batch: create({ number, productId }, user), created: true };
+  };
+
+  // Moves a batch to `status`. `signature` ({ user, meaning }) is required
+  // for releasing and rejecting; the caller has verified the credentials.
+  const transition = db.transaction((id, status, signature) => {
+    const current = get(id);
+    if (!(TRANSITIONS[current.status] || {})[status]) {
+      throw badRequest(`A batch that is ${current.status} can't be moved to ${status}`);
+    }
+    const now = new Date().toISOString();
+    if (SIGNED_STATUSES.includes(status)) {
+      if (!signature || !SIGNATURE_MEANINGS[signature.meaning]) {
+        throw badRequest(`${status === 'released' ? 'Release' : 'Rejection'} needs a signature with one of the meanings ${Object.keys(SIGNATURE_MEANINGS).join(', ')}`);
+      }
+      statements.sign.run({
+        batchId: id,
+        userId: signature.user.id,
+        username: signature.user.username,
+        displayName: signature.user.displayName,
+        meaning: signature.meaning,
+        decision: status,
+        signedAt: now
+      });
+    }
+    statements.setStatus.run(status, now, id);
+    return get(id);
+  });
+
+  return { list, get, create, findOrCreate, transition };
+}
+
+module.exports = { STATUSES, TRANSITIONS, SIGNED_STATUSES, SIGNATURE_MEANINGS, isLocked, createBatchStore };
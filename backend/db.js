@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { log } = require('./logger');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const DATABASE_FILE = process.env.DATABASE_FILE || path.join(DATA_DIR, 'qc.sqlite');
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Schema migrations are the numbered .sql files in migrations/, applied in
+// order. SQLite's user_version records how many have run, so each file runs
+// exactly once per database. Never edit a migration that has shipped; add a
+// new one instead.
+function migrate(db) {
+  const files = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+-.*\.sql$/.test(file))
+    .sort();
+  const applied = db.pragma('user_version', { simple: true });
+
+  files.slice(applied).forEach((file, i) => {
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    db.transaction(() => {
+      db.exec(sql);
+      db.pragma(`user_version = ${applied + i + 1}`);
+    })();
+    log.info('Applied migration', { file });
+  });
+}
+
+function openDatabase(file = DATABASE_FILE) {
+  if (file !== ':memory:') {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+  return db;
+}
+
+// Small helpers for the JSON-encoded columns
+const toJson = (value) => JSON.stringify(value);
+const fromJson = (text, fallback = null) => (text == null ? fallback : JSON.parse(text));
+
+module.exports = { DATA_DIR, DATABASE_FILE, openDatabase, toJson, fromJson };
@@ -0,0 +1,19 @@
+// Errors thrown from stores and services that should reach the client with a
+// specific HTTP status instead of a generic 500. `details` are merged into the
+// JSON error body.
+class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const badRequest = (message) => new HttpError(400, message);
+const unauthorized = (message) => new HttpError(401, message);
+const forbidden = (message) => new HttpError(403, message);
+const notFound = (message) => new HttpError(404, message);
+const conflict = (message, details) => new HttpError(409, message, details);
+
+module.exports = { HttpError, badRequest, unauthorized, forbidden, notFound, conflict };
@@ -0,0 +1,71 @@
+const {
+  applyLimits,
+  buildSeries,
+  defaultChartType,
+  describeRule,
+  describeShiftRule,
+  evaluateRules,
+  evaluateShiftRules,
+  isShiftRule,
+  resolveRuleConfig,
+  resolveRuleSet,
+  resolveShiftRules,
+  sameTransform,
+  transformSamples
+} = require('@nelson-method/spc');
+
+// Location chart points of one parameter, on the scale of its
+// transformation, with the frozen limit sets for that transformation applied
+// (live limits where none apply)
+function parameterPoints({ samples, key, chartType, product, limitSets }) {
+  const transform = (product.transforms || {})[key];
+  return applyLimits(
+    chartType,
+    buildSeries(chartType, transformSamples(samples, key, transform), key),
+    key,
+    limitSets.filter(set => sameTransform(set.transform, transform))
+  );
+}
+
+// Run the product's rule set (run rules and any CUSUM/EWMA charts it switches
+// on) over the loaded samples for every parameter, on its chart points (see
+// parameterPoints). Violations are reported by sample id rather than chart
+// index so they stay meaningful outside the chart they were found on.
+function evaluateSamples({ samples, parameters, product, limitSets }) {
+  const chartType = defaultChartType(samples);
+  const rules = resolveRuleSet(product.ruleSet);
+  const ruleConfig = resolveRuleConfig(rules);
+  const shiftConfig = resolveShiftRules(product.ruleSet);
+
+  return parameters.flatMap(({ key }) => {
+    const points = parameterPoints({ samples, key, chartType, product, limitSets });
+    const violations = [
+      ...evaluateRules(
+        points.map(p => p.value),
+        { mean: points.map(p => p.center), sigma: points.map(p => p.sigma) },
+        { rules }
+      ),
+      ...evaluateShiftRules(points, product.ruleSet)
+    ];
+
+    return violations.map(({ rule, index, indices, direction }) => ({
+      parameter: key,
+      chartType,
+      rule,
+      description: isShiftRule(rule) ? describeShiftRule(rule, shiftConfig[rule]) : describeRule(rule, ruleConfig[rule]),
+      direction,
+      x: points[index].x,
+      triggerSampleIds: points[index].sampleIds,
+      sampleIds: indices.flatMap(i => points[i].sampleIds)
+    }));
+  });
+}
+
+// The samples a product's rules judge: those of its batches and those not in
+// any batch. Samples of other products' batches are left out.
+function productSamples(samples, batches, productId) {
+  const own = new Set(batches.list({ productId }).map(batch => batch.id));
+  return samples.filter(sample => sample.batchId == null || own.has(sample.batchId));
+}
+
+module.exports = { parameterPoints, evaluateSamples, productSamples };
@@ -0,0 +1,58 @@
+const XLSX = require('xlsx');
+const { mapColumns } = require('./parameters');
+const { validateRows } = require('./imports');
+
+// Excel workbooks (and CSV files, which read as a one-sheet workbook) are an
+// import/export format; samples live in the database. A sheet is read as a
+// table: the first row holds the headers, every later non-blank row is a
+// data row. Columns are matched to sample fields and parameters through the
+// parameter registry or a mapping chosen by the user, and every row is
+// validated (see imports.js). Each sample's id is its data row number within
+// the sheet (or the sheet's own `id` column), which the sample store uses to
+// recognise rows it has imported before. Exports are written by
+// reports/spreadsheet.js.
+
+const readWorkbookBuffer = (buffer) => XLSX.read(buffer, { type: 'buffer', cellDates: true });
+
+const readWorkbookFile = (filePath) => XLSX.readFile(filePath, { cellDates: true });
+
+// The named sheet (default: the first) as
+//
+//   { sheet, headers, rows: [{ rowNumber, cells: { [header]: value } }] }
+//
+// rowNumber is the row in the spreadsheet, for reporting. Columns without a
+// header are called after their letter: "(column D)".
+function sheetTable(workbook, sheetName = workbook.SheetNames[0]) {
+  const worksheet = workbook.Sheets[sheetName];
+  if (!worksheet) {
+    return null;
+  }
+  const [first = [], ...lines] = XLSX.utils.sheet_to_json(worksheet, { header: 1, blankrows: true, defval: null });
+  const headers = first.map((header, i) => (header == null || String(header).trim() === ''
+    ? `(column ${XLSX.utils.encode_col(i)})`
+    : String(header).trim()));
+  const { s: start } = XLSX.utils.decode_range(worksheet['!ref'] || 'A1');
+  const rows = lines
+    .map((line, i) => ({
+      rowNumber: start.r + i + 2,
+      cells: Object.fromEntries(headers.map((header, j) => [header, line[j] ?? null]))
+    }))
+    .filter(({ cells }) => Object.values(cells).some(value => value !== null && String(value).trim() !== ''));
+  return { sheet: sheetName, headers, rows };
+}
+
+// The first sheet, mapped by the registry: { accepted, rejected } (see
+// validateRows in imports.js); a workbook without sheets has no rows
+function readFirstSheet(workbook, parameters) {
+  const table = sheetTable(workbook);
+  if (!table) {
+    return { accepted: [], rejected: [] };
+  }
+  return validateRows(table, mapColumns(table.headers, parameters), parameters);
+}
+
+const readExcelFile = (filePath, parameters) => readFirstSheet(readWorkbookFile(filePath), parameters);
+
+const readExcelBuffer = (buffer, parameters) => readFirstSheet(readWorkbookBuffer(buffer), parameters);
+
+module.exports = { readWorkbookBuffer, sheetTable, readFirstSheet, readExcelFile, readExcelBuffer };
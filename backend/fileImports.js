@@ -0,0 +1,61 @@
+const { toJson, fromJson } = require('./db');
+
+// Record of the result files taken from the watch folder (see
+// watchFolder.js), one entry per file:
+//
+//   { id, fileName, contentHash, status: 'imported' | 'duplicate' | 'failed',
+//     added, updated, rejected: [rejected rows], error, movedTo, processedAt }
+//
+// Table: file_imports
+
+const fromRow = (row) => ({
+  id: row.id,
+  fileName: row.file_name,
+  contentHash: row.content_hash,
+  status: row.status,
+  added: row.added,
+  updated: row.updated,
+  rejected: fromJson(row.rejected, []),
+  error: row.error,
+  movedTo: row.moved_to,
+  processedAt: row.processed_at
+});
+
+function createFileImportStore(db) {
+  const statements = {
+    insert: db.prepare(`
+      INSERT INTO file_imports (file_name, content_hash, status, added, updated, rejected, error, moved_to, processed_at)
+      VALUES (@fileName, @contentHash, @status, @added, @updated, @rejected, @error, @movedTo, @processedAt)`),
+    get: db.prepare('SELECT * FROM file_imports WHERE id = ?'),
+    imported: db.prepare("SELECT * FROM file_imports WHERE content_hash = ? AND status = 'imported' ORDER BY id LIMIT 1"),
+    list: db.prepare('SELECT * FROM file_imports ORDER BY id DESC LIMIT ?')
+  };
+
+  const record = ({ fileName, contentHash, status, added = 0, updated = 0, rejected = [], error = null, movedTo = null }) => {
+    const { lastInsertRowid } = statements.insert.run({
+      fileName,
+      contentHash,
+      status,
+      added,
+      updated,
+      rejected: toJson(rejected),
+      error,
+      movedTo,
+      processedAt: new Date().toISOString()
+    });
+    return fromRow(statements.get.get(Number(lastInsertRowid)));
+  };
+
+  // The earlier import of the same content, if any
+  const findImported = (contentHash) => {
+    const row = statements.imported.get(contentHash);
+    return row ? fromRow(row) : null;
+  };
+
+  // Newest first
+  const list = ({ limit = 100 } = {}) => statements.list.all(Math.min(Number(limit) || 100, 1000)).map(fromRow);
+
+  return { record, findImported, list };
+}
+
+module.exports = { createFileImportStore };
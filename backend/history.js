@@ -0,0 +1,154 @@
+const { capability, defaultChartType, summarize } = require('@nelson-method/spc');
+const { badRequest } = require('./errors');
+const { normalizeFilters } = require('./reports/dataExport');
+
+// Historical samples for the data API, read from the database a window and
+// a page at a time instead of all at once. Filters (all optional):
+//
+//   { from, to, productId, batchId, parameter }
+//
+// from/to as in exports (a date-only `to` includes that whole day);
+// productId is the product of the sample's batch, so it leaves out samples
+// without a batch; parameter keeps the samples with a value for it.
+//
+// Pages come in measuredAt order. The cursor names the last sample of the
+// previous page, so samples added or removed meanwhile don't shift pages.
+// Queries with none of the filters nor limit/cursor aren't paged (see
+// isPageQuery).
+//
+// Window statistics are worked out against the spec limits of the batch's
+// product, else the product asked for, else the active one; with `interval`
+// they come per hour, day or week (UTC, weeks starting Monday) as well.
+
+const DEFAULT_LIMIT = 1000;
+const MAX_LIMIT = 10000;
+
+const INTERVALS = {
+  hour: at => `${at.slice(0, 13)}:00:00.000Z`,
+  day: at => `${at.slice(0, 10)}T00:00:00.000Z`,
+  week: (at) => {
+    const date = new Date(`${at.slice(0, 10)}T00:00:00.000Z`);
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    return date.toISOString();
+  }
+};
+
+const encodeCursor = ({ measuredAt, id }) => Buffer.from(JSON.stringify([measuredAt, id])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  if (cursor == null || cursor === '') return null;
+  try {
+    const [measuredAt, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof measuredAt === 'string' && Number.isInteger(id)) return { measuredAt, id };
+  } catch (error) {
+    // Reported below
+  }
+  throw badRequest('Invalid cursor');
+};
+
+const parseLimit = (value) => {
+  if (value == null || value === '') return DEFAULT_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw badRequest(`limit must be a whole number from 1 to ${MAX_LIMIT}`);
+  }
+  return limit;
+};
+
+// The filters as samples.query takes them
+function parseFilters({ from, to, productId, batchId, parameter } = {}) {
+  const normalized = normalizeFilters({ batchId, from, to });
+  return {
+    from: normalized.from && normalized.from.toISOString(),
+    to: normalized.to && normalized.to.toISOString(),
+    batchId: normalized.batchId,
+    productId: productId ? String(productId) : null,
+    parameter: parameter ? String(parameter) : null
+  };
+}
+
+const isOutOfSpec = ({ lsl, usl }, value) => value != null && ((lsl != null && value < lsl) || (usl != null && value > usl));
+
+// Descriptive statistics without the list of outliers, which can be long
+// for a wide window
+const statsOf = (values, spec) => {
+  const stats = summarize(values);
+  if (!stats) return null;
+  const { outliers, ...rest } = stats;
+  return { ...rest, outlierCount: outliers.length, outOfSpec: values.filter(value => isOutOfSpec(spec, value)).length };
+};
+
+function createSampleHistory({ parameters, products, batches, samples }) {
+  // One page of samples: { samples, nextCursor } (null on the last page)
+  const page = (query = {}) => {
+    const limit = parseLimit(query.limit);
+    const found = samples.query({ ...parseFilters(query), after: decodeCursor(query.cursor), limit: limit + 1 });
+    const pageSamples = found.slice(0, limit);
+    return {
+      samples: pageSamples,
+      nextCursor: found.length > limit ? encodeCursor(pageSamples[pageSamples.length - 1]) : null
+    };
+  };
+
+  const productOf = ({ batchId, productId }) => {
+    if (batchId !== null) return products.get(batches.get(batchId).productId);
+    return productId ? products.get(productId) : products.getActive();
+  };
+
+  // Statistics of the samples in a window, per parameter (or only
+  // `parameter`), plus per-interval statistics with ?interval=
+  const stats = (query = {}) => {
+    const filters = parseFilters(query);
+    const { interval } = query;
+    if (interval && !INTERVALS[interval]) {
+      throw badRequest(`interval must be one of ${Object.keys(INTERVALS).join(', ')}`);
+    }
+    const product = productOf(filters);
+    const selected = samples.query(filters);
+    const chartType = defaultChartType(selected);
+    const keys = filters.parameter ? [filters.parameter] : parameters.map(p => p.key);
+    const specs = Object.fromEntries(parameters.map(({ key, lsl, usl }) => [
+      key,
+      { lsl, usl, target: null, ...(product.limits[key] || {}) }
+    ]));
+
+    const result = {
+      product: { id: product.id, name: product.name, version: product.version },
+      filters,
+      period: {
+        from: selected.length > 0 ? selected[0].measuredAt : null,
+        to: selected.length > 0 ? selected[selected.length - 1].measuredAt : null
+      },
+      count: selected.length,
+      parameters: keys.map(key => ({
+        key,
+        ...specs[key],
+        stats: statsOf(selected.map(sample => sample[key]), specs[key]),
+        capability: capability(selected, key, specs[key], chartType)
+      }))
+    };
+    if (interval) {
+      const buckets = new Map();
+      selected.forEach((sample) => {
+        const start = INTERVALS[interval](sample.measuredAt);
+        if (!buckets.has(start)) buckets.set(start, []);
+        buckets.get(start).push(sample);
+      });
+      result.interval = interval;
+      result.buckets = [...buckets.entries()].map(([start, bucket]) => ({
+        start,
+        count: bucket.length,
+        stats: Object.fromEntries(keys.map(key => [key, statsOf(bucket.map(sample => sample[key]), specs[key])]))
+      }));
+    }
+    return result;
+  };
+
+  return { page, stats };
+}
+
+// Query parameters that ask the data API for a page rather than all samples
+const PAGE_QUERY = ['from', 'to', 'productId', 'batchId', 'parameter', 'limit', 'cursor'];
+const isPageQuery = (query = {}) => PAGE_QUERY.some(key => query[key] != null && query[key] !== '');
+
+module.exports = { createSampleHistory, parseFilters, isPageQuery };
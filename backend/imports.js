@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const { SAMPLE_FIELD_COLUMNS } = require('./parameters');
+const { badRequest, notFound } = require('./errors');
+
+// Import pipeline for sample files (XLSX/XLS/CSV). An upload is parsed once
+// and kept for a while so the user can pick the sheet and map its columns to
+// sample fields and parameters, preview the result and then commit it:
+//
+//   mapping: { [field or parameter key]: header }
+//
+// Every data row is validated before anything is stored. A row is rejected
+// when its sample ID is not a whole number or repeats an earlier row's, its
+// date can't be read, a value isn't a number or lies outside the parameter's
+// plausible range (min/max in the registry), or it has no values at all.
+// Blank cells are imported as "not recorded", never as zero, and are listed
+// as warnings. The result of validateRows:
+//
+//   { accepted: [{ rowNumber, sample, warnings }],
+//     rejected: [{ rowNumber, id, cells, errors }] }
+//
+// `sample` is a row for samples.importRows; `cells` are the row's values as
+// read, for the rejected-rows report.
+//
+// Uploaded rows are tracked per file name and sample ID, so a corrected file
+// updates the samples it was imported as and importing the same file again
+// leaves them alone. Another run that happens to share the name (each run's
+// results.csv) is tracked per file content instead (sourceOf): the file name
+// plus the start of the content's SHA-256, as the watch folder does.
+
+// Uploads are kept this long, and at most this many at a time
+const UPLOAD_TTL_MS = 30 * 60 * 1000;
+const MAX_UPLOADS = 20;
+
+const FIELD_LABELS = {
+  id: 'Sample ID',
+  subgroup: 'Subgroup',
+  measuredAt: 'Measured At',
+  batch: 'Batch No',
+  machine: 'Machine',
+  operator: 'Operator'
+};
+
+// What columns can be mapped to, for the mapping step
+const importFields = (parameters) => [
+  ...Object.keys(SAMPLE_FIELD_COLUMNS).map(field => ({ field, label: FIELD_LABELS[field], parameter: false })),
+  ...parameters.map(p => ({ field: p.key, label: `${p.name} (${p.unit})`, parameter: true }))
+];
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+// Text cells; blanks mean "not recorded"
+const toText = (value) => (isBlank(value) ? null : String(value).trim());
+
+// Check a mapping from a client against the sheet's headers; returns it
+// without the unmapped fields
+function checkMapping(mapping, headers, parameters) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw badRequest('mapping must be an object of field: column');
+  }
+  const fields = new Set(importFields(parameters).map(f => f.field));
+  const used = new Map();
+  const checked = {};
+  Object.entries(mapping).forEach(([field, header]) => {
+    if (!fields.has(field)) {
+      throw badRequest(`Unknown field "${field}"`);
+    }
+    if (isBlank(header)) return;
+    if (!headers.includes(header)) {
+      throw badRequest(`The sheet has no column "${header}"`);
+    }
+    if (used.has(header)) {
+      throw badRequest(`Column "${header}" is mapped to both ${used.get(header)} and ${field}`);
+    }
+    used.set(header, field);
+    checked[field] = header;
+  });
+  if (!parameters.some(p => checked[p.key])) {
+    throw badRequest('Map at least one column to a parameter');
+  }
+  return checked;
+}
+
+// A parameter cell: { value } or { error }
+function readValue(param, cell) {
+  const value = typeof cell === 'number' ? cell : Number(typeof cell === 'string' ? cell.trim() : NaN);
+  if (!Number.isFinite(value)) {
+    return { error: `${param.name}: "${cell instanceof Date ? cell.toISOString() : cell}" is not a number` };
+  }
+  if ((param.min != null && value < param.min) || (param.max != null && value > param.max)) {
+    return { error: `${param.name} ${value} is outside the plausible range ${param.min ?? '-∞'} to ${param.max ?? '∞'} ${param.unit}` };
+  }
+  return { value };
+}
+
+function readId(cell) {
+  if (isBlank(cell)) return { value: null };
+  const value = Number(cell);
+  return Number.isInteger(value) && value > 0 ? { value } : { error: `Sample ID "${cell}" is not a whole number` };
+}
+
+// Dates come through as Date objects from date cells; text has to parse
+function readTimestamp(cell) {
+  if (isBlank(cell)) return { value: null };
+  const date = cell instanceof Date ? cell : new Date(cell);
+  return Number.isNaN(date.getTime()) ? { error: `Measured At "${cell}" is not a date` } : { value: date.toISOString() };
+}
+
+// Validate and map the rows of a sheet table (see excel.js)
+function validateRows(table, mapping, parameters) {
+  const accepted = [];
+  const rejected = [];
+  const seen = new Map();
+
+  table.rows.forEach(({ rowNumber, cells }, index) => {
+    const cell = (field) => (mapping[field] ? cells[mapping[field]] : undefined);
+    const errors = [];
+    const warnings = [];
+    const check = ({ value, error }) => {
+      if (error) errors.push(error);
+      return value;
+    };
+
+    const id = check(readId(cell('id'))) || index + 1;
+    if (seen.has(id)) {
+      errors.push(`Duplicate sample ID ${id} (also on row ${seen.get(id)})`);
+    } else {
+      seen.set(id, rowNumber);
+    }
+
+    // Same shape (and key order) as earlier imports, so unchanged rows keep
+    // their hash in the sample store
+    const sample = { id };
+    sample.subgroup = isBlank(cell('subgroup')) ? null : cell('subgroup');
+    sample.measuredAt = check(readTimestamp(cell('measuredAt')));
+    // Only set when mapped, so re-reading a sheet without them doesn't look
+    // like a change
+    ['batch', 'machine', 'operator'].forEach((field) => {
+      if (mapping[field]) {
+        sample[field] = toText(cell(field));
+      }
+    });
+    parameters.forEach((param) => {
+      sample[param.key] = null;
+      if (!mapping[param.key]) return;
+      if (isBlank(cell(param.key))) {
+        warnings.push(`${param.name} missing`);
+        return;
+      }
+      sample[param.key] = check(readValue(param, cell(param.key))) ?? null;
+    });
+    if (errors.length === 0 && parameters.every(param => sample[param.key] === null)) {
+      errors.push('No measurements');
+    }
+
+    if (errors.length > 0) {
+      rejected.push({ rowNumber, id, cells, errors });
+    } else {
+      accepted.push({ rowNumber, sample, warnings });
+    }
+  });
+
+  return { accepted, rejected };
+}
+
+const contentHashOf = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// The source rows of a file are imported under when tracked by content
+const sourceOf = (fileName, contentHash) => `${fileName} (${contentHash.slice(0, 12)})`;
+
+// Uploaded files waiting for their mapping, by id. Each belongs to the user
+// who uploaded it.
+function createUploadStore({ ttlMs = UPLOAD_TTL_MS, maxUploads = MAX_UPLOADS } = {}) {
+  const uploads = new Map();
+
+  const prune = () => {
+    const now = Date.now();
+    uploads.forEach((upload, id) => {
+      if (upload.expiresAt <= now) uploads.delete(id);
+    });
+    while (uploads.size >= maxUploads) {
+      uploads.delete(uploads.keys().next().value);
+    }
+  };
+
+  const add = (user, fileName, workbook, contentHash) => {
+    prune();
+    const id = crypto.randomUUID();
+    uploads.set(id, { id, userId: user.id, fileName, contentHash, workbook, expiresAt: Date.now() + ttlMs });
+    return uploads.get(id);
+  };
+
+  const get = (id, user) => {
+    const upload = uploads.get(id);
+    if (!upload || upload.userId !== user.id || upload.expiresAt <= Date.now()) {
+      throw notFound('Upload not found or expired; upload the file again');
+    }
+    return upload;
+  };
+
+  const remove = (id) => uploads.delete(id);
+
+  return { add, get, remove };
+}
+
+module.exports = { importFields, checkMapping, validateRows, contentHashOf, sourceOf, createUploadStore };
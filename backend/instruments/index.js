@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const { diff } = require('../audit');
+const { conflict, notFound } = require('../errors');
+const { log } = require('../logger');
+const { PARSERS, convertUnit } = require('./parsers');
+const { createLineListener } = require('./tcp');
+
+// Instrument ingestion. Each station (config/instruments.json) is one
+// instrument measuring one parameter, listening on its own TCP port:
+//
+//   { id, name, enabled, parser, parserOptions?, parameter, port, host?,
+//     machine?, operator? }
+//
+// A reading goes into the station's batch: the one an operator assigned to
+// the station, else the newest in-progress batch of the active product.
+// Readings fill samples in order: a reading goes into the oldest sample of
+// that batch (and machine) from the last fillWindowMinutes that has no value
+// for the parameter yet, so a balance and a hardness tester fill the same
+// samples one tablet at a time; when there is none a new sample is started.
+// Every reading is audited under the station ("instrument:<id>") and
+// published like any other sample change.
+
+const INSTRUMENTS_FILE = process.env.INSTRUMENTS_FILE || path.join(__dirname, '..', 'config', 'instruments.json');
+
+function loadInstrumentConfig() {
+  if (!fs.existsSync(INSTRUMENTS_FILE)) {
+    return { fillWindowMinutes: 10, stations: [] };
+  }
+  return JSON.parse(fs.readFileSync(INSTRUMENTS_FILE, 'utf8'));
+}
+
+function checkStation(station, parameters) {
+  if (!station.id) {
+    throw new Error('Instrument station without an id');
+  }
+  if (!PARSERS[station.parser]) {
+    throw new Error(`Unknown instrument parser "${station.parser}" for station ${station.id}`);
+  }
+  if (!parameters.some(p => p.key === station.parameter)) {
+    throw new Error(`Unknown parameter "${station.parameter}" for station ${station.id}`);
+  }
+}
+
+function createInstrumentService({
+  config = loadInstrumentConfig(), parameters, samples, batches, products, audit,
+  onSamplesChanged = () => {}, onStatus = () => {}, now = () => new Date()
+}) {
+  const fillWindowMs = (config.fillWindowMinutes ?? 10) * 60 * 1000;
+  const stations = new Map((config.stations || []).map((station) => {
+    checkStation(station, parameters);
+    return [station.id, {
+      config: station,
+      parameter: parameters.find(p => p.key === station.parameter),
+      listener: null,
+      batchId: null,
+      port: null,
+      connections: 0,
+      readings: 0,
+      lastReading: null,
+      lastError: null
+    }];
+  }));
+
+  const find = (id) => {
+    const station = stations.get(id);
+    if (!station) {
+      throw notFound(`Instrument station "${id}" not found`);
+    }
+    return station;
+  };
+
+  const batchOf = (station) => {
+    if (station.batchId !== null) return station.batchId;
+    const current = batches.list({ productId: products.getActive().id }).find(batch => batch.status === 'in-progress');
+    return current ? current.id : null;
+  };
+
+  const statusOf = (station) => ({
+    id: station.config.id,
+    name: station.config.name || station.config.id,
+    enabled: Boolean(station.config.enabled),
+    parser: station.config.parser,
+    parameter: station.config.parameter,
+    machine: station.config.machine || null,
+    port: station.port,
+    assignedBatchId: station.batchId,
+    batchId: batchOf(station),
+    connections: station.connections,
+    readings: station.readings,
+    lastReading: station.lastReading,
+    lastError: station.lastError
+  });
+
+  const list = () => [...stations.values()].map(statusOf);
+  const publishStatus = () => onStatus(list());
+
+  // The sample the reading goes into, or null to start one
+  const targetOf = (station, batchId, at) => {
+    const { key } = station.parameter;
+    const machine = station.config.machine || null;
+    return samples.list().find(sample => sample.batchId === batchId
+      && (!machine || sample.machine === machine)
+      && sample[key] === null
+      && at - new Date(sample.measuredAt) <= fillWindowMs) || null;
+  };
+
+  const store = (station, value) => {
+    const { key } = station.parameter;
+    const user = { id: null, username: `instrument:${station.config.id}` };
+    const reason = `Reading from ${station.config.name || station.config.id}`;
+    const at = now();
+    return audit.atomic(() => {
+      const batchId = batchOf(station);
+      const target = targetOf(station, batchId, at);
+      if (target) {
+        const op = samples.update(target.id, { baseRevision: target.revision, [key]: value });
+        audit.record({
+          user, action: 'update', entityType: 'sample', entityId: target.id,
+          changes: diff(target, op.sample, ['id', 'revision']), reason
+        });
+        return op;
+      }
+      const op = samples.add({
+        batchId,
+        machine: station.config.machine || null,
+        operator: station.config.operator || null,
+        measuredAt: at.toISOString(),
+        [key]: value
+      });
+      audit.record({
+        user, action: 'create', entityType: 'sample', entityId: op.sampleId,
+        changes: diff({}, op.sample, ['id', 'revision']), reason
+      });
+      return op;
+    });
+  };
+
+  // Handle one line from a station; returns the sample op or null
+  const ingest = (id, line) => {
+    const station = find(id);
+    const { name, unit, key } = station.parameter;
+    try {
+      const reading = PARSERS[station.config.parser](line, station.config.parserOptions);
+      if (reading.ignored) return null;
+      const value = convertUnit(reading.value, reading.unit, unit);
+      const op = store(station, value);
+      station.readings += 1;
+      station.lastReading = { value, unit, sampleId: op.sampleId, at: op.at };
+      log.info('Instrument reading stored', { station: station.config.id, parameter: key, value, unit, sampleId: op.sampleId });
+      onSamplesChanged([op]);
+      publishStatus();
+      return op;
+    } catch (error) {
+      station.lastError = { message: error.message, line: line.trim(), at: now().toISOString() };
+      log.warn('Instrument reading not stored', { station: station.config.id, parameter: key, error: error.message });
+      publishStatus();
+      return null;
+    }
+  };
+
+  // Assign a batch to a station (null: follow the newest in-progress batch)
+  const assignBatch = (id, batchId) => {
+    const station = find(id);
+    if (batchId !== null) {
+      const batch = batches.get(batchId);
+      if (batch.status !== 'in-progress') {
+        throw conflict(`Batch ${batch.number} is ${batch.status}; readings can only go into batches in progress`);
+      }
+    }
+    station.batchId = batchId;
+    publishStatus();
+    return statusOf(station);
+  };
+
+  // Open the listeners of the enabled stations
+  const start = () => Promise.all([...stations.values()]
+    .filter(station => station.config.enabled)
+    .map(async (station) => {
+      station.listener = createLineListener({
+        host: station.config.host,
+        port: station.config.port,
+        onLine: line => ingest(station.config.id, line),
+        onConnections: (count) => {
+          station.connections = count;
+          publishStatus();
+        }
+      });
+      station.port = await station.listener.listen();
+      log.info('Instrument listening', { station: station.config.id, port: station.port });
+    }));
+
+  const stop = () => Promise.all([...stations.values()]
+    .filter(station => station.listener)
+    .map(station => station.listener.close()));
+
+  return { list, ingest, assignBatch, start, stop };
+}
+
+module.exports = { createInstrumentService, loadInstrumentConfig };
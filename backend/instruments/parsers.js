@@ -0,0 +1,98 @@
+// Instrument output parsers. A parser turns one line sent by an instrument
+// into
+//
+//   { value, unit }        a reading (unit null when the line has none)
+//   { ignored: reason }    a line that isn't a reading (unstable weight, echo)
+//
+// and throws an Error for lines reporting a fault or that it can't read.
+// Stations pick a parser by name (config/instruments.json); `options` are
+// the station's parserOptions.
+
+const NUMBER = '[-+]?\\d+(?:\\.\\d+)?';
+
+// Mettler Toledo SICS weight responses (to S/SI or sent on print):
+//   "S S     0.2712 g"   stable weight
+//   "S D     0.2709 g"   dynamic (still settling): ignored
+//   "S I"                balance busy; "S +"/"S -" overload/underload
+//   "ES" / "ET" / "EL"   syntax, transmission or logical error
+const SICS_ERRORS = {
+  ES: 'Balance reported a syntax error',
+  ET: 'Balance reported a transmission error',
+  EL: 'Balance reported a logical error',
+  '+': 'Balance overload',
+  '-': 'Balance underload'
+};
+const SICS_WEIGHT = new RegExp(`^S\\s+([SD])\\s+(${NUMBER})\\s*(\\S+)?$`);
+
+function sics(line) {
+  const text = line.trim();
+  const weight = SICS_WEIGHT.exec(text);
+  if (weight) {
+    const [, status, value, unit = null] = weight;
+    return status === 'S' ? { value: Number(value), unit } : { ignored: 'Weight not stable' };
+  }
+  const [command, status] = text.split(/\s+/);
+  if (SICS_ERRORS[command]) {
+    throw new Error(SICS_ERRORS[command]);
+  }
+  if (command === 'S' && SICS_ERRORS[status]) {
+    throw new Error(SICS_ERRORS[status]);
+  }
+  if (command === 'S' && status === 'I') {
+    return { ignored: 'Balance busy' };
+  }
+  throw new Error(`Not a SICS weight response: "${text}"`);
+}
+
+// The last number on the line, with the unit right after it if any:
+// "Tablet 3: 98.5 N", "H=98.5N", "98.5". Suits most testers that print one
+// result per line.
+const LAST_NUMBER = new RegExp(`(${NUMBER})\\s*([A-Za-zµ%]+)?(?!.*\\d)`);
+
+function plain(line) {
+  const match = LAST_NUMBER.exec(line);
+  if (!match) {
+    throw new Error(`No reading in "${line.trim()}"`);
+  }
+  return { value: Number(match[1]), unit: match[2] || null };
+}
+
+// A station-specific regular expression with named groups `value` and
+// (optionally) `unit`; lines that don't match are ignored.
+// options: { pattern }
+function pattern(line, { pattern: source } = {}) {
+  if (!source) {
+    throw new Error('The pattern parser needs parserOptions.pattern');
+  }
+  const match = new RegExp(source).exec(line);
+  if (!match || !match.groups || match.groups.value === undefined) {
+    return { ignored: 'No match' };
+  }
+  const value = Number(match.groups.value.replace(',', '.'));
+  if (!Number.isFinite(value)) {
+    throw new Error(`"${match.groups.value}" is not a number`);
+  }
+  return { value, unit: match.groups.unit || null };
+}
+
+const PARSERS = { sics, plain, pattern };
+
+// Units a reading can be converted between, as factors of a base unit
+const UNIT_GROUPS = [
+  { mg: 0.001, g: 1, kg: 1000 },
+  { N: 1, kN: 1000, kp: 9.80665 },
+  { 'µm': 0.001, um: 0.001, mm: 1, cm: 10 },
+  { s: 1 / 60, min: 1 }
+];
+
+// `value` in `from` as `to`; readings without a unit are taken to be in `to`
+function convertUnit(value, from, to) {
+  if (!from || from === to) return value;
+  const group = UNIT_GROUPS.find(units => units[from] !== undefined && units[to] !== undefined);
+  if (!group) {
+    throw new Error(`Cannot convert ${from} to ${to}`);
+  }
+  return (value * group[from]) / group[to];
+}
+
+module.exports = { PARSERS, convertUnit };
@@ -0,0 +1,50 @@
+const net = require('net');
+
+// Line-based TCP listener for one station. Instruments with a network port,
+// or RS-232 instruments behind a serial device server, connect and send one
+// line per result (CR, LF or CRLF terminated). onLine(line) is called for
+// every non-empty line; onConnections(count) whenever a client comes or goes.
+
+// Longer partial lines are dropped: whatever is connected isn't an instrument
+const MAX_LINE = 1024;
+
+function createLineListener({ host = '0.0.0.0', port, onLine, onConnections = () => {} }) {
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    onConnections(sockets.size);
+    let pending = '';
+
+    socket.setEncoding('latin1');
+    socket.on('data', (chunk) => {
+      const lines = (pending + chunk).split(/\r\n|\r|\n/);
+      pending = lines.pop();
+      if (pending.length > MAX_LINE) pending = '';
+      lines.filter(line => line.trim()).forEach(onLine);
+    });
+    socket.on('error', () => socket.destroy());
+    socket.on('close', () => {
+      sockets.delete(socket);
+      onConnections(sockets.size);
+    });
+  });
+
+  // Resolves with the port listened on (useful with port 0)
+  const listen = () => new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve(server.address().port);
+    });
+  });
+
+  const close = () => new Promise((resolve) => {
+    sockets.forEach(socket => socket.destroy());
+    server.close(() => resolve());
+  });
+
+  return { listen, close };
+}
+
+module.exports = { createLineListener };
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, toJson } = require('./db');
+const { log } = require('./logger');
+
+// One-off import of the JSON files the stores used before the database
+// (products.json, limits.json, violations.json in DATA_DIR). Each file is
+// imported in a single transaction and then renamed to *.migrated so it is
+// never imported twice.
+
+const readLegacy = (fileName) => {
+  const filePath = path.join(DATA_DIR, fileName);
+  return fs.existsSync(filePath) ? { filePath, data: JSON.parse(fs.readFileSync(filePath, 'utf8')) } : null;
+};
+
+const IMPORTERS = {
+  'products.json': (db, { activeProductId, products = [], history = [] }) => {
+    const insertProduct = db.prepare(`
+      INSERT OR REPLACE INTO products (id, name, version, updated_at, change_note, rule_set, recipients, limits)
+      VALUES (@id, @name, @version, @updatedAt, @changeNote, @ruleSet, @recipients, @limits)`);
+    const insertVersion = db.prepare('INSERT OR IGNORE INTO product_versions (product_id, version, snapshot) VALUES (?, ?, ?)');
+    products.forEach(p => insertProduct.run({
+      ...p,
+      changeNote: p.changeNote || '',
+      ruleSet: toJson(p.ruleSet || { preset: 'nelson', rules: {} }),
+      recipients: toJson(p.recipients || []),
+      limits: toJson(p.limits || {})
+    }));
+    history.forEach(p => insertVersion.run(p.id, p.version, toJson(p)));
+    if (activeProductId) {
+      db.prepare("INSERT OR REPLACE INTO settings (key, value) VALUES ('activeProductId', ?)").run(activeProductId);
+    }
+    return products.length;
+  },
+
+  'limits.json': (db, { limitSets = [] }) => {
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO limit_sets (id, product_id, parameter, method, version, baseline_from, baseline_to, mean, sigma, n, reason, created_at)
+      VALUES (@id, @productId, @parameter, @method, @version, @baselineFrom, @baselineTo, @mean, @sigma, @n, @reason, @createdAt)`);
+    limitSets.forEach(set => insert.run({ method: 'imr', ...set }));
+    return limitSets.length;
+  },
+
+  'violations.json': (db, { violations = [] }) => {
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO violations (id, product_id, parameter, chart_type, rule, description, direction, x,
+        trigger_sample_ids, sample_ids, detected_at, status, root_cause, corrective_action, updated_at)
+      VALUES (@id, @productId, @parameter, @chartType, @rule, @description, @direction, @x,
+        @triggerSampleIds, @sampleIds, @detectedAt, @status, @rootCause, @correctiveAction, @updatedAt)`);
+    const insertComment = db.prepare('INSERT INTO violation_comments (violation_id, text, at) VALUES (?, ?, ?)');
+    violations.forEach(v => {
+      insert.run({
+        ...v,
+        x: toJson(v.x),
+        triggerSampleIds: toJson(v.triggerSampleIds || []),
+        sampleIds: toJson(v.sampleIds || [])
+      });
+      (v.comments || []).forEach(c => insertComment.run(v.id, c.text, c.at));
+    });
+    return violations.length;
+  }
+};
+
+function importLegacyJson(db) {
+  Object.entries(IMPORTERS).forEach(([fileName, importer]) => {
+    const legacy = readLegacy(fileName);
+    if (!legacy) return;
+    const count = db.transaction(() => importer(db, legacy.data))();
+    fs.renameSync(legacy.filePath, `${legacy.filePath}.migrated`);
+    log.info('Migrated legacy records', { file: fileName, count });
+  });
+}
+
+module.exports = { importLegacyJson };
@@ -0,0 +1,135 @@
+const { baselineLimits, CHART_TYPES, comparePositions, normalizeTransform, transformSamples } = require('@nelson-method/spc');
+const { toJson, fromJson } = require('./db');
+const { badRequest } = require('./errors');
+
+// Frozen control limits (Phase II). A limit set freezes the centre line and σ
+// of one parameter from a baseline range of samples. It applies from the
+// first baseline sample onwards until a later set for the same product and
+// parameter supersedes it. The baseline is named by its first and last
+// sample (baselineFrom/baselineTo) and placed by when they were measured
+// (baselineStart/baselineEnd), the order samples are kept in (see
+// samplePosition in shared/spc.js). Sets are never edited or removed;
+// recalculating limits appends a new set with the documented reason for the
+// change.
+//
+// The centre line (`mean`) and `sigma`, the within-subgroup process σ, are
+// worked out here from the stored baseline samples of the product (those of
+// its batches and those without a batch), estimated the way the chart type
+// named in `method` estimates them, so one set serves every chart type.
+// Callers only choose the baseline. Both are on the scale of the product's
+// transformation of the parameter at the time (`transform`); a set only
+// applies while that transformation does.
+//
+// Table: limit_sets
+
+// Worked out here; callers only send the baseline
+const COMPUTED = ['mean', 'sigma', 'n', 'transform'];
+
+const fromRow = (row) => ({
+  id: row.id,
+  productId: row.product_id,
+  parameter: row.parameter,
+  method: row.method,
+  version: row.version,
+  baselineFrom: row.baseline_from,
+  baselineTo: row.baseline_to,
+  baselineStart: row.baseline_start,
+  baselineEnd: row.baseline_end,
+  mean: row.mean,
+  sigma: row.sigma,
+  n: row.n,
+  transform: fromJson(row.transform, normalizeTransform(null)),
+  reason: row.reason,
+  createdAt: row.created_at
+});
+
+function createLimitSetStore(db, parameters) {
+  const parameterKeys = new Set(parameters.map(p => p.key));
+
+  const statements = {
+    list: db.prepare('SELECT * FROM limit_sets WHERE product_id = ? ORDER BY baseline_start, baseline_from, id'),
+    count: db.prepare('SELECT COUNT(*) AS count FROM limit_sets WHERE product_id = ? AND parameter = ?'),
+    measuredAt: db.prepare('SELECT measured_at FROM samples WHERE id = ?'),
+    productSamples: db.prepare(`
+      SELECT samples.id, samples.subgroup, samples.measured_at,
+        json_extract(samples.measurements, '$.' || @parameter) AS value
+      FROM samples LEFT JOIN batches ON batches.id = samples.batch_id
+      WHERE samples.batch_id IS NULL OR batches.product_id = @productId
+      ORDER BY samples.measured_at, samples.id`),
+    insert: db.prepare(`
+      INSERT INTO limit_sets (product_id, parameter, method, version, baseline_from, baseline_to, baseline_start,
+        baseline_end, mean, sigma, n, transform, reason, created_at)
+      VALUES (@productId, @parameter, @method, @version, @baselineFrom, @baselineTo, @baselineStart,
+        @baselineEnd, @mean, @sigma, @n, @transform, @reason, @createdAt)`)
+  };
+
+  const list = (productId) => statements.list.all(productId).map(fromRow);
+
+  // When the baseline sample `id` was measured
+  const measuredAtOf = (id, field) => {
+    const row = statements.measuredAt.get(id);
+    if (!row) {
+      throw badRequest(`${field}: sample ${id} not found`);
+    }
+    return row.measured_at;
+  };
+
+  // `product` is the product (current version) the limits are frozen for
+  const create = (product, { parameter, method = 'imr', baselineFrom, baselineTo, reason, ...rest }) => {
+    if (!parameterKeys.has(parameter)) {
+      throw badRequest(`Unknown parameter "${parameter}"`);
+    }
+    if (!CHART_TYPES[method]) {
+      throw badRequest(`method must be one of ${Object.keys(CHART_TYPES).join(', ')}`);
+    }
+    const sent = COMPUTED.filter(field => field in rest);
+    if (sent.length > 0) {
+      throw badRequest(`${sent.join(', ')} are worked out from the baseline; send only its range`);
+    }
+    if (![baselineFrom, baselineTo].every(Number.isInteger)) {
+      throw badRequest('baselineFrom and baselineTo must be sample ids');
+    }
+    const range = {
+      baselineFrom,
+      baselineStart: measuredAtOf(baselineFrom, 'baselineFrom'),
+      baselineTo,
+      baselineEnd: measuredAtOf(baselineTo, 'baselineTo')
+    };
+    if (comparePositions({ measuredAt: range.baselineStart, id: baselineFrom }, { measuredAt: range.baselineEnd, id: baselineTo }) > 0) {
+      throw badRequest('Baseline must start before it ends');
+    }
+
+    const transform = normalizeTransform((product.transforms || {})[parameter] || null);
+    const samples = statements.productSamples.all({ parameter, productId: product.id })
+      .map(row => ({ id: row.id, subgroup: row.subgroup, measuredAt: row.measured_at, [parameter]: row.value }));
+    const { mean, sigma, n } = baselineLimits(method, transformSamples(samples, parameter, transform), parameter, range);
+    if (!(n >= 2) || !(sigma > 0)) {
+      throw badRequest('The baseline needs enough samples to estimate σ within subgroups');
+    }
+
+    const { count: previous } = statements.count.get(product.id, parameter);
+    if (previous > 0 && !reason) {
+      throw badRequest('A reason is required when recalculating frozen limits');
+    }
+
+    const limitSet = {
+      productId: product.id,
+      parameter,
+      method,
+      version: previous + 1,
+      ...range,
+      mean,
+      sigma,
+      n,
+      transform,
+      reason: reason || 'Initial baseline',
+      createdAt: new Date().toISOString()
+    };
+    const { lastInsertRowid } = statements.insert.run({ ...limitSet, transform: toJson(limitSet.transform) });
+    return { id: Number(lastInsertRowid), ...limitSet };
+  };
+
+  return { list, create };
+}
+
+module.exports = { createLimitSetStore };
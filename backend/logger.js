@@ -0,0 +1,55 @@
+// Structured logging: one JSON object per line,
+//
+//   {"time":"2026-01-05T08:00:00.000Z","level":"info","msg":"Samples imported","requestId":"…","added":3}
+//
+// info and debug on stdout, warnings and errors on stderr. LOG_LEVEL is the
+// lowest level written (debug, info, warn or error; silent for none), info
+// by default. LOG_FORMAT=pretty writes one readable line per entry instead,
+// for development.
+//
+// child(fields) returns a logger that adds `fields` to every entry; requests
+// get one carrying their request id (req.log, see server.js).
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Errors are logged with their message, HTTP status and stack
+const serialize = (fields) => Object.fromEntries(Object.entries(fields).map(([key, value]) => [
+  key,
+  value instanceof Error
+    ? { message: value.message, ...(value.status ? { status: value.status } : {}), stack: value.stack }
+    : value
+]));
+
+const pretty = ({ time, level, msg, ...fields }) =>
+  `${time} ${level.toUpperCase().padEnd(5)} ${msg}${Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : ''}`;
+
+function createLogger({ level = process.env.LOG_LEVEL || 'info', format = process.env.LOG_FORMAT || 'json', fields = {} } = {}) {
+  if (!(level in LEVELS)) {
+    throw new Error(`Unknown log level "${level}"; use one of ${Object.keys(LEVELS).join(', ')}`);
+  }
+
+  const write = (entryLevel) => (msg, entryFields = {}) => {
+    if (LEVELS[entryLevel] < LEVELS[level]) return;
+    const entry = { time: new Date().toISOString(), level: entryLevel, msg, ...fields, ...serialize(entryFields) };
+    const line = format === 'pretty' ? pretty(entry) : JSON.stringify(entry);
+    if (LEVELS[entryLevel] >= LEVELS.warn) {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  };
+
+  return {
+    level,
+    debug: write('debug'),
+    info: write('info'),
+    warn: write('warn'),
+    error: write('error'),
+    child: more => createLogger({ level, format, fields: { ...fields, ...more } })
+  };
+}
+
+// The service's logger
+const log = createLogger();
+
+module.exports = { createLogger, log };
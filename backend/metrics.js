@@ -0,0 +1,161 @@
+// Prometheus metrics, served at /metrics in the text exposition format
+// (version 0.0.4).
+//
+// A registry holds counters, gauges and histograms, each with a fixed set of
+// label names. Gauges either hold a value set by the code or are collected
+// from the stores when scraped (`collect` returns [{ labels, value }]).
+//
+// createServiceMetrics() defines the QC service's metrics (all prefixed qc_).
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length === 0 ? '' : `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+};
+
+function createRegistry() {
+  const metrics = [];
+
+  // Label values in the metric's label order, as a map key
+  const keyOf = (labelNames, labels) => JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+  const labelsOf = (labelNames, key) => Object.fromEntries(JSON.parse(key).map((value, i) => [labelNames[i], value]));
+
+  const register = (metric) => {
+    if (metrics.some(m => m.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    metrics.push(metric);
+    return metric;
+  };
+
+  const counter = (name, help, labelNames = []) => {
+    const values = new Map();
+    return register({
+      name,
+      help,
+      type: 'counter',
+      inc: (labels = {}, by = 1) => {
+        const key = keyOf(labelNames, labels);
+        values.set(key, (values.get(key) || 0) + by);
+      },
+      samples: () => [...values.entries()].map(([key, value]) => ({ name, labels: labelsOf(labelNames, key), value }))
+    });
+  };
+
+  const gauge = (name, help, labelNames = [], collect = null) => {
+    const values = new Map();
+    return register({
+      name,
+      help,
+      type: 'gauge',
+      set: (labels, value) => values.set(keyOf(labelNames, labels), value),
+      samples: () => (collect
+        ? collect().map(({ labels = {}, value }) => ({ name, labels, value }))
+        : [...values.entries()].map(([key, value]) => ({ name, labels: labelsOf(labelNames, key), value })))
+    });
+  };
+
+  const histogram = (name, help, labelNames = [], buckets = DEFAULT_BUCKETS) => {
+    const series = new Map();
+    const observe = (labels, value) => {
+      const key = keyOf(labelNames, labels);
+      if (!series.has(key)) {
+        series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const entry = series.get(key);
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    };
+    return register({
+      name,
+      help,
+      type: 'histogram',
+      observe,
+      // Call the returned function when done to observe the seconds taken
+      startTimer: (labels = {}) => {
+        const started = process.hrtime.bigint();
+        return (moreLabels = {}) => observe({ ...labels, ...moreLabels }, Number(process.hrtime.bigint() - started) / 1e9);
+      },
+      samples: () => [...series.entries()].flatMap(([key, { counts, sum, count }]) => {
+        const labels = labelsOf(labelNames, key);
+        return [
+          ...buckets.map((bound, i) => ({ name: `${name}_bucket`, labels: { ...labels, le: formatValue(bound) }, value: counts[i] })),
+          { name: `${name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count },
+          { name: `${name}_sum`, labels, value: sum },
+          { name: `${name}_count`, labels, value: count }
+        ];
+      })
+    });
+  };
+
+  const render = () => metrics.map(metric => [
+    `# HELP ${metric.name} ${metric.help}`,
+    `# TYPE ${metric.name} ${metric.type}`,
+    ...metric.samples().map(({ name, labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`)
+  ].join('\n')).join('\n') + '\n';
+
+  return { counter, gauge, histogram, render };
+}
+
+// The service's metrics. Scraped values come from `clients()` (connected
+// dashboards) and the violation store.
+function createServiceMetrics({ clients = () => 0, violations = null } = {}) {
+  const registry = createRegistry();
+  const startedAt = Date.now() / 1000;
+
+  const metrics = {
+    registry,
+    contentType: 'text/plain; version=0.0.4; charset=utf-8',
+    render: registry.render,
+
+    socketClients: registry.gauge('qc_socket_clients', 'Dashboards connected over Socket.IO', [],
+      () => [{ value: clients() }]),
+    imports: registry.counter('qc_imports_total',
+      'Sample imports by source (upload, excel_file, watch_folder) and outcome (imported, duplicate, failed)',
+      ['source', 'outcome']),
+    importRows: registry.counter('qc_import_rows_total',
+      'Imported rows by source and result (added, updated, rejected)', ['source', 'result']),
+    fileWatchEvents: registry.counter('qc_file_watch_events_total',
+      'Files seen by the watchers (excel_file, watch_folder) by event', ['watcher', 'event']),
+    ruleEvaluation: registry.histogram('qc_rule_evaluation_seconds',
+      'Time taken to evaluate the control rules over the stored samples', []),
+    violationsDetected: registry.counter('qc_violations_detected_total',
+      'New violations detected by product and rule', ['product', 'rule']),
+    unresolvedViolations: registry.gauge('qc_violations_unresolved',
+      'Violations not closed yet by product, rule and status (open, acknowledged)', ['product', 'rule', 'status'],
+      () => (violations ? violations.countUnresolved() : []).map(({ productId, rule, status, count }) => ({
+        labels: { product: productId, rule: String(rule), status },
+        value: count
+      }))),
+    httpRequests: registry.histogram('qc_http_request_duration_seconds',
+      'HTTP request latency by method, route and status', ['method', 'route', 'status']),
+    startTime: registry.gauge('qc_process_start_time_seconds', 'When the service started (Unix time)', [],
+      () => [{ value: startedAt }]),
+    memory: registry.gauge('qc_process_resident_memory_bytes', 'Resident memory of the service', [],
+      () => [{ value: process.memoryUsage().rss }])
+  };
+
+  // One import from `source` and its row counts
+  metrics.recordImport = (source, outcome, { added = 0, updated = 0, rejected = 0 } = {}) => {
+    metrics.imports.inc({ source, outcome });
+    metrics.importRows.inc({ source, result: 'added' }, added);
+    metrics.importRows.inc({ source, result: 'updated' }, updated);
+    metrics.importRows.inc({ source, result: 'rejected' }, rejected);
+  };
+
+  return metrics;
+}
+
+module.exports = { createRegistry, createServiceMetrics };
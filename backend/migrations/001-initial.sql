@@ -0,0 +1,84 @@
+-- Samples: one row per tablet measured. Measurements are stored as a JSON
+-- object keyed by parameter so the parameter registry can change without a
+-- schema change. Rows imported from a workbook remember where they came from
+-- (and a hash of what the row said) so re-importing the same file updates
+-- them instead of duplicating them.
+CREATE TABLE samples (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  subgroup TEXT,
+  measured_at TEXT NOT NULL,
+  measurements TEXT NOT NULL DEFAULT '{}',
+  source TEXT,
+  source_row INTEGER,
+  source_hash TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+CREATE UNIQUE INDEX samples_source_row ON samples (source, source_row);
+CREATE INDEX samples_measured_at ON samples (measured_at);
+
+CREATE TABLE products (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  updated_at TEXT NOT NULL,
+  change_note TEXT NOT NULL DEFAULT '',
+  rule_set TEXT NOT NULL,
+  recipients TEXT NOT NULL DEFAULT '[]',
+  limits TEXT NOT NULL DEFAULT '{}'
+);
+
+-- Every version a product has had, as a JSON snapshot
+CREATE TABLE product_versions (
+  product_id TEXT NOT NULL REFERENCES products (id),
+  version INTEGER NOT NULL,
+  snapshot TEXT NOT NULL,
+  PRIMARY KEY (product_id, version)
+);
+
+CREATE TABLE settings (
+  key TEXT PRIMARY KEY,
+  value TEXT
+);
+
+CREATE TABLE limit_sets (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  product_id TEXT NOT NULL REFERENCES products (id),
+  parameter TEXT NOT NULL,
+  method TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  baseline_from INTEGER NOT NULL,
+  baseline_to INTEGER NOT NULL,
+  mean REAL NOT NULL,
+  sigma REAL NOT NULL,
+  n INTEGER NOT NULL,
+  reason TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+CREATE INDEX limit_sets_product ON limit_sets (product_id, parameter);
+
+CREATE TABLE violations (
+  id TEXT PRIMARY KEY,
+  product_id TEXT NOT NULL,
+  parameter TEXT NOT NULL,
+  chart_type TEXT NOT NULL,
+  rule INTEGER NOT NULL,
+  description TEXT NOT NULL,
+  direction TEXT,
+  x TEXT,
+  trigger_sample_ids TEXT NOT NULL,
+  sample_ids TEXT NOT NULL,
+  detected_at TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'acknowledged', 'closed')),
+  root_cause TEXT,
+  corrective_action TEXT,
+  updated_at TEXT NOT NULL
+);
+CREATE INDEX violations_product ON violations (product_id, detected_at);
+
+CREATE TABLE violation_comments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  violation_id TEXT NOT NULL REFERENCES violations (id),
+  text TEXT NOT NULL,
+  at TEXT NOT NULL
+);
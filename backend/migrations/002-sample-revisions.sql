@@ -0,0 +1,13 @@
+-- Per-sample sync: every sample carries a revision that goes up with each
+-- change, and every change is appended to sample_ops so clients that missed
+-- some can catch up from the last seq they saw.
+ALTER TABLE samples ADD COLUMN revision INTEGER NOT NULL DEFAULT 1;
+
+CREATE TABLE sample_ops (
+  seq INTEGER PRIMARY KEY AUTOINCREMENT,
+  type TEXT NOT NULL CHECK (type IN ('add', 'update', 'delete')),
+  sample_id INTEGER NOT NULL,
+  revision INTEGER NOT NULL,
+  sample TEXT,
+  at TEXT NOT NULL
+);
@@ -0,0 +1,36 @@
+-- Batches with a release lifecycle, and the electronic signatures under
+-- their release or rejection. Signatures can be added but never changed.
+CREATE TABLE batches (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  number TEXT NOT NULL UNIQUE,
+  product_id TEXT NOT NULL REFERENCES products (id),
+  status TEXT NOT NULL DEFAULT 'in-progress'
+    CHECK (status IN ('in-progress', 'under-review', 'released', 'rejected')),
+  created_at TEXT NOT NULL,
+  created_by TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE TABLE batch_signatures (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  batch_id INTEGER NOT NULL REFERENCES batches (id),
+  user_id INTEGER NOT NULL REFERENCES users (id),
+  username TEXT NOT NULL,
+  display_name TEXT NOT NULL,
+  meaning TEXT NOT NULL,
+  decision TEXT NOT NULL,
+  signed_at TEXT NOT NULL
+);
+
+CREATE TRIGGER batch_signatures_no_update BEFORE UPDATE ON batch_signatures
+BEGIN
+  SELECT RAISE(ABORT, 'Signatures cannot be changed');
+END;
+
+CREATE TRIGGER batch_signatures_no_delete BEFORE DELETE ON batch_signatures
+BEGIN
+  SELECT RAISE(ABORT, 'Signatures cannot be changed');
+END;
+
+ALTER TABLE samples ADD COLUMN batch_id INTEGER REFERENCES batches (id);
+CREATE INDEX samples_batch ON samples (batch_id);
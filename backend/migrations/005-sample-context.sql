@@ -0,0 +1,5 @@
+-- Where and by whom a sample was taken: the press/machine and the operator.
+-- The batch is samples.batch_id (004).
+ALTER TABLE samples ADD COLUMN machine TEXT;
+ALTER TABLE samples ADD COLUMN operator TEXT;
+CREATE INDEX samples_machine ON samples (machine);
@@ -0,0 +1,5 @@
+-- Per-parameter data transformation of a product ({ [parameter]: { type,
+-- lambda } }, see shared/normality.js) and the transformation a frozen limit
+-- set was computed on. NULL means untransformed.
+ALTER TABLE products ADD COLUMN transforms TEXT;
+ALTER TABLE limit_sets ADD COLUMN transform TEXT;
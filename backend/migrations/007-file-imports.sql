@@ -0,0 +1,17 @@
+-- Result files picked up from the watch folder, one row per file seen. The
+-- SHA-256 of the content makes imports idempotent: a file whose content was
+-- imported before is recorded as a duplicate and not imported again.
+CREATE TABLE file_imports (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  file_name TEXT NOT NULL,
+  content_hash TEXT NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('imported', 'duplicate', 'failed')),
+  added INTEGER NOT NULL DEFAULT 0,
+  updated INTEGER NOT NULL DEFAULT 0,
+  rejected TEXT,
+  error TEXT,
+  moved_to TEXT,
+  processed_at TEXT NOT NULL
+);
+
+CREATE INDEX file_imports_hash ON file_imports (content_hash);
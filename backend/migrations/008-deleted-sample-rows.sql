@@ -0,0 +1,8 @@
+-- File rows whose samples were deleted in the dashboard. Importing the file
+-- again skips them, so a deleted sample stays deleted.
+CREATE TABLE deleted_source_rows (
+  source TEXT NOT NULL,
+  source_row INTEGER NOT NULL,
+  deleted_at TEXT NOT NULL,
+  PRIMARY KEY (source, source_row)
+);
@@ -0,0 +1,17 @@
+-- When the first and last baseline samples of a limit set were measured.
+-- Samples are ordered by measured_at (then id), and imported or backfilled
+-- samples get high ids for old times, so a set's baseline and the points it
+-- applies to are found by position rather than by id alone (see samplePosition
+-- in shared/spc.js). Existing sets take the times of their boundary samples,
+-- or of the samples in their id range when those are gone; sets whose samples
+-- are all gone keep NULL and are placed by id as before.
+ALTER TABLE limit_sets ADD COLUMN baseline_start TEXT;
+ALTER TABLE limit_sets ADD COLUMN baseline_end TEXT;
+
+UPDATE limit_sets SET
+  baseline_start = COALESCE(
+    (SELECT measured_at FROM samples WHERE id = limit_sets.baseline_from),
+    (SELECT MIN(measured_at) FROM samples WHERE id BETWEEN limit_sets.baseline_from AND limit_sets.baseline_to)),
+  baseline_end = COALESCE(
+    (SELECT measured_at FROM samples WHERE id = limit_sets.baseline_to),
+    (SELECT MAX(measured_at) FROM samples WHERE id BETWEEN limit_sets.baseline_from AND limit_sets.baseline_to));
@@ -0,0 +1,25 @@
+const nodemailer = require('nodemailer');
+
+// SMTP channel: one email per notification, addressed to the product's
+// recipient list. The password is read from SMTP_PASSWORD rather than the
+// config file.
+function createEmailChannel({ host, port, secure = false, user = null, from }) {
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass: process.env.SMTP_PASSWORD } : undefined
+  });
+
+  const send = async ({ recipients, subject, text }) => {
+    if (recipients.length === 0) {
+      return false;
+    }
+    await transport.sendMail({ from, to: recipients.join(', '), subject, text });
+    return true;
+  };
+
+  return { name: 'email', send, close: () => transport.close() };
+}
+
+module.exports = { createEmailChannel };
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const { ruleLabel } = require('@nelson-method/spc');
+const { createEmailChannel } = require('./email');
+const { createWebhookChannel } = require('./webhook');
+const { log } = require('../logger');
+
+// Alert notifications. Each rule has a severity (config/notifications.json);
+// every channel only hears about alerts at or above its minSeverity. A
+// channel is { name, send(notification) -> Promise, close() }, where the
+// notification is
+//
+//   { product, recipients, severity, alerts, suppressed, subject, text, sentAt }
+//
+// Throttling is per channel and per product/parameter/rule: once an alert of
+// that kind has gone out, further ones are held back for throttleMinutes and
+// only counted, so a long run of violations sends one message, not dozens.
+// Only a delivered notification starts that window and clears the count: one
+// that failed or had nobody to go to leaves the next alert free to go out.
+
+const NOTIFICATIONS_FILE = process.env.NOTIFICATIONS_FILE || path.join(__dirname, '..', 'config', 'notifications.json');
+
+const SEVERITIES = ['minor', 'major', 'critical'];
+
+const CHANNEL_TYPES = {
+  email: createEmailChannel,
+  webhook: createWebhookChannel
+};
+
+const rank = (severity) => SEVERITIES.indexOf(severity);
+
+function loadNotificationConfig() {
+  if (!fs.existsSync(NOTIFICATIONS_FILE)) {
+    return { ruleSeverity: {}, throttleMinutes: 30, channels: {} };
+  }
+  return JSON.parse(fs.readFileSync(NOTIFICATIONS_FILE, 'utf8'));
+}
+
+const locationLabel = ({ chartType, x }) => `${chartType === 'imr' ? 'sample' : 'subgroup'} ${x}`;
+
+const formatText = (product, alerts, suppressed) => [
+  `Control rule violations on ${product.name} (v${product.version}):`,
+  '',
+  ...alerts.map(alert =>
+    `- [${alert.severity.toUpperCase()}] ${alert.parameter}, ${locationLabel(alert)}: ${ruleLabel(alert.rule)} - ${alert.description}`),
+  ...(suppressed > 0 ? ['', `${suppressed} similar alert(s) were held back by throttling since the last notification.`] : [])
+].join('\n');
+
+function createNotifier(config = loadNotificationConfig(), { now = Date.now } = {}) {
+  const { ruleSeverity = {}, throttleMinutes = 30 } = config;
+  const throttleMs = throttleMinutes * 60 * 1000;
+
+  const channels = Object.entries(config.channels || {})
+    .filter(([, options]) => options.enabled)
+    .map(([type, options]) => {
+      const create = CHANNEL_TYPES[type];
+      if (!create) {
+        throw new Error(`Unknown notification channel "${type}"`);
+      }
+      return {
+        channel: create(options),
+        minSeverity: options.minSeverity || 'major',
+        lastSent: new Map(),
+        suppressed: new Map()
+      };
+    });
+
+  const severityOf = (rule) => ruleSeverity[rule] || 'minor';
+
+  const keyOf = (alert) => `${alert.productId}:${alert.parameter}:${alert.rule}`;
+
+  // Drop alerts the channel has sent one of recently (or is sending one of
+  // now), counting them instead. `reported` holds the held-back counts the
+  // notification reports, by kind.
+  const throttle = (entry, alerts) => {
+    const time = now();
+    const reported = new Map();
+    const passed = alerts.filter(alert => {
+      const key = keyOf(alert);
+      const last = entry.lastSent.get(key);
+      if (reported.has(key) || (last !== undefined && time - last < throttleMs)) {
+        entry.suppressed.set(key, (entry.suppressed.get(key) || 0) + 1);
+        return false;
+      }
+      reported.set(key, entry.suppressed.get(key) || 0);
+      return true;
+    });
+    const suppressed = [...reported.values()].reduce((sum, count) => sum + count, 0);
+    return { time, passed, suppressed, reported };
+  };
+
+  // Once delivered: start the throttle window and drop the reported counts
+  const markSent = (entry, { time, reported }) => {
+    reported.forEach((count, key) => {
+      entry.lastSent.set(key, time);
+      const left = (entry.suppressed.get(key) || 0) - count;
+      if (left > 0) {
+        entry.suppressed.set(key, left);
+      } else {
+        entry.suppressed.delete(key);
+      }
+    });
+  };
+
+  // Resolves to one result per channel; delivery failures are logged, never
+  // thrown, so a broken mail server can't stop detection.
+  const notify = (product, alerts) => Promise.all(channels.map(async (entry) => {
+    const { name } = entry.channel;
+    const relevant = alerts
+      .map(alert => ({ ...alert, severity: severityOf(alert.rule) }))
+      .filter(alert => rank(alert.severity) >= rank(entry.minSeverity));
+    const throttled = throttle(entry, relevant);
+    const { passed, suppressed } = throttled;
+    if (passed.length === 0) {
+      return { channel: name, sent: false };
+    }
+
+    const severity = SEVERITIES[Math.max(...passed.map(alert => rank(alert.severity)))];
+    try {
+      const sent = await entry.channel.send({
+        product,
+        recipients: product.recipients || [],
+        severity,
+        alerts: passed,
+        suppressed,
+        subject: `[QC ${severity.toUpperCase()}] ${passed.length} violation(s) on ${product.name}`,
+        text: formatText(product, passed, suppressed),
+        sentAt: new Date(now()).toISOString()
+      });
+      if (sent) {
+        markSent(entry, throttled);
+        log.info('Notified alerts', { channel: name, productId: product.id, alerts: passed.length });
+      }
+      return { channel: name, sent };
+    } catch (error) {
+      log.error('Notification failed', { channel: name, productId: product.id, error });
+      return { channel: name, sent: false, error: error.message };
+    }
+  }));
+
+  const close = () => channels.forEach(({ channel }) => channel.close());
+
+  return { notify, close, channels: channels.map(({ channel }) => channel.name) };
+}
+
+module.exports = { SEVERITIES, loadNotificationConfig, createNotifier };
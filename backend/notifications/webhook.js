@@ -0,0 +1,24 @@
+// Generic webhook channel: POSTs the notification as JSON to a fixed URL.
+function createWebhookChannel({ url, headers = {} }) {
+  const send = async ({ product, severity, alerts, suppressed, sentAt }) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify({
+        product: { id: product.id, name: product.name, version: product.version },
+        severity,
+        alerts,
+        suppressed,
+        sentAt
+      })
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook ${url} answered ${response.status}`);
+    }
+    return true;
+  };
+
+  return { name: 'webhook', send, close: () => {} };
+}
+
+module.exports = { createWebhookChannel };
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+
+// Parameter registry: one entry per quality attribute measured on the line.
+// Each entry: { key, name, unit, lsl, usl, decimals, color, columns?, min?, max? }
+// min/max bound the values that are physically plausible; imports reject
+// values outside them (spec limits only flag, see lsl/usl).
+const PARAMETERS_FILE = process.env.PARAMETERS_FILE || path.join(__dirname, 'config', 'parameters.json');
+
+const DEFAULT_COLOR = '#4b5563';
+
+// "Disintegration Time (min)" -> "disintegrationtimemin"
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function loadParameters() {
+  const raw = JSON.parse(fs.readFileSync(PARAMETERS_FILE, 'utf8'));
+  if (!Array.isArray(raw)) {
+    throw new Error(`${PARAMETERS_FILE} must contain an array of parameters`);
+  }
+
+  return raw.map((param) => {
+    if (!param.key) {
+      throw new Error(`Parameter without a key in ${PARAMETERS_FILE}`);
+    }
+    return {
+      key: param.key,
+      name: param.name || param.key,
+      unit: param.unit || '',
+      lsl: param.lsl ?? null,
+      usl: param.usl ?? null,
+      decimals: param.decimals ?? 2,
+      color: param.color || DEFAULT_COLOR,
+      columns: param.columns || [],
+      min: param.min ?? null,
+      max: param.max ?? null
+    };
+  });
+}
+
+// Sample fields that aren't quality attributes, with the headers they're read from
+const SAMPLE_FIELD_COLUMNS = {
+  id: ['id'],
+  subgroup: ['subgroup', 'Subgroup No', 'Group'],
+  measuredAt: ['measuredAt', 'Measured At', 'Timestamp', 'Date Time', 'Date'],
+  batch: ['batch', 'Batch No', 'Batch Number', 'Lot', 'Lot No', 'Lot Number', 'Batch/Lot'],
+  machine: ['machine', 'Press', 'Press No', 'Tablet Press', 'Machine ID', 'Equipment'],
+  operator: ['operator', 'Operator ID', 'Analyst', 'Inspector']
+};
+
+// Work out which worksheet column feeds each sample field and parameter. A
+// column matches on the parameter key, its display name, "Name (unit)" or
+// any listed alias.
+function mapColumns(headers, parameters) {
+  const byNormalized = new Map(headers.map(h => [normalizeHeader(h), h]));
+  const columnMap = {};
+
+  Object.entries(SAMPLE_FIELD_COLUMNS).forEach(([field, candidates]) => {
+    const match = candidates.map(c => byNormalized.get(normalizeHeader(c))).find(Boolean);
+    if (match) {
+      columnMap[field] = match;
+    }
+  });
+
+  parameters.forEach((param) => {
+    const candidates = [
+      param.key,
+      param.name,
+      `${param.name} (${param.unit})`,
+      ...param.columns
+    ];
+    const match = candidates
+      .map(c => byNormalized.get(normalizeHeader(c)))
+      .find(Boolean);
+    if (match) {
+      columnMap[param.key] = match;
+    }
+  });
+
+  return columnMap;
+}
+
+module.exports = {
+  SAMPLE_FIELD_COLUMNS,
+  loadParameters,
+  mapColumns
+};
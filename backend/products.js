@@ -0,0 +1,220 @@
+const { DEFAULT_RULE_SET, normalizeRuleSet, normalizeTransform } = require('@nelson-method/spc');
+const { toJson, fromJson } = require('./db');
+const { badRequest, notFound } = require('./errors');
+
+// Product definitions: spec limits (LSL/USL/target) per parameter, the rule
+// set its control charts are judged by, the transformation (if any) each
+// parameter is charted on and who is emailed about violations.
+// Every change creates a new version; all versions are kept so past results
+// can be judged against the limits that applied at the time.
+//
+// Tables: products (current version), product_versions (every version as a
+// snapshot) and settings.activeProductId.
+
+const slugify = (text) => String(text)
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-|-$/g, '');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+const isLimit = (value) => value === null || (typeof value === 'number' && Number.isFinite(value));
+
+const fromRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  version: row.version,
+  updatedAt: row.updated_at,
+  changeNote: row.change_note,
+  ruleSet: fromJson(row.rule_set, DEFAULT_RULE_SET),
+  recipients: fromJson(row.recipients, []),
+  limits: fromJson(row.limits, {}),
+  transforms: fromJson(row.transforms, {})
+});
+
+function createProductStore(db, parameters) {
+  const parameterKeys = new Set(parameters.map(p => p.key));
+
+  const statements = {
+    list: db.prepare('SELECT * FROM products ORDER BY rowid'),
+    get: db.prepare('SELECT * FROM products WHERE id = ?'),
+    history: db.prepare('SELECT snapshot FROM product_versions WHERE product_id = ? ORDER BY version DESC'),
+    upsert: db.prepare(`
+      INSERT INTO products (id, name, version, updated_at, change_note, rule_set, recipients, limits, transforms)
+      VALUES (@id, @name, @version, @updatedAt, @changeNote, @ruleSet, @recipients, @limits, @transforms)
+      ON CONFLICT (id) DO UPDATE SET
+        name = excluded.name, version = excluded.version, updated_at = excluded.updated_at,
+        change_note = excluded.change_note, rule_set = excluded.rule_set,
+        recipients = excluded.recipients, limits = excluded.limits, transforms = excluded.transforms`),
+    addVersion: db.prepare('INSERT INTO product_versions (product_id, version, snapshot) VALUES (?, ?, ?)'),
+    getSetting: db.prepare("SELECT value FROM settings WHERE key = 'activeProductId'"),
+    setSetting: db.prepare("INSERT INTO settings (key, value) VALUES ('activeProductId', ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value")
+  };
+
+  // Current version plus a snapshot in the history, atomically
+  const save = db.transaction((product) => {
+    statements.upsert.run({
+      ...product,
+      ruleSet: toJson(product.ruleSet),
+      recipients: toJson(product.recipients),
+      limits: toJson(product.limits),
+      transforms: toJson(product.transforms)
+    });
+    statements.addVersion.run(product.id, product.version, toJson(product));
+    return product;
+  });
+
+  if (!statements.list.get()) {
+    save({
+      id: 'default',
+      name: 'Default Tablet',
+      version: 1,
+      updatedAt: new Date().toISOString(),
+      changeNote: 'Created from parameter registry',
+      ruleSet: DEFAULT_RULE_SET,
+      recipients: [],
+      limits: Object.fromEntries(parameters.map(({ key, lsl, usl }) => [key, {
+        lsl,
+        usl,
+        target: lsl != null && usl != null ? (lsl + usl) / 2 : null
+      }])),
+      transforms: {}
+    });
+  }
+
+  const normalizeLimits = (limits = {}) => {
+    if (typeof limits !== 'object' || Array.isArray(limits)) {
+      throw badRequest('limits must be an object keyed by parameter');
+    }
+    return Object.fromEntries(Object.entries(limits).map(([key, value]) => {
+      if (!parameterKeys.has(key)) {
+        throw badRequest(`Unknown parameter "${key}"`);
+      }
+      const { lsl = null, usl = null, target = null } = value || {};
+      if (![lsl, usl, target].every(isLimit)) {
+        throw badRequest(`Limits for "${key}" must be numbers or null`);
+      }
+      if (lsl != null && usl != null && lsl >= usl) {
+        throw badRequest(`LSL must be below USL for "${key}"`);
+      }
+      if (target != null && ((lsl != null && target < lsl) || (usl != null && target > usl))) {
+        throw badRequest(`Target for "${key}" must lie within the spec limits`);
+      }
+      return [key, { lsl, usl, target }];
+    }));
+  };
+
+  // Parameters without a transformation are left out
+  const normalizeTransforms = (transforms) => {
+    if (typeof transforms !== 'object' || Array.isArray(transforms)) {
+      throw badRequest('transforms must be an object keyed by parameter');
+    }
+    return Object.fromEntries(Object.entries(transforms).map(([key, value]) => {
+      if (!parameterKeys.has(key)) {
+        throw badRequest(`Unknown parameter "${key}"`);
+      }
+      try {
+        return [key, normalizeTransform(value)];
+      } catch (error) {
+        throw badRequest(`${error.message} for "${key}"`);
+      }
+    }));
+  };
+
+  const withTransforms = (current, transforms) => Object.fromEntries(
+    Object.entries({ ...current, ...normalizeTransforms(transforms) }).filter(([, t]) => t.type !== 'none')
+  );
+
+  const checkRuleSet = (ruleSet) => {
+    try {
+      return normalizeRuleSet(ruleSet);
+    } catch (error) {
+      throw badRequest(error.message);
+    }
+  };
+
+  const normalizeRecipients = (recipients) => {
+    if (!Array.isArray(recipients)) {
+      throw badRequest('recipients must be an array of email addresses');
+    }
+    const invalid = recipients.find(address => typeof address !== 'string' || !EMAIL_PATTERN.test(address.trim()));
+    if (invalid !== undefined) {
+      throw badRequest(`"${invalid}" is not an email address`);
+    }
+    return [...new Set(recipients.map(address => address.trim()))];
+  };
+
+  const list = () => statements.list.all().map(fromRow);
+
+  const get = (id) => {
+    const row = statements.get.get(id);
+    if (!row) {
+      throw notFound(`Product "${id}" not found`);
+    }
+    return fromRow(row);
+  };
+
+  const history = (id) => {
+    get(id);
+    return statements.history.all(id).map(row => fromJson(row.snapshot));
+  };
+
+  const create = ({ id, name, limits, ruleSet, recipients, transforms, changeNote }) => {
+    if (!name) {
+      throw badRequest('Product name is required');
+    }
+    const productId = slugify(id || name);
+    if (!productId) {
+      throw badRequest('Product id must contain letters or digits');
+    }
+    if (statements.get.get(productId)) {
+      throw badRequest(`Product "${productId}" already exists`);
+    }
+
+    const product = {
+      id: productId,
+      name,
+      version: 1,
+      updatedAt: new Date().toISOString(),
+      changeNote: changeNote || 'Created',
+      ruleSet: ruleSet ? checkRuleSet(ruleSet) : DEFAULT_RULE_SET,
+      recipients: recipients ? normalizeRecipients(recipients) : [],
+      limits: normalizeLimits(limits),
+      transforms: transforms ? withTransforms({}, transforms) : {}
+    };
+    return save(product);
+  };
+
+  const update = (id, { name, limits, ruleSet, recipients, transforms, changeNote }) => {
+    const current = get(id);
+
+    const product = {
+      ...current,
+      name: name || current.name,
+      version: current.version + 1,
+      updatedAt: new Date().toISOString(),
+      changeNote: changeNote || '',
+      ruleSet: ruleSet ? checkRuleSet(ruleSet) : current.ruleSet,
+      recipients: recipients ? normalizeRecipients(recipients) : current.recipients,
+      limits: limits ? { ...current.limits, ...normalizeLimits(limits) } : current.limits,
+      transforms: transforms ? withTransforms(current.transforms, transforms) : current.transforms
+    };
+    return save(product);
+  };
+
+  const getActive = () => {
+    const { value: activeProductId } = statements.getSetting.get() || {};
+    const products = list();
+    return products.find(p => p.id === activeProductId) || products[0] || null;
+  };
+
+  const setActive = (id) => {
+    const product = get(id);
+    statements.setSetting.run(product.id);
+    return product;
+  };
+
+  return { list, get, history, create, update, getActive, setActive };
+}
+
+module.exports = { createProductStore };
@@ -0,0 +1,77 @@
+const { capability, defaultChartType, summarize, transformer } = require('@nelson-method/spc');
+const { parameterPoints, productSamples } = require('../evaluation');
+
+// Everything the batch QC report shows, gathered from the stores:
+//
+//   { generatedAt, product, batch, period, parameters, violations }
+//
+// Each parameter carries its spec limits, descriptive statistics, capability
+// and the control chart points of the batch in original units. Charts are
+// worked out over the product's samples (see productSamples in
+// evaluation.js), as on the dashboard and in alert detection, so the limits
+// and signals match what operators saw; only the points with samples of the
+// batch are kept. Violations are the recorded ones
+// (with their investigation) that involve the batch's samples.
+
+const isOutOfSpec = ({ lsl, usl }) => (value) => (lsl != null && value < lsl) || (usl != null && value > usl);
+
+function createBatchReports({ parameters, products, batches, samples, limitSets, violations }) {
+  const chartOf = ({ key, allSamples, batchIds, chartType, product, productLimitSets, signalled }) => {
+    const { inverse } = transformer((product.transforms || {})[key]);
+    return parameterPoints({ samples: allSamples, key, chartType, product, limitSets: productLimitSets })
+      .filter(point => point.sampleIds.some(id => batchIds.has(id)))
+      .map(point => ({
+        x: point.x,
+        value: inverse(point.value),
+        center: inverse(point.center),
+        ucl: inverse(point.center + 3 * point.sigma),
+        lcl: inverse(point.center - 3 * point.sigma),
+        signal: point.sampleIds.some(id => signalled.has(`${key}:${id}`))
+      }));
+  };
+
+  const build = (batchId) => {
+    const batch = batches.get(batchId);
+    const product = products.get(batch.productId);
+    const allSamples = productSamples(samples.list(), batches, product.id);
+    const batchSamples = allSamples.filter(sample => sample.batchId === batch.id);
+    const batchIds = new Set(batchSamples.map(sample => sample.id));
+    const chartType = defaultChartType(allSamples);
+    const productLimitSets = limitSets.list(product.id);
+
+    const batchViolations = violations.list({ productId: product.id })
+      .filter(violation => violation.sampleIds.some(id => batchIds.has(id)))
+      .reverse();
+    const signalled = new Set(batchViolations.flatMap(v => v.triggerSampleIds.map(id => `${v.parameter}:${id}`)));
+
+    const times = batchSamples.map(sample => sample.measuredAt).sort();
+
+    return {
+      generatedAt: new Date().toISOString(),
+      product: { id: product.id, name: product.name, version: product.version },
+      batch,
+      chartType,
+      period: { from: times[0] || null, to: times[times.length - 1] || null },
+      parameters: parameters.map(({ key, name, unit, decimals, lsl, usl }) => {
+        const spec = { lsl, usl, target: null, ...(product.limits[key] || {}) };
+        const values = batchSamples.map(sample => sample[key]);
+        const stats = summarize(values);
+        return {
+          key,
+          name,
+          unit,
+          decimals,
+          ...spec,
+          stats: stats && { ...stats, outOfSpec: values.filter(v => v != null).filter(isOutOfSpec(spec)).length },
+          capability: capability(batchSamples, key, spec, chartType),
+          chart: chartOf({ key, allSamples, batchIds, chartType, product, productLimitSets, signalled })
+        };
+      }),
+      violations: batchViolations
+    };
+  };
+
+  return { build };
+}
+
+module.exports = { createBatchReports };
@@ -0,0 +1,108 @@
+const { capability, defaultChartType, ruleLabel, summarize } = require('@nelson-method/spc');
+const { badRequest } = require('../errors');
+const { productSamples } = require('../evaluation');
+
+// The samples, statistics and violations a data export holds, for the
+// samples matching the filters (all optional):
+//
+//   { batchId, from, to }    from/to: dates compared with measuredAt; a
+//                            date-only `to` includes that whole day
+//
+// gathered as
+//
+//   { generatedAt, product, batch, period, parameters, rows, summary, violations }
+//
+// Each row is a sample with its batch number, the parameters out of spec and
+// the rules whose recorded violations it triggered. Everything is the
+// product's: the batch's product when exporting a batch, else the active one.
+// Only its samples (see productSamples in evaluation.js) and violations are
+// exported, judged against its spec limits.
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const checkDate = (value, field) => {
+  if (value == null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw badRequest(`${field} must be a date`);
+  }
+  return date;
+};
+
+// The filters as { batchId, from, to } with `to` exclusive
+function normalizeFilters({ batchId, from, to } = {}) {
+  const id = batchId == null || batchId === '' ? null : Number(batchId);
+  if (id !== null && !Number.isInteger(id)) {
+    throw badRequest('batchId must be a batch id');
+  }
+  const end = checkDate(to, 'to');
+  if (end && DATE_ONLY.test(to)) {
+    end.setUTCDate(end.getUTCDate() + 1);
+  } else if (end) {
+    end.setTime(end.getTime() + 1);
+  }
+  return { batchId: id, from: checkDate(from, 'from'), to: end };
+}
+
+const isOutOfSpec = ({ lsl, usl }, value) => value != null && ((lsl != null && value < lsl) || (usl != null && value > usl));
+
+function createDataExports({ parameters, products, batches, samples, violations }) {
+  const build = (filters) => {
+    const { batchId, from, to } = normalizeFilters(filters);
+    const batch = batchId === null ? null : batches.get(batchId);
+    const product = batch ? products.get(batch.productId) : products.getActive();
+    const specs = Object.fromEntries(parameters.map(({ key, lsl, usl }) => [
+      key,
+      { lsl, usl, target: null, ...(product.limits[key] || {}) }
+    ]));
+
+    const selected = productSamples(samples.list(), batches, product.id).filter(sample => (!batch || sample.batchId === batch.id)
+      && (!from || new Date(sample.measuredAt) >= from)
+      && (!to || new Date(sample.measuredAt) < to));
+    const ids = new Set(selected.map(sample => sample.id));
+
+    const recorded = violations.list({ productId: product.id })
+      .filter(violation => violation.sampleIds.some(id => ids.has(id)))
+      .reverse();
+    const nameOf = (key) => (parameters.find(p => p.key === key) || { name: key }).name;
+    const rulesOf = new Map();
+    recorded.forEach((violation) => {
+      violation.triggerSampleIds.forEach((id) => {
+        if (!rulesOf.has(id)) rulesOf.set(id, new Set());
+        rulesOf.get(id).add(`${nameOf(violation.parameter)}: ${ruleLabel(violation.rule)}`);
+      });
+    });
+
+    const batchNumbers = new Map(batches.list().map(({ id, number }) => [id, number]));
+    const chartType = defaultChartType(selected);
+    const times = selected.map(sample => sample.measuredAt).sort();
+
+    return {
+      generatedAt: new Date().toISOString(),
+      product: { id: product.id, name: product.name, version: product.version },
+      batch,
+      period: { from: times[0] || null, to: times[times.length - 1] || null },
+      parameters: parameters.map(({ key, name, unit, decimals }) => ({ key, name, unit, decimals, ...specs[key] })),
+      rows: selected.map(sample => ({
+        sample,
+        batchNumber: batchNumbers.get(sample.batchId) ?? null,
+        outOfSpec: parameters.filter(({ key }) => isOutOfSpec(specs[key], sample[key])).map(({ key }) => key),
+        rules: [...(rulesOf.get(sample.id) || [])]
+      })),
+      summary: parameters.map(({ key }) => {
+        const values = selected.map(sample => sample[key]);
+        const stats = summarize(values);
+        return {
+          key,
+          stats: stats && { ...stats, outOfSpec: values.filter(value => isOutOfSpec(specs[key], value)).length },
+          capability: capability(selected, key, specs[key], chartType)
+        };
+      }),
+      violations: recorded
+    };
+  };
+
+  return { build };
+}
+
+module.exports = { createDataExports, normalizeFilters };
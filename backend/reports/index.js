@@ -0,0 +1,45 @@
+const { createBatchReports } = require('./batchReport');
+const { renderBatchReport } = require('./pdf');
+const { createDataExports } = require('./dataExport');
+const { writeExportWorkbook, writeExportCsv } = require('./spreadsheet');
+
+// Batch QC reports: the data is gathered in batchReport.js and rendered to
+// PDF in pdf.js. Used by the API and by scripts/batch-report.js.
+//
+// Data exports: the filtered samples, statistics and violations gathered in
+// dataExport.js, written as a formatted workbook or CSV by spreadsheet.js.
+
+const safeName = (text) => String(text).replace(/[^A-Za-z0-9._-]+/g, '_');
+
+const reportFileName = (batch) => `batch-${safeName(batch.number)}-qc-report.pdf`;
+
+const EXPORT_FORMATS = {
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', write: writeExportWorkbook },
+  csv: { contentType: 'text/csv; charset=utf-8', write: async data => Buffer.from(writeExportCsv(data)) }
+};
+
+const exportFileName = ({ generatedAt, batch }, format) => `qc_data_${generatedAt.slice(0, 10)}${batch ? `_batch-${safeName(batch.number)}` : ''}.${format}`;
+
+function createReportService(stores) {
+  const reports = createBatchReports(stores);
+
+  // Resolves with { batch, fileName, pdf }
+  const batchReportPdf = async (batchId) => {
+    const report = reports.build(batchId);
+    return { batch: report.batch, fileName: reportFileName(report.batch), pdf: await renderBatchReport(report) };
+  };
+
+  const dataExports = createDataExports(stores);
+
+  // `format`: 'xlsx' or 'csv'; filters as for dataExport.js. Resolves with
+  // { fileName, contentType, body }
+  const dataExportFile = async (format, filters) => {
+    const data = dataExports.build(filters);
+    const { contentType, write } = EXPORT_FORMATS[format];
+    return { fileName: exportFileName(data, format), contentType, body: await write(data) };
+  };
+
+  return { batchReport: reports.build, batchReportPdf, dataExport: dataExports.build, dataExportFile };
+}
+
+module.exports = { createReportService, reportFileName };
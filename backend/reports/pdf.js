@@ -0,0 +1,292 @@
+const PDFDocument = require('pdfkit');
+const { CHART_TYPES, ruleLabel } = require('@nelson-method/spc');
+const { SIGNATURE_MEANINGS } = require('../batches');
+
+// Renders a batch report (see batchReport.js) as an A4 PDF: header, statistics
+// and capability tables, one control chart per parameter, the violations with
+// their investigation, the recorded e-signatures and blank signature blocks
+// for the paper copy. Charts are drawn as vector graphics, so no browser or
+// canvas is needed and reports can be produced by scripts as well as the API.
+
+const MARGIN = 50;
+const COLORS = { text: '#111827', muted: '#6b7280', rule: '#d1d5db', header: '#eef2ff', limit: '#dc2626', spec: '#16a34a' };
+
+// The standard PDF fonts only cover Latin-1
+const GLYPHS = { 'σ': ' sigma', 'λ': 'lambda', 'μ': 'mu', 'X̄': 'X-bar', '⁺': '+', '⁻': '-', '≤': '<=', '≥': '>=', '–': '-', '—': '-', '•': '-' };
+const latin1 = (text) => String(text ?? '').replace(/X̄|[σλμ⁺⁻≤≥–—•]/g, glyph => GLYPHS[glyph]).replace(/[^\x20-\xff\n]/g, '?');
+
+const formatNumber = (value, decimals = 2) => (value == null || !Number.isFinite(value) ? '-' : value.toFixed(decimals));
+const formatDate = (iso) => (iso ? new Date(iso).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '-');
+
+function createWriter(doc) {
+  const width = doc.page.width - 2 * MARGIN;
+  const bottom = () => doc.page.height - MARGIN - 20;
+
+  const ensureSpace = (height) => {
+    if (doc.y + height > bottom()) {
+      doc.addPage();
+    }
+  };
+
+  const heading = (text) => {
+    ensureSpace(60);
+    doc.moveDown(0.8).font('Helvetica-Bold').fontSize(13).fillColor(COLORS.text).text(latin1(text), MARGIN);
+    doc.moveDown(0.3);
+  };
+
+  const paragraph = (text, { color = COLORS.text, size = 9, bold = false } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(size).fillColor(color).text(latin1(text), MARGIN, doc.y, { width });
+  };
+
+  // columns: [{ header, width (fraction), align }]; rows: arrays of text
+  const table = (columns, rows) => {
+    const widths = columns.map(c => c.width * width);
+    const cellHeight = (cells, bold) => Math.max(...cells.map((cell, i) => doc
+      .font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8)
+      .heightOfString(latin1(cell), { width: widths[i] - 6 }))) + 6;
+
+    const row = (cells, { bold = false, fill = null } = {}) => {
+      const height = cellHeight(cells, bold);
+      if (doc.y + height > bottom()) {
+        doc.addPage();
+        if (!bold) row(columns.map(c => c.header), { bold: true, fill: COLORS.header });
+      }
+      const top = doc.y;
+      if (fill) doc.rect(MARGIN, top, width, height).fill(fill);
+      let x = MARGIN;
+      cells.forEach((cell, i) => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8).fillColor(COLORS.text)
+          .text(latin1(cell), x + 3, top + 3, { width: widths[i] - 6, align: columns[i].align || 'left' });
+        x += widths[i];
+      });
+      doc.moveTo(MARGIN, top + height).lineTo(MARGIN + width, top + height).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+      doc.x = MARGIN;
+      doc.y = top + height;
+    };
+
+    row(columns.map(c => c.header), { bold: true, fill: COLORS.header });
+    rows.forEach(cells => row(cells));
+  };
+
+  return { doc, width, ensureSpace, heading, paragraph, table };
+}
+
+const CHART_HEIGHT = 150;
+
+// Location chart with centre line, ±3σ limits (stepping where they change),
+// spec limits and the points that signalled in red
+function drawChart(writer, parameter, chartType) {
+  const { doc, width } = writer;
+  const { name, unit, decimals, lsl, usl, chart } = parameter;
+  writer.ensureSpace(CHART_HEIGHT + 40);
+  writer.paragraph(`${CHART_TYPES[chartType].location} ${name} (${unit})`, { bold: true });
+  if (chart.length === 0) {
+    writer.paragraph('No data recorded in this batch', { color: COLORS.muted });
+    return;
+  }
+
+  const showSpec = chartType === 'imr';
+  const values = chart.flatMap(p => [p.value, p.ucl, p.lcl]).concat(showSpec ? [lsl, usl] : []).filter(Number.isFinite);
+  let low = Math.min(...values);
+  let high = Math.max(...values);
+  const pad = (high - low || Math.abs(high) || 1) * 0.08;
+  low -= pad;
+  high += pad;
+
+  const left = MARGIN + 45;
+  const top = doc.y + 6;
+  const plotWidth = width - 45;
+  const x = (i) => left + (chart.length === 1 ? plotWidth / 2 : (i / (chart.length - 1)) * plotWidth);
+  const y = (v) => top + CHART_HEIGHT - ((v - low) / (high - low)) * CHART_HEIGHT;
+
+  doc.save();
+  doc.rect(left, top, plotWidth, CHART_HEIGHT).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+  doc.font('Helvetica').fontSize(7).fillColor(COLORS.muted);
+  [low + pad, (low + high) / 2, high - pad].forEach(v => {
+    doc.text(formatNumber(v, decimals), MARGIN, y(v) - 3, { width: 40, align: 'right' });
+  });
+
+  const stepped = (key, color, dash) => {
+    doc.moveTo(x(0), y(chart[0][key]));
+    chart.forEach((p, i) => {
+      if (i > 0) doc.lineTo(x(i), y(chart[i - 1][key])).lineTo(x(i), y(p[key]));
+    });
+    doc.lineTo(x(chart.length - 1) + (chart.length === 1 ? 10 : 0), y(chart[chart.length - 1][key]));
+    if (dash) doc.dash(3, { space: 2 });
+    doc.lineWidth(0.8).strokeColor(color).stroke().undash();
+  };
+  const horizontal = (v, color) => {
+    doc.moveTo(left, y(v)).lineTo(left + plotWidth, y(v)).dash(2, { space: 2 }).lineWidth(0.8).strokeColor(color).stroke().undash();
+  };
+
+  if (showSpec && lsl != null) horizontal(lsl, COLORS.spec);
+  if (showSpec && usl != null) horizontal(usl, COLORS.spec);
+  stepped('center', COLORS.muted, false);
+  stepped('ucl', COLORS.limit, true);
+  stepped('lcl', COLORS.limit, true);
+
+  chart.forEach((p, i) => (i === 0 ? doc.moveTo(x(i), y(p.value)) : doc.lineTo(x(i), y(p.value))));
+  doc.lineWidth(1).strokeColor('#4338ca').stroke();
+  chart.forEach((p, i) => {
+    doc.circle(x(i), y(p.value), p.signal ? 2.8 : 1.6).fill(p.signal ? COLORS.limit : '#4338ca');
+  });
+
+  doc.font('Helvetica').fontSize(7).fillColor(COLORS.muted)
+    .text(`${chart[0].x}`, left, top + CHART_HEIGHT + 3)
+    .text(`${chart[chart.length - 1].x}`, left, top + CHART_HEIGHT + 3, { width: plotWidth, align: 'right' });
+  doc.restore();
+  doc.x = MARGIN;
+  doc.y = top + CHART_HEIGHT + 16;
+}
+
+function drawSignatureBlocks(writer, titles) {
+  const { doc, width } = writer;
+  const blockWidth = (width - 20 * (titles.length - 1)) / titles.length;
+  writer.ensureSpace(90);
+  const top = doc.y + 10;
+  titles.forEach((title, i) => {
+    const left = MARGIN + i * (blockWidth + 20);
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(COLORS.text).text(title, left, top, { width: blockWidth });
+    ['Name', 'Signature', 'Date'].forEach((label, j) => {
+      const lineY = top + 32 + j * 20;
+      doc.font('Helvetica').fontSize(7).fillColor(COLORS.muted).text(label, left, lineY - 8);
+      doc.moveTo(left + 40, lineY).lineTo(left + blockWidth, lineY).lineWidth(0.5).strokeColor(COLORS.text).stroke();
+    });
+  });
+  doc.x = MARGIN;
+  doc.y = top + 80;
+}
+
+// Resolves with the PDF as a Buffer
+function renderBatchReport(report) {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, bufferPages: true, info: {
+    Title: `Batch ${report.batch.number} QC Report`,
+    Subject: `${report.product.name} v${report.product.version}`
+  } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const writer = createWriter(doc);
+  const { batch, product, period, parameters, violations, chartType } = report;
+  const nameOf = (key) => (parameters.find(p => p.key === key) || { name: key }).name;
+
+  doc.font('Helvetica-Bold').fontSize(18).fillColor(COLORS.text).text(latin1(`Batch QC Report: ${batch.number}`));
+  doc.moveDown(0.3);
+  writer.table(
+    [{ header: 'Product', width: 0.3 }, { header: 'Batch', width: 0.2 }, { header: 'Status', width: 0.15 }, { header: 'Samples', width: 0.35 }],
+    [[
+      `${product.name} (${product.id}, v${product.version})`,
+      `${batch.number}\nstarted ${formatDate(batch.createdAt)}`,
+      batch.status,
+      `${batch.sampleCount} measured ${formatDate(period.from)} to ${formatDate(period.to)}`
+    ]]
+  );
+  writer.paragraph(`Report generated ${formatDate(report.generatedAt)}. Chart type ${CHART_TYPES[chartType].label}.`, { color: COLORS.muted, size: 8 });
+
+  writer.heading('Statistics');
+  writer.table(
+    [
+      { header: 'Parameter', width: 0.22 }, { header: 'n', width: 0.06, align: 'right' },
+      { header: 'Mean', width: 0.1, align: 'right' }, { header: 'SD', width: 0.1, align: 'right' },
+      { header: 'Min', width: 0.1, align: 'right' }, { header: 'Max', width: 0.1, align: 'right' },
+      { header: 'LSL', width: 0.09, align: 'right' }, { header: 'USL', width: 0.09, align: 'right' },
+      { header: 'Out of spec', width: 0.14, align: 'right' }
+    ],
+    parameters.map(({ name, unit, decimals, lsl, usl, stats }) => [
+      `${name} (${unit})`,
+      stats ? stats.n : 0,
+      formatNumber(stats && stats.mean, decimals + 1),
+      formatNumber(stats && stats.sd, decimals + 1),
+      formatNumber(stats && stats.min, decimals),
+      formatNumber(stats && stats.max, decimals),
+      formatNumber(lsl, decimals),
+      formatNumber(usl, decimals),
+      stats ? stats.outOfSpec : '-'
+    ])
+  );
+
+  writer.heading('Process Capability');
+  writer.table(
+    [
+      { header: 'Parameter', width: 0.22 }, { header: 'Cp', width: 0.1, align: 'right' },
+      { header: 'Cpk', width: 0.1, align: 'right' }, { header: 'Cpk 95% CI', width: 0.18, align: 'right' },
+      { header: 'Pp', width: 0.1, align: 'right' }, { header: 'Ppk', width: 0.1, align: 'right' },
+      { header: 'Expected PPM', width: 0.2, align: 'right' }
+    ],
+    parameters.map(({ name, capability: c }) => (c
+      ? [
+        name,
+        formatNumber(c.cp),
+        formatNumber(c.cpk),
+        c.cpkInterval ? `${formatNumber(c.cpkInterval[0])} - ${formatNumber(c.cpkInterval[1])}` : '-',
+        formatNumber(c.pp),
+        formatNumber(c.ppk),
+        formatNumber(c.ppm.expectedOverall, 0)
+      ]
+      : [name, '-', '-', '-', '-', '-', 'No spec limits or too few values']))
+  );
+
+  writer.heading('Control Charts');
+  parameters.forEach(parameter => drawChart(writer, parameter, chartType));
+
+  writer.heading(`Violations (${violations.length})`);
+  if (violations.length === 0) {
+    writer.paragraph('No control rule violations involve samples of this batch.');
+  } else {
+    writer.table(
+      [
+        { header: 'Detected', width: 0.14 }, { header: 'Parameter', width: 0.13 }, { header: 'Signal', width: 0.22 },
+        { header: 'Status', width: 0.13 }, { header: 'Investigation', width: 0.38 }
+      ],
+      violations.map(v => [
+        formatDate(v.detectedAt),
+        `${nameOf(v.parameter)}\n${v.chartType === 'imr' ? 'sample' : 'subgroup'} ${v.x}`,
+        `${ruleLabel(v.rule)}: ${v.description}`,
+        v.status,
+        [
+          v.rootCause && `Root cause: ${v.rootCause}`,
+          v.correctiveAction && `CAPA: ${v.correctiveAction}`,
+          ...(v.comments || []).map(comment => `${formatDate(comment.at)}: ${comment.text}`)
+        ].filter(Boolean).join('\n') || '-'
+      ])
+    );
+  }
+
+  writer.heading('Signatures');
+  if (batch.signatures.length > 0) {
+    writer.table(
+      [{ header: 'Decision', width: 0.15 }, { header: 'Signed by', width: 0.25 }, { header: 'Meaning', width: 0.4 }, { header: 'Signed at', width: 0.2 }],
+      batch.signatures.map(s => [
+        s.decision,
+        `${s.displayName} (${s.username})`,
+        SIGNATURE_MEANINGS[s.meaning] || s.meaning,
+        formatDate(s.signedAt)
+      ])
+    );
+  } else {
+    writer.paragraph('No electronic signatures recorded yet.', { color: COLORS.muted });
+  }
+  drawSignatureBlocks(writer, ['Prepared by (QC)', 'Reviewed by', 'Approved by (QA)']);
+
+  // Footer on every page, inside the bottom margin
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(7).fillColor(COLORS.muted).text(
+      latin1(`${product.name} - Batch ${batch.number} - Page ${i + 1} of ${range.count}`),
+      MARGIN,
+      doc.page.height - MARGIN + 10,
+      { width: writer.width, align: 'center', lineBreak: false }
+    );
+  }
+
+  doc.end();
+  return done;
+}
+
+module.exports = { renderBatchReport };
@@ -0,0 +1,176 @@
+const ExcelJS = require('exceljs');
+const { ruleLabel } = require('@nelson-method/spc');
+
+// Renders a data export (see dataExport.js) as a formatted workbook or as CSV.
+//
+// The workbook has three sheets: "QC Data" (one row per sample, out-of-spec
+// values highlighted, plus the rules each sample violated), "Summary"
+// (statistics and capability per parameter) and "Violations" (the log with
+// the investigation). "QC Data" comes first and keeps the import headers, so
+// an exported workbook can be imported again. The CSV holds the QC Data rows.
+
+const FILLS = {
+  header: 'FFE0E7FF',
+  outOfSpec: 'FFFFC7CE',
+  violated: 'FFFFEB9C'
+};
+const OUT_OF_SPEC_FONT = { color: { argb: 'FF9C0006' }, bold: true };
+
+const fill = (argb) => ({ type: 'pattern', pattern: 'solid', fgColor: { argb } });
+const numberFormat = (decimals) => (decimals > 0 ? `0.${'0'.repeat(decimals)}` : '0');
+
+// Header cells and the value of each for a QC Data row
+const dataColumns = (parameters) => [
+  { header: 'Sample ID', width: 10, value: ({ sample }) => sample.id },
+  { header: 'Batch No', width: 14, value: ({ batchNumber }) => batchNumber },
+  { header: 'Machine', width: 12, value: ({ sample }) => sample.machine },
+  { header: 'Operator', width: 12, value: ({ sample }) => sample.operator },
+  { header: 'Subgroup', width: 10, value: ({ sample }) => sample.subgroup },
+  { header: 'Measured At', width: 20, value: ({ sample }) => new Date(sample.measuredAt), numFmt: 'yyyy-mm-dd hh:mm:ss' },
+  ...parameters.map(p => ({
+    header: `${p.name} (${p.unit})`,
+    width: Math.max(12, p.name.length + p.unit.length + 4),
+    value: ({ sample }) => sample[p.key],
+    numFmt: numberFormat(p.decimals),
+    key: p.key
+  })),
+  { header: 'Violated Rules', width: 40, value: ({ rules }) => rules.join('; ') }
+];
+
+const styleHeader = (row) => {
+  row.font = { bold: true };
+  row.eachCell((cell) => {
+    cell.fill = fill(FILLS.header);
+  });
+};
+
+function addDataSheet(workbook, data) {
+  const sheet = workbook.addWorksheet('QC Data', { views: [{ state: 'frozen', ySplit: 1 }] });
+  const columns = dataColumns(data.parameters);
+  sheet.columns = columns.map(({ header, width }) => ({ header, width }));
+  styleHeader(sheet.getRow(1));
+
+  data.rows.forEach((entry) => {
+    const row = sheet.addRow(columns.map(column => column.value(entry) ?? null));
+    columns.forEach((column, i) => {
+      const cell = row.getCell(i + 1);
+      if (column.numFmt) cell.numFmt = column.numFmt;
+      if (column.key && entry.outOfSpec.includes(column.key)) {
+        cell.fill = fill(FILLS.outOfSpec);
+        cell.font = OUT_OF_SPEC_FONT;
+      }
+    });
+    if (entry.rules.length > 0) {
+      row.getCell(columns.length).fill = fill(FILLS.violated);
+    }
+  });
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+}
+
+function addSummarySheet(workbook, data) {
+  const sheet = workbook.addWorksheet('Summary');
+  const { product, batch, period, generatedAt } = data;
+  [
+    ['Product', `${product.name} (v${product.version})`],
+    ['Batch', batch ? `${batch.number} (${batch.status})` : 'All batches'],
+    ['Samples from', period.from ? new Date(period.from) : null],
+    ['Samples to', period.to ? new Date(period.to) : null],
+    ['Generated', new Date(generatedAt)]
+  ].forEach(([label, value]) => {
+    const row = sheet.addRow([label, value]);
+    row.getCell(1).font = { bold: true };
+    if (value instanceof Date) row.getCell(2).numFmt = 'yyyy-mm-dd hh:mm';
+  });
+  sheet.addRow([]);
+
+  const header = sheet.addRow([
+    'Parameter', 'Unit', 'LSL', 'USL', 'Target', 'N', 'Mean', 'SD', 'Min', 'Median', 'Max', 'Out of Spec',
+    'Cp', 'Cpk', 'Pp', 'Ppk'
+  ]);
+  styleHeader(header);
+  data.parameters.forEach((parameter, i) => {
+    const { stats, capability } = data.summary[i];
+    const row = sheet.addRow([
+      parameter.name, parameter.unit, parameter.lsl, parameter.usl, parameter.target,
+      stats ? stats.n : 0, stats?.mean, stats?.sd, stats?.min, stats?.median, stats?.max, stats ? stats.outOfSpec : 0,
+      capability?.cp, capability?.cpk, capability?.pp, capability?.ppk
+    ].map(value => value ?? null));
+    [3, 4, 5, 7, 8, 9, 10, 11].forEach((column) => {
+      row.getCell(column).numFmt = numberFormat(parameter.decimals + (column === 8 ? 1 : 0));
+    });
+    [13, 14, 15, 16].forEach((column) => {
+      row.getCell(column).numFmt = '0.00';
+    });
+    if (stats && stats.outOfSpec > 0) {
+      row.getCell(12).fill = fill(FILLS.outOfSpec);
+      row.getCell(12).font = OUT_OF_SPEC_FONT;
+    }
+  });
+  header.eachCell((cell, column) => {
+    sheet.getColumn(column).width = column === 1 ? 24 : 12;
+  });
+}
+
+function addViolationsSheet(workbook, data) {
+  const sheet = workbook.addWorksheet('Violations', { views: [{ state: 'frozen', ySplit: 1 }] });
+  const nameOf = (key) => (data.parameters.find(p => p.key === key) || { name: key }).name;
+  sheet.columns = [
+    { header: 'Detected At', width: 18 },
+    { header: 'Parameter', width: 18 },
+    { header: 'Rule', width: 10 },
+    { header: 'Description', width: 40 },
+    { header: 'Direction', width: 10 },
+    { header: 'Samples', width: 16 },
+    { header: 'Status', width: 13 },
+    { header: 'Root Cause', width: 30 },
+    { header: 'Corrective Action', width: 30 },
+    { header: 'Comments', width: 40 }
+  ];
+  styleHeader(sheet.getRow(1));
+  data.violations.forEach((violation) => {
+    const row = sheet.addRow([
+      new Date(violation.detectedAt),
+      nameOf(violation.parameter),
+      ruleLabel(violation.rule),
+      violation.description,
+      violation.direction,
+      violation.sampleIds.join(', '),
+      violation.status,
+      violation.rootCause,
+      violation.correctiveAction,
+      violation.comments.map(comment => `${comment.at.slice(0, 16).replace('T', ' ')}: ${comment.text}`).join('\n')
+    ].map(value => value ?? null));
+    row.getCell(1).numFmt = 'yyyy-mm-dd hh:mm';
+    row.alignment = { vertical: 'top', wrapText: true };
+    if (violation.status === 'open') {
+      row.getCell(7).fill = fill(FILLS.outOfSpec);
+    }
+  });
+}
+
+// Resolves with the .xlsx file as a Buffer
+async function writeExportWorkbook(data) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date(data.generatedAt);
+  addDataSheet(workbook, data);
+  addSummarySheet(workbook, data);
+  addViolationsSheet(workbook, data);
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+const csvField = (value) => {
+  if (value == null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// QC Data rows as RFC 4180 CSV
+function writeExportCsv(data) {
+  const columns = dataColumns(data.parameters);
+  return [
+    columns.map(column => column.header),
+    ...data.rows.map(entry => columns.map(column => column.value(entry)))
+  ].map(cells => cells.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { writeExportWorkbook, writeExportCsv };
@@ -0,0 +1,92 @@
+const express = require('express');
+const { requireRole, hasRole } = require('../users');
+const { forbidden } = require('../errors');
+const { TRANSITIONS, SIGNED_STATUSES, SIGNATURE_MEANINGS } = require('../batches');
+
+// /api/batches: batches, their release and QC reports. Every status change
+// is audited; releases and rejections are also signed (see batches.js).
+function createBatchesRouter({ batches, products, users, audit, reports, io }) {
+  const router = express.Router();
+
+  const publish = () => io.emit('batches-updated', batches.list());
+
+  router.get('/batches', (req, res) => {
+    res.json(batches.list(req.query));
+  });
+
+  router.get('/batches/signature-meanings', (req, res) => {
+    res.json(SIGNATURE_MEANINGS);
+  });
+
+  router.get('/batches/:id', (req, res) => {
+    res.json(batches.get(Number(req.params.id)));
+  });
+
+  // The batch QC report as a PDF download (see reports/)
+  router.get('/batches/:id/report', async (req, res) => {
+    const { batch, fileName, pdf } = await reports.batchReportPdf(Number(req.params.id));
+    req.log.info('QC report generated', { batch: batch.number, user: req.user.username });
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(pdf);
+  });
+
+  // Body: { number, productId } (the active product when left out)
+  router.post('/batches', requireRole('operator'), (req, res) => {
+    const { number, productId } = req.body || {};
+    const product = productId ? products.get(productId) : products.getActive();
+    const batch = audit.atomic(() => {
+      const created = batches.create({ number, productId: product.id }, req.user);
+      audit.record({
+        user: req.user,
+        action: 'create',
+        entityType: 'batch',
+        entityId: created.id,
+        changes: [
+          { field: 'number', oldValue: null, newValue: created.number },
+          { field: 'productId', oldValue: null, newValue: created.productId }
+        ],
+        reason: 'New batch'
+      });
+      return created;
+    });
+    req.log.info('Batch started', { batch: batch.number });
+    publish();
+    res.status(201).json(batch);
+  });
+
+  // Body: { status, reason, signature: { username, password, meaning } }.
+  // Sending a batch back needs a reason; signed decisions take the
+  // signature's meaning as theirs.
+  router.post('/batches/:id/status', (req, res) => {
+    const { status, reason, signature } = req.body || {};
+    const current = batches.get(Number(req.params.id));
+    const role = (TRANSITIONS[current.status] || {})[status];
+    if (role && !hasRole(req.user, role)) {
+      throw forbidden(`Moving a batch to ${status} needs the ${role} role`);
+    }
+    const signed = SIGNED_STATUSES.includes(status);
+    const signer = signed ? users.verifySignature(req.user, signature) : null;
+    const batch = audit.atomic(() => {
+      const updated = batches.transition(current.id, status, signer && { user: signer, meaning: signature.meaning });
+      audit.record({
+        user: req.user,
+        action: signed ? 'sign' : 'update',
+        entityType: 'batch',
+        entityId: updated.id,
+        changes: [{ field: 'status', oldValue: current.status, newValue: updated.status }],
+        reason: signed
+          ? `Signed (${signature.meaning}): ${SIGNATURE_MEANINGS[signature.meaning]}${reason ? ` - ${reason}` : ''}`
+          : reason || (status === 'under-review' ? 'Submitted for review' : undefined)
+      });
+      return updated;
+    });
+    req.log.info('Batch status changed', { batch: batch.number, status: batch.status, signedBy: signer ? signer.username : null });
+    publish();
+    res.json(batch);
+  });
+
+  return router;
+}
+
+module.exports = { createBatchesRouter };
@@ -0,0 +1,172 @@
+const express = require('express');
+const path = require('path');
+const { badRequest, conflict } = require('../errors');
+const { readWorkbookBuffer, sheetTable } = require('../excel');
+const { importFields, checkMapping, validateRows, contentHashOf, sourceOf, createUploadStore } = require('../imports');
+const { mapColumns } = require('../parameters');
+const { importCounts } = require('../samples');
+const { requireRole } = require('../users');
+const { importAudited } = require('./samples');
+
+// Sample file imports (see imports.js for the pipeline and excel.js for
+// reading files):
+//
+//   POST /api/imports?name=            upload a file (the body) for mapping
+//   POST /api/imports/:id/preview      { sheet, mapping? }  validated rows
+//   POST /api/imports/:id/commit       { sheet, mapping, replace? }
+//                                      import them
+//   POST /api/import/excel?name=&replace=
+//                                      upload and import in one go, with the
+//                                      first sheet mapped by the registry
+//   GET  /api/imports/files?limit=     results of the watch folder's files,
+//                                      newest first (see watchFolder.js)
+//
+// Rows are tracked per file name and sample ID (see imports.js): uploading
+// the same file again changes nothing. When rows would change samples
+// imported earlier from a file of that name (`changed` in the preview), the
+// import is refused with 409 until `replace` says what the file is: true for
+// a corrected file, whose rows then update those samples, false for another
+// run that shares the name, imported alongside them and tracked by content.
+// Rejected rows are never stored and come back in every response.
+//
+// Uploads count towards the import metrics (source "upload", see
+// metrics.js): imported when rows were accepted, failed otherwise.
+
+// Accepted rows shown in a preview
+const PREVIEW_ROWS = 20;
+
+const rawBody = express.raw({ type: () => true, limit: '20mb' });
+
+function readUpload(req) {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    throw badRequest('Send the file as the request body');
+  }
+  try {
+    return readWorkbookBuffer(req.body);
+  } catch (error) {
+    throw badRequest(`Could not read file: ${error.message}`);
+  }
+}
+
+function createImportsRouter({ samples, batches, products, parameters, audit, fileImports, metrics, onSamplesChanged }) {
+  const router = express.Router();
+  const uploads = createUploadStore();
+
+  const readCounted = (req) => {
+    try {
+      return readUpload(req);
+    } catch (error) {
+      metrics.recordImport('upload', 'failed');
+      throw error;
+    }
+  };
+
+  const tableOf = (workbook, sheet) => {
+    const table = sheetTable(workbook, sheet || undefined);
+    if (!table) {
+      throw badRequest(sheet ? `The file has no sheet "${sheet}"` : 'The file has no sheets');
+    }
+    return table;
+  };
+
+  // Where rows of `fileName` go; `suffix` names a sheet other than the first
+  const fileSource = ({ fileName, contentHash, suffix }, accepted, replace) => {
+    if (replace != null && typeof replace !== 'boolean') {
+      throw badRequest('replace must be true or false');
+    }
+    if (replace === false) {
+      return `${sourceOf(fileName, contentHash)}${suffix}`;
+    }
+    const source = `${fileName}${suffix}`;
+    const changed = samples.changedRows(source, accepted.map(row => row.sample));
+    if (changed > 0 && replace !== true) {
+      throw conflict(`${changed} rows would change samples imported earlier from ${fileName}; `
+        + 'send replace: true if the file corrects them, false if it is another run', { changed });
+    }
+    return source;
+  };
+
+  const sheetSuffix = (workbook, sheet) => (sheet === workbook.SheetNames[0] ? '' : `#${sheet}`);
+
+  // Import the accepted rows; responds with the counts and the rejected rows
+  const commit = (req, res, { source, accepted, rejected }) => {
+    const ops = importAudited({ samples, batches, audit }, {
+      user: req.user,
+      source,
+      rows: accepted.map(row => row.sample),
+      productId: products.getActive().id
+    });
+    const counts = importCounts(ops);
+    metrics.recordImport('upload', accepted.length > 0 ? 'imported' : 'failed', { ...counts, rejected: rejected.length });
+    req.log.info('Samples imported', { source, ...counts, rejected: rejected.length });
+    onSamplesChanged(ops);
+    res.json({ ...counts, unchanged: accepted.length - ops.length, rejected });
+  };
+
+  router.post('/imports', requireRole('operator'), rawBody, (req, res) => {
+    const fileName = path.basename(String(req.query.name || 'upload.xlsx'));
+    const workbook = readCounted(req);
+    const { id } = uploads.add(req.user, fileName, workbook, contentHashOf(req.body));
+    const table = tableOf(workbook);
+    res.status(201).json({
+      id,
+      fileName,
+      sheets: workbook.SheetNames,
+      sheet: table.sheet,
+      headers: table.headers,
+      mapping: mapColumns(table.headers, parameters),
+      fields: importFields(parameters)
+    });
+  });
+
+  // Without a mapping the registry's guess for the sheet is used
+  router.post('/imports/:id/preview', requireRole('operator'), (req, res) => {
+    const { sheet, mapping } = req.body || {};
+    const upload = uploads.get(req.params.id, req.user);
+    const table = tableOf(upload.workbook, sheet);
+    const checked = checkMapping(mapping || mapColumns(table.headers, parameters), table.headers, parameters);
+    const { accepted, rejected } = validateRows(table, checked, parameters);
+    const source = `${upload.fileName}${sheetSuffix(upload.workbook, table.sheet)}`;
+    res.json({
+      sheet: table.sheet,
+      headers: table.headers,
+      mapping: checked,
+      total: table.rows.length,
+      accepted: accepted.length,
+      warnings: accepted.filter(row => row.warnings.length > 0).length,
+      changed: samples.changedRows(source, accepted.map(row => row.sample)),
+      preview: accepted.slice(0, PREVIEW_ROWS),
+      rejected
+    });
+  });
+
+  router.post('/imports/:id/commit', requireRole('operator'), (req, res) => {
+    const { sheet, mapping, replace } = req.body || {};
+    const upload = uploads.get(req.params.id, req.user);
+    const table = tableOf(upload.workbook, sheet);
+    const { accepted, rejected } = validateRows(table, checkMapping(mapping, table.headers, parameters), parameters);
+    // Rows are tracked per file and sheet; the first sheet keeps the plain
+    // source, as in one-step imports
+    const source = fileSource({ ...upload, suffix: sheetSuffix(upload.workbook, table.sheet) }, accepted, replace);
+    commit(req, res, { source, accepted, rejected });
+    uploads.remove(upload.id);
+  });
+
+  router.post('/import/excel', requireRole('operator'), rawBody, (req, res) => {
+    const fileName = path.basename(String(req.query.name || 'upload.xlsx'));
+    const table = tableOf(readCounted(req));
+    const mapping = checkMapping(mapColumns(table.headers, parameters), table.headers, parameters);
+    const { accepted, rejected } = validateRows(table, mapping, parameters);
+    const replace = { true: true, false: false }[req.query.replace] ?? req.query.replace;
+    const source = fileSource({ fileName, contentHash: contentHashOf(req.body), suffix: '' }, accepted, replace);
+    commit(req, res, { source, accepted, rejected });
+  });
+
+  router.get('/imports/files', (req, res) => {
+    res.json(fileImports.list({ limit: req.query.limit }));
+  });
+
+  return router;
+}
+
+module.exports = { createImportsRouter };
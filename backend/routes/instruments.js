@@ -0,0 +1,28 @@
+const express = require('express');
+const { badRequest } = require('../errors');
+const { requireRole } = require('../users');
+
+// /api/instruments: the instrument stations (see instruments/) and the batch
+// each one feeds
+function createInstrumentsRouter({ instruments }) {
+  const router = express.Router();
+
+  router.get('/instruments', (req, res) => {
+    res.json(instruments.list());
+  });
+
+  // Body: { batchId } (null: follow the newest batch in progress)
+  router.put('/instruments/:id/batch', requireRole('operator'), (req, res) => {
+    const { batchId = null } = req.body || {};
+    if (batchId !== null && !Number.isInteger(batchId)) {
+      throw badRequest('batchId must be a batch id or null');
+    }
+    const station = instruments.assignBatch(req.params.id, batchId);
+    req.log.info('Instrument batch assigned', { station: station.id, batchId, user: req.user.username });
+    res.json(station);
+  });
+
+  return router;
+}
+
+module.exports = { createInstrumentsRouter };
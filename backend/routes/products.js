@@ -0,0 +1,134 @@
+const express = require('express');
+const { requireRole } = require('../users');
+const { diff } = require('../audit');
+
+// /api/products, /api/products/:id/limits and /api/active-product. Product
+// versions are audited with their change note as the reason.
+function createProductsRouter({ products, limitSets, audit, io }) {
+  const router = express.Router();
+
+  // Update a product (creating a new version) and audit what changed
+  const updateAudited = (user, id, changes) => audit.atomic(() => {
+    const before = products.get(id);
+    const product = products.update(id, changes);
+    audit.record({
+      user,
+      action: 'update',
+      entityType: 'product',
+      entityId: product.id,
+      changes: diff(before, product, ['version', 'updatedAt', 'changeNote']),
+      reason: product.changeNote
+    });
+    return product;
+  });
+
+  router.get('/products', (req, res) => {
+    res.json(products.list());
+  });
+
+  router.get('/products/:id', (req, res) => {
+    res.json(products.get(req.params.id));
+  });
+
+  router.get('/products/:id/history', (req, res) => {
+    res.json(products.history(req.params.id));
+  });
+
+  router.post('/products', requireRole('admin'), (req, res) => {
+    const product = audit.atomic(() => {
+      const created = products.create(req.body || {});
+      audit.record({
+        user: req.user,
+        action: 'create',
+        entityType: 'product',
+        entityId: created.id,
+        changes: diff({}, created, ['id', 'version', 'updatedAt', 'changeNote']),
+        reason: created.changeNote
+      });
+      return created;
+    });
+    req.log.info('Product created', { productId: product.id });
+    io.emit('products-updated', products.list());
+    res.status(201).json(product);
+  });
+
+  // Body: the changed fields and a changeNote (required)
+  router.put('/products/:id', requireRole('admin'), (req, res) => {
+    const product = updateAudited(req.user, req.params.id, req.body || {});
+    req.log.info('Product updated', { productId: product.id, version: product.version });
+    io.emit('products-updated', products.list());
+    if (products.getActive().id === product.id) {
+      io.emit('active-product', product);
+    }
+    res.json(product);
+  });
+
+  // Rule set changes are product changes: they create a new version
+  router.put('/products/:id/rule-set', requireRole('admin'), (req, res) => {
+    const { changeNote, ...ruleSet } = req.body || {};
+    const product = updateAudited(req.user, req.params.id, { ruleSet, changeNote });
+    req.log.info('Rule set changed', { productId: product.id, preset: product.ruleSet.preset, version: product.version });
+    io.emit('products-updated', products.list());
+    if (products.getActive().id === product.id) {
+      io.emit('active-product', product);
+    }
+    res.json(product);
+  });
+
+  router.get('/products/:id/limits', (req, res) => {
+    products.get(req.params.id);
+    res.json(limitSets.list(req.params.id));
+  });
+
+  // Body: { parameter, method, baselineFrom, baselineTo, reason }; the
+  // limits are worked out from the stored baseline samples (see limitSets.js)
+  router.post('/products/:id/limits', requireRole('admin'), (req, res) => {
+    const product = products.get(req.params.id);
+    const limitSet = audit.atomic(() => {
+      const previous = limitSets.list(product.id)
+        .filter(set => set.parameter === (req.body || {}).parameter)
+        .reduce((latest, set) => (latest && latest.version > set.version ? latest : set), undefined);
+      const created = limitSets.create(product, req.body || {});
+      audit.record({
+        user: req.user,
+        action: 'freeze-limits',
+        entityType: 'limits',
+        entityId: `${product.id}/${created.parameter}`,
+        changes: diff(previous, created, ['id', 'productId', 'createdAt', 'reason']),
+        reason: created.reason
+      });
+      return created;
+    });
+    req.log.info('Limits frozen', { productId: product.id, parameter: limitSet.parameter, version: limitSet.version });
+    io.emit('limits-updated', { productId: product.id, limitSets: limitSets.list(product.id) });
+    res.status(201).json(limitSet);
+  });
+
+  router.get('/active-product', (req, res) => {
+    res.json(products.getActive());
+  });
+
+  router.put('/active-product', requireRole('operator'), (req, res) => {
+    const { productId, reason } = req.body || {};
+    const product = audit.atomic(() => {
+      const before = products.getActive();
+      const active = products.setActive(productId);
+      audit.record({
+        user: req.user,
+        action: 'update',
+        entityType: 'setting',
+        entityId: 'activeProduct',
+        changes: diff({ activeProduct: before && before.id }, { activeProduct: active.id }),
+        reason: reason || 'Product changeover'
+      });
+      return active;
+    });
+    req.log.info('Active product changed', { productId: product.id });
+    io.emit('active-product', product);
+    res.json(product);
+  });
+
+  return router;
+}
+
+module.exports = { createProductsRouter };
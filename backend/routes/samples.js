@@ -0,0 +1,151 @@
+const express = require('express');
+const { requireRole } = require('../users');
+const { diff } = require('../audit');
+const { isPageQuery } = require('../history');
+
+// /api/data (historical samples, see history.js), per-sample changes (see
+// samples.js for the protocol) and the Excel/CSV export (see reports/); file
+// imports are in imports.js. Every change is handed to onSamplesChanged as a
+// list of ops for broadcasting, and audited.
+//
+//   GET /api/data
+//       every sample, as a plain array (unchanged from before paging)
+//   GET /api/data?from=&to=&productId=&batchId=&parameter=&limit=&cursor=
+//       with any of these: one page, { samples, nextCursor }; pass
+//       nextCursor as ?cursor= for the next page (limit defaults to 1000)
+//   GET /api/data/stats?<same filters>&interval=hour|day|week
+//       statistics of the samples in the window
+//
+// Filling in an empty value is plain data entry; changing or deleting a
+// recorded value needs a reason. POST/PATCH/DELETE /api/samples are the only
+// way to write samples from the dashboard (they replaced POST /api/data, which
+// took the whole data set): they need the operator role, and samples of
+// batches past in-progress are refused (see batches.js).
+function createSamplesRouter({ samples, batches, products, parameters, audit, reports, history, onSamplesChanged }) {
+  const router = express.Router();
+
+  router.get('/data', (req, res) => {
+    res.json(isPageQuery(req.query) ? history.page(req.query) : samples.list());
+  });
+
+  router.get('/data/stats', (req, res) => {
+    res.json(history.stats(req.query));
+  });
+
+  // Snapshot with the op seq it reflects
+  router.get('/samples', (req, res) => {
+    res.json({ seq: samples.seq(), samples: samples.list() });
+  });
+
+  // Ops after ?since=; 410 when the client has to reload the snapshot
+  router.get('/samples/ops', (req, res) => {
+    const ops = samples.opsSince(Number(req.query.since));
+    if (!ops) {
+      res.status(410).json({ error: 'Too far behind; reload /api/samples' });
+      return;
+    }
+    res.json({ seq: samples.seq(), ops });
+  });
+
+  router.post('/samples', requireRole('operator'), (req, res) => {
+    const op = audit.atomic(() => {
+      // Samples entered in the dashboard were taken by whoever entered them
+      // unless said otherwise
+      const added = samples.add({ operator: req.user.username, ...req.body });
+      auditOps(audit, req.user, [added], new Map(), 'Data entry');
+      return added;
+    });
+    onSamplesChanged([op]);
+    res.status(201).json(op.sample);
+  });
+
+  // Body: the changed fields plus the baseRevision they were made against,
+  // and the reason for changing recorded values
+  router.patch('/samples/:id', requireRole('operator'), (req, res) => {
+    const { reason, ...changes } = req.body || {};
+    const op = audit.atomic(() => {
+      const before = samples.get(Number(req.params.id));
+      const updated = samples.update(before.id, changes);
+      const corrected = diff(before, updated.sample, ['id', 'revision']).some(change => change.oldValue !== null);
+      auditOps(audit, req.user, [updated], new Map([[before.id, before]]), corrected ? reason : reason || 'Data entry');
+      return updated;
+    });
+    onSamplesChanged([op]);
+    res.json(op.sample);
+  });
+
+  // ?baseRevision=&reason=
+  router.delete('/samples/:id', requireRole('operator'), (req, res) => {
+    const op = audit.atomic(() => {
+      const before = samples.get(Number(req.params.id));
+      const deleted = samples.remove(before.id, Number(req.query.baseRevision));
+      audit.record({
+        user: req.user,
+        action: 'delete',
+        entityType: 'sample',
+        entityId: before.id,
+        changes: diff(before, {}, ['id', 'revision']),
+        reason: req.query.reason
+      });
+      return deleted;
+    });
+    onSamplesChanged([op]);
+    res.json({ deleted: op.sampleId });
+  });
+
+  // Formatted workbook or CSV; ?batchId=&from=&to= narrow it down
+  const exportRoute = (format) => async (req, res) => {
+    const { batchId, from, to } = req.query;
+    const { fileName, contentType, body } = await reports.dataExportFile(format, { batchId, from, to });
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(body);
+  };
+  router.get('/export/excel', exportRoute('xlsx'));
+  router.get('/export/csv', exportRoute('csv'));
+
+  return router;
+}
+
+// Audit entries for add/update ops; `before` maps sample ids to their
+// state before the change
+const auditOps = (audit, user, ops, before, reason) => ops.forEach(op => audit.record({
+  user,
+  action: op.type === 'add' ? 'create' : 'update',
+  entityType: 'sample',
+  entityId: op.sampleId,
+  changes: diff(before.get(op.sampleId), op.sample, ['id', 'revision']),
+  reason
+}));
+
+// Import workbook rows, auditing each added or changed sample. Batches the
+// rows name are started (for `productId`) when they don't exist yet.
+function importAudited({ samples, batches, audit }, { user, source, rows, productId }) {
+  return audit.atomic(() => {
+    const batchIds = new Map();
+    [...new Set(rows.map(row => row.batch).filter(Boolean))].forEach((number) => {
+      const { batch, created } = batches.findOrCreate(number, productId, user);
+      if (created) {
+        audit.record({
+          user,
+          action: 'create',
+          entityType: 'batch',
+          entityId: batch.id,
+          changes: [
+            { field: 'number', oldValue: null, newValue: batch.number },
+            { field: 'productId', oldValue: null, newValue: batch.productId }
+          ],
+          reason: `Imported from ${source}`
+        });
+      }
+      batchIds.set(number, batch.id);
+    });
+
+    const before = new Map(samples.list().map(sample => [sample.id, sample]));
+    const ops = samples.importRows(source, rows.map(row => ({ ...row, batchId: batchIds.get(row.batch) })));
+    auditOps(audit, user, ops, before, `Imported from ${source}`);
+    return ops;
+  });
+}
+
+module.exports = { createSamplesRouter, importAudited };
@@ -0,0 +1,88 @@
+const express = require('express');
+const { requireRole, bearerToken } = require('../users');
+const { diff } = require('../audit');
+
+// /api/auth/login, the only API route that works without a session
+function createLoginRouter({ users }) {
+  const router = express.Router();
+
+  // Body: { username, password } -> { token, expiresAt, user }
+  router.post('/auth/login', (req, res) => {
+    const { username, password } = req.body || {};
+    const session = users.login(username, password);
+    req.log.info('Logged in', { user: session.user.username });
+    res.json(session);
+  });
+
+  return router;
+}
+
+// /api/auth (logout, current user), /api/users (admin) and /api/audit (QA
+// and admin)
+function createUsersRouter({ users, audit }) {
+  const router = express.Router();
+
+  router.post('/auth/logout', (req, res) => {
+    users.logout(bearerToken(req.headers.authorization));
+    res.json({ loggedOut: req.user.username });
+  });
+
+  router.get('/auth/me', (req, res) => {
+    res.json(req.user);
+  });
+
+  router.get('/users', requireRole('admin'), (req, res) => {
+    res.json(users.list());
+  });
+
+  router.post('/users', requireRole('admin'), (req, res) => {
+    const { reason, ...fields } = req.body || {};
+    const user = audit.atomic(() => {
+      const created = users.create(fields);
+      audit.record({
+        user: req.user,
+        action: 'create',
+        entityType: 'user',
+        entityId: created.id,
+        changes: diff({}, created, ['id', 'createdAt']),
+        reason: reason || 'New account'
+      });
+      return created;
+    });
+    req.log.info('User created', { user: user.username, role: user.role });
+    res.status(201).json(user);
+  });
+
+  // Body: any of displayName, role, active, password, and the reason
+  router.patch('/users/:id', requireRole('admin'), (req, res) => {
+    const { reason, ...changes } = req.body || {};
+    const user = audit.atomic(() => {
+      const before = users.get(Number(req.params.id));
+      const updated = users.update(before.id, changes);
+      audit.record({
+        user: req.user,
+        action: 'update',
+        entityType: 'user',
+        entityId: updated.id,
+        changes: [
+          ...diff(before, updated),
+          ...(changes.password === undefined ? [] : [{ field: 'password', oldValue: null, newValue: null }])
+        ],
+        reason
+      });
+      return updated;
+    });
+    req.log.info('User updated', { user: user.username });
+    res.json(user);
+  });
+
+  // Filters: ?entityType=&entityId=&username=&action=&from=&to=&limit=&offset=
+  // (limit defaults to 200 and is capped at 1000; see audit.js)
+  router.get('/audit', requireRole('qa'), (req, res) => {
+    res.json(audit.list(req.query));
+  });
+
+  return router;
+}
+
+module.exports = { createLoginRouter, createUsersRouter };
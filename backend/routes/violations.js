@@ -0,0 +1,43 @@
+const express = require('express');
+const { requireRole } = require('../users');
+const { diff } = require('../audit');
+
+// /api/violations: recorded signals and their investigation
+function createViolationsRouter({ violations, audit, io }) {
+  const router = express.Router();
+
+  // Filters: ?productId=&status=&parameter=&rule=&from=&to=
+  router.get('/violations', (req, res) => {
+    res.json(violations.list(req.query));
+  });
+
+  router.get('/violations/:id', (req, res) => {
+    res.json(violations.get(req.params.id));
+  });
+
+  // The comment doubles as the reason for the change; a status change
+  // without one is its own reason
+  router.patch('/violations/:id', requireRole('qa'), (req, res) => {
+    const changes = req.body || {};
+    const violation = audit.atomic(() => {
+      const before = violations.get(req.params.id);
+      const updated = violations.update(req.params.id, changes);
+      audit.record({
+        user: req.user,
+        action: 'update',
+        entityType: 'violation',
+        entityId: updated.id,
+        changes: diff(before, updated, ['comments', 'updatedAt']),
+        reason: changes.comment || (changes.status && changes.status !== before.status ? `Marked ${changes.status}` : 'Investigation updated')
+      });
+      return updated;
+    });
+    req.log.info('Violation updated', { violationId: violation.id, status: violation.status });
+    io.emit('violation-updated', violation);
+    res.json(violation);
+  });
+
+  return router;
+}
+
+module.exports = { createViolationsRouter };
@@ -0,0 +1,349 @@
+const crypto = require('crypto');
+const { toJson, fromJson } = require('./db');
+const { badRequest, notFound, conflict } = require('./errors');
+const { isLocked } = require('./batches');
+
+// Measured samples. A sample as the rest of the app sees it:
+//
+//   { id, revision, batchId, machine, operator, subgroup, measuredAt,
+//     [parameter key]: value | null, ... }
+//
+// Ids are assigned by the database and never reused, and every sample has
+// the time it was measured (the import or entry time when none was given).
+// Machine (press) and operator are free text.
+// Samples of a batch that's no longer in progress are locked (see
+// batches.js): they can't be changed, deleted or moved, and nothing can be
+// added to the batch.
+//
+// Samples change one at a time through add/update/remove. Each change bumps
+// the sample's revision and is appended to the op log as
+//
+//   { seq, type: 'add' | 'update' | 'delete', sampleId, revision, sample, at }
+//
+// (`sample` is the state after the change, null for deletes). Updates and
+// deletes name the revision they were based on; if the sample has changed
+// since, the change is refused with 409 and the current sample, instead of
+// silently overwriting someone else's edit. Deleting an imported sample
+// records its file row, which later imports of the file skip.
+//
+// Tables: samples, sample_ops, deleted_source_rows
+
+// Ops kept for catching up; clients further behind get a full snapshot
+const MAX_OPS = 5000;
+
+const fromRow = (row) => ({
+  id: row.id,
+  revision: row.revision,
+  batchId: row.batch_id,
+  machine: row.machine,
+  operator: row.operator,
+  subgroup: row.subgroup,
+  measuredAt: row.measured_at,
+  ...fromJson(row.measurements, {})
+});
+
+const opFromRow = (row) => ({
+  seq: row.seq,
+  type: row.type,
+  sampleId: row.sample_id,
+  revision: row.revision,
+  sample: fromJson(row.sample),
+  at: row.at
+});
+
+const hashOf = (value) => crypto.createHash('sha1').update(toJson(value)).digest('hex');
+
+function createSampleStore(db, parameters) {
+  const parameterKeys = parameters.map(p => p.key);
+
+  const checkValue = (key, value) => {
+    if (value !== null && !(typeof value === 'number' && Number.isFinite(value))) {
+      throw badRequest(`${key} must be a number or null`);
+    }
+    return value;
+  };
+  const measurementsOf = (sample) => Object.fromEntries(parameterKeys.map(key => {
+    const value = sample[key];
+    return [key, typeof value === 'number' && Number.isFinite(value) ? value : null];
+  }));
+  const subgroupOf = (sample) => (sample.subgroup == null || sample.subgroup === '' ? null : String(sample.subgroup));
+  const checkText = (field, value) => {
+    if (value == null) return null;
+    if (typeof value !== 'string') {
+      throw badRequest(`${field} must be text`);
+    }
+    return value.trim() || null;
+  };
+  const checkTimestamp = (value) => {
+    if (value == null) return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw badRequest('measuredAt must be a date');
+    }
+    return date.toISOString();
+  };
+
+  const statements = {
+    list: db.prepare('SELECT * FROM samples ORDER BY measured_at, id'),
+    query: db.prepare(`
+      SELECT samples.* FROM samples LEFT JOIN batches ON batches.id = samples.batch_id
+      WHERE (@from IS NULL OR samples.measured_at >= @from)
+        AND (@to IS NULL OR samples.measured_at < @to)
+        AND (@batchId IS NULL OR samples.batch_id = @batchId)
+        AND (@productId IS NULL OR batches.product_id = @productId)
+        AND (@parameter IS NULL OR json_extract(samples.measurements, '$.' || @parameter) IS NOT NULL)
+        AND (@afterAt IS NULL OR samples.measured_at > @afterAt
+          OR (samples.measured_at = @afterAt AND samples.id > @afterId))
+      ORDER BY samples.measured_at, samples.id
+      LIMIT @limit`),
+    get: db.prepare('SELECT * FROM samples WHERE id = ?'),
+    batchStatus: db.prepare('SELECT status FROM batches WHERE id = ?'),
+    bySource: db.prepare('SELECT * FROM samples WHERE source = ? AND source_row = ?'),
+    insert: db.prepare(`
+      INSERT INTO samples (batch_id, machine, operator, subgroup, measured_at, measurements, source, source_row, source_hash,
+        created_at, updated_at)
+      VALUES (@batchId, @machine, @operator, @subgroup, @measuredAt, @measurements, @source, @sourceRow, @sourceHash,
+        @now, @now)`),
+    update: db.prepare(`
+      UPDATE samples SET batch_id = @batchId, machine = @machine, operator = @operator, subgroup = @subgroup,
+        measured_at = @measuredAt, measurements = @measurements,
+        source_hash = COALESCE(@sourceHash, source_hash), revision = revision + 1, updated_at = @now
+      WHERE id = @id`),
+    remove: db.prepare('DELETE FROM samples WHERE id = ?'),
+    recordDeletedRow: db.prepare('INSERT OR IGNORE INTO deleted_source_rows (source, source_row, deleted_at) VALUES (?, ?, ?)'),
+    isDeletedRow: db.prepare('SELECT 1 FROM deleted_source_rows WHERE source = ? AND source_row = ?'),
+    seq: db.prepare('SELECT COALESCE(MAX(seq), 0) AS seq FROM sample_ops'),
+    oldestSeq: db.prepare('SELECT MIN(seq) AS seq FROM sample_ops'),
+    opsSince: db.prepare('SELECT * FROM sample_ops WHERE seq > ? ORDER BY seq'),
+    addOp: db.prepare('INSERT INTO sample_ops (type, sample_id, revision, sample, at) VALUES (?, ?, ?, ?, ?)'),
+    pruneOps: db.prepare('DELETE FROM sample_ops WHERE seq <= ?')
+  };
+
+  const find = (id) => {
+    const row = statements.get.get(id);
+    if (!row) {
+      throw notFound(`Sample ${id} not found`);
+    }
+    return fromRow(row);
+  };
+
+  // The batch a sample may be put into (null for none)
+  const checkBatch = (batchId) => {
+    if (batchId == null) return null;
+    const batch = statements.batchStatus.get(batchId);
+    if (!batch) {
+      throw badRequest(`Batch ${batchId} not found`);
+    }
+    if (isLocked(batch.status)) {
+      throw conflict(`Batch ${batchId} is ${batch.status}; its results are locked`);
+    }
+    return batchId;
+  };
+
+  const checkUnlocked = (sample) => {
+    if (sample.batchId !== null) {
+      const { status } = statements.batchStatus.get(sample.batchId);
+      if (isLocked(status)) {
+        throw conflict(`Sample ${sample.id} belongs to a batch that is ${status}; its results are locked`, { sample });
+      }
+    }
+  };
+
+  const logOp = (type, sampleId, revision, sample, at) => {
+    const { lastInsertRowid } = statements.addOp.run(type, sampleId, revision, sample ? toJson(sample) : null, at);
+    const seq = Number(lastInsertRowid);
+    if (seq > MAX_OPS) {
+      statements.pruneOps.run(seq - MAX_OPS);
+    }
+    return { seq, type, sampleId, revision, sample, at };
+  };
+
+  const insert = ({
+    batchId = null, machine = null, operator = null, subgroup, measuredAt, measurements,
+    source = null, sourceRow = null, sourceHash = null
+  }) => {
+    const now = new Date().toISOString();
+    const { lastInsertRowid } = statements.insert.run({
+      batchId,
+      machine,
+      operator,
+      subgroup,
+      measuredAt: measuredAt || now,
+      measurements: toJson(measurements),
+      source,
+      sourceRow,
+      sourceHash,
+      now
+    });
+    const sample = find(Number(lastInsertRowid));
+    return logOp('add', sample.id, sample.revision, sample, now);
+  };
+
+  const write = (current, changes, sourceHash = null) => {
+    const now = new Date().toISOString();
+    const next = { ...current, ...changes };
+    statements.update.run({
+      id: current.id,
+      batchId: next.batchId,
+      machine: next.machine,
+      operator: next.operator,
+      subgroup: next.subgroup,
+      measuredAt: next.measuredAt,
+      measurements: toJson(measurementsOf(next)),
+      sourceHash,
+      now
+    });
+    const sample = find(current.id);
+    return logOp('update', sample.id, sample.revision, sample, now);
+  };
+
+  const checkRevision = (current, baseRevision) => {
+    if (!Number.isInteger(baseRevision)) {
+      throw badRequest('baseRevision is required');
+    }
+    if (current.revision !== baseRevision) {
+      throw conflict(`Sample ${current.id} was changed by someone else (revision ${current.revision})`, { sample: current });
+    }
+  };
+
+  const list = () => statements.list.all().map(fromRow);
+
+  // Samples in measuredAt order matching the filters (all optional): from
+  // (inclusive) and to (exclusive) as ISO timestamps, batchId, productId (of
+  // the sample's batch), parameter (has a value for it), after ({ measuredAt,
+  // id } of the last sample of the previous page) and limit
+  const query = ({ from = null, to = null, batchId = null, productId = null, parameter = null, after = null, limit = null } = {}) => {
+    if (parameter !== null && !parameterKeys.includes(parameter)) {
+      throw badRequest(`Unknown parameter "${parameter}"`);
+    }
+    return statements.query.all({
+      from,
+      to,
+      batchId,
+      productId,
+      parameter,
+      afterAt: after ? after.measuredAt : null,
+      afterId: after ? after.id : null,
+      limit: limit ?? -1
+    }).map(fromRow);
+  };
+
+  const seq = () => statements.seq.get().seq;
+
+  // Ops after `since`, or null when the log no longer reaches back that far
+  // (or `since` is from a different database) and a snapshot is needed
+  const opsSince = (since) => {
+    const current = seq();
+    const { seq: oldest } = statements.oldestSeq.get();
+    if (!Number.isInteger(since) || since < 0 || since > current || (oldest !== null && since < oldest - 1)) {
+      return null;
+    }
+    return statements.opsSince.all(since).map(opFromRow);
+  };
+
+  const add = db.transaction((sample = {}) => insert({
+    batchId: checkBatch(sample.batchId),
+    machine: checkText('machine', sample.machine),
+    operator: checkText('operator', sample.operator),
+    subgroup: subgroupOf(sample),
+    measuredAt: checkTimestamp(sample.measuredAt),
+    measurements: Object.fromEntries(parameterKeys.map(key => [key, checkValue(key, sample[key] ?? null)]))
+  }));
+
+  // `changes` may hold batchId, machine, operator, subgroup, measuredAt and
+  // parameter values
+  const update = db.transaction((id, { baseRevision, ...changes }) => {
+    const current = find(id);
+    checkRevision(current, baseRevision);
+    checkUnlocked(current);
+    const checked = {};
+    Object.entries(changes).forEach(([field, value]) => {
+      if (field === 'batchId') {
+        checked.batchId = checkBatch(value);
+      } else if (field === 'machine' || field === 'operator') {
+        checked[field] = checkText(field, value);
+      } else if (field === 'subgroup') {
+        checked.subgroup = subgroupOf(changes);
+      } else if (field === 'measuredAt') {
+        checked.measuredAt = checkTimestamp(value) || current.measuredAt;
+      } else if (parameterKeys.includes(field)) {
+        checked[field] = checkValue(field, value);
+      } else {
+        throw badRequest(`Unknown sample field "${field}"`);
+      }
+    });
+    return write(current, checked);
+  });
+
+  const remove = db.transaction((id, baseRevision) => {
+    const current = find(id);
+    checkRevision(current, baseRevision);
+    checkUnlocked(current);
+    const { source, source_row: sourceRow } = statements.get.get(id);
+    const now = new Date().toISOString();
+    statements.remove.run(id);
+    if (source !== null) {
+      statements.recordDeletedRow.run(source, sourceRow, now);
+    }
+    return logOp('delete', id, current.revision + 1, null, now);
+  });
+
+  // Import rows read from a workbook (see excel.js), with the id of their
+  // batch (if any) resolved by the caller as `batchId`. Rows seen before are
+  // only updated when the row itself changed in the file since the last
+  // import, so edits made in the dashboard survive re-reading an unchanged
+  // row. Rows whose sample was deleted in the dashboard and rows of locked
+  // batches are neither added nor overwritten. Returns the resulting ops.
+  const importRows = db.transaction((source, rows) => rows.flatMap(({ batchId, ...row }) => {
+    const sourceHash = hashOf(row);
+    const context = Object.fromEntries(['machine', 'operator'].filter(field => field in row).map(field => [field, row[field]]));
+    if ('batch' in row) {
+      context.batchId = batchId ?? null;
+    }
+    if (statements.isDeletedRow.get(source, row.id)) {
+      return [];
+    }
+    const existing = statements.bySource.get(source, row.id);
+    const lockedBatch = [existing && existing.batch_id, context.batchId]
+      .some(id => id != null && isLocked(statements.batchStatus.get(id).status));
+    if (lockedBatch || (existing && existing.source_hash === sourceHash)) {
+      return [];
+    }
+    if (!existing) {
+      return [insert({
+        ...context,
+        subgroup: subgroupOf(row),
+        measuredAt: row.measuredAt,
+        measurements: measurementsOf(row),
+        source,
+        sourceRow: row.id,
+        sourceHash
+      })];
+    }
+    const current = fromRow(existing);
+    return [write(current, {
+      ...context,
+      subgroup: subgroupOf(row),
+      measuredAt: row.measuredAt || current.measuredAt,
+      ...measurementsOf(row)
+    }, sourceHash)];
+  }));
+
+  // How many of `rows` would change samples imported earlier from `source`,
+  // i.e. how many importRows would update
+  const changedRows = (source, rows) => rows.filter(({ batchId, ...row }) => {
+    const existing = statements.bySource.get(source, row.id);
+    return existing && existing.source_hash !== hashOf(row)
+      && !(existing.batch_id != null && isLocked(statements.batchStatus.get(existing.batch_id).status));
+  }).length;
+
+  return { list, query, get: find, seq, opsSince, add, update, remove, importRows, changedRows };
+}
+
+// Summary of an import for logs and API responses
+const importCounts = (ops) => ({
+  added: ops.filter(op => op.type === 'add').length,
+  updated: ops.filter(op => op.type === 'update').length
+});
+
+module.exports = { createSampleStore, importCounts };
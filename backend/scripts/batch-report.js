@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+// Writes batch QC reports as PDF files, for cron jobs and other schedulers:
+//
+//   npm run report -- B-001 B-002            the named batches
+//   npm run report -- --since 2026-01-01     batches released or rejected since
+//   npm run report -- --out /srv/qc/reports  (default: DATA_DIR/reports)
+//
+// Reads the same database as the server (DATA_DIR / DATABASE_FILE).
+
+const fs = require('fs');
+const path = require('path');
+const { loadParameters } = require('../parameters');
+const { openDatabase, DATA_DIR } = require('../db');
+const { createSampleStore } = require('../samples');
+const { createBatchStore, SIGNED_STATUSES } = require('../batches');
+const { createProductStore } = require('../products');
+const { createLimitSetStore } = require('../limitSets');
+const { createViolationStore } = require('../violations');
+const { createReportService } = require('../reports');
+
+function parseArgs(args) {
+  const options = { numbers: [], since: null, out: path.join(DATA_DIR, 'reports') };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--since') {
+      options.since = new Date(args[++i]);
+      if (Number.isNaN(options.since.getTime())) {
+        throw new Error(`--since needs a date, got "${args[i]}"`);
+      }
+    } else if (args[i] === '--out') {
+      options.out = args[++i];
+    } else {
+      options.numbers.push(args[i]);
+    }
+  }
+  if (options.numbers.length === 0 && !options.since) {
+    throw new Error('Name the batches to report on, or give --since <date>');
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const parameters = loadParameters();
+  const db = openDatabase();
+  const batches = createBatchStore(db);
+  const reports = createReportService({
+    parameters,
+    products: createProductStore(db, parameters),
+    batches,
+    samples: createSampleStore(db, parameters),
+    limitSets: createLimitSetStore(db, parameters),
+    violations: createViolationStore(db)
+  });
+
+  const all = batches.list();
+  const missing = options.numbers.filter(number => !all.some(batch => batch.number === number));
+  if (missing.length > 0) {
+    throw new Error(`Unknown batch(es): ${missing.join(', ')}`);
+  }
+  const selected = all.filter(batch => options.numbers.includes(batch.number) || (options.since
+    && SIGNED_STATUSES.includes(batch.status) && new Date(batch.updatedAt) >= options.since));
+
+  fs.mkdirSync(options.out, { recursive: true });
+  for (const batch of selected) {
+    const { fileName, pdf } = await reports.batchReportPdf(batch.id);
+    fs.writeFileSync(path.join(options.out, fileName), pdf);
+    console.log(`📄 ${path.join(options.out, fileName)}`);
+  }
+  console.log(`✓ ${selected.length} report(s) written`);
+  db.close();
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+// Simulated instrument for trying out a station without the hardware:
+// connects to the station's port and sends normally distributed readings.
+//
+//   npm run simulate-instrument -- --port 4001 --format sics --mean 27 --sd 0.3 --unit g
+//   npm run simulate-instrument -- --port 4002 --format plain --mean 10 --sd 0.4 --unit N
+//
+// --count (default 10) readings, --interval (default 1000) ms apart; --host
+// defaults to localhost. The sics format sends a settling "S D" line before
+// each stable weight, as a real balance does.
+
+const net = require('net');
+
+const DEFAULTS = { host: 'localhost', port: 4001, format: 'sics', mean: 27, sd: 0.3, unit: 'g', count: 10, interval: 1000 };
+const NUMERIC = ['port', 'mean', 'sd', 'count', 'interval'];
+
+function parseArgs(args) {
+  const options = { ...DEFAULTS };
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].replace(/^--/, '');
+    if (!(name in DEFAULTS) || args[i + 1] === undefined) {
+      throw new Error(`Unknown option or missing value: ${args[i]}`);
+    }
+    options[name] = NUMERIC.includes(name) ? Number(args[i + 1]) : args[i + 1];
+  }
+  if (!['sics', 'plain'].includes(options.format)) {
+    throw new Error('--format must be sics or plain');
+  }
+  return options;
+}
+
+// Box-Muller
+const gaussian = (mean, sd) => mean + sd * Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+
+const linesFor = ({ format, unit }, value, n) => (format === 'sics'
+  ? [`S D ${(value * 0.98).toFixed(4).padStart(10)} ${unit}`, `S S ${value.toFixed(4).padStart(10)} ${unit}`]
+  : [`Tablet ${n}: ${value.toFixed(2)} ${unit}`]);
+
+// Resolves once all readings are sent
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(options.port, options.host, () => {
+      console.log(`🔌 Connected to ${options.host}:${options.port}, sending ${options.count} ${options.format} readings`);
+      let sent = 0;
+      const timer = setInterval(() => {
+        sent += 1;
+        const value = gaussian(options.mean, options.sd);
+        linesFor(options, value, sent).forEach(line => socket.write(`${line}\r\n`));
+        console.log(`→ ${value.toFixed(4)} ${options.unit}`);
+        if (sent >= options.count) {
+          clearInterval(timer);
+          socket.end(resolve);
+        }
+      }, options.interval);
+    });
+    socket.on('error', reject);
+  });
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -2,12 +2,39 @@ const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
-const XLSX = require('xlsx');
-const chokidar = require('chokidar');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { log } = require('./logger');
+const { createServiceMetrics } = require('./metrics');
+const { loadParameters } = require('./parameters');
+const { openDatabase, DATABASE_FILE } = require('./db');
+const { importLegacyJson } = require('./legacyImport');
+const { readExcelFile, readExcelBuffer } = require('./excel');
+const { createSampleStore, importCounts } = require('./samples');
+const { createUserStore, requireUser } = require('./users');
+const { createAuditLog, SYSTEM_USER } = require('./audit');
+const { createBatchStore } = require('./batches');
+const { createProductStore } = require('./products');
+const { createLimitSetStore } = require('./limitSets');
+const { evaluateSamples, productSamples } = require('./evaluation');
+const { createViolationStore } = require('./violations');
+const { createAlertMonitor } = require('./alerts');
+const { createNotifier } = require('./notifications');
+const { createReportService } = require('./reports');
+const { createSampleHistory, parseFilters } = require('./history');
+const { createInstrumentService } = require('./instruments');
+const { createFileImportStore } = require('./fileImports');
+const { createFolderImporter, watchFile } = require('./watchFolder');
+const { createProductsRouter } = require('./routes/products');
+const { createSamplesRouter, importAudited } = require('./routes/samples');
+const { createImportsRouter } = require('./routes/imports');
+const { createLoginRouter, createUsersRouter } = require('./routes/users');
+const { createBatchesRouter } = require('./routes/batches');
+const { createViolationsRouter } = require('./routes/violations');
+const { createInstrumentsRouter } = require('./routes/instruments');
 
-console.log('Starting QC Dashboard Backend...');
+log.info('Starting QC Dashboard Backend');
 
 const app = express();
 const server = http.createServer(app);
@@ -18,169 +45,338 @@ const io = new Server(server, {
   }
 });
 
-app.use(cors());
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));
 app.use(express.json());
 
 // Configuration
-const EXCEL_FILE_PATH = path.join(__dirname, 'qc_data.xlsx');
-let currentData = [];
+// Workbook the line writes results to; new and changed rows are imported
+const EXCEL_FILE_PATH = process.env.EXCEL_FILE || path.join(__dirname, 'qc_data.xlsx');
+// Folder testers drop result files into (off unless set); processed files
+// go to its archive/ and error/ subfolders unless these are set
+const WATCH_FOLDER = process.env.WATCH_FOLDER || null;
+const WATCH_ARCHIVE_DIR = process.env.WATCH_ARCHIVE_DIR || undefined;
+const WATCH_ERROR_DIR = process.env.WATCH_ERROR_DIR || undefined;
 
-console.log('Excel file path:', EXCEL_FILE_PATH);
+const parameters = loadParameters();
+log.info('Loaded parameters', { parameters: parameters.map(p => p.key) });
 
-// Function to read Excel file
-function readExcelFile() {
-  try {
-    if (!fs.existsSync(EXCEL_FILE_PATH)) {
-      console.log('⚠ Excel file not found, using dummy data');
-      return [
-        { id: 1, weight: 27.2, hardness: 10.1 },
-        { id: 2, weight: 26.8, hardness: 9.8 },
-        { id: 3, weight: 27.5, hardness: 10.3 },
-        { id: 4, weight: 26.5, hardness: 9.5 },
-        { id: 5, weight: 27.8, hardness: 10.8 },
-      ];
-    }
+const db = openDatabase();
+log.info('Opened database', { file: DATABASE_FILE });
+importLegacyJson(db);
 
-    const workbook = XLSX.readFile(EXCEL_FILE_PATH);
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const jsonData = XLSX.utils.sheet_to_json(worksheet);
-    
-    // Transform data to match expected format
-    const transformedData = jsonData.map((row, index) => ({
-      id: row.id || index + 1,
-      weight: parseFloat(row.weight || row.Weight || 0),
-      hardness: parseFloat(row.hardness || row.Hardness || 0)
-    }));
-    
-    console.log(`✓ Loaded ${transformedData.length} samples from Excel`);
-    return transformedData;
-  } catch (error) {
-    console.error('❌ Error reading Excel file:', error.message);
-    // Return dummy data if file doesn't exist
-    return [
-      { id: 1, weight: 27.2, hardness: 10.1 },
-      { id: 2, weight: 26.8, hardness: 9.8 },
-      { id: 3, weight: 27.5, hardness: 10.3 },
-      { id: 4, weight: 26.5, hardness: 9.5 },
-      { id: 5, weight: 27.8, hardness: 10.8 },
-    ];
+const users = createUserStore(db);
+const audit = createAuditLog(db);
+const firstAdmin = users.ensureAdmin();
+if (firstAdmin) {
+  log.warn('Created admin user; change its password after logging in', { user: firstAdmin.admin.username });
+  // A generated password is shown once on the console, never as a log field
+  if (firstAdmin.password) {
+    console.log(`Password of admin user "${firstAdmin.admin.username}": ${firstAdmin.password}`);
+  }
+}
+
+const samples = createSampleStore(db, parameters);
+const products = createProductStore(db, parameters);
+const limitSets = createLimitSetStore(db, parameters);
+const batches = createBatchStore(db);
+log.info('Active product', { productId: products.getActive().id });
+
+const violations = createViolationStore(db);
+const alerts = createAlertMonitor({ parameters, products, batches, limitSets, violations });
+const notifier = createNotifier();
+const reports = createReportService({ parameters, products, batches, samples, limitSets, violations });
+const history = createSampleHistory({ parameters, products, batches, samples });
+log.info('Notification channels', { channels: notifier.channels });
+
+// Served at /metrics (see metrics.js)
+const metrics = createServiceMetrics({ clients: () => io.engine.clientsCount, violations });
+
+// Evaluate the stored samples and push any violations not reported before
+function detectViolations() {
+  const done = metrics.ruleEvaluation.startTimer();
+  const found = alerts.check(samples.list());
+  done();
+  found.forEach(alert => metrics.violationsDetected.inc({ product: alert.productId, rule: String(alert.rule) }));
+  if (found.length > 0) {
+    log.warn('New violations detected', { count: found.length, violationIds: found.map(alert => alert.id) });
+    io.emit('violation', found);
+    notifier.notify(products.get(found[0].productId), found);
   }
 }
 
-// Function to write Excel file
-function writeExcelFile(data) {
+// Broadcast sample changes (and the batches' sample counts with them) and
+// check the samples for new signals
+function publishOps(ops) {
+  if (ops.length === 0) return;
+  io.emit('sample-ops', ops);
+  io.emit('batches-updated', batches.list());
+  detectViolations();
+}
+
+// Readings from balances and testers (see instruments/)
+const instruments = createInstrumentService({
+  parameters, samples, batches, products, audit,
+  onSamplesChanged: publishOps,
+  onStatus: list => io.emit('instruments-updated', list)
+});
+
+// Import new and changed rows of the line's workbook
+function importExcelFile() {
   try {
-    const worksheet = XLSX.utils.json_to_sheet(data);
-    const workbook = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(workbook, worksheet, 'QC Data');
-    XLSX.writeFile(workbook, EXCEL_FILE_PATH);
-    console.log('✓ Excel file updated');
+    const { accepted, rejected } = readExcelFile(EXCEL_FILE_PATH, parameters);
+    const ops = importAudited({ samples, batches, audit }, {
+      user: SYSTEM_USER,
+      source: path.basename(EXCEL_FILE_PATH),
+      rows: accepted.map(row => row.sample),
+      productId: products.getActive().id
+    });
+    const counts = importCounts(ops);
+    metrics.recordImport('excel_file', 'imported', { ...counts, rejected: rejected.length });
+    log.info('Imported Excel file', { file: EXCEL_FILE_PATH, ...counts, rejected: rejected.length });
+    rejected.forEach(({ rowNumber, errors }) => log.warn('Row rejected', { file: EXCEL_FILE_PATH, rowNumber, errors }));
+    return ops;
   } catch (error) {
-    console.error('❌ Error writing Excel file:', error.message);
+    metrics.recordImport('excel_file', 'failed');
+    log.error('Could not import Excel file', { file: EXCEL_FILE_PATH, error });
+    return [];
   }
 }
 
-// Watch Excel file for changes (only if file exists)
-let watcher = null;
-if (fs.existsSync(EXCEL_FILE_PATH)) {
-  watcher = chokidar.watch(EXCEL_FILE_PATH, {
-    persistent: true,
-    ignoreInitial: true,
-    awaitWriteFinish: {
-      stabilityThreshold: 500,
-      pollInterval: 100
-    }
-  });
+// Re-import the workbook whenever it's written, including when it is
+// created after startup
+const watcher = watchFile(EXCEL_FILE_PATH, (filePath, event) => {
+  metrics.fileWatchEvents.inc({ watcher: 'excel_file', event });
+  log.info('Excel file changed', { file: filePath, event });
+  publishOps(importExcelFile());
+});
+log.info('Watching Excel file for changes', { file: EXCEL_FILE_PATH });
 
-  watcher.on('change', (filePath) => {
-    console.log(`📊 Excel file changed: ${filePath}`);
-    const newData = readExcelFile();
-    currentData = newData;
-    io.emit('data-update', newData);
-  });
+// Result files dropped into the watch folder (see watchFolder.js)
+const fileImports = createFileImportStore(db);
+const folderImporter = WATCH_FOLDER && createFolderImporter({
+  folder: WATCH_FOLDER,
+  archiveDir: WATCH_ARCHIVE_DIR,
+  errorDir: WATCH_ERROR_DIR,
+  fileImports,
+  importBuffer: (buffer, source) => {
+    const { accepted, rejected } = readExcelBuffer(buffer, parameters);
+    const ops = importAudited({ samples, batches, audit }, {
+      user: SYSTEM_USER,
+      source,
+      rows: accepted.map(row => row.sample),
+      productId: products.getActive().id
+    });
+    publishOps(ops);
+    return { ...importCounts(ops), accepted: accepted.length, rejected };
+  },
+  onProcessed: (entry) => {
+    const rejected = entry.rejected ? entry.rejected.length : 0;
+    metrics.recordImport('watch_folder', entry.status, { added: entry.added, updated: entry.updated, rejected });
+    (entry.status === 'failed' ? log.warn : log.info)('Result file processed', {
+      file: entry.fileName,
+      status: entry.status,
+      ...(entry.status === 'imported' ? { added: entry.added, updated: entry.updated, rejected } : {}),
+      ...(entry.error ? { error: entry.error } : {})
+    });
+  },
+  onEvent: event => metrics.fileWatchEvents.inc({ watcher: 'watch_folder', event })
+});
 
-  console.log('👀 Watching Excel file for changes');
-} else {
-  console.log('⚠ Excel file watcher disabled (file not found)');
-}
+// Socket.IO connections need a session token: io(url, { auth: { token } })
+io.use((socket, next) => {
+  const user = users.authenticate(socket.handshake.auth && socket.handshake.auth.token);
+  if (!user) {
+    next(new Error('Please log in'));
+    return;
+  }
+  socket.data.user = user;
+  next();
+});
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
-  console.log('✓ Client connected:', socket.id);
-  
-  // Send current data to newly connected client
-  socket.emit('data-update', currentData);
+  log.info('Client connected', { socketId: socket.id, user: socket.data.user.username });
   
-  // Handle manual data updates from client
-  socket.on('update-data', (newData) => {
-    console.log('📝 Received data update from client');
-    currentData = newData;
-    writeExcelFile(newData);
-    // Broadcast to all other clients
-    socket.broadcast.emit('data-update', newData);
+  socket.emit('active-product', products.getActive());
+
+  // Clients send the last op seq they saw (null when they have nothing) and
+  // get the ops they missed, or a snapshot when that's not possible. The
+  // snapshot holds the samples measured from/to (see history.js) when the
+  // client is looking at a time range; ops are for all samples, clients
+  // drop the ones outside their range. Payloads that aren't an object are
+  // refused through the acknowledgement callback, if the client passed one.
+  socket.on('sync', (payload, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    if (payload != null && (typeof payload !== 'object' || Array.isArray(payload))) {
+      reply({ error: 'sync expects { since, from, to }' });
+      return;
+    }
+    const { since = null, from = null, to = null } = payload || {};
+    try {
+      const ops = since === null ? null : samples.opsSince(since);
+      if (ops) {
+        socket.emit('sample-ops', ops);
+        reply({ ok: true });
+        return;
+      }
+      let range = {};
+      try {
+        range = parseFilters({ from, to });
+      } catch (error) {
+        log.warn('Ignoring a client\'s time range', { socketId: socket.id, error: error.message });
+      }
+      socket.emit('data-update', { seq: samples.seq(), samples: samples.query(range) });
+      reply({ ok: true });
+    } catch (error) {
+      log.error('Sync failed', { socketId: socket.id, error });
+      reply({ error: 'Sync failed' });
+    }
   });
   
   socket.on('disconnect', () => {
-    console.log('✗ Client disconnected:', socket.id);
+    log.info('Client disconnected', { socketId: socket.id });
   });
 });
 
+// Every request gets an id (the caller's X-Request-Id when it sends one, so
+// ids can be followed across services), echoed in the response and added to
+// everything logged while handling it (req.log). When the response is sent
+// the request is logged and its latency counted by route.
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// The matched route with its mount path, e.g. /api/violations/:id; requests
+// no route matched are counted together. Express resets req.baseUrl when an
+// error leaves a router, so the mount path is taken from the request path:
+// the segments before the route's own (route parameters are one segment).
+const routeOf = (req) => {
+  if (!req.route) return 'unmatched';
+  const segments = req.originalUrl.split('?')[0].split('/').filter(Boolean);
+  const own = req.route.path.split('/').filter(Boolean);
+  return `/${[...segments.slice(0, segments.length - own.length), ...own].join('/')}`;
+};
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = log.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = routeOf(req);
+    metrics.httpRequests.observe({ method: req.method, route, status: res.statusCode }, seconds);
+    (res.statusCode >= 500 ? req.log.warn : req.log.info)('Request handled', {
+      method: req.method,
+      path: req.originalUrl,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000 * 10) / 10,
+      ...(req.user ? { user: req.user.username } : {})
+    });
+  });
+  next();
+});
+
+// Everything under /api except logging in needs a session
+app.use('/api', createLoginRouter({ users }));
+app.use('/api', requireUser(users));
+
 // REST API endpoints (optional)
-app.get('/api/data', (req, res) => {
-  console.log('GET /api/data');
-  res.json(currentData);
+app.get('/api/parameters', (req, res) => {
+  res.json(parameters);
+});
+
+// Rule violations in the loaded data for the active product
+app.get('/api/evaluation', (req, res) => {
+  const product = products.getActive();
+  res.json({
+    productId: product.id,
+    violations: evaluateSamples({
+      samples: productSamples(samples.list(), batches, product.id),
+      parameters,
+      product,
+      limitSets: limitSets.list(product.id)
+    })
+  });
 });
 
-app.post('/api/data', (req, res) => {
-  console.log('POST /api/data');
-  currentData = req.body;
-  writeExcelFile(currentData);
-  io.emit('data-update', currentData);
-  res.json({ success: true, data: currentData });
+// Recently detected violations, newest first
+app.get('/api/alerts', (req, res) => {
+  res.json(alerts.list());
 });
 
+app.use('/api', createSamplesRouter({ samples, batches, products, parameters, audit, reports, history, onSamplesChanged: publishOps }));
+app.use('/api', createImportsRouter({ samples, batches, products, parameters, audit, fileImports, metrics, onSamplesChanged: publishOps }));
+app.use('/api', createProductsRouter({ products, limitSets, audit, io }));
+app.use('/api', createViolationsRouter({ violations, audit, io }));
+app.use('/api', createBatchesRouter({ batches, products, users, audit, reports, io }));
+app.use('/api', createUsersRouter({ users, audit }));
+app.use('/api', createInstrumentsRouter({ instruments }));
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'ok', 
-    samples: currentData.length,
-    excelFileExists: fs.existsSync(EXCEL_FILE_PATH)
+    samples: samples.list().length,
+    excelFileExists: fs.existsSync(EXCEL_FILE_PATH),
+    watchFolder: WATCH_FOLDER,
+    clients: io.engine.clientsCount,
+    uptimeSeconds: Math.round(process.uptime())
   });
 });
 
-// Initialize data on startup
-console.log('📖 Reading initial data...');
-currentData = readExcelFile();
+// Prometheus scrape endpoint (see metrics.js); like /health it needs no
+// session, so keep the port off public networks
+app.get('/metrics', (req, res) => {
+  res.type(metrics.contentType).send(metrics.render());
+});
+
+// Errors thrown by stores carry an HTTP status (see errors.js)
+app.use((err, req, res, next) => {
+  const status = err.status || 500;
+  if (status >= 500) {
+    req.log.error('Request failed', { error: err });
+  }
+  res.status(status).json({ error: err.message, ...err.details });
+});
+
+// Pick up rows added to the workbook while the server was down; on first
+// startup this migrates the whole file into the database
+if (fs.existsSync(EXCEL_FILE_PATH)) {
+  log.info('Importing Excel file', { file: EXCEL_FILE_PATH });
+  importExcelFile();
+}
+detectViolations();
 
 // Start server
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
-  console.log(`
-╔════════════════════════════════════════╗
-║   QC Dashboard Backend Server          ║
-║   Running on http://localhost:${PORT}   ║
-╚════════════════════════════════════════╝
-
-📁 Excel file: ${EXCEL_FILE_PATH}
-📊 Loaded samples: ${currentData.length}
-🌐 CORS enabled for: http://localhost:3000
-✅ Ready for connections!
-
-Test endpoints:
-  - http://localhost:${PORT}/health
-  - http://localhost:${PORT}/api/data
-  `);
+  log.info('QC Dashboard Backend ready', {
+    url: `http://localhost:${PORT}`,
+    database: DATABASE_FILE,
+    excelFile: EXCEL_FILE_PATH,
+    watchFolder: WATCH_FOLDER,
+    samples: samples.list().length,
+    corsOrigin: 'http://localhost:3000'
+  });
+  instruments.start().catch(error => log.error('Could not start instrument listeners', { error }));
+  if (folderImporter) {
+    folderImporter.start();
+  }
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
-  console.log('\n🛑 Shutting down server...');
-  if (watcher) {
-    watcher.close();
+  log.info('Shutting down server');
+  watcher.close();
+  if (folderImporter) {
+    folderImporter.stop();
   }
+  notifier.close();
+  instruments.stop();
+  db.close();
   server.close(() => {
-    console.log('✓ Server closed');
+    log.info('Server closed');
     process.exit(0);
   });
 });
\ No newline at end of file
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatabase } = require('../db');
+const { createAuditLog, diff } = require('../audit');
+const { createUserStore, hasRole } = require('../users');
+
+const setup = () => {
+  const db = openDatabase(':memory:');
+  return { db, audit: createAuditLog(db), users: createUserStore(db) };
+};
+
+test('diff lists changed fields with old and new values', () => {
+  assert.deepEqual(
+    diff({ id: 1, weight: 27.1, hardness: null }, { id: 1, weight: 27.4, hardness: 10 }),
+    [
+      { field: 'weight', oldValue: 27.1, newValue: 27.4 },
+      { field: 'hardness', oldValue: null, newValue: 10 }
+    ]
+  );
+  assert.deepEqual(diff({ id: 1, revision: 1 }, { id: 1, revision: 2 }, ['revision']), []);
+});
+
+test('audit entries need a reason and cannot be changed or removed', () => {
+  const { db, audit } = setup();
+  const user = { id: 1, username: 'jdoe' };
+  const entry = { user, action: 'update', entityType: 'sample', entityId: 7, changes: [{ field: 'weight', oldValue: 27.1, newValue: 27.4 }] };
+
+  assert.throws(() => audit.record({ ...entry, reason: ' ' }), { status: 400 });
+  audit.record({ ...entry, reason: 'Transcription error' });
+
+  const [logged] = audit.list({ entityType: 'sample', entityId: 7 });
+  assert.equal(logged.username, 'jdoe');
+  assert.equal(logged.oldValue, 27.1);
+  assert.equal(logged.newValue, 27.4);
+  assert.equal(logged.reason, 'Transcription error');
+
+  assert.throws(() => db.prepare('UPDATE audit_log SET new_value = 1').run(), /append-only/);
+  assert.throws(() => db.prepare('DELETE FROM audit_log').run(), /append-only/);
+});
+
+test('audit pages are capped and bad paging parameters are refused', () => {
+  const { audit } = setup();
+  const changes = Array.from({ length: 1005 }, (_, i) => ({ field: `f${i}`, oldValue: null, newValue: i }));
+  audit.record({ user: { id: 1, username: 'jdoe' }, action: 'create', entityType: 'sample', entityId: 1, changes, reason: 'Bulk' });
+
+  assert.equal(audit.list().length, 200);
+  assert.equal(audit.list({ limit: '5000' }).length, 1000);
+  assert.deepEqual(audit.list({ limit: '2', offset: '1' }).map(entry => entry.newValue), [1003, 1002]);
+  ['-1', '0', '2.5', 'all'].forEach(limit => assert.throws(() => audit.list({ limit }), { status: 400 }));
+  ['-1', '1e400', 'x'].forEach(offset => assert.throws(() => audit.list({ offset }), { status: 400 }));
+});
+
+test('changes that fail to be audited are rolled back', () => {
+  const { db, audit } = setup();
+  db.prepare("INSERT INTO settings (key, value) VALUES ('probe', 'before')").run();
+  assert.throws(() => audit.atomic(() => {
+    db.prepare("UPDATE settings SET value = 'after' WHERE key = 'probe'").run();
+    audit.record({ user: { id: null, username: 'system' }, action: 'update', entityType: 'setting', entityId: 'probe' });
+  }), { status: 400 });
+  assert.equal(db.prepare("SELECT value FROM settings WHERE key = 'probe'").get().value, 'before');
+});
+
+test('users log in with their password and sessions end on deactivation', () => {
+  const { users } = setup();
+  const qa = users.create({ username: 'qa1', role: 'qa', password: 'correct horse' });
+
+  assert.throws(() => users.login('qa1', 'wrong password'), { status: 401 });
+  const { token, user } = users.login('qa1', 'correct horse');
+  assert.equal(user.role, 'qa');
+  assert.equal(users.authenticate(token).username, 'qa1');
+
+  users.update(qa.id, { active: false });
+  assert.equal(users.authenticate(token), null);
+  assert.throws(() => users.login('qa1', 'correct horse'), { status: 401 });
+});
+
+test('roles are ranked', () => {
+  assert.ok(hasRole({ role: 'admin' }, 'qa'));
+  assert.ok(hasRole({ role: 'qa' }, 'operator'));
+  assert.ok(!hasRole({ role: 'operator' }, 'qa'));
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { openDatabase } = require('../db');
+const { createBatchStore } = require('../batches');
+const { createSampleStore } = require('../samples');
+const { createProductStore } = require('../products');
+const { createUserStore, requireUser } = require('../users');
+const { createAuditLog } = require('../audit');
+const { createSamplesRouter } = require('../routes/samples');
+
+const PARAMETERS = [{ key: 'weight', name: 'Weight', unit: 'mg', decimals: 1 }];
+
+const setup = () => {
+  const db = openDatabase(':memory:');
+  const product = createProductStore(db, PARAMETERS).getActive();
+  const users = createUserStore(db);
+  const qa = users.create({ username: 'qa1', displayName: 'Q. A.', role: 'qa', password: 'correct horse' });
+  return { batches: createBatchStore(db), samples: createSampleStore(db, PARAMETERS), users, qa, product };
+};
+
+test('batches are reviewed, then released with a signature', () => {
+  const { batches, qa, product } = setup();
+  const batch = batches.create({ number: 'B-001', productId: product.id }, qa);
+  assert.equal(batch.status, 'in-progress');
+
+  assert.throws(() => batches.transition(batch.id, 'released', { user: qa, meaning: 'approval' }), { status: 400 });
+  batches.transition(batch.id, 'under-review');
+  assert.throws(() => batches.transition(batch.id, 'released'), { status: 400 });
+  assert.throws(() => batches.transition(batch.id, 'released', { user: qa, meaning: 'because' }), { status: 400 });
+
+  const released = batches.transition(batch.id, 'released', { user: qa, meaning: 'approval' });
+  assert.equal(released.status, 'released');
+  assert.equal(released.signatures.length, 1);
+  assert.equal(released.signatures[0].displayName, 'Q. A.');
+  assert.equal(released.signatures[0].meaning, 'approval');
+
+  // Released is final
+  assert.throws(() => batches.transition(batch.id, 'in-progress'), { status: 400 });
+  assert.throws(() => batches.create({ number: 'B-001', productId: product.id }, qa), { status: 400 });
+});
+
+test('samples of a batch are locked once it leaves in-progress', () => {
+  const { batches, samples, qa, product } = setup();
+  const batch = batches.create({ number: 'B-002', productId: product.id }, qa);
+  const { sampleId } = samples.add({ batchId: batch.id, weight: 27 });
+
+  batches.transition(batch.id, 'under-review');
+  assert.throws(() => samples.update(sampleId, { weight: 28, baseRevision: 1 }), { status: 409 });
+  assert.throws(() => samples.remove(sampleId, 1), { status: 409 });
+  assert.throws(() => samples.add({ batchId: batch.id, weight: 27 }), { status: 409 });
+
+  batches.transition(batch.id, 'in-progress');
+  assert.equal(samples.update(sampleId, { weight: 28, baseRevision: 1 }).sample.weight, 28);
+});
+
+test('signatures need the signer to re-enter their own credentials', () => {
+  const { users, qa } = setup();
+  const other = users.create({ username: 'qa2', role: 'qa', password: 'battery staple' });
+  assert.equal(users.verifySignature(qa, { username: 'qa1', password: 'correct horse' }).id, qa.id);
+  assert.throws(() => users.verifySignature(qa, { username: 'qa1', password: 'wrong' }), { status: 403 });
+  assert.throws(() => users.verifySignature(qa, { username: 'qa2', password: 'battery staple' }), { status: 403 });
+  assert.throws(() => users.verifySignature(other, {}), { status: 403 });
+});
+
+test('imported rows carry batch, machine and operator; locked batches are left alone', () => {
+  const { batches, samples, qa, product } = setup();
+  const batch = batches.create({ number: 'B-003', productId: product.id }, qa);
+  const row = { id: 1, subgroup: null, measuredAt: null, batch: 'B-003', machine: 'Press 2', operator: 'jdoe', weight: 27 };
+  samples.importRows('line.xlsx', [{ ...row, batchId: batch.id }]);
+  const [sample] = samples.list();
+  assert.equal(sample.batchId, batch.id);
+  assert.equal(sample.machine, 'Press 2');
+  assert.equal(sample.operator, 'jdoe');
+
+  batches.transition(batch.id, 'under-review');
+  const ops = samples.importRows('line.xlsx', [
+    { ...row, weight: 27.5, batchId: batch.id },
+    { ...row, id: 2, batchId: batch.id }
+  ]);
+  assert.deepEqual(ops, []);
+  assert.equal(samples.list()[0].weight, 27);
+});
+
+// POST /api/data and the socket's update-data are gone; samples are written
+// through /api/samples, which needs a session with the operator role
+test('sample writes need a session and respect locked batches', async (t) => {
+  const db = openDatabase(':memory:');
+  const users = createUserStore(db);
+  const batches = createBatchStore(db);
+  const samples = createSampleStore(db, PARAMETERS);
+  const qa = users.create({ username: 'qa1', displayName: 'Q. A.', role: 'qa', password: 'correct horse' });
+  const product = createProductStore(db, PARAMETERS).getActive();
+  const batch = batches.create({ number: 'B-004', productId: product.id }, qa);
+  const { sampleId } = samples.add({ batchId: batch.id, weight: 27 });
+  batches.transition(batch.id, 'under-review');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api', requireUser(users));
+  app.use('/api', createSamplesRouter({ samples, batches, audit: createAuditLog(db), onSamplesChanged: () => {} }));
+  app.use((err, req, res, next) => res.status(err.status || 500).json({ error: err.message }));
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  t.after(() => server.close());
+
+  const call = (method, url, { token, body } = {}) => fetch(`http://127.0.0.1:${server.address().port}/api${url}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: body && JSON.stringify(body)
+  }).then(response => response.status);
+
+  const writes = [
+    ['POST', '/samples', { body: { weight: 30 } }],
+    ['PATCH', `/samples/${sampleId}`, { body: { weight: 28, baseRevision: 1, reason: 'Typo' } }],
+    ['DELETE', `/samples/${sampleId}?baseRevision=1&reason=Typo`, {}],
+    ['POST', '/data', { body: [{ id: sampleId, weight: 28 }] }]
+  ];
+  for (const [method, url, options] of writes) {
+    assert.equal(await call(method, url, options), 401, `${method} ${url}`);
+    assert.equal(await call(method, url, { ...options, token: 'forged' }), 401, `${method} ${url}`);
+  }
+
+  const { token } = users.login('qa1', 'correct horse');
+  assert.equal(await call('POST', '/data', { token, body: [{ id: sampleId, weight: 28 }] }), 404);
+  assert.equal(await call('PATCH', `/samples/${sampleId}`, { token, body: { weight: 28, baseRevision: 1, reason: 'Typo' } }), 409);
+  assert.equal(samples.get(sampleId).weight, 27);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatabase } = require('../db');
+const { createProductStore } = require('../products');
+const { createLimitSetStore } = require('../limitSets');
+const { createViolationStore } = require('../violations');
+const { createBatchStore } = require('../batches');
+const { createSampleStore } = require('../samples');
+const { createUserStore } = require('../users');
+const { createAlertMonitor } = require('../alerts');
+const { evaluateSamples } = require('../evaluation');
+
+const PARAMETERS = [{ key: 'disintegration', name: 'Disintegration Time', unit: 's', decimals: 0 }];
+
+// Log-normal disintegration times: a long right tail but nothing unusual
+const TIMES = [
+  182, 240, 205, 520, 198, 176, 230, 262, 190, 211, 480, 186, 228, 201, 355, 194,
+  217, 171, 246, 209, 610, 188, 223, 199, 274, 207, 180, 236, 214, 415, 192, 226
+];
+const SAMPLES = TIMES.map((disintegration, i) => ({ id: i + 1, subgroup: null, disintegration }));
+
+// SAMPLES stored, so limit sets can name their baselines
+const setup = () => {
+  const db = openDatabase(':memory:');
+  const samples = createSampleStore(db, PARAMETERS);
+  SAMPLES.forEach(({ disintegration }) => samples.add({ disintegration }));
+  return { products: createProductStore(db, PARAMETERS), limitSets: createLimitSetStore(db, PARAMETERS) };
+};
+
+test('rules run on the scale of the parameter\'s transformation', () => {
+  const { products, limitSets } = setup();
+  const rule1 = (product) => evaluateSamples({ samples: SAMPLES, parameters: PARAMETERS, product, limitSets: [] })
+    .filter(v => v.rule === 1);
+
+  const product = products.getActive();
+  assert.ok(rule1(product).length > 0);
+
+  const logged = products.update(product.id, { transforms: { disintegration: { type: 'log' } }, changeNote: 'Skewed' });
+  assert.deepEqual(logged.transforms, { disintegration: { type: 'log', lambda: null } });
+  assert.deepEqual(rule1(logged), []);
+
+  assert.throws(() => products.update(product.id, { transforms: { disintegration: { type: 'box-cox' } } }), { status: 400 });
+  assert.deepEqual(products.update(product.id, { transforms: { disintegration: { type: 'none' } } }).transforms, {});
+});
+
+test('frozen limits only apply under the transformation they were computed on', () => {
+  const { products, limitSets } = setup();
+  const product = products.getActive();
+  const logged = products.update(product.id, { transforms: { disintegration: { type: 'log' } }, changeNote: 'Skewed' });
+  const frozen = limitSets.create(logged, { parameter: 'disintegration', baselineFrom: 1, baselineTo: 16 });
+  assert.deepEqual(frozen.transform, { type: 'log', lambda: null });
+  assert.deepEqual(limitSets.list(product.id)[0].transform, { type: 'log', lambda: null });
+
+  // Untransformed, the log-scale limits would flag every point
+  const violations = evaluateSamples({ samples: SAMPLES, parameters: PARAMETERS, product, limitSets: limitSets.list(product.id) });
+  assert.ok(violations.filter(v => v.rule === 1).length < SAMPLES.length / 4);
+});
+
+test('frozen limits are worked out from the stored baseline, not taken from the caller', () => {
+  const { products, limitSets } = setup();
+  const product = products.getActive();
+  const frozen = limitSets.create(product, { parameter: 'disintegration', method: 'imr', baselineFrom: 1, baselineTo: 4 });
+  const [a, b, c, d] = TIMES;
+  assert.equal(frozen.n, 4);
+  assert.equal(frozen.mean, (a + b + c + d) / 4);
+  assert.ok(Math.abs(frozen.sigma - ((Math.abs(b - a) + Math.abs(c - b) + Math.abs(d - c)) / 3) / 1.128) < 1e-9);
+
+  const again = { parameter: 'disintegration', baselineFrom: 1, baselineTo: 4, reason: 'Check' };
+  assert.throws(() => limitSets.create(product, { ...again, mean: 200, sigma: 1 }), { status: 400, message: /mean, sigma/ });
+  assert.throws(() => limitSets.create(product, { ...again, baselineFrom: 4, baselineTo: 1 }), { status: 400 });
+  assert.throws(() => limitSets.create(product, { ...again, baselineTo: 999 }), { status: 400 });
+  assert.throws(() => limitSets.create(product, { ...again, baselineTo: 1 }), { status: 400, message: /enough samples/ });
+});
+
+test('CUSUM signals join the violation list when the rule set switches them on', () => {
+  const db = openDatabase(':memory:');
+  const products = createProductStore(db, PARAMETERS);
+  const violations = createViolationStore(db);
+  // In control around 200 s, then a shift of about 1σ
+  const times = [
+    201, 196, 204, 198, 203, 197, 202, 199, 200, 205, 195, 200,
+    206, 203, 208, 204, 207, 202, 206, 205, 209, 203, 207, 206
+  ];
+  const samples = times.map((disintegration, i) => ({ id: i + 1, subgroup: null, disintegration }));
+  const limitSet = { parameter: 'disintegration', baselineFrom: 1, baselineTo: 12, mean: 200, sigma: 3.5, transform: null };
+  const evaluate = (product) => evaluateSamples({ samples, parameters: PARAMETERS, product, limitSets: [limitSet] });
+
+  const product = products.getActive();
+  assert.ok(!evaluate(product).some(v => v.rule === 'cusum'));
+
+  const withCusum = products.update(product.id, { ruleSet: { preset: 'nelson', cusum: { enabled: true } }, changeNote: 'Punch wear' });
+  const found = evaluate(withCusum).filter(v => v.rule === 'cusum');
+  assert.ok(found.length > 0);
+  assert.equal(found[0].description, 'CUSUM beyond h = 5σ (k = 0.5σ)');
+  assert.equal(found[0].direction, 'up');
+
+  violations.record(found.map((v, i) => ({ ...v, id: `cusum-${i}`, productId: product.id, detectedAt: new Date().toISOString() })));
+  assert.equal(violations.list({ rule: 'cusum' }).length, found.length);
+  assert.equal(violations.list({ rule: '1' }).length, 0);
+});
+
+test('alerts judge only the active product\'s batches and samples without a batch', () => {
+  const db = openDatabase(':memory:');
+  const products = createProductStore(db, PARAMETERS);
+  const batches = createBatchStore(db);
+  const violations = createViolationStore(db);
+  const alerts = createAlertMonitor({ parameters: PARAMETERS, products, batches, limitSets: createLimitSetStore(db, PARAMETERS), violations });
+  const qa = createUserStore(db).create({ username: 'qa1', displayName: 'Q. A.', role: 'qa', password: 'correct horse' });
+  const active = products.getActive();
+  const other = products.create({ id: 'cap-10', name: 'Capsule 10 mg', changeNote: 'New product' });
+  const own = batches.create({ number: 'B-001', productId: active.id }, qa);
+  const foreign = batches.create({ number: 'C-001', productId: other.id }, qa);
+
+  const steady = [201, 196, 204, 198, 203, 197, 202, 199, 200, 205, 195, 200, 202, 198, 201, 199];
+  const samples = [
+    ...steady.map((disintegration, i) => ({ id: i + 1, batchId: i % 2 === 0 ? own.id : null, subgroup: null, disintegration })),
+    // Another product's results, far off this product's process
+    ...[420, 455, 470].map((disintegration, i) => ({ id: 100 + i, batchId: foreign.id, subgroup: null, disintegration }))
+  ];
+  assert.deepEqual(alerts.check(samples), []);
+  assert.ok(evaluateSamples({ samples, parameters: PARAMETERS, product: active, limitSets: [] }).length > 0);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatabase } = require('../db');
+const { createBatchStore } = require('../batches');
+const { createSampleStore } = require('../samples');
+const { createProductStore } = require('../products');
+const { createSampleHistory, isPageQuery } = require('../history');
+
+const PARAMETERS = [
+  { key: 'weight', name: 'Weight', unit: 'mg', decimals: 1, lsl: 240, usl: 260 },
+  { key: 'hardness', name: 'Hardness', unit: 'N', decimals: 1, lsl: null, usl: null }
+];
+
+const setup = () => {
+  const db = openDatabase(':memory:');
+  const stores = {
+    parameters: PARAMETERS,
+    products: createProductStore(db, PARAMETERS),
+    batches: createBatchStore(db),
+    samples: createSampleStore(db, PARAMETERS)
+  };
+  const batch = stores.batches.create({ number: 'B-001', productId: stores.products.getActive().id }, { id: null, username: 'qa1' });
+  // Two samples a day, 5-7 January; one without a batch on the 6th
+  [5, 6, 7].forEach((day) => {
+    stores.samples.add({ batchId: batch.id, measuredAt: `2026-01-0${day}T08:00:00Z`, weight: 245 + day, hardness: 10 });
+    stores.samples.add({ batchId: batch.id, measuredAt: `2026-01-0${day}T16:00:00Z`, weight: 255 + day });
+  });
+  stores.samples.add({ measuredAt: '2026-01-06T12:00:00Z', weight: 250 });
+  return { ...stores, batch, history: createSampleHistory(stores) };
+};
+
+test('samples come a window and a page at a time', () => {
+  const { history, batch, products } = setup();
+  const first = history.page({ from: '2026-01-06', to: '2026-01-07', limit: 2 });
+  assert.deepEqual(first.samples.map(s => s.measuredAt), ['2026-01-06T08:00:00.000Z', '2026-01-06T12:00:00.000Z']);
+  const second = history.page({ from: '2026-01-06', to: '2026-01-07', limit: 2, cursor: first.nextCursor });
+  assert.deepEqual(second.samples.map(s => s.measuredAt), ['2026-01-06T16:00:00.000Z', '2026-01-07T08:00:00.000Z']);
+  const last = history.page({ from: '2026-01-06', to: '2026-01-07', limit: 2, cursor: second.nextCursor });
+  assert.equal(last.samples.length, 1);
+  assert.equal(last.nextCursor, null);
+
+  assert.equal(history.page({ productId: products.getActive().id }).samples.length, 6);
+  assert.equal(history.page({ batchId: batch.id, parameter: 'hardness' }).samples.length, 3);
+  assert.throws(() => history.page({ cursor: 'nonsense' }), { status: 400 });
+  assert.throws(() => history.page({ limit: 0 }), { status: 400 });
+  assert.throws(() => history.page({ parameter: 'colour' }), { status: 400 });
+});
+
+test('window statistics, overall and per day', () => {
+  const { history } = setup();
+  const result = history.stats({ from: '2026-01-06', interval: 'day' });
+  assert.equal(result.count, 5);
+  const [weight] = result.parameters;
+  assert.equal(weight.stats.n, 5);
+  assert.equal(weight.stats.outOfSpec, 2);
+  assert.deepEqual(result.buckets.map(b => [b.start, b.count, b.stats.weight.mean]), [
+    ['2026-01-06T00:00:00.000Z', 3, (251 + 250 + 261) / 3],
+    ['2026-01-07T00:00:00.000Z', 2, (252 + 262) / 2]
+  ]);
+  assert.throws(() => history.stats({ interval: 'fortnight' }), { status: 400 });
+});
+
+test('only filtered or paged data queries get the paged response', () => {
+  assert.equal(isPageQuery({}), false);
+  assert.equal(isPageQuery({ from: '', unrelated: '1' }), false);
+  assert.equal(isPageQuery({ limit: '50' }), true);
+  assert.equal(isPageQuery({ from: '2026-01-05' }), true);
+});
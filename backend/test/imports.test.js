@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readWorkbookBuffer, sheetTable, readFirstSheet, readExcelBuffer } = require('../excel');
+const { checkMapping, validateRows, contentHashOf, sourceOf, createUploadStore } = require('../imports');
+const { mapColumns } = require('../parameters');
+const express = require('express');
+const { openDatabase } = require('../db');
+const { createSampleStore } = require('../samples');
+const { createBatchStore } = require('../batches');
+const { createProductStore } = require('../products');
+const { createUserStore } = require('../users');
+const { createAuditLog } = require('../audit');
+const { createFileImportStore } = require('../fileImports');
+const { createServiceMetrics } = require('../metrics');
+const { createLogger } = require('../logger');
+const { createImportsRouter } = require('../routes/imports');
+
+const PARAMETERS = [
+  { key: 'weight', name: 'Weight', unit: 'mg', min: 0, max: 1000, columns: [] },
+  { key: 'hardness', name: 'Hardness', unit: 'N', min: null, max: null, columns: ['Crush'] }
+];
+
+const csvTable = (text) => sheetTable(readWorkbookBuffer(Buffer.from(text)));
+
+test('CSV files read as a table with spreadsheet row numbers', () => {
+  const table = csvTable('Weight (mg),Crush,\n250,10,x\n\n251,11,\n');
+  assert.deepEqual(table.headers, ['Weight (mg)', 'Crush', '(column C)']);
+  assert.deepEqual(table.rows.map(row => row.rowNumber), [2, 4]);
+  assert.deepEqual(mapColumns(table.headers, PARAMETERS), { weight: 'Weight (mg)', hardness: 'Crush' });
+});
+
+test('rows are validated instead of turning bad values into zero', () => {
+  const table = csvTable([
+    'id,Measured At,Weight (mg),Crush',
+    '1,2026-01-05 08:00,250,10',
+    '2,2026-01-05 08:10,,11',
+    '3,2026-01-05 08:20,abc,12',
+    '4,2026-01-05 08:30,2500,12',
+    '1,2026-01-05 08:40,251,10',
+    '6,someday,252,10',
+    '7,2026-01-05 08:50,,',
+    'x,2026-01-05 09:00,253,10'
+  ].join('\n'));
+  const mapping = checkMapping(mapColumns(table.headers, PARAMETERS), table.headers, PARAMETERS);
+  const { accepted, rejected } = validateRows(table, mapping, PARAMETERS);
+
+  assert.deepEqual(accepted.map(row => [row.sample.id, row.sample.weight, row.sample.hardness]), [[1, 250, 10], [2, null, 11]]);
+  assert.deepEqual(accepted[1].warnings, ['Weight missing']);
+  assert.deepEqual(rejected.map(row => [row.rowNumber, row.errors]), [
+    [4, ['Weight: "abc" is not a number']],
+    [5, ['Weight 2500 is outside the plausible range 0 to 1000 mg']],
+    [6, ['Duplicate sample ID 1 (also on row 2)']],
+    [7, ['Measured At "someday" is not a date']],
+    [8, ['No measurements']],
+    [9, ['Sample ID "x" is not a whole number']]
+  ]);
+  assert.equal(rejected[0].cells['Weight (mg)'], 'abc');
+});
+
+test('workbooks without sheets or rows import nothing', () => {
+  assert.deepEqual(readFirstSheet({ SheetNames: [], Sheets: {} }, PARAMETERS), { accepted: [], rejected: [] });
+  assert.deepEqual(readExcelBuffer(Buffer.from(''), PARAMETERS), { accepted: [], rejected: [] });
+});
+
+test('runs sharing a file name can be kept apart by content', () => {
+  const run1 = Buffer.from('Weight (mg)\n250\n');
+  const run2 = Buffer.from('Weight (mg)\n252\n');
+  assert.equal(sourceOf('results.csv', contentHashOf(run1)), sourceOf('results.csv', contentHashOf(Buffer.from(run1))));
+  assert.notEqual(sourceOf('results.csv', contentHashOf(run1)), sourceOf('results.csv', contentHashOf(run2)));
+  assert.match(sourceOf('results.csv', contentHashOf(run1)), /^results\.csv \([0-9a-f]{12}\)$/);
+});
+
+// The imports API on a random port, logged in as an operator
+const startImportsApi = async () => {
+  const db = openDatabase(':memory:');
+  const samples = createSampleStore(db, PARAMETERS);
+  const user = createUserStore(db).create({ username: 'op1', displayName: 'Op', role: 'operator', password: 'correct horse' });
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    req.log = createLogger({ level: 'error' });
+    next();
+  });
+  app.use('/api', createImportsRouter({
+    samples,
+    batches: createBatchStore(db),
+    products: createProductStore(db, PARAMETERS),
+    parameters: PARAMETERS,
+    audit: createAuditLog(db),
+    fileImports: createFileImportStore(db),
+    metrics: createServiceMetrics(),
+    onSamplesChanged: () => {}
+  }));
+  app.use((err, req, res, next) => res.status(err.status || 500).json({ error: err.message, ...err.details }));
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const call = async (method, url, body) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api${url}`, {
+      method,
+      body: Buffer.isBuffer(body) ? body : JSON.stringify(body),
+      headers: Buffer.isBuffer(body) ? {} : { 'Content-Type': 'application/json' }
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  return { samples, call, close: () => server.close() };
+};
+
+test('a corrected re-upload updates its samples once confirmed; another run can be kept apart', async () => {
+  const api = await startImportsApi();
+  const upload = async (text) => {
+    const { body } = await api.call('POST', '/imports?name=results.csv', Buffer.from(text));
+    return body;
+  };
+  const commit = (id, replace) => api.call('POST', `/imports/${id}/commit`, { mapping: { id: 'id', weight: 'Weight (mg)' }, replace });
+  try {
+    const first = await upload('id,Weight (mg)\n1,250\n2,251\n');
+    assert.deepEqual((await commit(first.id)).body, { added: 2, updated: 0, unchanged: 0, rejected: [] });
+
+    const corrected = await upload('id,Weight (mg)\n1,250\n2,253\n');
+    assert.equal((await api.call('POST', `/imports/${corrected.id}/preview`, {})).body.changed, 1);
+    const unconfirmed = await commit(corrected.id);
+    assert.equal(unconfirmed.status, 409);
+    assert.equal(unconfirmed.body.changed, 1);
+    assert.deepEqual((await commit(corrected.id, true)).body, { added: 0, updated: 1, unchanged: 1, rejected: [] });
+    assert.deepEqual(api.samples.list().map(sample => sample.weight), [250, 253]);
+
+    const run = Buffer.from('id,Weight (mg)\n1,260\n2,261\n');
+    assert.equal((await api.call('POST', '/import/excel?name=results.csv', run)).status, 409);
+    assert.equal((await api.call('POST', '/import/excel?name=results.csv&replace=maybe', run)).status, 400);
+    assert.equal((await api.call('POST', '/import/excel?name=results.csv&replace=false', run)).body.added, 2);
+    assert.deepEqual(api.samples.list().map(sample => sample.weight), [250, 253, 260, 261]);
+  } finally {
+    api.close();
+  }
+});
+
+test('mappings must name sheet columns and at least one parameter', () => {
+  const headers = ['A', 'B'];
+  assert.deepEqual(checkMapping({ weight: 'A', batch: 'B', operator: '' }, headers, PARAMETERS), { weight: 'A', batch: 'B' });
+  assert.throws(() => checkMapping({ batch: 'A' }, headers, PARAMETERS), /at least one column/);
+  assert.throws(() => checkMapping({ weight: 'C' }, headers, PARAMETERS), /no column "C"/);
+  assert.throws(() => checkMapping({ weight: 'A', hardness: 'A' }, headers, PARAMETERS), /mapped to both/);
+  assert.throws(() => checkMapping({ colour: 'A' }, headers, PARAMETERS), { status: 400 });
+});
+
+test('uploads belong to their user and expire', () => {
+  const uploads = createUploadStore({ ttlMs: 0 });
+  const upload = uploads.add({ id: 1 }, 'line.csv', {});
+  assert.throws(() => uploads.get(upload.id, { id: 1 }), { status: 404 });
+
+  const kept = createUploadStore();
+  const { id } = kept.add({ id: 1 }, 'line.csv', {});
+  assert.equal(kept.get(id, { id: 1 }).fileName, 'line.csv');
+  assert.throws(() => kept.get(id, { id: 2 }), { status: 404 });
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { openDatabase } = require('../db');
+const { createBatchStore } = require('../batches');
+const { createSampleStore } = require('../samples');
+const { createProductStore } = require('../products');
+const { createAuditLog } = require('../audit');
+const { createUserStore } = require('../users');
+const { createInstrumentService } = require('../instruments');
+const { PARSERS, convertUnit } = require('../instruments/parsers');
+
+const PARAMETERS = [
+  { key: 'weight', name: 'Weight', unit: 'mg', decimals: 1, lsl: 240, usl: 260 },
+  { key: 'hardness', name: 'Hardness', unit: 'N', decimals: 1, lsl: 80, usl: 120 }
+];
+
+const STATIONS = [
+  { id: 'balance-1', enabled: true, parser: 'sics', parameter: 'weight', port: 0, host: '127.0.0.1', machine: 'Press 1' },
+  { id: 'hardness-1', enabled: true, parser: 'plain', parameter: 'hardness', port: 0, host: '127.0.0.1', machine: 'Press 1' }
+];
+
+const setup = () => {
+  const db = openDatabase(':memory:');
+  const stores = {
+    parameters: PARAMETERS,
+    products: createProductStore(db, PARAMETERS),
+    batches: createBatchStore(db),
+    samples: createSampleStore(db, PARAMETERS),
+    audit: createAuditLog(db)
+  };
+  const operator = createUserStore(db).create({ username: 'op1', displayName: 'Op', role: 'operator', password: 'correct horse' });
+  const batch = stores.batches.create({ number: 'B-001', productId: stores.products.getActive().id }, operator);
+  const published = [];
+  const instruments = createInstrumentService({
+    ...stores,
+    config: { fillWindowMinutes: 10, stations: STATIONS },
+    onSamplesChanged: ops => published.push(...ops)
+  });
+  return { ...stores, batch, instruments, published };
+};
+
+test('parsers read SICS balances and plain tester output', () => {
+  assert.deepEqual(PARSERS.sics('S S     0.2712 g'), { value: 0.2712, unit: 'g' });
+  assert.deepEqual(PARSERS.sics('S D     0.2709 g'), { ignored: 'Weight not stable' });
+  assert.throws(() => PARSERS.sics('S +'), /overload/);
+  assert.throws(() => PARSERS.sics('ES'), /syntax error/);
+  assert.deepEqual(PARSERS.plain('Tablet 3: 98.5 N'), { value: 98.5, unit: 'N' });
+  assert.deepEqual(PARSERS.plain('H=10.2kp'), { value: 10.2, unit: 'kp' });
+  assert.deepEqual(PARSERS.pattern('HD 4.12', { pattern: '^HD (?<value>[\\d.]+)$' }), { value: 4.12, unit: null });
+  assert.equal(convertUnit(0.2712, 'g', 'mg'), 271.2);
+  assert.throws(() => convertUnit(1, 'N', 'mg'), /Cannot convert N to mg/);
+});
+
+test('readings fill the samples of the current batch in order', () => {
+  const { instruments, samples, batch, audit, published } = setup();
+  instruments.ingest('balance-1', 'S S     0.2500 g');
+  instruments.ingest('balance-1', 'S D     0.2480 g');
+  instruments.ingest('balance-1', 'S S     0.2510 g');
+  instruments.ingest('hardness-1', 'Tablet 1: 98.5 N');
+
+  assert.deepEqual(samples.list().map(s => [s.batchId, s.machine, s.weight, s.hardness]), [
+    [batch.id, 'Press 1', 250, 98.5],
+    [batch.id, 'Press 1', 251, null]
+  ]);
+  assert.deepEqual(published.map(op => op.type), ['add', 'add', 'update']);
+  assert.equal(audit.list({ entityType: 'sample' })[0].username, 'instrument:hardness-1');
+
+  // Faults are kept on the station, not stored
+  assert.equal(instruments.ingest('balance-1', 'S +'), null);
+  const [balance] = instruments.list();
+  assert.equal(balance.readings, 2);
+  assert.equal(balance.lastError.message, 'Balance overload');
+});
+
+test('stations feed an assigned batch while it is in progress', () => {
+  const { instruments, batches, products, samples } = setup();
+  const other = batches.create({ number: 'B-002', productId: products.getActive().id }, { id: null, username: 'op1' });
+  instruments.assignBatch('balance-1', other.id);
+  instruments.ingest('balance-1', 'S S     0.2500 g');
+  assert.equal(samples.list()[0].batchId, other.id);
+  assert.throws(() => instruments.assignBatch('scale-9', null), { status: 404 });
+});
+
+test('a simulated instrument on a local socket', async (t) => {
+  // Output logged from socket callbacks garbles the test runner's reporting
+  t.mock.method(console, 'log', () => {});
+  const { instruments, samples } = setup();
+  await instruments.start();
+  try {
+    const [balance] = instruments.list();
+    await new Promise((resolve, reject) => {
+      const socket = net.connect(balance.port, '127.0.0.1', () => {
+        socket.write('S D     0.2480 g\r\nS S     0.24');
+        socket.end('90 g\r\nS S     0.2520 g\r\n');
+      });
+      socket.on('error', reject);
+      socket.on('close', resolve);
+    });
+    // Let the listener handle what was sent
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepEqual(samples.list().map(s => s.weight), [249, 252]);
+  } finally {
+    await instruments.stop();
+  }
+});
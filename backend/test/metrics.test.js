@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatabase } = require('../db');
+const { createViolationStore } = require('../violations');
+const { createRegistry, createServiceMetrics } = require('../metrics');
+const { createLogger } = require('../logger');
+
+const violation = (id, rule, productId = 'tab-500') => ({
+  id, productId, parameter: 'weight', chartType: 'imr', rule, description: 'Beyond 3σ',
+  direction: 'up', x: 1, triggerSampleIds: [1], sampleIds: [1], detectedAt: new Date().toISOString()
+});
+
+test('metrics render in the Prometheus text format', () => {
+  const registry = createRegistry();
+  const imports = registry.counter('qc_imports_total', 'Imports', ['source', 'outcome']);
+  const latency = registry.histogram('qc_latency_seconds', 'Latency', ['route'], [0.1, 1]);
+  registry.gauge('qc_clients', 'Clients', [], () => [{ value: 2 }]);
+
+  imports.inc({ source: 'upload', outcome: 'imported' });
+  imports.inc({ source: 'upload', outcome: 'imported' }, 2);
+  imports.inc({ source: 'file "a"\\b', outcome: 'failed' });
+  latency.observe({ route: '/api/data' }, 0.05);
+  latency.observe({ route: '/api/data' }, 0.5);
+
+  assert.equal(registry.render(), [
+    '# HELP qc_imports_total Imports',
+    '# TYPE qc_imports_total counter',
+    'qc_imports_total{source="upload",outcome="imported"} 3',
+    'qc_imports_total{source="file \\"a\\"\\\\b",outcome="failed"} 1',
+    '# HELP qc_latency_seconds Latency',
+    '# TYPE qc_latency_seconds histogram',
+    'qc_latency_seconds_bucket{route="/api/data",le="0.1"} 1',
+    'qc_latency_seconds_bucket{route="/api/data",le="1"} 2',
+    'qc_latency_seconds_bucket{route="/api/data",le="+Inf"} 2',
+    'qc_latency_seconds_sum{route="/api/data"} 0.55',
+    'qc_latency_seconds_count{route="/api/data"} 2',
+    '# HELP qc_clients Clients',
+    '# TYPE qc_clients gauge',
+    'qc_clients 2',
+    ''
+  ].join('\n'));
+  assert.throws(() => registry.counter('qc_imports_total', 'Again'), /already registered/);
+});
+
+test('unresolved violations are counted per product, rule and status when scraped', () => {
+  const violations = createViolationStore(openDatabase(':memory:'));
+  violations.record([violation('a', 1), violation('b', 1), violation('c', 'cusum'), violation('d', 1, 'cap-10')]);
+  violations.update('b', { status: 'acknowledged' });
+  violations.update('c', { status: 'closed', rootCause: 'Worn punch', correctiveAction: 'Replaced' });
+  const metrics = createServiceMetrics({ clients: () => 3, violations });
+
+  const lines = metrics.render().split('\n');
+  assert.deepEqual(lines.filter(line => line.startsWith('qc_violations_unresolved')), [
+    'qc_violations_unresolved{product="cap-10",rule="1",status="open"} 1',
+    'qc_violations_unresolved{product="tab-500",rule="1",status="acknowledged"} 1',
+    'qc_violations_unresolved{product="tab-500",rule="1",status="open"} 1'
+  ]);
+  assert.ok(lines.includes('qc_socket_clients 3'));
+
+  metrics.recordImport('watch_folder', 'imported', { added: 4, rejected: 1 });
+  const rendered = metrics.render();
+  assert.match(rendered, /^qc_imports_total\{source="watch_folder",outcome="imported"\} 1$/m);
+  assert.match(rendered, /^qc_import_rows_total\{source="watch_folder",result="added"\} 4$/m);
+  assert.match(rendered, /^qc_import_rows_total\{source="watch_folder",result="rejected"\} 1$/m);
+});
+
+test('log entries are JSON lines filtered by level, with child fields and errors', (t) => {
+  const lines = { out: [], err: [] };
+  t.mock.method(console, 'log', line => lines.out.push(JSON.parse(line)));
+  t.mock.method(console, 'error', line => lines.err.push(JSON.parse(line)));
+  const log = createLogger({ level: 'info', format: 'json' });
+
+  log.debug('Not written');
+  log.info('Samples imported', { added: 3 });
+  log.child({ requestId: 'req-1' }).error('Request failed', { error: Object.assign(new Error('Boom'), { status: 502 }) });
+
+  assert.equal(lines.out.length, 1);
+  assert.deepEqual({ ...lines.out[0], time: undefined }, { time: undefined, level: 'info', msg: 'Samples imported', added: 3 });
+  assert.equal(lines.err[0].requestId, 'req-1');
+  assert.equal(lines.err[0].level, 'error');
+  assert.equal(lines.err[0].error.message, 'Boom');
+  assert.equal(lines.err[0].error.status, 502);
+  assert.throws(() => createLogger({ level: 'loud' }), /Unknown log level/);
+});
@@ -0,0 +1,203 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+const { createNotifier } = require('../notifications');
+
+const PRODUCT = { id: 'tab-500', name: 'Tablet 500 mg', version: 3, recipients: ['qa@example.com'] };
+
+const alert = (rule, x, parameter = 'weight') => ({
+  id: `tab-500:${parameter}:${rule}:${x}`,
+  productId: 'tab-500',
+  parameter,
+  chartType: 'imr',
+  rule,
+  description: `Rule ${rule} description`,
+  direction: 'up',
+  x,
+  triggerSampleIds: [x],
+  sampleIds: [x]
+});
+
+const listen = (server) => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+// Just enough SMTP to accept a message; received messages are pushed to `messages`
+const startSmtpServer = async () => {
+  const messages = [];
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    let message = { to: [], data: '' };
+    socket.write('220 localhost stand-in\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push(message);
+            message = { to: [], data: '' };
+            socket.write('250 OK\r\n');
+          } else {
+            message.data += `${line}\n`;
+          }
+        } else if (/^(EHLO|HELO)/i.test(line)) {
+          socket.write('250 localhost\r\n');
+        } else if (/^RCPT TO:/i.test(line)) {
+          message.to.push(line.replace(/^RCPT TO:\s*<?([^>]*)>?.*$/i, '$1'));
+          socket.write('250 OK\r\n');
+        } else if (/^DATA/i.test(line)) {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (/^QUIT/i.test(line)) {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+  const port = await listen(server);
+  return { port, messages, close: () => server.close() };
+};
+
+const startWebhookServer = async (status = 200) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push(JSON.parse(body));
+      res.writeHead(status).end();
+    });
+  });
+  const port = await listen(server);
+  return { url: `http://127.0.0.1:${port}/hook`, requests, close: () => server.close() };
+};
+
+const config = (channels, throttleMinutes = 30) => ({
+  ruleSeverity: { 1: 'critical', 5: 'major' },
+  throttleMinutes,
+  channels
+});
+
+test('email channel sends severe alerts to the product recipients', async (t) => {
+  const smtp = await startSmtpServer();
+  t.after(smtp.close);
+  const notifier = createNotifier(config({
+    email: { enabled: true, minSeverity: 'major', host: '127.0.0.1', port: smtp.port, from: 'qc@example.com' }
+  }));
+  t.after(notifier.close);
+
+  const results = await notifier.notify(PRODUCT, [alert(1, 4), alert(2, 9)]);
+  assert.deepEqual(results, [{ channel: 'email', sent: true }]);
+  assert.equal(smtp.messages.length, 1);
+  assert.deepEqual(smtp.messages[0].to, ['qa@example.com']);
+  assert.match(smtp.messages[0].data, /Rule 1/);
+  // Rule 2 is minor, below the channel's threshold
+  assert.doesNotMatch(smtp.messages[0].data, /Rule 2/);
+});
+
+test('webhook channel posts the alerts as JSON', async (t) => {
+  const hook = await startWebhookServer();
+  t.after(hook.close);
+  const notifier = createNotifier(config({ webhook: { enabled: true, minSeverity: 'major', url: hook.url } }));
+
+  await notifier.notify(PRODUCT, [alert(5, 7)]);
+  assert.equal(hook.requests.length, 1);
+  assert.equal(hook.requests[0].product.id, 'tab-500');
+  assert.equal(hook.requests[0].severity, 'major');
+  assert.deepEqual(hook.requests[0].alerts.map(a => a.rule), [5]);
+});
+
+test('nothing is sent when no alert reaches the minimum severity', async (t) => {
+  const hook = await startWebhookServer();
+  t.after(hook.close);
+  const notifier = createNotifier(config({ webhook: { enabled: true, minSeverity: 'critical', url: hook.url } }));
+
+  const results = await notifier.notify(PRODUCT, [alert(5, 7), alert(3, 8)]);
+  assert.deepEqual(results, [{ channel: 'webhook', sent: false }]);
+  assert.equal(hook.requests.length, 0);
+});
+
+test('repeat alerts are throttled and counted in the next notification', async (t) => {
+  const hook = await startWebhookServer();
+  t.after(hook.close);
+  let time = 0;
+  const notifier = createNotifier(
+    config({ webhook: { enabled: true, minSeverity: 'major', url: hook.url } }, 10),
+    { now: () => time }
+  );
+
+  await notifier.notify(PRODUCT, [alert(1, 4)]);
+  time += 60 * 1000;
+  await notifier.notify(PRODUCT, [alert(1, 5)]);
+  await notifier.notify(PRODUCT, [alert(1, 6)]);
+  // A different parameter is throttled separately
+  await notifier.notify(PRODUCT, [alert(1, 6, 'hardness')]);
+  assert.equal(hook.requests.length, 2);
+
+  time += 10 * 60 * 1000;
+  await notifier.notify(PRODUCT, [alert(1, 7)]);
+  assert.equal(hook.requests.length, 3);
+  assert.equal(hook.requests[2].suppressed, 2);
+});
+
+test('delivery failures are reported, not thrown', async (t) => {
+  const hook = await startWebhookServer(500);
+  t.after(hook.close);
+  const notifier = createNotifier(config({ webhook: { enabled: true, minSeverity: 'major', url: hook.url } }));
+
+  const [result] = await notifier.notify(PRODUCT, [alert(1, 4)]);
+  assert.equal(result.sent, false);
+  assert.match(result.error, /500/);
+});
+
+test('a failed delivery neither starts the throttle window nor drops the held-back count', async (t) => {
+  let failing = true;
+  const delivered = [];
+  const flaky = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (!failing) delivered.push(JSON.parse(body));
+      res.writeHead(failing ? 503 : 200).end();
+    });
+  });
+  const port = await listen(flaky);
+  t.after(() => flaky.close());
+  let time = 0;
+  const notifier = createNotifier(
+    config({ webhook: { enabled: true, minSeverity: 'major', url: `http://127.0.0.1:${port}/hook` } }, 10),
+    { now: () => time }
+  );
+
+  // Held back within one notification, then the delivery fails
+  const [failed] = await notifier.notify(PRODUCT, [alert(1, 4), alert(1, 5)]);
+  assert.equal(failed.sent, false);
+
+  failing = false;
+  time += 60 * 1000;
+  const [next] = await notifier.notify(PRODUCT, [alert(1, 6)]);
+  assert.equal(next.sent, true);
+  assert.equal(delivered[0].suppressed, 1);
+  // Now it went out, the window starts
+  time += 60 * 1000;
+  assert.equal((await notifier.notify(PRODUCT, [alert(1, 7)]))[0].sent, false);
+});
+
+test('an email with nobody to go to leaves the next alert free to go out', async (t) => {
+  const smtp = await startSmtpServer();
+  t.after(smtp.close);
+  const notifier = createNotifier(config({
+    email: { enabled: true, minSeverity: 'major', host: '127.0.0.1', port: smtp.port, from: 'qc@example.com' }
+  }));
+  t.after(notifier.close);
+
+  assert.deepEqual(await notifier.notify({ ...PRODUCT, recipients: [] }, [alert(1, 4)]), [{ channel: 'email', sent: false }]);
+  assert.deepEqual(await notifier.notify(PRODUCT, [alert(1, 5)]), [{ channel: 'email', sent: true }]);
+  assert.equal(smtp.messages.length, 1);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatabase } = require('../db');
+const { createBatchStore } = require('../batches');
+const { createSampleStore } = require('../samples');
+const { createProductStore } = require('../products');
+const { createLimitSetStore } = require('../limitSets');
+const { createViolationStore } = require('../violations');
+const { createUserStore } = require('../users');
+const { createReportService, reportFileName } = require('../reports');
+const { readExcelBuffer } = require('../excel');
+
+const PARAMETERS = [{ key: 'weight', name: 'Weight', unit: 'mg', decimals: 1, lsl: 240, usl: 260 }];
+
+const setup = () => {
+  const db = openDatabase(':memory:');
+  const stores = {
+    parameters: PARAMETERS,
+    products: createProductStore(db, PARAMETERS),
+    batches: createBatchStore(db),
+    samples: createSampleStore(db, PARAMETERS),
+    limitSets: createLimitSetStore(db, PARAMETERS),
+    violations: createViolationStore(db)
+  };
+  const qa = createUserStore(db).create({ username: 'qa1', displayName: 'Q. A.', role: 'qa', password: 'correct horse' });
+  const product = stores.products.getActive();
+  const other = stores.batches.create({ number: 'B-001', productId: product.id }, qa);
+  const batch = stores.batches.create({ number: 'B-002', productId: product.id }, qa);
+  [249, 251, 250, 252].forEach(weight => stores.samples.add({ batchId: other.id, weight }));
+  [250, 248, 262, 251, 249].forEach(weight => stores.samples.add({ batchId: batch.id, weight }));
+  return { ...stores, qa, product, batch, reports: createReportService(stores) };
+};
+
+const recordViolation = ({ violations, product }, id, sampleIds) => violations.record([{
+  id, productId: product.id, parameter: 'weight', chartType: 'imr', rule: 1, description: 'Beyond 3σ',
+  direction: 'up', x: sampleIds[0], triggerSampleIds: sampleIds, sampleIds, detectedAt: new Date().toISOString()
+}]);
+
+test('the batch report covers only the batch\'s samples and violations', () => {
+  const stores = setup();
+  const { reports, product, batch } = stores;
+  const record = (id, sampleIds) => recordViolation(stores, id, sampleIds);
+  record('in-batch', [7]);
+  record('elsewhere', [2]);
+
+  const report = reports.batchReport(batch.id);
+  assert.equal(report.product.id, product.id);
+  const [weight] = report.parameters;
+  assert.equal(weight.stats.n, 5);
+  assert.equal(weight.stats.outOfSpec, 1);
+  assert.equal(weight.capability.n, 5);
+  // Chart points of the batch, against limits from all samples
+  assert.deepEqual(weight.chart.map(p => p.x), [5, 6, 7, 8, 9]);
+  assert.deepEqual(weight.chart.map(p => p.signal), [false, false, true, false, false]);
+  assert.deepEqual(report.violations.map(v => v.id), ['in-batch']);
+});
+
+test('batch reports chart only the product\'s own samples', () => {
+  const stores = setup();
+  const { reports, products, batches, samples, qa, batch } = stores;
+  const before = reports.batchReport(batch.id).parameters[0].chart;
+
+  const other = products.create({ id: 'cap-10', name: 'Capsule 10 mg', changeNote: 'New product' });
+  const otherBatch = batches.create({ number: 'C-001', productId: other.id }, qa);
+  [500, 900, 650, 800, 700].forEach(weight => samples.add({ batchId: otherBatch.id, weight }));
+
+  const after = reports.batchReport(batch.id).parameters[0].chart;
+  assert.deepEqual(after, before);
+  assert.ok(after.every(point => point.ucl < 270));
+});
+
+test('reports render as PDF', async () => {
+  const { reports, batch } = setup();
+  const { fileName, pdf } = await reports.batchReportPdf(batch.id);
+  assert.equal(fileName, 'batch-B-002-qc-report.pdf');
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  assert.equal(reportFileName({ number: 'L 12/7' }), 'batch-L_12_7-qc-report.pdf');
+  await assert.rejects(reports.batchReportPdf(99), { status: 404 });
+});
+
+test('data exports filter by batch and flag out-of-spec values and violated rules', async () => {
+  const stores = setup();
+  const { reports, batch } = stores;
+  recordViolation(stores, 'in-batch', [7]);
+
+  const data = reports.dataExport({ batchId: String(batch.id) });
+  assert.deepEqual(data.rows.map(row => row.sample.id), [5, 6, 7, 8, 9]);
+  assert.deepEqual(data.rows.map(row => row.outOfSpec), [[], [], ['weight'], [], []]);
+  assert.deepEqual(data.rows[2].rules, ['Weight: Rule 1']);
+  assert.equal(data.summary[0].stats.outOfSpec, 1);
+  assert.deepEqual(data.violations.map(v => v.id), ['in-batch']);
+
+  // Other products' samples and violations are left out of the active product's export
+  const otherProduct = stores.products.create({ id: 'cap-10', name: 'Capsule 10 mg', changeNote: 'New product' });
+  const otherBatch = stores.batches.create({ number: 'C-001', productId: otherProduct.id }, stores.qa);
+  stores.samples.add({ batchId: otherBatch.id, weight: 900 });
+  stores.violations.record([{
+    id: 'other-product', productId: otherProduct.id, parameter: 'weight', chartType: 'imr', rule: 1,
+    description: 'Beyond 3σ', direction: 'up', x: 10, triggerSampleIds: [10], sampleIds: [10, 7],
+    detectedAt: new Date().toISOString()
+  }]);
+  const active = reports.dataExport({});
+  assert.deepEqual(active.rows.map(row => row.sample.id), [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  assert.equal(active.summary[0].stats.outOfSpec, 1);
+  assert.deepEqual(active.violations.map(v => v.id), ['in-batch']);
+
+  const tomorrow = new Date(Date.now() + 86400000).toISOString().slice(0, 10);
+  assert.equal(reports.dataExport({ from: tomorrow }).rows.length, 0);
+  assert.equal(reports.dataExport({ to: new Date().toISOString().slice(0, 10) }).rows.length, 9);
+  assert.throws(() => reports.dataExport({ from: 'soon' }), { status: 400 });
+
+  // The workbook's first sheet reads back as samples
+  const workbook = await reports.dataExportFile('xlsx', { batchId: batch.id });
+  assert.match(workbook.fileName, /^qc_data_\d{4}-\d{2}-\d{2}_batch-B-002\.xlsx$/);
+  const { accepted } = readExcelBuffer(workbook.body, PARAMETERS.map(p => ({ ...p, columns: [] })));
+  assert.deepEqual(accepted.map(row => row.sample.weight), [250, 248, 262, 251, 249]);
+
+  const csv = (await reports.dataExportFile('csv', { batchId: batch.id })).body.toString().split('\r\n');
+  assert.equal(csv[0], 'Sample ID,Batch No,Machine,Operator,Subgroup,Measured At,Weight (mg),Violated Rules');
+  assert.match(csv[3], /^7,B-002,.*,262,Weight: Rule 1$/);
+});
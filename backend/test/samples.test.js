@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatabase } = require('../db');
+const { createSampleStore, importCounts } = require('../samples');
+
+const PARAMETERS = [{ key: 'weight' }, { key: 'hardness' }];
+
+const setup = () => createSampleStore(openDatabase(':memory:'), PARAMETERS);
+
+test('importing a workbook twice does not duplicate rows', () => {
+  const samples = setup();
+  const rows = [
+    { id: 1, subgroup: null, measuredAt: '2026-01-05T08:00:00.000Z', weight: 27.1, hardness: 10 },
+    { id: 2, subgroup: null, measuredAt: null, weight: 26.9, hardness: 9.8 }
+  ];
+  assert.deepEqual(importCounts(samples.importRows('line.xlsx', rows)), { added: 2, updated: 0 });
+  assert.deepEqual(importCounts(samples.importRows('line.xlsx', rows)), { added: 0, updated: 0 });
+
+  const stored = samples.list();
+  assert.equal(stored.length, 2);
+  assert.equal(stored[0].measuredAt, '2026-01-05T08:00:00.000Z');
+  // Rows without a timestamp are stamped with the import time
+  assert.ok(stored[1].measuredAt);
+});
+
+test('a changed workbook row updates its sample; dashboard edits survive unchanged rows', () => {
+  const samples = setup();
+  const row = { id: 1, subgroup: null, measuredAt: null, weight: 27.1, hardness: 10 };
+  samples.importRows('line.xlsx', [row]);
+  const [sample] = samples.list();
+
+  samples.update(sample.id, { hardness: 10.4, baseRevision: sample.revision });
+  samples.importRows('line.xlsx', [row]);
+  assert.equal(samples.list()[0].hardness, 10.4);
+
+  assert.deepEqual(importCounts(samples.importRows('line.xlsx', [{ ...row, weight: 27.6 }])), { added: 0, updated: 1 });
+  assert.equal(samples.list()[0].id, sample.id);
+  assert.equal(samples.list()[0].weight, 27.6);
+});
+
+test('samples deleted in the dashboard are not imported again', () => {
+  const samples = setup();
+  const rows = [
+    { id: 1, subgroup: null, measuredAt: '2026-01-05T08:00:00.000Z', weight: 27.1, hardness: 10 },
+    { id: 2, subgroup: null, measuredAt: '2026-01-05T09:00:00.000Z', weight: 26.9, hardness: 9.8 }
+  ];
+  samples.importRows('line.xlsx', rows);
+  const [first] = samples.list();
+  samples.remove(first.id, first.revision);
+
+  assert.deepEqual(importCounts(samples.importRows('line.xlsx', rows)), { added: 0, updated: 0 });
+  assert.deepEqual(importCounts(samples.importRows('line.xlsx', [{ ...rows[0], weight: 27.4 }])), { added: 0, updated: 0 });
+  assert.deepEqual(samples.list().map(sample => sample.weight), [26.9]);
+  // The same row of another file is a different sample
+  assert.deepEqual(importCounts(samples.importRows('other.xlsx', [rows[0]])), { added: 1, updated: 0 });
+});
+
+test('add, update and delete bump revisions and are logged as ops', () => {
+  const samples = setup();
+  const added = samples.add({ subgroup: 'A', weight: 27 });
+  assert.equal(added.type, 'add');
+  assert.equal(added.sample.revision, 1);
+  assert.equal(added.sample.hardness, null);
+
+  const updated = samples.update(added.sampleId, { weight: 27.3, baseRevision: 1 });
+  assert.equal(updated.sample.revision, 2);
+  assert.equal(updated.sample.weight, 27.3);
+  assert.equal(updated.sample.subgroup, 'A');
+
+  const deleted = samples.remove(added.sampleId, 2);
+  assert.equal(deleted.type, 'delete');
+  assert.deepEqual(samples.list(), []);
+
+  assert.deepEqual(samples.opsSince(0).map(op => [op.seq, op.type]), [[1, 'add'], [2, 'update'], [3, 'delete']]);
+  assert.deepEqual(samples.opsSince(2).map(op => op.type), ['delete']);
+  assert.equal(samples.seq(), 3);
+});
+
+test('ids are never reused', () => {
+  const samples = setup();
+  const first = samples.add({ weight: 27 });
+  samples.remove(first.sampleId, 1);
+  assert.ok(samples.add({ weight: 27 }).sampleId > first.sampleId);
+});
+
+test('changes based on an old revision are refused as conflicts', () => {
+  const samples = setup();
+  const { sampleId } = samples.add({ weight: 27 });
+  samples.update(sampleId, { weight: 27.2, baseRevision: 1 });
+
+  assert.throws(() => samples.update(sampleId, { weight: 26.5, baseRevision: 1 }), (error) => {
+    assert.equal(error.status, 409);
+    assert.equal(error.details.sample.weight, 27.2);
+    return true;
+  });
+  assert.throws(() => samples.remove(sampleId, 1), { status: 409 });
+  assert.equal(samples.list()[0].weight, 27.2);
+});
+
+test('invalid changes are rejected', () => {
+  const samples = setup();
+  const { sampleId } = samples.add({});
+  assert.throws(() => samples.update(sampleId, { weight: 'heavy', baseRevision: 1 }), { status: 400 });
+  assert.throws(() => samples.update(sampleId, { colour: 'red', baseRevision: 1 }), { status: 400 });
+  assert.throws(() => samples.update(sampleId, { weight: 27 }), { status: 400 });
+  assert.throws(() => samples.update(sampleId + 1, { weight: 27, baseRevision: 1 }), { status: 404 });
+});
+
+test('clients too far behind are told to reload', () => {
+  const samples = setup();
+  samples.add({ weight: 27 });
+  assert.equal(samples.opsSince(5), null);
+  assert.equal(samples.opsSince(-1), null);
+  assert.deepEqual(samples.opsSince(1), []);
+});
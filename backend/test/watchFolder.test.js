@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openDatabase } = require('../db');
+const { createSampleStore, importCounts } = require('../samples');
+const { createFileImportStore } = require('../fileImports');
+const { readExcelBuffer } = require('../excel');
+const { createFolderImporter } = require('../watchFolder');
+
+const PARAMETERS = [
+  { key: 'weight', name: 'Weight', unit: 'mg', min: 0, max: 1000, columns: [] }
+];
+
+const setup = (t) => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'qc-watch-'));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  const db = openDatabase(':memory:');
+  const samples = createSampleStore(db, PARAMETERS);
+  const fileImports = createFileImportStore(db);
+  const importer = createFolderImporter({
+    folder,
+    fileImports,
+    importBuffer: (buffer, source) => {
+      const { accepted, rejected } = readExcelBuffer(buffer, PARAMETERS);
+      const ops = samples.importRows(source, accepted.map(row => row.sample));
+      return { ...importCounts(ops), accepted: accepted.length, rejected };
+    }
+  });
+  const drop = (name, text) => {
+    const filePath = path.join(folder, name);
+    fs.writeFileSync(filePath, text);
+    return filePath;
+  };
+  return { folder, samples, fileImports, importer, drop };
+};
+
+test('result files are imported once and archived', (t) => {
+  const { folder, samples, fileImports, importer, drop } = setup(t);
+  const csv = 'id,Weight (mg)\n1,250\n2,abc\n';
+
+  const first = importer.processFile(drop('run-1.csv', csv));
+  assert.equal(first.status, 'imported');
+  assert.equal(first.added, 1);
+  assert.deepEqual(first.rejected.map(row => row.rowNumber), [3]);
+  assert.equal(first.movedTo, path.join(folder, 'archive', 'run-1.csv'));
+  assert.equal(fs.existsSync(path.join(folder, 'run-1.csv')), false);
+
+  // The same content again, under the same name: recorded, not imported
+  const again = importer.processFile(drop('run-1.csv', csv));
+  assert.equal(again.status, 'duplicate');
+  assert.match(again.error, /Same content as run-1\.csv/);
+  assert.match(path.basename(again.movedTo), /^\d{4}-.*-run-1\.csv$/);
+  assert.equal(samples.list().length, 1);
+
+  assert.deepEqual(fileImports.list().map(entry => entry.status), ['duplicate', 'imported']);
+});
+
+test('files without importable rows go to the error folder', (t) => {
+  const { folder, samples, importer, drop } = setup(t);
+
+  const unusable = importer.processFile(drop('notes.csv', 'Comment\nall good\n'));
+  assert.equal(unusable.status, 'failed');
+  assert.equal(unusable.error, 'No rows could be imported (1 rejected)');
+  assert.equal(unusable.movedTo, path.join(folder, 'error', 'notes.csv'));
+
+  // A failed file may be fixed and dropped again
+  const fixed = importer.processFile(drop('notes.csv', 'Weight\n250\n'));
+  assert.equal(fixed.status, 'imported');
+  assert.equal(samples.list().length, 1);
+});
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const { badRequest, unauthorized, forbidden, notFound } = require('./errors');
+
+// User accounts and login sessions. Roles are ranked: operators enter data,
+// QA additionally acknowledges and approves, admins additionally manage
+// products, limits and users.
+//
+// Passwords are stored as scrypt hashes; session tokens are random and only
+// their SHA-256 is stored.
+//
+// Tables: users, sessions
+
+const ROLES = ['operator', 'qa', 'admin'];
+const SESSION_HOURS = 12;
+const MIN_PASSWORD_LENGTH = 8;
+
+const hasRole = (user, role) => ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+};
+
+const verifyPassword = (password, stored) => {
+  const [, salt, hash] = stored.split('$');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const fromRow = (row) => ({
+  id: row.id,
+  username: row.username,
+  displayName: row.display_name,
+  role: row.role,
+  active: Boolean(row.active),
+  createdAt: row.created_at
+});
+
+function createUserStore(db) {
+  const statements = {
+    list: db.prepare('SELECT * FROM users ORDER BY username'),
+    get: db.prepare('SELECT * FROM users WHERE id = ?'),
+    byUsername: db.prepare('SELECT * FROM users WHERE username = ?'),
+    count: db.prepare('SELECT COUNT(*) AS count FROM users'),
+    insert: db.prepare(`
+      INSERT INTO users (username, display_name, role, password_hash, created_at)
+      VALUES (@username, @displayName, @role, @passwordHash, @createdAt)`),
+    update: db.prepare(`
+      UPDATE users SET display_name = @displayName, role = @role, active = @active,
+        password_hash = COALESCE(@passwordHash, password_hash)
+      WHERE id = @id`),
+    addSession: db.prepare('INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)'),
+    session: db.prepare(`
+      SELECT users.* FROM sessions JOIN users ON users.id = sessions.user_id
+      WHERE token_hash = ? AND expires_at > ? AND users.active = 1`),
+    removeSession: db.prepare('DELETE FROM sessions WHERE token_hash = ?'),
+    removeUserSessions: db.prepare('DELETE FROM sessions WHERE user_id = ?'),
+    pruneSessions: db.prepare('DELETE FROM sessions WHERE expires_at <= ?')
+  };
+
+  const checkRole = (role) => {
+    if (!ROLES.includes(role)) {
+      throw badRequest(`Role must be one of ${ROLES.join(', ')}`);
+    }
+    return role;
+  };
+
+  const checkPassword = (password) => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw badRequest(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    return password;
+  };
+
+  const list = () => statements.list.all().map(fromRow);
+
+  const get = (id) => {
+    const row = statements.get.get(id);
+    if (!row) {
+      throw notFound(`User ${id} not found`);
+    }
+    return fromRow(row);
+  };
+
+  const create = ({ username, displayName, role, password }) => {
+    if (!username || !/^[a-z0-9._-]+$/i.test(username)) {
+      throw badRequest('Usernames may contain letters, digits, dots, dashes and underscores');
+    }
+    if (statements.byUsername.get(username)) {
+      throw badRequest(`User "${username}" already exists`);
+    }
+    const { lastInsertRowid } = statements.insert.run({
+      username,
+      displayName: displayName || username,
+      role: checkRole(role),
+      passwordHash: hashPassword(checkPassword(password)),
+      createdAt: new Date().toISOString()
+    });
+    return get(Number(lastInsertRowid));
+  };
+
+  // Deactivating a user or changing their password ends their sessions
+  const update = (id, { displayName, role, active, password }) => {
+    const current = get(id);
+    const user = {
+      id,
+      displayName: displayName || current.displayName,
+      role: role ? checkRole(role) : current.role,
+      active: active === undefined ? current.active : Boolean(active),
+      passwordHash: password === undefined ? null : hashPassword(checkPassword(password))
+    };
+    statements.update.run({ ...user, active: user.active ? 1 : 0 });
+    if (!user.active || user.passwordHash) {
+      statements.removeUserSessions.run(id);
+    }
+    return get(id);
+  };
+
+  const login = (username, password) => {
+    const row = statements.byUsername.get(String(username || ''));
+    if (!row || !row.active || !verifyPassword(String(password || ''), row.password_hash)) {
+      throw unauthorized('Invalid username or password');
+    }
+    const now = new Date();
+    statements.pruneSessions.run(now.toISOString());
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(now.getTime() + SESSION_HOURS * 3600 * 1000).toISOString();
+    statements.addSession.run(hashToken(token), row.id, now.toISOString(), expiresAt);
+    return { token, expiresAt, user: fromRow(row) };
+  };
+
+  // Electronic signatures: the signer re-enters both their username and
+  // password, and has to be the user logged in
+  const verifySignature = (user, { username, password } = {}) => {
+    const row = statements.byUsername.get(String(username || ''));
+    if (!row || row.id !== user.id || !row.active || !verifyPassword(String(password || ''), row.password_hash)) {
+      throw forbidden('Signature not accepted: username or password is wrong');
+    }
+    return fromRow(row);
+  };
+
+  const logout = (token) => {
+    statements.removeSession.run(hashToken(token));
+  };
+
+  // The user a session token belongs to, or null
+  const authenticate = (token) => {
+    if (!token) return null;
+    const row = statements.session.get(hashToken(token), new Date().toISOString());
+    return row ? fromRow(row) : null;
+  };
+
+  // First start: create an admin so someone can log in and add the others.
+  // The password comes from ADMIN_PASSWORD or is generated and printed once.
+  const ensureAdmin = () => {
+    if (statements.count.get().count > 0) return null;
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+    const admin = create({
+      username: process.env.ADMIN_USERNAME || 'admin',
+      displayName: 'Administrator',
+      role: 'admin',
+      password
+    });
+    return { admin, password: process.env.ADMIN_PASSWORD ? null : password };
+  };
+
+  return { list, get, create, update, login, verifySignature, logout, authenticate, ensureAdmin };
+}
+
+const bearerToken = (header) => {
+  const match = /^Bearer (.+)$/.exec(header || '');
+  return match ? match[1] : null;
+};
+
+// Express middleware: sets req.user from the Authorization header, 401 without one
+const requireUser = (users) => (req, res, next) => {
+  req.user = users.authenticate(bearerToken(req.headers.authorization));
+  if (!req.user) {
+    next(unauthorized('Please log in'));
+    return;
+  }
+  next();
+};
+
+// Express middleware: the logged-in user must have at least `role`
+const requireRole = (role) => (req, res, next) => {
+  if (!hasRole(req.user, role)) {
+    next(forbidden(`This needs the ${role} role`));
+    return;
+  }
+  next();
+};
+
+module.exports = { ROLES, hasRole, createUserStore, bearerToken, requireUser, requireRole };
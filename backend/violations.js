@@ -0,0 +1,138 @@
+const { toJson, fromJson } = require('./db');
+const { badRequest, notFound } = require('./errors');
+
+// Recorded out-of-control signals and their investigation. Every violation
+// the backend detects is stored once (by the id the alert monitor gives it)
+// and starts out open. Investigators acknowledge it, record a root cause and
+// the corrective/preventive action (CAPA), comment on it and finally close
+// it; a violation can only be closed once root cause and CAPA are filled in.
+//
+// Tables: violations and violation_comments
+
+const STATUSES = ['open', 'acknowledged', 'closed'];
+
+const optionalText = (value, field) => {
+  if (value === undefined) return undefined;
+  if (value !== null && typeof value !== 'string') {
+    throw badRequest(`${field} must be text`);
+  }
+  return value ? value.trim() : null;
+};
+
+const fromRow = (row) => ({
+  id: row.id,
+  productId: row.product_id,
+  parameter: row.parameter,
+  chartType: row.chart_type,
+  rule: row.rule,
+  description: row.description,
+  direction: row.direction,
+  x: fromJson(row.x),
+  triggerSampleIds: fromJson(row.trigger_sample_ids, []),
+  sampleIds: fromJson(row.sample_ids, []),
+  detectedAt: row.detected_at,
+  status: row.status,
+  rootCause: row.root_cause,
+  correctiveAction: row.corrective_action,
+  updatedAt: row.updated_at
+});
+
+// Filters accepted by list(), with the condition each adds
+const FILTERS = {
+  productId: 'product_id = @productId',
+  status: 'status = @status',
+  parameter: 'parameter = @parameter',
+  rule: 'rule = @rule',
+  from: 'detected_at >= @from',
+  to: 'detected_at <= @to'
+};
+
+function createViolationStore(db) {
+  const statements = {
+    get: db.prepare('SELECT * FROM violations WHERE id = ?'),
+    comments: db.prepare('SELECT text, at FROM violation_comments WHERE violation_id = ? ORDER BY id'),
+    insert: db.prepare(`
+      INSERT OR IGNORE INTO violations (id, product_id, parameter, chart_type, rule, description, direction, x,
+        trigger_sample_ids, sample_ids, detected_at, status, updated_at)
+      VALUES (@id, @productId, @parameter, @chartType, @rule, @description, @direction, @x,
+        @triggerSampleIds, @sampleIds, @detectedAt, 'open', @detectedAt)`),
+    update: db.prepare(`
+      UPDATE violations SET status = @status, root_cause = @rootCause,
+        corrective_action = @correctiveAction, updated_at = @updatedAt
+      WHERE id = @id`),
+    addComment: db.prepare('INSERT INTO violation_comments (violation_id, text, at) VALUES (?, ?, ?)'),
+    countUnresolved: db.prepare(`
+      SELECT product_id AS productId, rule, status, COUNT(*) AS count FROM violations
+      WHERE status != 'closed' GROUP BY product_id, rule, status ORDER BY product_id, rule, status`)
+  };
+
+  const withComments = (row) => ({ ...fromRow(row), comments: statements.comments.all(row.id) });
+
+  // Store newly detected violations; ones already on record are left alone
+  const record = db.transaction((alerts) => alerts
+    .filter(alert => statements.insert.run({
+      ...alert,
+      x: toJson(alert.x),
+      triggerSampleIds: toJson(alert.triggerSampleIds),
+      sampleIds: toJson(alert.sampleIds)
+    }).changes > 0)
+    .map(alert => withComments(statements.get.get(alert.id))));
+
+  // Newest first. Filters: productId, status, parameter, rule, from/to
+  // (ISO dates compared with detectedAt).
+  const list = (filters = {}) => {
+    if (filters.status && !STATUSES.includes(filters.status)) {
+      throw badRequest(`Status must be one of ${STATUSES.join(', ')}`);
+    }
+    const active = Object.keys(FILTERS).filter(key => filters[key]);
+    const where = active.length > 0 ? `WHERE ${active.map(key => FILTERS[key]).join(' AND ')}` : '';
+    // Run rules are numbered, shift charts named ('cusum', 'ewma')
+    const params = Object.fromEntries(active.map(key => [
+      key,
+      key === 'rule' && /^\d+$/.test(filters.rule) ? Number(filters.rule) : String(filters[key])
+    ]));
+    return db.prepare(`SELECT * FROM violations ${where} ORDER BY detected_at DESC, id`)
+      .all(params)
+      .map(withComments);
+  };
+
+  const get = (id) => {
+    const row = statements.get.get(id);
+    if (!row) {
+      throw notFound(`Violation "${id}" not found`);
+    }
+    return withComments(row);
+  };
+
+  const update = db.transaction((id, { status, rootCause, correctiveAction, comment }) => {
+    const current = get(id);
+    if (status !== undefined && !STATUSES.includes(status)) {
+      throw badRequest(`Status must be one of ${STATUSES.join(', ')}`);
+    }
+
+    const now = new Date().toISOString();
+    const changes = Object.fromEntries(Object.entries({
+      status,
+      rootCause: optionalText(rootCause, 'rootCause'),
+      correctiveAction: optionalText(correctiveAction, 'correctiveAction')
+    }).filter(([, value]) => value !== undefined));
+    const violation = { ...current, ...changes, updatedAt: now };
+    if (violation.status === 'closed' && (!violation.rootCause || !violation.correctiveAction)) {
+      throw badRequest('A root cause and corrective action are required to close a violation');
+    }
+
+    statements.update.run(violation);
+    const text = optionalText(comment, 'comment');
+    if (text) {
+      statements.addComment.run(id, text, now);
+    }
+    return get(id);
+  });
+
+  // Violations not closed yet: [{ productId, rule, status, count }]
+  const countUnresolved = () => statements.countUnresolved.all();
+
+  return { record, list, get, update, countUnresolved };
+}
+
+module.exports = { STATUSES, createViolationStore };
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const chokidar = require('chokidar');
+const { log } = require('./logger');
+const { contentHashOf, sourceOf } = require('./imports');
+
+// File watching for imports.
+//
+// Watch folder: testers drop one result file (CSV/XLSX/XLS) per run into a
+// shared folder. Every new file is imported once and then moved out of the
+// way: into the archive folder when its rows were imported (or its content
+// had been imported before), into the error folder when it couldn't be read
+// or none of its rows were accepted. Each file's outcome is recorded (see
+// fileImports.js); files are recognised by content, so dropping the same
+// file again never imports it twice.
+//
+// Single file: the line's workbook, re-imported whenever it's written.
+//
+// Both wait for a folder or file that doesn't exist yet, and start once it
+// is created.
+
+const FILE_TYPES = ['.csv', '.xlsx', '.xls'];
+
+// Files still being written are picked up once their size settles
+const WRITE_FINISH = { stabilityThreshold: 1000, pollInterval: 100 };
+
+// Call onExists once `target` exists, watching its parent until then.
+// Returns a function that stops waiting.
+function whenExists(target, onExists) {
+  if (fs.existsSync(target)) {
+    onExists();
+    return () => {};
+  }
+  const parent = path.dirname(target);
+  if (!fs.existsSync(parent)) {
+    log.warn('Cannot watch for a path whose folder does not exist', { path: target, folder: parent });
+    return () => {};
+  }
+  log.info('Waiting for the path to be created', { path: target });
+  const watcher = chokidar.watch(parent, { depth: 0, ignoreInitial: true });
+  const created = (createdPath) => {
+    if (path.resolve(createdPath) === path.resolve(target)) {
+      watcher.close();
+      onExists();
+    }
+  };
+  watcher.on('add', created).on('addDir', created);
+  return () => watcher.close();
+}
+
+// `target` in `dir`, prefixed with a timestamp when the name is taken
+function moveInto(dir, filePath) {
+  fs.mkdirSync(dir, { recursive: true });
+  const name = path.basename(filePath);
+  let destination = path.join(dir, name);
+  if (fs.existsSync(destination)) {
+    destination = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${name}`);
+  }
+  try {
+    fs.renameSync(filePath, destination);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    fs.copyFileSync(filePath, destination);
+    fs.unlinkSync(filePath);
+  }
+  return destination;
+}
+
+// importBuffer(buffer, source) imports a file's rows and returns
+// { added, updated, accepted, rejected }; it throws for unreadable files.
+// onProcessed gets each file's record; onEvent(event, filePath) hears of
+// every file seen ('added') and every one that couldn't be processed
+// ('error').
+function createFolderImporter({
+  folder, archiveDir = path.join(folder, 'archive'), errorDir = path.join(folder, 'error'),
+  fileImports, importBuffer, onProcessed = () => {}, onEvent = () => {}
+}) {
+  let stopWaiting = () => {};
+  let watcher = null;
+
+  // Import one file and move it; returns its record
+  const processFile = (filePath) => {
+    const fileName = path.basename(filePath);
+    const buffer = fs.readFileSync(filePath);
+    const contentHash = contentHashOf(buffer);
+    let outcome;
+
+    const earlier = fileImports.findImported(contentHash);
+    if (earlier) {
+      outcome = { status: 'duplicate', error: `Same content as ${earlier.fileName}, imported ${earlier.processedAt}` };
+    } else {
+      try {
+        const { added, updated, accepted, rejected } = importBuffer(buffer, sourceOf(fileName, contentHash));
+        outcome = accepted > 0
+          ? { status: 'imported', added, updated, rejected }
+          : { status: 'failed', rejected, error: rejected.length > 0 ? `No rows could be imported (${rejected.length} rejected)` : 'The file has no rows' };
+      } catch (error) {
+        outcome = { status: 'failed', error: error.message };
+      }
+    }
+
+    let movedTo = null;
+    try {
+      movedTo = moveInto(outcome.status === 'failed' ? errorDir : archiveDir, filePath);
+    } catch (error) {
+      outcome.error = [outcome.error, `Could not move the file: ${error.message}`].filter(Boolean).join('; ');
+    }
+    const entry = fileImports.record({ fileName, contentHash, ...outcome, movedTo });
+    onProcessed(entry);
+    return entry;
+  };
+
+  const handle = (filePath) => {
+    if (!FILE_TYPES.includes(path.extname(filePath).toLowerCase())) return;
+    onEvent('added', filePath);
+    try {
+      processFile(filePath);
+    } catch (error) {
+      // Gone before we got to it, or not readable yet; a later event retries
+      onEvent('error', filePath);
+      log.error('Could not process a result file', { file: filePath, error });
+    }
+  };
+
+  // Files already in the folder are processed first
+  const start = () => {
+    stopWaiting = whenExists(folder, () => {
+      watcher = chokidar.watch(folder, { depth: 0, awaitWriteFinish: WRITE_FINISH });
+      watcher.on('add', handle);
+      log.info('Watching folder for result files', { folder });
+    });
+  };
+
+  const stop = () => {
+    stopWaiting();
+    return watcher ? watcher.close() : Promise.resolve();
+  };
+
+  return { start, stop, processFile };
+}
+
+// Call onChange(filePath, event) whenever `filePath` is created ('add') or
+// written ('change')
+function watchFile(filePath, onChange) {
+  const watcher = chokidar.watch(path.dirname(filePath), {
+    depth: 0,
+    ignoreInitial: true,
+    awaitWriteFinish: { stabilityThreshold: 500, pollInterval: 100 },
+    ignored: (candidate, stats) => Boolean(stats && stats.isFile()) && path.resolve(candidate) !== path.resolve(filePath)
+  });
+  const changed = event => (changedPath) => {
+    if (path.resolve(changedPath) === path.resolve(filePath)) onChange(changedPath, event);
+  };
+  watcher.on('add', changed('add')).on('change', changed('change'));
+  return watcher;
+}
+
+module.exports = { createFolderImporter, watchFile, FILE_TYPES };
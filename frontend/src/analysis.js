@@ -0,0 +1,73 @@
+import { applyLimits, buildSeries, DEFAULT_RULE_SET, defaultChartType, cusum, evaluateRules, evaluateShiftRules, ewma, NO_TRANSFORM, resolveRuleSet, resolveShiftRules, ruleSetDescriptions, sameTransform, transformer, transformSamples, violationId, violationsByIndex } from '@nelson-method/spc';
+
+// Until the user picks one, subgrouped data is shown as X̄-R, else I-MR
+export const chartTypeOf = (chartTypes, samples, key) => chartTypes[key] || defaultChartType(samples);
+
+// Limits and rules are evaluated on the scale of the parameter's
+// transformation; frozen limit sets only count under the one they were
+// computed on
+export const transformOf = (product, key) => (product?.transforms || {})[key] || NO_TRANSFORM;
+export const limitSetsOf = (limitSets, product, key) =>
+  limitSets.filter(set => set.parameter === key && sameTransform(set.transform, transformOf(product, key)));
+
+// Control rules run on the location chart (Individuals or X̄) of the chart
+// type selected for each parameter, judged by the product's rule set.
+// Violations on a chart point are mapped back onto its samples (by sample id)
+// so the table can highlight the rows. A point's status is the least advanced
+// of its signals' investigations (recordStatus: violation id -> status);
+// signals not on record yet count as open. Under a transformation the
+// plotted value is mapped back to original units; limits stay on the
+// transformed scale for the chart to map back line by line. CUSUM and EWMA
+// are worked out for every parameter so either can be shown; their signals
+// only count as violations when the rule set switches them on.
+//
+//   { [key]: { chartType, transform, series, signalsBySample } }
+export const analyseCharts = ({ samples, parameters, chartTypes, product, limitSets, recordStatus }) => {
+  const ruleSet = product?.ruleSet || DEFAULT_RULE_SET;
+  const ruleOverrides = resolveRuleSet(ruleSet);
+  const ruleDescriptions = ruleSetDescriptions(ruleSet);
+  const shiftConfig = resolveShiftRules(ruleSet);
+  const productId = product ? product.id : null;
+
+  return Object.fromEntries(parameters.map(({ key }) => {
+    const chartType = chartTypeOf(chartTypes, samples, key);
+    const transform = transformOf(product, key);
+    const { inverse } = transformer(transform);
+    const points = applyLimits(chartType, buildSeries(chartType, transformSamples(samples, key, transform), key), key, limitSetsOf(limitSets, product, key));
+    const found = violationsByIndex(
+      [
+        ...evaluateRules(points.map(p => p.value), { mean: points.map(p => p.center), sigma: points.map(p => p.sigma) }, { rules: ruleOverrides }),
+        ...evaluateShiftRules(points, ruleSet)
+      ],
+      points.length
+    );
+    const statusOf = (rule, point) => recordStatus.get(violationId(productId, key, rule, point.sampleIds)) || 'open';
+    const cusums = cusum(points, shiftConfig.cusum);
+    const ewmas = ewma(points, shiftConfig.ewma);
+    const series = points.map((point, i) => ({
+      ...point,
+      value: inverse(point.value),
+      cusumUpper: cusums[i].upper,
+      cusumLower: -cusums[i].lower,
+      cusumSignal: cusums[i].signal,
+      cusumStatus: statusOf('cusum', point),
+      ewma: inverse(point.center + ewmas[i].value * point.sigma),
+      ewmaCenter: inverse(point.center),
+      ewmaUcl: inverse(point.center + ewmas[i].limit * point.sigma),
+      ewmaLcl: inverse(point.center - ewmas[i].limit * point.sigma),
+      ewmaSignal: ewmas[i].signal,
+      ewmaStatus: statusOf('ewma', point),
+      violations: found[i],
+      hasViolation: found[i].length > 0,
+      violationDescriptions: found[i].map(rule => ruleDescriptions[rule]),
+      violationStatus: ['open', 'acknowledged', 'closed'].find(status => found[i].some(rule => statusOf(rule, point) === status))
+    }));
+    const signalsBySample = new Map();
+    series.forEach((point) => {
+      if (point.hasViolation) {
+        point.sampleIds.forEach(id => signalsBySample.set(id, point.violations));
+      }
+    });
+    return [key, { chartType, transform, series, signalsBySample }];
+  }));
+};
@@ -0,0 +1,8 @@
+/* eslint-disable no-restricted-globals */
+import { analyseCharts } from './analysis';
+
+// Works out analyseCharts for the dashboard off the main thread (see
+// chartAnalysis.js): { id, input } in, { id, analysis } out.
+self.onmessage = ({ data: { id, input } }) => {
+  self.postMessage({ id, analysis: analyseCharts(input) });
+};
@@ -0,0 +1,69 @@
+import { saveAs } from 'file-saver';
+
+export const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+
+// The login session ({ token, expiresAt, user }) survives page reloads
+const SESSION_KEY = 'qc-dashboard-session';
+
+export const loadSession = () => {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+    return session && new Date(session.expiresAt) > new Date() ? session : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const saveSession = (session) => {
+  if (session) {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  } else {
+    localStorage.removeItem(SESSION_KEY);
+  }
+};
+
+// Called when the server no longer accepts the session
+let onUnauthorized = () => {};
+export const setUnauthorizedHandler = (handler) => {
+  onUnauthorized = handler;
+};
+export const reportUnauthorized = () => onUnauthorized();
+
+export const authHeaders = () => {
+  const session = loadSession();
+  return session ? { Authorization: `Bearer ${session.token}` } : {};
+};
+
+export const fetchResponse = async (path, options = {}) => {
+  const response = await fetch(`${BACKEND_URL}${path}`, {
+    ...options,
+    headers: { ...authHeaders(), ...options.headers }
+  });
+  if (!response.ok) {
+    // Server errors come back as { error: message, ...details }
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error || `${options.method || 'GET'} ${path} failed with ${response.status}`);
+    error.status = response.status;
+    error.body = body;
+    if (response.status === 401) {
+      onUnauthorized();
+    }
+    throw error;
+  }
+  return response;
+};
+
+export const fetchJson = (path, options) => fetchResponse(path, options).then(response => response.json());
+
+export const sendJson = (path, method, body) => fetchJson(path, {
+  method,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+// A plain link can't send the session token, so files are fetched and handed
+// to the browser as a download, named as the server suggests
+export const downloadFile = (path, fallbackName) => fetchResponse(path).then(async (response) => {
+  const [, fileName] = /filename="(.+)"/.exec(response.headers.get('Content-Disposition') || '') || [];
+  saveAs(await response.blob(), fileName || fallbackName);
+});
@@ -0,0 +1,74 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { analyseCharts } from './analysis';
+
+// The charts' analysis (see analyseCharts in analysis.js), worked out in a
+// Web Worker (analysis.worker.js) so typing, scrolling and live updates never
+// wait for the rules to run over a long history. One input is analysed at a
+// time: changes arriving meanwhile are coalesced and only the newest is
+// analysed next. The last result is shown until the next one comes back;
+// parameters it doesn't cover yet (before the first result) have empty
+// charts. Without Worker support (tests) the analysis runs on the main thread.
+
+const HAS_WORKER = typeof Worker !== 'undefined';
+
+// Send `input` to the worker, or hold it until the one being analysed is done
+const request = (queue, input) => {
+  if (queue.busy) {
+    queue.next = input;
+    return;
+  }
+  queue.id += 1;
+  queue.busy = true;
+  queue.worker.postMessage({ id: queue.id, input });
+};
+
+// The analysis in flight is done (or failed): move on to the held input
+const finish = (queue) => {
+  const { next } = queue;
+  queue.busy = false;
+  queue.next = null;
+  if (next) request(queue, next);
+};
+
+export const useChartAnalysis = ({ samples, parameters, chartTypes, product, limitSets, recordStatus }) => {
+  const input = useMemo(
+    () => ({ samples, parameters, chartTypes, product, limitSets, recordStatus }),
+    [samples, parameters, chartTypes, product, limitSets, recordStatus]
+  );
+  const queue = useRef(null);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    if (!HAS_WORKER) return undefined;
+    const worker = new Worker(new URL('./analysis.worker.js', import.meta.url));
+    const current = { worker, busy: false, next: null, id: 0 };
+    worker.onmessage = ({ data }) => {
+      if (data.id !== current.id) return;
+      setResult(data.analysis);
+      finish(current);
+    };
+    worker.onerror = (event) => {
+      console.error('Chart analysis failed', event.message);
+      finish(current);
+    };
+    queue.current = current;
+    return () => {
+      worker.terminate();
+      queue.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (queue.current) request(queue.current, input);
+  }, [input]);
+
+  const local = useMemo(() => (HAS_WORKER ? null : analyseCharts(input)), [input]);
+  const empty = useMemo(
+    () => analyseCharts({ samples: [], parameters, chartTypes, product, limitSets, recordStatus }),
+    [parameters, chartTypes, product, limitSets, recordStatus]
+  );
+  return useMemo(() => {
+    const analysis = local || result || {};
+    return Object.fromEntries(parameters.map(({ key }) => [key, analysis[key] || empty[key]]));
+  }, [local, result, empty, parameters]);
+};
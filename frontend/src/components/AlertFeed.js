@@ -0,0 +1,51 @@
+import React from 'react';
+import { AlertTriangle, X } from 'lucide-react';
+import { ruleLabel } from '@nelson-method/spc';
+
+const formatTime = (iso) => new Date(iso).toLocaleTimeString();
+
+// Live feed of violations detected by the backend, newest first. Operators
+// dismiss alerts once they've seen them.
+const AlertFeed = ({ alerts, parameters, onDismiss, onDismissAll }) => {
+  if (alerts.length === 0) return null;
+
+  const parameterName = (key) => (parameters.find(p => p.key === key) || { name: key }).name;
+
+  return (
+    <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-bold text-yellow-800 flex items-center gap-2">
+          <AlertTriangle className="text-yellow-600" size={20} />
+          {alerts.length} New Violation{alerts.length === 1 ? '' : 's'}
+        </h3>
+        <button
+          onClick={onDismissAll}
+          className="text-sm text-yellow-800 hover:text-yellow-900 font-semibold"
+        >
+          Dismiss All
+        </button>
+      </div>
+      <ul className="space-y-1 max-h-48 overflow-y-auto">
+        {alerts.map(alert => (
+          <li key={alert.id} className="flex items-start justify-between gap-2 bg-white rounded border border-yellow-200 px-3 py-2 text-sm">
+            <div>
+              <span className="font-semibold text-gray-800">{parameterName(alert.parameter)}</span>
+              <span className="text-gray-500"> · {alert.chartType === 'imr' ? 'Sample' : 'Subgroup'} {alert.x}</span>
+              <span className="text-red-600"> · {ruleLabel(alert.rule)}: {alert.description}</span>
+              <span className="text-xs text-gray-400 ml-2">{formatTime(alert.detectedAt)}</span>
+            </div>
+            <button
+              onClick={() => onDismiss(alert.id)}
+              className="text-gray-400 hover:text-gray-600"
+              title="Dismiss"
+            >
+              <X size={16} />
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default AlertFeed;
@@ -0,0 +1,122 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { History, RefreshCw } from 'lucide-react';
+import { fetchJson } from '../api';
+
+const ENTITY_TYPES = ['sample', 'product', 'limits', 'violation', 'setting', 'user'];
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// Read-only view of the audit trail: who changed what, from what to what,
+// when and why
+const AuditLog = () => {
+  const [filters, setFilters] = useState({ entityType: '', entityId: '', username: '', from: '', to: '' });
+  const [entries, setEntries] = useState([]);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(() => {
+    const query = new URLSearchParams(Object.entries(filters)
+      .filter(([, value]) => value)
+      .map(([key, value]) => [key, key === 'from' || key === 'to' ? new Date(value).toISOString() : value]));
+    setError(null);
+    fetchJson(`/api/audit?${query}`)
+      .then(setEntries)
+      .catch(err => setError(err.message));
+  }, [filters]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const setFilter = (key, value) => setFilters(current => ({ ...current, [key]: value }));
+
+  return (
+    <div className="mt-6 bg-white rounded-lg border border-gray-200 p-4">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+        <h3 className="text-lg font-bold text-gray-800 flex items-center gap-2">
+          <History className="text-indigo-600" />
+          Audit Trail
+        </h3>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <select
+            value={filters.entityType}
+            onChange={(e) => setFilter('entityType', e.target.value)}
+            className="bg-gray-100 text-gray-700 px-2 py-1 rounded"
+          >
+            <option value="">All records</option>
+            {ENTITY_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+          </select>
+          <input
+            value={filters.entityId}
+            onChange={(e) => setFilter('entityId', e.target.value)}
+            placeholder="Record id"
+            className="w-24 px-2 py-1 border rounded"
+          />
+          <input
+            value={filters.username}
+            onChange={(e) => setFilter('username', e.target.value)}
+            placeholder="User"
+            className="w-24 px-2 py-1 border rounded"
+          />
+          <input
+            type="datetime-local"
+            value={filters.from}
+            onChange={(e) => setFilter('from', e.target.value)}
+            className="px-2 py-1 border rounded"
+          />
+          <input
+            type="datetime-local"
+            value={filters.to}
+            onChange={(e) => setFilter('to', e.target.value)}
+            className="px-2 py-1 border rounded"
+          />
+          <button onClick={load} className="p-1 text-gray-500 hover:text-gray-800" title="Refresh">
+            <RefreshCw size={16} />
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-400">No audit entries</p>
+      ) : (
+        <div className="max-h-96 overflow-y-auto border rounded">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr className="text-left text-gray-600">
+                <th className="px-3 py-2">When</th>
+                <th className="px-3 py-2">User</th>
+                <th className="px-3 py-2">Action</th>
+                <th className="px-3 py-2">Record</th>
+                <th className="px-3 py-2">Field</th>
+                <th className="px-3 py-2">Old → New</th>
+                <th className="px-3 py-2">Reason</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => (
+                <tr key={entry.id} className="border-t align-top">
+                  <td className="px-3 py-1 text-xs text-gray-500 whitespace-nowrap">{new Date(entry.at).toLocaleString()}</td>
+                  <td className="px-3 py-1">{entry.username}</td>
+                  <td className="px-3 py-1">{entry.action}</td>
+                  <td className="px-3 py-1 whitespace-nowrap">{entry.entityType} {entry.entityId}</td>
+                  <td className="px-3 py-1">{entry.field || '—'}</td>
+                  <td className="px-3 py-1 break-all">
+                    <span className="text-red-700">{formatValue(entry.oldValue)}</span>
+                    {' → '}
+                    <span className="text-green-700">{formatValue(entry.newValue)}</span>
+                  </td>
+                  <td className="px-3 py-1 text-gray-700">{entry.reason}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { BarChart3 } from 'lucide-react';
+import { summarizeGroups } from '@nelson-method/spc';
+import { formatValue, isWithinSpec } from '../parameters';
+
+const WIDTH = 720;
+const HEIGHT = 260;
+const MARGIN = { top: 16, right: 16, bottom: 40, left: 56 };
+const BOX_WIDTH = 36;
+
+// Box plots (median, quartiles, Tukey whiskers, outliers) of one parameter
+// per batch or machine, drawn against the spec limits
+const BoxPlots = ({ groups, parameter }) => {
+  const { lsl, usl, color, decimals } = parameter;
+  const values = [
+    ...groups.flatMap(g => [g.whiskerLow, g.whiskerHigh, ...g.outliers]),
+    ...[lsl, usl].filter(limit => limit != null)
+  ];
+  const low = Math.min(...values);
+  const high = Math.max(...values);
+  const pad = (high - low) * 0.08 || 1;
+  const yMin = low - pad;
+  const yMax = high + pad;
+  const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+  const y = (value) => MARGIN.top + (1 - (value - yMin) / (yMax - yMin)) * plotHeight;
+  const slot = plotWidth / groups.length;
+  const x = (i) => MARGIN.left + slot * (i + 0.5);
+  const ticks = Array.from({ length: 5 }, (_, i) => yMin + ((yMax - yMin) * i) / 4);
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto">
+      {ticks.map(tick => (
+        <g key={tick}>
+          <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={y(tick)} y2={y(tick)} stroke="#e5e7eb" />
+          <text x={MARGIN.left - 6} y={y(tick) + 4} textAnchor="end" fontSize="11" fill="#6b7280">
+            {tick.toFixed(decimals)}
+          </text>
+        </g>
+      ))}
+      {[['LSL', lsl], ['USL', usl]].filter(([, limit]) => limit != null).map(([label, limit]) => (
+        <g key={label}>
+          <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={y(limit)} y2={y(limit)} stroke="#dc2626" strokeDasharray="6 4" />
+          <text x={WIDTH - MARGIN.right} y={y(limit) - 4} textAnchor="end" fontSize="11" fill="#dc2626">{label}</text>
+        </g>
+      ))}
+      {groups.map((g, i) => (
+        <g key={g.group}>
+          <line x1={x(i)} x2={x(i)} y1={y(g.whiskerLow)} y2={y(g.q1)} stroke="#374151" />
+          <line x1={x(i)} x2={x(i)} y1={y(g.q3)} y2={y(g.whiskerHigh)} stroke="#374151" />
+          <line x1={x(i) - BOX_WIDTH / 4} x2={x(i) + BOX_WIDTH / 4} y1={y(g.whiskerLow)} y2={y(g.whiskerLow)} stroke="#374151" />
+          <line x1={x(i) - BOX_WIDTH / 4} x2={x(i) + BOX_WIDTH / 4} y1={y(g.whiskerHigh)} y2={y(g.whiskerHigh)} stroke="#374151" />
+          <rect
+            x={x(i) - BOX_WIDTH / 2}
+            y={y(g.q3)}
+            width={BOX_WIDTH}
+            height={Math.max(y(g.q1) - y(g.q3), 1)}
+            fill={`${color}33`}
+            stroke={color}
+          />
+          <line x1={x(i) - BOX_WIDTH / 2} x2={x(i) + BOX_WIDTH / 2} y1={y(g.median)} y2={y(g.median)} stroke={color} strokeWidth="2" />
+          <circle cx={x(i)} cy={y(g.mean)} r="3" fill="#111827">
+            <title>Mean {g.mean.toFixed(decimals)}</title>
+          </circle>
+          {g.outliers.map((value, j) => (
+            <circle key={j} cx={x(i)} cy={y(value)} r="3" fill="none" stroke="#dc2626" />
+          ))}
+          <text x={x(i)} y={HEIGHT - MARGIN.bottom + 16} textAnchor="middle" fontSize="11" fill="#374151">
+            {String(g.group).length > 12 ? `${String(g.group).slice(0, 11)}…` : g.group}
+          </text>
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+// Batch-to-batch (or machine-to-machine) variation of one parameter
+const BatchComparison = ({ samples, parameters, batches }) => {
+  const [key, setKey] = useState(parameters[0] ? parameters[0].key : '');
+  const [groupBy, setGroupBy] = useState('batch');
+  const parameter = parameters.find(p => p.key === key) || parameters[0];
+  if (!parameter) return null;
+
+  const batchNumbers = new Map(batches.map(batch => [batch.id, batch.number]));
+  const groupOf = groupBy === 'batch'
+    ? (sample) => (sample.batchId == null ? null : batchNumbers.get(sample.batchId) ?? `#${sample.batchId}`)
+    : (sample) => sample.machine;
+  const groups = summarizeGroups(samples, parameter.key, groupOf);
+  const outOfSpec = (group) => samples
+    .filter(sample => groupOf(sample) === group && typeof sample[parameter.key] === 'number')
+    .filter(sample => !isWithinSpec(sample[parameter.key], parameter)).length;
+  const { decimals, unit } = parameter;
+
+  return (
+    <div className="mt-6 bg-white rounded-lg border border-gray-200 p-4">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+        <h3 className="text-lg font-bold text-gray-800 flex items-center gap-2">
+          <BarChart3 className="text-indigo-600" />
+          {groupBy === 'batch' ? 'Batch' : 'Machine'} Comparison
+        </h3>
+        <div className="flex items-center gap-2 text-sm">
+          <select value={parameter.key} onChange={(e) => setKey(e.target.value)} className="bg-gray-100 text-gray-700 px-2 py-1 rounded">
+            {parameters.map(p => <option key={p.key} value={p.key}>{p.name}</option>)}
+          </select>
+          <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)} className="bg-gray-100 text-gray-700 px-2 py-1 rounded">
+            <option value="batch">by batch</option>
+            <option value="machine">by machine</option>
+          </select>
+        </div>
+      </div>
+
+      {groups.length === 0 ? (
+        <p className="text-sm text-gray-400">
+          No {parameter.name.toLowerCase()} results recorded with a {groupBy === 'batch' ? 'batch' : 'machine'}
+        </p>
+      ) : (
+        <>
+          <BoxPlots groups={groups} parameter={parameter} />
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b">
+                  <th className="py-1 pr-3">{groupBy === 'batch' ? 'Batch' : 'Machine'}</th>
+                  <th className="py-1 pr-3 text-right">n</th>
+                  <th className="py-1 pr-3 text-right">Mean ({unit})</th>
+                  <th className="py-1 pr-3 text-right">SD</th>
+                  <th className="py-1 pr-3 text-right">Min</th>
+                  <th className="py-1 pr-3 text-right">Median</th>
+                  <th className="py-1 pr-3 text-right">Max</th>
+                  <th className="py-1 text-right">Out of spec</th>
+                </tr>
+              </thead>
+              <tbody>
+                {groups.map(g => (
+                  <tr key={g.group} className="border-b last:border-b-0">
+                    <td className="py-1 pr-3 font-semibold">{g.group}</td>
+                    <td className="py-1 pr-3 text-right">{g.n}</td>
+                    <td className="py-1 pr-3 text-right">{formatValue(g.mean, decimals)}</td>
+                    <td className="py-1 pr-3 text-right">{formatValue(g.sd, decimals + 1)}</td>
+                    <td className="py-1 pr-3 text-right">{formatValue(g.min, decimals)}</td>
+                    <td className="py-1 pr-3 text-right">{formatValue(g.median, decimals)}</td>
+                    <td className="py-1 pr-3 text-right">{formatValue(g.max, decimals)}</td>
+                    <td className="py-1 text-right">{outOfSpec(g.group)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BatchComparison;
@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import { Boxes, FileText, Lock } from 'lucide-react';
+import { downloadFile, sendJson } from '../api';
+import { hasRole } from '../roles';
+import SignatureForm from './SignatureForm';
+
+const STATUS_STYLES = {
+  'in-progress': 'bg-blue-100 text-blue-800',
+  'under-review': 'bg-amber-100 text-amber-800',
+  released: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800'
+};
+
+// Batches of the active product and their release. New samples go into the
+// selected batch; a batch's samples are locked once it's submitted for review.
+const BatchPanel = ({ batches, user, currentBatchId, onSelectBatch }) => {
+  const [number, setNumber] = useState('');
+  const [signing, setSigning] = useState(null);  // { batchId, decision }
+  const [error, setError] = useState(null);
+
+  const changeStatus = (batch, status, extra = {}) => {
+    setError(null);
+    return sendJson(`/api/batches/${batch.id}/status`, 'POST', { status, ...extra });
+  };
+
+  const report = (promise) => promise.catch(err => setError(err.message));
+
+  const startBatch = (e) => {
+    e.preventDefault();
+    setError(null);
+    sendJson('/api/batches', 'POST', { number })
+      .then((batch) => {
+        setNumber('');
+        onSelectBatch(batch.id);
+      })
+      .catch(err => setError(err.message));
+  };
+
+  const sendBack = (batch) => {
+    const reason = window.prompt(`Reason for sending batch ${batch.number} back for corrections`);
+    if (reason && reason.trim()) {
+      report(changeStatus(batch, 'in-progress', { reason: reason.trim() }));
+    }
+  };
+
+  return (
+    <div className="mb-6 bg-white rounded-lg border border-gray-200 p-4">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+        <h3 className="text-lg font-bold text-gray-800 flex items-center gap-2">
+          <Boxes className="text-indigo-600" />
+          Batches
+        </h3>
+        <form onSubmit={startBatch} className="flex items-center gap-2 text-sm">
+          <input
+            value={number}
+            onChange={(e) => setNumber(e.target.value)}
+            placeholder="Batch number"
+            className="w-32 px-2 py-1 border rounded"
+          />
+          <button
+            type="submit"
+            disabled={!number.trim()}
+            className="bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white px-3 py-1 rounded font-semibold"
+          >
+            Start Batch
+          </button>
+        </form>
+      </div>
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      {batches.length === 0 ? (
+        <p className="text-sm text-gray-400">No batches yet; samples are recorded without one</p>
+      ) : (
+        <div className="max-h-72 overflow-y-auto border rounded divide-y">
+          {batches.map(batch => (
+            <div key={batch.id} className="px-3 py-2 text-sm">
+              <div className="flex flex-wrap items-center gap-3">
+                <label className="flex items-center gap-2 font-semibold text-gray-800">
+                  <input
+                    type="radio"
+                    name="current-batch"
+                    checked={currentBatchId === batch.id}
+                    disabled={batch.status !== 'in-progress'}
+                    onChange={() => onSelectBatch(batch.id)}
+                    title="Add new samples to this batch"
+                  />
+                  {batch.number}
+                </label>
+                <span className={`text-xs px-2 py-0.5 rounded font-semibold ${STATUS_STYLES[batch.status]}`}>{batch.status}</span>
+                {batch.status !== 'in-progress' && (
+                  <span title="Results locked"><Lock size={14} className="text-gray-400" /></span>
+                )}
+                <span className="text-gray-500">{batch.sampleCount} samples</span>
+                <span className="flex-1" />
+                <button
+                  onClick={() => report(downloadFile(`/api/batches/${batch.id}/report`, `batch-${batch.number}-qc-report.pdf`))}
+                  className="flex items-center gap-1 text-indigo-600 hover:bg-indigo-50 px-2 py-1 rounded"
+                  title="Generate the PDF QC report of this batch"
+                >
+                  <FileText size={14} />
+                  Report
+                </button>
+                {batch.status === 'in-progress' && (
+                  <button
+                    onClick={() => report(changeStatus(batch, 'under-review'))}
+                    className="bg-amber-500 hover:bg-amber-600 text-white px-3 py-1 rounded"
+                  >
+                    Submit for Review
+                  </button>
+                )}
+                {batch.status === 'under-review' && hasRole(user, 'qa') && (
+                  <>
+                    <button onClick={() => sendBack(batch)} className="bg-gray-200 hover:bg-gray-300 text-gray-800 px-3 py-1 rounded">
+                      Send Back
+                    </button>
+                    <button
+                      onClick={() => setSigning({ batchId: batch.id, decision: 'released' })}
+                      className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded"
+                    >
+                      Release
+                    </button>
+                    <button
+                      onClick={() => setSigning({ batchId: batch.id, decision: 'rejected' })}
+                      className="bg-red-600 hover:bg-red-700 text-white px-3 py-1 rounded"
+                    >
+                      Reject
+                    </button>
+                  </>
+                )}
+              </div>
+              {batch.signatures.map(signature => (
+                <p key={signature.signedAt} className="mt-1 text-xs text-gray-600">
+                  {signature.decision === 'released' ? 'Released' : 'Rejected'} by {signature.displayName} ({signature.username}),
+                  {' '}{signature.meaning}, {new Date(signature.signedAt).toLocaleString()}
+                </p>
+              ))}
+              {signing && signing.batchId === batch.id && (
+                <SignatureForm
+                  decision={signing.decision}
+                  onSign={(extra) => changeStatus(batch, signing.decision, extra).then(() => setSigning(null))}
+                  onCancel={() => setSigning(null)}
+                />
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BatchPanel;
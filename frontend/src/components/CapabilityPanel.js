@@ -0,0 +1,133 @@
+import React, { useMemo } from 'react';
+import { ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { Gauge } from 'lucide-react';
+import { capability, histogram, normalPdf } from '@nelson-method/spc';
+import { formatValue, specLabel } from '../parameters';
+
+// Points per histogram bin for the fitted curves
+const CURVE_STEPS = 4;
+
+// Common reading of Cpk/Ppk for the colour of an index
+const indexStyle = (value) => {
+  if (value == null) return 'text-gray-400';
+  if (value >= 1.33) return 'text-green-700';
+  if (value >= 1) return 'text-amber-600';
+  return 'text-red-600';
+};
+
+// Histogram (as steps) with normal curves for σ within and σ overall, scaled
+// to counts, on one x grid that also reaches the spec limits and ±3.5σ
+const chartData = (values, result, { lsl, usl }) => {
+  const { start, width, counts } = histogram(values);
+  const end = start + width * counts.length;
+  const { mean, sigmaWithin, sigmaOverall } = result;
+  const spread = 3.5 * Math.max(sigmaWithin || 0, sigmaOverall);
+  const lo = Math.min(start, lsl ?? start, mean - spread);
+  const hi = Math.max(end, usl ?? end, mean + spread);
+  const step = width / CURVE_STEPS;
+  const first = start - Math.ceil((start - lo) / step) * step;
+  const scale = values.length * width;
+  const curve = (x, sigma) => (sigma > 0 ? (scale / sigma) * normalPdf((x - mean) / sigma) : null);
+
+  const data = [];
+  for (let x = first; x <= hi + step / 2; x += step) {
+    const bin = Math.floor((x - start) / width + 1e-9);
+    data.push({
+      x,
+      count: bin >= 0 && bin < counts.length ? counts[bin] : 0,
+      within: curve(x, sigmaWithin),
+      overall: curve(x, sigmaOverall)
+    });
+  }
+  return data;
+};
+
+const Index = ({ label, value, hint }) => (
+  <div className="flex justify-between" title={hint}>
+    <span className="text-gray-600">{label}</span>
+    <span className={`font-semibold ${indexStyle(value)}`}>{formatValue(value, 2)}</span>
+  </div>
+);
+
+const formatPpm = (ppm) => (ppm == null ? '—' : ppm < 1 ? ppm.toFixed(2) : Math.round(ppm).toLocaleString());
+
+// Capability of one parameter against its spec limits: Cp/Cpk from the
+// control chart's within-subgroup σ, Pp/Ppk from the overall σ
+const CapabilityPanel = ({ parameter, samples, chartType }) => {
+  const { key, name, unit, lsl, usl, target, color, decimals } = parameter;
+  const values = useMemo(() => samples.map(s => s[key]).filter(v => typeof v === 'number' && Number.isFinite(v)), [samples, key]);
+  const result = useMemo(() => capability(samples, key, { lsl, usl }, chartType), [samples, key, lsl, usl, chartType]);
+  const data = useMemo(() => (result ? chartData(values, result, { lsl, usl }) : []), [values, result, lsl, usl]);
+
+  return (
+    <div className="bg-white rounded-lg border-2 p-4" style={{ borderColor: `${color}40` }}>
+      <div className="flex justify-between items-center mb-2">
+        <h4 className="font-bold text-gray-800 flex items-center gap-2">
+          <Gauge size={18} style={{ color }} />
+          {name} Capability
+        </h4>
+        <span className="text-xs text-gray-500">{specLabel(parameter)}</span>
+      </div>
+
+      {!result ? (
+        <p className="h-24 flex items-center justify-center text-sm text-gray-400">
+          {lsl == null && usl == null ? 'No spec limits to assess against' : 'Not enough data'}
+        </p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="md:col-span-2">
+            <ResponsiveContainer width="100%" height={220}>
+              <ComposedChart data={data} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis
+                  dataKey="x"
+                  type="number"
+                  domain={['dataMin', 'dataMax']}
+                  tick={{ fontSize: 11 }}
+                  tickFormatter={(x) => x.toFixed(decimals)}
+                />
+                <YAxis allowDecimals={false} tick={{ fontSize: 11 }} />
+                <Tooltip
+                  formatter={(value, label) => [Number(value).toFixed(label === 'Samples' ? 0 : 2), label]}
+                  labelFormatter={(x) => `${Number(x).toFixed(decimals)} ${unit}`}
+                />
+                <Area type="stepAfter" dataKey="count" name="Samples" stroke={color} fill={color} fillOpacity={0.25} isAnimationActive={false} />
+                <Line type="monotone" dataKey="within" name="Normal (σ within)" stroke="#111827" dot={false} strokeWidth={1.5} isAnimationActive={false} />
+                <Line type="monotone" dataKey="overall" name="Normal (σ overall)" stroke="#6b7280" dot={false} strokeDasharray="4 3" isAnimationActive={false} />
+                {lsl != null && <ReferenceLine x={lsl} stroke="#dc2626" strokeWidth={2} label={{ value: 'LSL', position: 'top', fontSize: 11, fill: '#dc2626' }} />}
+                {usl != null && <ReferenceLine x={usl} stroke="#dc2626" strokeWidth={2} label={{ value: 'USL', position: 'top', fontSize: 11, fill: '#dc2626' }} />}
+                {target != null && <ReferenceLine x={target} stroke="#16a34a" strokeDasharray="3 3" />}
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="text-sm space-y-1">
+            <Index label="Cp" value={result.cp} hint="Potential capability, σ within" />
+            <Index label="Cpk" value={result.cpk} hint="Actual capability, σ within" />
+            {result.cpkInterval && (
+              <div className="flex justify-between text-xs text-gray-500">
+                <span>Cpk 95% CI</span>
+                <span>{formatValue(result.cpkInterval[0], 2)} – {formatValue(result.cpkInterval[1], 2)}</span>
+              </div>
+            )}
+            <Index label="Pp" value={result.pp} hint="Potential performance, σ overall" />
+            <Index label="Ppk" value={result.ppk} hint="Actual performance, σ overall" />
+            <div className="border-t pt-1 mt-1 space-y-1 text-xs">
+              <div className="flex justify-between"><span className="text-gray-600">Mean</span><span>{formatValue(result.mean, decimals)} {unit}</span></div>
+              <div className="flex justify-between"><span className="text-gray-600">σ within</span><span>{formatValue(result.sigmaWithin, decimals + 1)}</span></div>
+              <div className="flex justify-between"><span className="text-gray-600">σ overall</span><span>{formatValue(result.sigmaOverall, decimals + 1)}</span></div>
+              <div className="flex justify-between"><span className="text-gray-600">n</span><span>{result.n}</span></div>
+            </div>
+            <div className="border-t pt-1 mt-1 space-y-1 text-xs">
+              <p className="font-semibold text-gray-700">PPM outside spec</p>
+              <div className="flex justify-between"><span className="text-gray-600">Observed</span><span>{formatPpm(result.ppm.observed)}</span></div>
+              <div className="flex justify-between"><span className="text-gray-600">Expected (within)</span><span>{formatPpm(result.ppm.expectedWithin)}</span></div>
+              <div className="flex justify-between"><span className="text-gray-600">Expected (overall)</span><span>{formatPpm(result.ppm.expectedOverall)}</span></div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CapabilityPanel;
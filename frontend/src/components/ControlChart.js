@@ -0,0 +1,300 @@
+import React, { useMemo, useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, ReferenceArea, Brush } from 'recharts';
+import { TrendingUp, Lock } from 'lucide-react';
+import { CHART_TYPES, SHIFT_RULES, describeTransform, isTransformed, NO_TRANSFORM, transformer } from '@nelson-method/spc';
+import { specLabel } from '../parameters';
+import { limitSetMarks } from '../controlLimits';
+import { downsample, MAX_SIGNAL_POINTS } from '../downsample';
+import FreezeLimitsForm from './FreezeLimitsForm';
+import PointMarker from './PointMarker';
+import ShiftChart from './ShiftChart';
+
+// Control limit lines follow the limits in force at each point, so they step
+// where a new frozen limit set takes over (and with subgroup size on X̄ charts).
+// Limits of a transformed parameter are mapped back to original units, so
+// they needn't be symmetric about the centre line.
+const limitLine = (k, inverse) => (point) => inverse(point.center + k * point.sigma);
+
+const stepLine = {
+  type: 'stepAfter',
+  dot: false,
+  activeDot: false,
+  tooltipType: 'none',
+  isAnimationActive: false
+};
+
+const outOfControl = (point) => point.dispersion != null
+  && (point.dispersion > point.dispersionUcl || point.dispersion < point.dispersionLcl);
+
+// Custom tooltip for violations
+const CustomTooltip = ({ active, payload, label, xLabel, ruleSetName }) => {
+  if (active && payload && payload.length) {
+    const data = payload[0].payload;
+    const violations = data.violationDescriptions || [];
+
+    return (
+      <div className="bg-white p-4 border border-gray-300 shadow-lg rounded-lg">
+        <p className="font-bold text-gray-800 mb-2">{xLabel === 'Subgroup' ? `Subgroup ${label} (n=${data.n})` : `Sample ${label}`}</p>
+
+        {payload.map((entry, index) => (
+          <div key={index} className="mb-2">
+            <p className="text-sm font-medium" style={{ color: entry.color }}>
+              {entry.name}: <span className="font-bold">{Number(entry.value).toFixed(3)}</span>
+            </p>
+
+            {entry.dataKey === 'value' && violations.length > 0 && (
+              <div className="mt-1 ml-2">
+                <p className="text-xs font-semibold text-red-600">{ruleSetName} Rule Violations ({data.violationStatus}):</p>
+                {violations.map((desc, i) => (
+                  <p key={i} className="text-xs text-red-600 ml-2">• {desc}</p>
+                ))}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    );
+  }
+  return null;
+};
+
+const ControlChart = ({
+  parameter,
+  chartType,
+  onChartTypeChange,
+  mode = 'shewhart',
+  onModeChange,
+  shiftConfig,
+  transform = NO_TRANSFORM,
+  series,
+  stats,
+  samples,
+  limitSets,
+  onFreezeLimits,
+  showAllReferenceLines,
+  onToggleReferenceLines,
+  ruleSetName
+}) => {
+  const { name, unit, lsl, usl, target, color } = parameter;
+  const [isFreezing, setIsFreezing] = useState(false);
+  const currentLimits = limitSets[limitSets.length - 1];
+  const chart = CHART_TYPES[chartType];
+  const { inverse } = transformer(transform);
+  const transformed = isTransformed(transform);
+  // Spec limits apply to individual values, so they're only drawn on the I chart
+  const showSpecLines = chartType === 'imr';
+  // Long series are thinned out for drawing, keeping signals (see downsample.js)
+  const shown = useMemo(() => downsample(series, {
+    valuesOf: [point => point.value, point => point.dispersion],
+    keep: point => point.hasViolation || outOfControl(point)
+  }), [series]);
+  const marks = useMemo(() => {
+    const marksOf = limitSetMarks(series, shown);
+    return limitSets.map(set => ({ set, ...marksOf(set) }));
+  }, [series, shown, limitSets]);
+
+  return (
+    <div className="bg-white rounded-lg border-2 p-4" style={{ borderColor: `${color}40` }}>
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+        <h3 className="text-lg font-bold text-gray-800 flex items-center gap-2">
+          <TrendingUp style={{ color }} />
+          {name} Control Chart
+        </h3>
+        <div className="flex flex-wrap items-center gap-3">
+          <div className="text-sm text-gray-500">{specLabel(parameter)}</div>
+          {transformed && (
+            <span className="text-xs px-2 py-1 rounded bg-violet-100 text-violet-800" title="Limits and rules are evaluated on the transformed scale">
+              {describeTransform(transform)}
+            </span>
+          )}
+          <select
+            value={chartType}
+            onChange={(e) => onChartTypeChange(e.target.value)}
+            className="text-sm bg-gray-100 text-gray-700 px-2 py-1 rounded"
+          >
+            {Object.entries(CHART_TYPES).map(([type, { label }]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+          <select
+            value={mode}
+            onChange={(e) => onModeChange(e.target.value)}
+            className="text-sm bg-gray-100 text-gray-700 px-2 py-1 rounded"
+            title="Shewhart limits with run rules, or a chart for small sustained shifts"
+          >
+            <option value="shewhart">Shewhart</option>
+            {Object.entries(SHIFT_RULES).map(([rule, { label }]) => (
+              <option key={rule} value={rule}>{label}</option>
+            ))}
+          </select>
+          <span className={`text-xs px-2 py-1 rounded ${currentLimits ? 'bg-sky-100 text-sky-800' : 'bg-gray-100 text-gray-600'}`}>
+            {currentLimits ? `Frozen limits v${currentLimits.version} (n=${currentLimits.n})` : 'Live limits'}
+          </span>
+          {onFreezeLimits && (
+            <button
+              onClick={() => setIsFreezing(!isFreezing)}
+              className="flex items-center gap-1 text-sm bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-1 rounded"
+            >
+              <Lock size={14} />
+              {currentLimits ? 'Recalculate Limits' : 'Freeze Limits'}
+            </button>
+          )}
+          <button
+            onClick={onToggleReferenceLines}
+            className="text-sm bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-1 rounded"
+          >
+            {showAllReferenceLines ? 'Hide σ Lines' : 'Show All σ Lines'}
+          </button>
+        </div>
+      </div>
+      {isFreezing && onFreezeLimits && (
+        <FreezeLimitsForm
+          samples={samples}
+          isRecalculation={Boolean(currentLimits)}
+          onFreeze={(baseline) => onFreezeLimits(baseline).then(() => setIsFreezing(false))}
+          onCancel={() => setIsFreezing(false)}
+        />
+      )}
+      {stats.n === 0 ? (
+        <div className="h-24 flex items-center justify-center text-sm text-gray-400">
+          No {name.toLowerCase()} data recorded
+        </div>
+      ) : mode !== 'shewhart' ? (
+        <>
+          {!shiftConfig[mode].enabled && (
+            <p className="mb-2 text-xs text-gray-500">
+              {SHIFT_RULES[mode].label} isn't part of the product's rule set: its signals are shown here but not recorded as violations.
+            </p>
+          )}
+          <ShiftChart parameter={parameter} mode={mode} series={series} config={shiftConfig[mode]} xLabel={chart.xLabel} />
+        </>
+      ) : (
+        <>
+          {shown.length < series.length && (
+            <p className="mb-2 text-xs text-gray-500">
+              Showing {shown.length} of {series.length} points: the highest and lowest of each stretch, and up to {MAX_SIGNAL_POINTS} signals, spread evenly when there are more.
+            </p>
+          )}
+          <ResponsiveContainer width="100%" height={350}>
+            <LineChart data={shown} syncId={parameter.key} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+              <XAxis
+                dataKey="x"
+                label={{ value: chart.xLabel, position: 'insideBottom', offset: -5, style: { fontSize: '12px' } }}
+                tick={{ fontSize: 12 }}
+              />
+              <YAxis
+                label={{ value: `${chart.location} ${name} (${unit})`, angle: -90, position: 'insideLeft', style: { fontSize: '12px' } }}
+                domain={['auto', 'auto']}
+                tick={{ fontSize: 12 }}
+              />
+              <Tooltip content={<CustomTooltip xLabel={chart.xLabel} ruleSetName={ruleSetName} />} />
+
+              {/* Essential Reference Lines */}
+              {showSpecLines && lsl != null && <ReferenceLine y={lsl} stroke="#16a34a" strokeWidth={2} strokeDasharray="3 3" ifOverflow="extendDomain" />}
+              {showSpecLines && usl != null && <ReferenceLine y={usl} stroke="#16a34a" strokeWidth={2} strokeDasharray="3 3" ifOverflow="extendDomain" />}
+              {target != null && <ReferenceLine y={target} stroke="#16a34a" strokeWidth={1} ifOverflow="extendDomain" />}
+              <Line {...stepLine} dataKey={limitLine(0, inverse)} stroke={color} strokeWidth={2.5} />
+              <Line {...stepLine} dataKey={limitLine(3, inverse)} stroke="#dc2626" strokeWidth={1.5} strokeDasharray="3 3" />
+              <Line {...stepLine} dataKey={limitLine(-3, inverse)} stroke="#dc2626" strokeWidth={1.5} strokeDasharray="3 3" />
+
+              {/* Optional Reference Lines */}
+              {showAllReferenceLines && [2, -2].map(k => (
+                <Line key={k} {...stepLine} dataKey={limitLine(k, inverse)} stroke="#ea580c" strokeWidth={1} strokeDasharray="2 2" />
+              ))}
+              {showAllReferenceLines && [1, -1].map(k => (
+                <Line key={k} {...stepLine} dataKey={limitLine(k, inverse)} stroke="#f59e0b" strokeWidth={0.5} strokeDasharray="1 1" />
+              ))}
+
+              {/* Phase I baselines and where each frozen limit set takes over */}
+              {marks.filter(({ x1 }) => x1 != null).map(({ set, x1, x2 }) => (
+                <ReferenceArea
+                  key={`baseline-${set.id}`}
+                  x1={x1}
+                  x2={x2}
+                  fill={color}
+                  fillOpacity={0.06}
+                />
+              ))}
+              {marks.filter(({ x }) => x != null).map(({ set, x }) => (
+                <ReferenceLine
+                  key={`limits-${set.id}`}
+                  x={x}
+                  stroke="#6b7280"
+                  strokeDasharray="4 2"
+                  label={{ value: `Limits v${set.version}`, position: 'insideTopLeft', fontSize: 11, fill: '#6b7280' }}
+                />
+              ))}
+
+              <Line
+                type="monotone"
+                dataKey="value"
+                stroke={color}
+                strokeWidth={2.5}
+                dot={(props) => {
+                  const { cx, cy, payload, index } = props;
+                  if (!cx || !cy) return null;
+                  return <PointMarker key={index} cx={cx} cy={cy} status={payload.violationStatus} color={color} />;
+                }}
+                name={`${chart.location} ${name}`}
+              />
+
+              <Brush
+                dataKey="x"
+                height={20}
+                stroke={color}
+                fill={`${color}14`}
+                travellerWidth={8}
+                startIndex={Math.max(0, shown.length - 15)}
+                endIndex={shown.length - 1}
+              />
+            </LineChart>
+          </ResponsiveContainer>
+
+          {/* Companion dispersion chart (MR, R or S) */}
+          <ResponsiveContainer width="100%" height={180}>
+            <LineChart data={shown} syncId={parameter.key} margin={{ top: 10, right: 30, left: 10, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+              <XAxis dataKey="x" tick={{ fontSize: 12 }} />
+              <YAxis
+                label={{ value: transformed ? `${chart.dispersion} (transformed)` : chart.dispersion, angle: -90, position: 'insideLeft', style: { fontSize: '12px' } }}
+                domain={[0, 'auto']}
+                tick={{ fontSize: 12 }}
+              />
+              <Tooltip content={<CustomTooltip xLabel={chart.xLabel} />} />
+              <Line {...stepLine} dataKey="dispersionCenter" stroke={color} strokeWidth={1.5} />
+              <Line {...stepLine} dataKey="dispersionUcl" stroke="#dc2626" strokeWidth={1.5} strokeDasharray="3 3" />
+              <Line {...stepLine} dataKey="dispersionLcl" stroke="#dc2626" strokeWidth={1.5} strokeDasharray="3 3" />
+              <Line
+                type="linear"
+                dataKey="dispersion"
+                stroke={color}
+                strokeWidth={1.5}
+                connectNulls={false}
+                dot={(props) => {
+                  const { cx, cy, payload, index } = props;
+                  if (!cx || !cy || payload.dispersion == null) return null;
+                  const signal = outOfControl(payload);
+                  return (
+                    <circle
+                      key={index}
+                      cx={cx}
+                      cy={cy}
+                      r={signal ? 5 : 3}
+                      fill={signal ? '#dc2626' : color}
+                      stroke="#fff"
+                      strokeWidth={1}
+                    />
+                  );
+                }}
+                name={chart.dispersion}
+              />
+            </LineChart>
+          </ResponsiveContainer>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ControlChart;
@@ -0,0 +1,116 @@
+import React, { useRef, useState } from 'react';
+import { Download, Upload } from 'lucide-react';
+import { downloadFile, fetchJson } from '../api';
+import ImportDialog from './ImportDialog';
+
+// Excel/CSV import and export. An uploaded file is mapped, validated and
+// previewed in the ImportDialog before its rows are added to (or update) the
+// samples in the database; the dashboard refreshes through the usual
+// data-update event. Exports can be narrowed to a batch and a date range.
+const ExcelTransfer = ({ batches = [] }) => {
+  const fileInput = useRef(null);
+  const [message, setMessage] = useState(null);
+  const [upload, setUpload] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [filters, setFilters] = useState({ batchId: '', from: '', to: '' });
+
+  const setFilter = (field) => (e) => setFilters({ ...filters, [field]: e.target.value });
+
+  const exportFile = (format) => {
+    setMessage(null);
+    const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value)).toString();
+    downloadFile(`/api/export/${format === 'csv' ? 'csv' : 'excel'}${query ? `?${query}` : ''}`, `qc_data.${format}`)
+      .then(() => setExporting(false))
+      .catch(err => setMessage(err.message));
+  };
+
+  const importFile = (file) => {
+    setMessage(null);
+    fetchJson(`/api/imports?name=${encodeURIComponent(file.name)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: file
+    })
+      .then(setUpload)
+      .catch(err => setMessage(err.message));
+  };
+
+  const imported = ({ added, updated, rejected }) => {
+    setUpload(null);
+    setMessage(`${added} added, ${updated} updated${rejected.length > 0 ? `, ${rejected.length} rejected` : ''}`);
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <input
+        ref={fileInput}
+        type="file"
+        accept=".xlsx,.xls,.csv"
+        className="hidden"
+        onChange={(e) => {
+          if (e.target.files[0]) importFile(e.target.files[0]);
+          e.target.value = '';
+        }}
+      />
+      <button
+        onClick={() => fileInput.current.click()}
+        className="flex items-center gap-2 bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-2 rounded-lg text-sm font-semibold"
+        title={message || 'Import samples from an Excel workbook or CSV file'}
+      >
+        <Upload size={16} />
+        Import
+      </button>
+      <div className="relative">
+        <button
+          onClick={() => setExporting(!exporting)}
+          className="flex items-center gap-2 bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-2 rounded-lg text-sm font-semibold"
+        >
+          <Download size={16} />
+          Export
+        </button>
+        {exporting && (
+          <div className="absolute right-0 mt-2 w-64 bg-white border border-gray-200 rounded-lg shadow-lg p-3 z-20 space-y-2 text-sm">
+            <label className="flex flex-col text-gray-600">
+              Batch
+              <select value={filters.batchId} onChange={setFilter('batchId')} className="px-2 py-1 border rounded">
+                <option value="">All batches</option>
+                {batches.map(batch => (
+                  <option key={batch.id} value={batch.id}>{batch.number}</option>
+                ))}
+              </select>
+            </label>
+            <div className="flex gap-2">
+              <label className="flex flex-col text-gray-600 flex-1">
+                From
+                <input type="date" value={filters.from} onChange={setFilter('from')} className="px-1 py-1 border rounded" />
+              </label>
+              <label className="flex flex-col text-gray-600 flex-1">
+                To
+                <input type="date" value={filters.to} onChange={setFilter('to')} className="px-1 py-1 border rounded" />
+              </label>
+            </div>
+            <div className="flex gap-2 pt-1">
+              <button
+                onClick={() => exportFile('xlsx')}
+                className="flex-1 bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded font-semibold"
+                title="Workbook with highlighted data, summary statistics and the violations log"
+              >
+                Excel
+              </button>
+              <button
+                onClick={() => exportFile('csv')}
+                className="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-800 px-3 py-1 rounded font-semibold"
+              >
+                CSV
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+      {message && <span className="text-xs text-gray-500">{message}</span>}
+      {upload && <ImportDialog upload={upload} onDone={imported} onCancel={() => setUpload(null)} />}
+    </div>
+  );
+};
+
+export default ExcelTransfer;
@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { Lock } from 'lucide-react';
+
+// Pick the baseline (Phase I) range to freeze limits from. Recalculating
+// existing limits needs a documented reason.
+const FreezeLimitsForm = ({ samples, isRecalculation, onFreeze, onCancel }) => {
+  const [baselineFrom, setBaselineFrom] = useState(samples.length ? samples[0].id : 1);
+  const [baselineTo, setBaselineTo] = useState(samples.length ? samples[samples.length - 1].id : 1);
+  const [reason, setReason] = useState('');
+  const [error, setError] = useState(null);
+
+  const submit = (e) => {
+    e.preventDefault();
+    setError(null);
+    onFreeze({ baselineFrom: Number(baselineFrom), baselineTo: Number(baselineTo), reason })
+      .catch(err => setError(err.message));
+  };
+
+  return (
+    <form onSubmit={submit} className="mb-4 p-3 bg-gray-50 border border-gray-200 rounded-lg flex flex-wrap items-end gap-3 text-sm">
+      <label className="flex flex-col text-gray-600">
+        Baseline from sample
+        <input
+          type="number"
+          value={baselineFrom}
+          onChange={(e) => setBaselineFrom(e.target.value)}
+          className="w-24 px-2 py-1 border rounded"
+        />
+      </label>
+      <label className="flex flex-col text-gray-600">
+        to sample
+        <input
+          type="number"
+          value={baselineTo}
+          onChange={(e) => setBaselineTo(e.target.value)}
+          className="w-24 px-2 py-1 border rounded"
+        />
+      </label>
+      <label className="flex flex-col text-gray-600 flex-1 min-w-[12rem]">
+        {isRecalculation ? 'Documented change (required)' : 'Reason (optional)'}
+        <input
+          type="text"
+          value={reason}
+          required={isRecalculation}
+          onChange={(e) => setReason(e.target.value)}
+          className="px-2 py-1 border rounded"
+        />
+      </label>
+      <button type="submit" className="flex items-center gap-1 bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1 rounded font-semibold">
+        <Lock size={14} />
+        {isRecalculation ? 'Recalculate' : 'Freeze'}
+      </button>
+      <button type="button" onClick={onCancel} className="text-gray-600 hover:text-gray-800 px-2 py-1">
+        Cancel
+      </button>
+      {error && <p className="w-full text-xs text-red-600">{error}</p>}
+    </form>
+  );
+};
+
+export default FreezeLimitsForm;
@@ -0,0 +1,70 @@
+import React from 'react';
+import { CalendarRange } from 'lucide-react';
+
+// The stretch of history the dashboard loads from the backend. The recent
+// ranges are open-ended so new samples keep arriving; a custom range runs
+// from the start of its first day to the end of its last (local time).
+const PRESETS = [
+  { value: '24h', label: 'Last 24 hours', hours: 24 },
+  { value: '7d', label: 'Last 7 days', hours: 7 * 24 },
+  { value: '30d', label: 'Last 30 days', hours: 30 * 24 },
+  { value: 'all', label: 'All history' },
+  { value: 'custom', label: 'Custom range' }
+];
+
+export const DEFAULT_RANGE = { preset: '30d', from: '', to: '' };
+
+const localDay = (value, offsetDays = 0) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day + offsetDays);
+};
+
+// { from, to } as ISO timestamps (to inclusive, null when open) for the
+// backend, worked out when the range is picked
+export const rangeBounds = ({ preset, from, to }) => {
+  if (preset === 'custom') {
+    return {
+      from: from ? localDay(from).toISOString() : null,
+      to: to ? new Date(localDay(to, 1).getTime() - 1).toISOString() : null
+    };
+  }
+  const { hours } = PRESETS.find(option => option.value === preset) || {};
+  return { from: hours ? new Date(Date.now() - hours * 3600 * 1000).toISOString() : null, to: null };
+};
+
+const HistoryRange = ({ range, onChange }) => (
+  <span className="flex flex-wrap items-center gap-2">
+    <CalendarRange size={16} className="text-indigo-600" />
+    <select
+      value={range.preset}
+      onChange={(e) => onChange({ ...range, preset: e.target.value })}
+      className="bg-gray-100 px-2 py-1 rounded"
+      title="History loaded from the server"
+    >
+      {PRESETS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+    </select>
+    {range.preset === 'custom' && (
+      <>
+        <input
+          type="date"
+          value={range.from}
+          max={range.to || undefined}
+          onChange={(e) => onChange({ ...range, from: e.target.value })}
+          className="bg-gray-100 px-2 py-1 rounded"
+          aria-label="From"
+        />
+        <span className="text-gray-500">to</span>
+        <input
+          type="date"
+          value={range.to}
+          min={range.from || undefined}
+          onChange={(e) => onChange({ ...range, to: e.target.value })}
+          className="bg-gray-100 px-2 py-1 rounded"
+          aria-label="To"
+        />
+      </>
+    )}
+  </span>
+);
+
+export default HistoryRange;
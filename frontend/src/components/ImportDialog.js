@@ -0,0 +1,210 @@
+import React, { useEffect, useState } from 'react';
+import { Upload, X } from 'lucide-react';
+import { saveAs } from 'file-saver';
+import { sendJson } from '../api';
+
+const csvField = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// The rejected rows as they were in the file, with the reasons
+const downloadRejected = (fileName, headers, rejected) => {
+  const lines = [
+    ['Row', ...headers, 'Errors'],
+    ...rejected.map(row => [row.rowNumber, ...headers.map(header => row.cells[header]), row.errors.join('; ')])
+  ].map(cells => cells.map(csvField).join(','));
+  const base = fileName.replace(/\.[^.]+$/, '');
+  saveAs(new Blob([lines.join('\r\n')], { type: 'text/csv;charset=utf-8' }), `${base}-rejected-rows.csv`);
+};
+
+// Second step of an import: pick the sheet, map its columns, check the
+// validated rows and import the accepted ones. When rows would change samples
+// imported earlier from a file of the same name, the user says whether the
+// file corrects them or is another run. `upload` is the response of
+// POST /api/imports; onDone gets the import counts.
+const ImportDialog = ({ upload, onDone, onCancel }) => {
+  const [sheet, setSheet] = useState(upload.sheet);
+  const [mapping, setMapping] = useState(upload.mapping);
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+  const [importing, setImporting] = useState(false);
+  // Whether the file corrects earlier samples (null until asked and answered)
+  const [replace, setReplace] = useState(null);
+
+  // Without a mapping (a newly picked sheet) the suggested one comes back
+  const loadPreview = (body) => {
+    setError(null);
+    sendJson(`/api/imports/${upload.id}/preview`, 'POST', body)
+      .then((result) => {
+        setPreview(result);
+        setSheet(result.sheet);
+        setMapping(result.mapping);
+      })
+      .catch((err) => {
+        setPreview(null);
+        setError(err.message);
+      });
+  };
+
+  useEffect(() => {
+    sendJson(`/api/imports/${upload.id}/preview`, 'POST', { sheet: upload.sheet, mapping: upload.mapping })
+      .then(setPreview)
+      .catch(err => setError(err.message));
+  }, [upload]);
+
+  const mapField = (field, header) => {
+    const next = { ...mapping, [field]: header || null };
+    setMapping(next);
+    loadPreview({ sheet, mapping: next });
+  };
+
+  const commit = () => {
+    setImporting(true);
+    setError(null);
+    sendJson(`/api/imports/${upload.id}/commit`, 'POST', { sheet, mapping, ...(replace === null ? {} : { replace }) })
+      .then(onDone)
+      .catch((err) => {
+        setError(err.message);
+        setImporting(false);
+      });
+  };
+
+  const headers = preview ? preview.headers : upload.headers;
+  const mapped = upload.fields.filter(({ field }) => mapping[field]);
+  const mustChoose = preview && preview.changed > 0 && replace === null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-5xl max-h-full overflow-y-auto p-6 text-sm">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+            <Upload size={20} className="text-indigo-600" />
+            Import {upload.fileName}
+          </h2>
+          <button onClick={onCancel} className="p-1 text-gray-500 hover:text-gray-800" title="Cancel import">
+            <X size={20} />
+          </button>
+        </div>
+
+        {upload.sheets.length > 1 && (
+          <label className="flex items-center gap-2 mb-4 text-gray-600">
+            Sheet
+            <select value={sheet} onChange={(e) => loadPreview({ sheet: e.target.value })} className="px-2 py-1 border rounded">
+              {upload.sheets.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+          </label>
+        )}
+
+        <h3 className="font-semibold text-gray-700 mb-2">Column mapping</h3>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-4">
+          {upload.fields.map(({ field, label, parameter }) => (
+            <label key={field} className={`flex flex-col ${parameter ? 'text-gray-800' : 'text-gray-600'}`}>
+              {label}
+              <select
+                value={mapping[field] || ''}
+                onChange={(e) => mapField(field, e.target.value)}
+                className="px-2 py-1 border rounded"
+              >
+                <option value="">— not imported —</option>
+                {headers.map(header => <option key={header} value={header}>{header}</option>)}
+              </select>
+            </label>
+          ))}
+        </div>
+
+        {error && <p className="mb-3 text-red-600">{error}</p>}
+
+        {preview && (
+          <>
+            <p className="mb-2 text-gray-700">
+              {preview.total} rows: <span className="font-semibold text-green-700">{preview.accepted} ready to import</span>
+              {preview.warnings > 0 && ` (${preview.warnings} with missing values, imported as not recorded)`},
+              {' '}<span className={`font-semibold ${preview.rejected.length > 0 ? 'text-red-600' : 'text-gray-600'}`}>
+                {preview.rejected.length} rejected
+              </span>
+            </p>
+
+            {preview.preview.length > 0 && (
+              <div className="overflow-x-auto mb-4 border rounded">
+                <table className="w-full text-xs">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-2 py-1 text-left">Row</th>
+                      {mapped.map(({ field, label }) => <th key={field} className="px-2 py-1 text-left">{label}</th>)}
+                      <th className="px-2 py-1 text-left">Warnings</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.preview.map(({ rowNumber, sample, warnings }) => (
+                      <tr key={rowNumber} className="border-t">
+                        <td className="px-2 py-1 text-gray-500">{rowNumber}</td>
+                        {mapped.map(({ field }) => (
+                          <td key={field} className="px-2 py-1">{sample[field] ?? '—'}</td>
+                        ))}
+                        <td className="px-2 py-1 text-amber-700">{warnings.join(', ')}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {preview.accepted > preview.preview.length && (
+                  <p className="px-2 py-1 text-xs text-gray-500">First {preview.preview.length} of {preview.accepted} rows</p>
+                )}
+              </div>
+            )}
+
+            {preview.changed > 0 && (
+              <fieldset className="mb-4 px-3 py-2 border border-amber-300 rounded bg-amber-50 text-amber-900">
+                <legend className="px-1 font-semibold">
+                  {preview.changed} rows would change samples imported earlier from {upload.fileName}
+                </legend>
+                <label className="flex items-center gap-2">
+                  <input type="radio" name="replace" checked={replace === true} onChange={() => setReplace(true)} />
+                  The file corrects them: update those samples
+                </label>
+                <label className="flex items-center gap-2">
+                  <input type="radio" name="replace" checked={replace === false} onChange={() => setReplace(false)} />
+                  The file is another run: import its rows as new samples
+                </label>
+              </fieldset>
+            )}
+
+            {preview.rejected.length > 0 && (
+              <div className="mb-4">
+                <div className="flex justify-between items-center mb-1">
+                  <h3 className="font-semibold text-red-700">Rejected rows (not imported)</h3>
+                  <button
+                    onClick={() => downloadRejected(upload.fileName, preview.headers, preview.rejected)}
+                    className="text-xs text-indigo-600 hover:underline"
+                  >
+                    Download rejected rows (CSV)
+                  </button>
+                </div>
+                <ul className="max-h-40 overflow-y-auto border border-red-200 rounded bg-red-50 px-3 py-2 text-xs text-red-800 space-y-1">
+                  {preview.rejected.map(({ rowNumber, errors }) => (
+                    <li key={rowNumber}>Row {rowNumber}: {errors.join('; ')}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button onClick={onCancel} className="bg-gray-200 hover:bg-gray-300 text-gray-800 px-4 py-2 rounded-lg">
+            Cancel
+          </button>
+          <button
+            onClick={commit}
+            disabled={!preview || preview.accepted === 0 || mustChoose || importing}
+            className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg font-semibold disabled:opacity-50"
+          >
+            Import {preview ? preview.accepted : ''} rows
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportDialog;
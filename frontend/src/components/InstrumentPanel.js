@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { Plug } from 'lucide-react';
+import { sendJson } from '../api';
+import { hasRole } from '../roles';
+import { formatValue } from '../parameters';
+
+// Instrument stations feeding readings straight into the samples: whether
+// the instrument is connected, its last reading or fault, and the batch its
+// readings go into (by default the newest batch in progress).
+const InstrumentPanel = ({ stations, parameters, batches, user }) => {
+  const [error, setError] = useState(null);
+
+  if (stations.length === 0) return null;
+
+  const openBatches = batches.filter(batch => batch.status === 'in-progress');
+  const numberOf = (batchId) => (batches.find(batch => batch.id === batchId) || {}).number;
+
+  const assignBatch = (station, value) => {
+    setError(null);
+    sendJson(`/api/instruments/${encodeURIComponent(station.id)}/batch`, 'PUT', { batchId: value ? Number(value) : null })
+      .catch(err => setError(err.message));
+  };
+
+  return (
+    <div className="mb-6 bg-white rounded-lg border border-gray-200 p-4">
+      <h3 className="text-lg font-bold text-gray-800 flex items-center gap-2 mb-3">
+        <Plug className="text-indigo-600" />
+        Instruments
+      </h3>
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+      <div className="space-y-2 text-sm">
+        {stations.map((station) => {
+          const parameter = parameters.find(p => p.key === station.parameter);
+          const live = station.enabled && station.connections > 0;
+          return (
+            <div key={station.id} className="flex flex-wrap items-center gap-3 border-t pt-2 first:border-t-0 first:pt-0">
+              <span
+                className={`w-2.5 h-2.5 rounded-full ${live ? 'bg-green-500' : station.enabled ? 'bg-amber-400' : 'bg-gray-300'}`}
+                title={live ? 'Connected' : station.enabled ? `Waiting for the instrument on port ${station.port}` : 'Disabled'}
+              />
+              <span className="font-semibold text-gray-800">{station.name}</span>
+              <span className="text-gray-500">{parameter ? parameter.name : station.parameter}</span>
+              {station.lastReading && parameter && (
+                <span className="text-gray-700">
+                  Last: <span className="font-semibold">{formatValue(station.lastReading.value, parameter.decimals)} {parameter.unit}</span>
+                  {' '}(sample {station.lastReading.sampleId}, {new Date(station.lastReading.at).toLocaleTimeString()})
+                </span>
+              )}
+              {station.lastError && (
+                <span className="text-xs text-red-600" title={station.lastError.line}>
+                  {station.lastError.message} at {new Date(station.lastError.at).toLocaleTimeString()}
+                </span>
+              )}
+              <span className="flex-1" />
+              {hasRole(user, 'operator') ? (
+                <select
+                  value={station.assignedBatchId ?? ''}
+                  onChange={(e) => assignBatch(station, e.target.value)}
+                  className="px-2 py-1 border rounded"
+                  title="Batch the readings go into"
+                >
+                  <option value="">Newest batch in progress{station.assignedBatchId === null && station.batchId ? ` (${numberOf(station.batchId)})` : ''}</option>
+                  {openBatches.map(batch => <option key={batch.id} value={batch.id}>{batch.number}</option>)}
+                </select>
+              ) : (
+                <span className="text-gray-500">Batch {numberOf(station.batchId) || '—'}</span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default InstrumentPanel;
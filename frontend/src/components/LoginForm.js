@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { Activity, LogIn } from 'lucide-react';
+import { sendJson } from '../api';
+
+// Sign-in screen; every change in the dashboard is recorded under this user
+const LoginForm = ({ onLogin }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const submit = (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsBusy(true);
+    sendJson('/api/auth/login', 'POST', { username, password })
+      .then(onLogin)
+      .catch((err) => {
+        setError(err.message);
+        setIsBusy(false);
+      });
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <form onSubmit={submit} className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-sm space-y-4">
+        <h1 className="text-2xl font-bold text-gray-800 flex items-center gap-3">
+          <Activity className="text-indigo-600" />
+          Tablet QC Dashboard
+        </h1>
+        <label className="block">
+          <span className="text-sm text-gray-600">Username</span>
+          <input
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            autoFocus
+            className="w-full px-3 py-2 border rounded focus:ring-2 focus:ring-indigo-500"
+          />
+        </label>
+        <label className="block">
+          <span className="text-sm text-gray-600">Password</span>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            className="w-full px-3 py-2 border rounded focus:ring-2 focus:ring-indigo-500"
+          />
+        </label>
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <button
+          type="submit"
+          disabled={isBusy || !username || !password}
+          className="w-full flex items-center justify-center gap-2 bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg font-semibold"
+        >
+          <LogIn size={18} />
+          Sign In
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginForm;
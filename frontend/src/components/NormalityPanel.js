@@ -0,0 +1,184 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { ComposedChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { Sigma } from 'lucide-react';
+import {
+  TRANSFORMS, NO_TRANSFORM, andersonDarling, boxCoxLambda, describeTransform, hasValue, isTransformed, qqPlot, transformer
+} from '@nelson-method/spc';
+import { formatValue } from '../parameters';
+
+// Below this Anderson-Darling p-value the data are treated as not normal
+const ALPHA = 0.05;
+
+const NormalityResult = ({ label, result }) => (
+  <div className="flex justify-between gap-2">
+    <span className="text-gray-600">{label}</span>
+    {result ? (
+      <span className={`font-semibold ${result.pValue < ALPHA ? 'text-red-600' : 'text-green-700'}`}>
+        A² = {result.adjusted.toFixed(3)}, p {result.pValue < 0.001 ? '< 0.001' : `= ${result.pValue.toFixed(3)}`}
+      </span>
+    ) : (
+      <span className="text-gray-400">Needs 8+ values</span>
+    )}
+  </div>
+);
+
+// Transformation picker for admins. Box-Cox starts from the λ estimated
+// from the data; a change note is required as for any product change.
+const TransformForm = ({ transform, suggestedLambda, onSave }) => {
+  const [type, setType] = useState(transform.type);
+  const [lambda, setLambda] = useState(transform.lambda ?? suggestedLambda ?? 1);
+  const [changeNote, setChangeNote] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setType(transform.type);
+    setLambda(transform.lambda ?? suggestedLambda ?? 1);
+  }, [transform, suggestedLambda]);
+
+  const changed = type !== transform.type || (type === 'box-cox' && Number(lambda) !== transform.lambda);
+
+  const submit = (e) => {
+    e.preventDefault();
+    setError(null);
+    onSave({ type, lambda: type === 'box-cox' ? Number(lambda) : null }, changeNote.trim())
+      .then(() => setChangeNote(''))
+      .catch(err => setError(err.message));
+  };
+
+  return (
+    <form onSubmit={submit} className="mt-3 pt-3 border-t flex flex-wrap items-end gap-2 text-sm">
+      <label className="flex flex-col text-gray-600">
+        Transformation
+        <select value={type} onChange={(e) => setType(e.target.value)} className="px-2 py-1 border rounded">
+          {Object.entries(TRANSFORMS).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </label>
+      {type === 'box-cox' && (
+        <label className="flex flex-col text-gray-600">
+          λ
+          <input
+            type="number"
+            step="0.01"
+            min="-2"
+            max="2"
+            value={lambda}
+            onChange={(e) => setLambda(e.target.value)}
+            className="w-20 px-2 py-1 border rounded"
+          />
+        </label>
+      )}
+      {type === 'box-cox' && suggestedLambda != null && (
+        <button type="button" onClick={() => setLambda(suggestedLambda)} className="text-xs text-indigo-600 hover:underline pb-2">
+          Use estimate ({suggestedLambda})
+        </button>
+      )}
+      {changed && (
+        <>
+          <input
+            value={changeNote}
+            onChange={(e) => setChangeNote(e.target.value)}
+            placeholder="Change note (required)"
+            className="flex-1 min-w-[10rem] px-2 py-1 border rounded"
+          />
+          <button
+            type="submit"
+            disabled={!changeNote.trim()}
+            className="px-3 py-1 bg-indigo-600 text-white rounded hover:bg-indigo-700 disabled:opacity-50"
+          >
+            Apply
+          </button>
+        </>
+      )}
+      {error && <p className="w-full text-xs text-red-600">{error}</p>}
+    </form>
+  );
+};
+
+// Normality diagnostics of one parameter: Anderson-Darling test and normal
+// Q-Q plot, on the original scale and on the scale of its transformation
+const NormalityPanel = ({ parameter, samples, transform = NO_TRANSFORM, onSaveTransform }) => {
+  const { key, name, unit, color, decimals } = parameter;
+  const transformed = isTransformed(transform);
+
+  const values = useMemo(() => samples.map(s => s[key]).filter(hasValue), [samples, key]);
+  const scaled = useMemo(() => {
+    const { forward } = transformer(transform);
+    return values.map(forward).filter(hasValue);
+  }, [values, transform]);
+
+  const original = useMemo(() => andersonDarling(values), [values]);
+  const onScale = useMemo(() => (transformed ? andersonDarling(scaled) : original), [transformed, scaled, original]);
+  const suggestedLambda = useMemo(() => boxCoxLambda(values), [values]);
+  const qq = useMemo(() => qqPlot(scaled), [scaled]);
+
+  const excluded = values.length - scaled.length;
+  const line = qq && [qq.points[0].theoretical, qq.points[qq.points.length - 1].theoretical]
+    .map(x => ({ x, y: qq.line.intercept + qq.line.slope * x }));
+
+  return (
+    <div className="bg-white rounded-lg border-2 p-4" style={{ borderColor: `${color}40` }}>
+      <div className="flex justify-between items-center mb-2">
+        <h4 className="font-bold text-gray-800 flex items-center gap-2">
+          <Sigma size={18} style={{ color }} />
+          {name} Normality
+        </h4>
+        <span className={`text-xs px-2 py-1 rounded ${transformed ? 'bg-violet-100 text-violet-800' : 'bg-gray-100 text-gray-600'}`}>
+          {describeTransform(transform)}
+        </span>
+      </div>
+
+      <div className="text-sm space-y-1 mb-2">
+        <NormalityResult label={`Original (${unit})`} result={original} />
+        {transformed && <NormalityResult label="Transformed" result={onScale} />}
+        {onScale && onScale.pValue < ALPHA && (
+          <p className="text-xs text-amber-700">
+            Not normal at the 5% level: ±σ zone rules may signal falsely.
+            {!transformed && suggestedLambda != null && ` Box-Cox suggests λ = ${suggestedLambda}.`}
+          </p>
+        )}
+        {transformed && excluded > 0 && (
+          <p className="text-xs text-amber-700">{excluded} value(s) ≤ 0 have no transformed value and are left out of the charts.</p>
+        )}
+      </div>
+
+      {qq ? (
+        <ResponsiveContainer width="100%" height={220}>
+          <ComposedChart margin={{ top: 10, right: 10, left: 0, bottom: 10 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+            <XAxis
+              dataKey="theoretical"
+              type="number"
+              domain={['dataMin', 'dataMax']}
+              tick={{ fontSize: 11 }}
+              tickFormatter={(z) => z.toFixed(1)}
+              label={{ value: 'Normal quantile', position: 'insideBottom', offset: -5, style: { fontSize: '11px' } }}
+            />
+            <YAxis
+              dataKey="observed"
+              type="number"
+              domain={['auto', 'auto']}
+              tick={{ fontSize: 11 }}
+              tickFormatter={(v) => formatValue(v, transformed ? 2 : decimals)}
+            />
+            <Tooltip
+              formatter={(value, label) => [Number(value).toFixed(3), label]}
+              labelFormatter={() => ''}
+            />
+            <ReferenceLine segment={line} stroke="#6b7280" strokeDasharray="4 3" ifOverflow="extendDomain" />
+            <Scatter data={qq.points} name={transformed ? 'Transformed' : name} fill={color} isAnimationActive={false} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      ) : (
+        <p className="h-24 flex items-center justify-center text-sm text-gray-400">Not enough data</p>
+      )}
+
+      {onSaveTransform && (
+        <TransformForm transform={transform} suggestedLambda={suggestedLambda} onSave={onSaveTransform} />
+      )}
+    </div>
+  );
+};
+
+export default NormalityPanel;
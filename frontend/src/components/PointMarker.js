@@ -0,0 +1,18 @@
+import React from 'react';
+
+// Signals are marked by investigation status: open ones as red dots,
+// acknowledged ones as amber diamonds and closed ones as green rings
+const PointMarker = ({ cx, cy, status, color }) => {
+  switch (status) {
+    case 'open':
+      return <circle cx={cx} cy={cy} r={6} fill="#dc2626" stroke="#fff" strokeWidth={2} />;
+    case 'acknowledged':
+      return <rect x={cx - 5} y={cy - 5} width={10} height={10} transform={`rotate(45 ${cx} ${cy})`} fill="#f59e0b" stroke="#fff" strokeWidth={2} />;
+    case 'closed':
+      return <circle cx={cx} cy={cy} r={5} fill="#fff" stroke="#16a34a" strokeWidth={2} />;
+    default:
+      return <circle cx={cx} cy={cy} r={4} fill={color} stroke="#fff" strokeWidth={1} />;
+  }
+};
+
+export default PointMarker;
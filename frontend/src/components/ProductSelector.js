@@ -0,0 +1,22 @@
+import React from 'react';
+import { Package } from 'lucide-react';
+
+const ProductSelector = ({ products, activeProduct, onSelect }) => (
+  <label className="flex items-center gap-2 bg-gray-100 rounded-lg px-3 py-2 text-sm text-gray-700">
+    <Package size={18} className="text-indigo-600" />
+    <select
+      value={activeProduct ? activeProduct.id : ''}
+      onChange={(e) => onSelect(e.target.value)}
+      disabled={products.length === 0}
+      className="bg-transparent font-semibold focus:outline-none"
+    >
+      {products.length === 0 && <option value="">Registry defaults</option>}
+      {products.map(product => (
+        <option key={product.id} value={product.id}>{product.name}</option>
+      ))}
+    </select>
+    {activeProduct && <span className="text-xs text-gray-500">v{activeProduct.version}</span>}
+  </label>
+);
+
+export default ProductSelector;
@@ -0,0 +1,221 @@
+import React, { useEffect, useState } from 'react';
+import { Settings } from 'lucide-react';
+import {
+  DEFAULT_RULE_CONFIG,
+  RULE_IDS,
+  RULE_SET_PRESETS,
+  SHIFT_RULES,
+  SHIFT_SETTING_RANGES,
+  resolveRuleConfig,
+  resolveRuleSet,
+  resolveShiftRules,
+  ruleLabel,
+  ruleSetDescriptions,
+  ruleSetName
+} from '@nelson-method/spc';
+
+// Labels of the shift chart settings
+const SETTING_LABELS = { k: 'k (σ)', h: 'h (σ)', lambda: 'λ', L: 'L (σ)' };
+
+// Reference panel for the active product's rule set, with an editor to pick a
+// preset or tune each rule of a custom set, and to switch on the CUSUM and
+// EWMA charts (with any preset).
+const RuleSetPanel = ({ ruleSet, canEdit, onSave }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(ruleSet);
+  const [changeNote, setChangeNote] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setDraft(ruleSet);
+  }, [ruleSet]);
+
+  const shown = isEditing ? draft : ruleSet;
+  const descriptions = ruleSetDescriptions(shown);
+  const config = resolveRuleConfig(resolveRuleSet(shown));
+  const shiftConfig = resolveShiftRules(shown);
+
+  const selectPreset = (preset) => {
+    // A custom set starts out as a copy of whatever was selected before
+    setDraft({ ...draft, preset, rules: preset === 'custom' ? resolveRuleSet(draft) : {} });
+  };
+
+  const updateRule = (rule, changes) => {
+    setDraft({
+      ...draft,
+      preset: 'custom',
+      rules: { ...draft.rules, [rule]: { ...config[rule], ...changes } }
+    });
+  };
+
+  const updateShiftRule = (rule, changes) => {
+    setDraft({ ...draft, [rule]: { ...shiftConfig[rule], ...changes } });
+  };
+
+  const save = () => {
+    setError(null);
+    onSave(draft, changeNote.trim())
+      .then(() => {
+        setIsEditing(false);
+        setChangeNote('');
+      })
+      .catch(err => setError(err.message));
+  };
+
+  return (
+    <div className="mt-6 bg-gray-50 rounded-lg p-4 border border-gray-200">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-lg font-bold text-gray-800">{ruleSetName(shown)} Rules Reference</h3>
+        {canEdit && !isEditing && (
+          <button
+            onClick={() => setIsEditing(true)}
+            className="flex items-center gap-1 text-sm bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-1 rounded"
+          >
+            <Settings size={14} />
+            Change Rule Set
+          </button>
+        )}
+      </div>
+
+      {isEditing && (
+        <div className="mb-4 p-3 bg-white border rounded-lg text-sm space-y-3">
+          <div className="flex flex-wrap gap-2">
+            {[...Object.entries(RULE_SET_PRESETS), ['custom', { name: 'Custom' }]].map(([preset, { name }]) => (
+              <button
+                key={preset}
+                onClick={() => selectPreset(preset)}
+                className={`px-3 py-1 rounded border ${draft.preset === preset ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-gray-700'}`}
+              >
+                {name}
+              </button>
+            ))}
+          </div>
+
+          {draft.preset === 'custom' && (
+            <table className="w-full">
+              <thead>
+                <tr className="text-left text-gray-600">
+                  <th className="py-1">Rule</th>
+                  <th className="py-1">On</th>
+                  <th className="py-1">Window</th>
+                  <th className="py-1">Count</th>
+                  <th className="py-1">Same side</th>
+                </tr>
+              </thead>
+              <tbody>
+                {RULE_IDS.map(rule => (
+                  <tr key={rule} className="border-t">
+                    <td className="py-1 font-semibold text-indigo-600">Rule {rule}</td>
+                    <td className="py-1">
+                      <input
+                        type="checkbox"
+                        checked={config[rule].enabled}
+                        onChange={(e) => updateRule(rule, { enabled: e.target.checked })}
+                      />
+                    </td>
+                    <td className="py-1">
+                      {rule !== 1 && (
+                        <input
+                          type="number"
+                          min="1"
+                          value={config[rule].window}
+                          onChange={(e) => updateRule(rule, { window: parseInt(e.target.value, 10) || 1 })}
+                          className="w-16 px-2 py-0.5 border rounded"
+                        />
+                      )}
+                    </td>
+                    <td className="py-1">
+                      {'count' in DEFAULT_RULE_CONFIG[rule] && (
+                        <input
+                          type="number"
+                          min="1"
+                          value={config[rule].count}
+                          onChange={(e) => updateRule(rule, { count: parseInt(e.target.value, 10) || 1 })}
+                          className="w-16 px-2 py-0.5 border rounded"
+                        />
+                      )}
+                    </td>
+                    <td className="py-1">
+                      {'sameSide' in DEFAULT_RULE_CONFIG[rule] && (
+                        <input
+                          type="checkbox"
+                          checked={config[rule].sameSide}
+                          onChange={(e) => updateRule(rule, { sameSide: e.target.checked })}
+                        />
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <div className="flex flex-wrap gap-x-6 gap-y-2 pt-2 border-t">
+            {Object.entries(SHIFT_RULES).map(([rule, { label }]) => (
+              <div key={rule} className="flex flex-wrap items-center gap-2">
+                <label className="flex items-center gap-1 font-semibold text-indigo-600">
+                  <input
+                    type="checkbox"
+                    checked={shiftConfig[rule].enabled}
+                    onChange={(e) => updateShiftRule(rule, { enabled: e.target.checked })}
+                  />
+                  {label}
+                </label>
+                {Object.entries(SHIFT_SETTING_RANGES[rule]).map(([setting, [min, max]]) => (
+                  <label key={setting} className="flex items-center gap-1 text-gray-600">
+                    {SETTING_LABELS[setting]}
+                    <input
+                      type="number"
+                      step="0.05"
+                      min={min}
+                      max={max}
+                      value={shiftConfig[rule][setting]}
+                      onChange={(e) => updateShiftRule(rule, { [setting]: parseFloat(e.target.value) })}
+                      className="w-16 px-2 py-0.5 border rounded"
+                    />
+                  </label>
+                ))}
+              </div>
+            ))}
+          </div>
+
+          <div className="flex items-center gap-2">
+            <input
+              value={changeNote}
+              onChange={(e) => setChangeNote(e.target.value)}
+              placeholder="Reason for change (required)"
+              className="flex-1 px-2 py-1 border rounded"
+            />
+            <button
+              onClick={save}
+              disabled={!changeNote.trim()}
+              className="bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white px-3 py-1 rounded font-semibold"
+            >
+              Save for Product
+            </button>
+            <button
+              onClick={() => {
+                setDraft(ruleSet);
+                setIsEditing(false);
+              }}
+              className="text-gray-600 hover:text-gray-800 px-2 py-1"
+            >
+              Cancel
+            </button>
+            {error && <span className="text-xs text-red-600">{error}</span>}
+          </div>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+        {Object.entries(descriptions).map(([rule, description]) => (
+          <div key={rule} className="p-2 bg-white rounded border">
+            <strong className="text-indigo-600">{ruleLabel(rule)}:</strong> {description}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RuleSetPanel;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { Filter } from 'lucide-react';
+import HistoryRange from './HistoryRange';
+
+// The history to load, then narrow the table, statistics and charts down to
+// one batch and/or machine
+const SampleFilters = ({ filters, range, batches, machines, shown, total, onChange, onRangeChange }) => (
+  <div className="mb-4 flex flex-wrap items-center gap-3 text-sm text-gray-700">
+    <HistoryRange range={range} onChange={onRangeChange} />
+    <Filter size={16} className="text-indigo-600" />
+    <select
+      value={filters.batchId}
+      onChange={(e) => onChange({ ...filters, batchId: e.target.value })}
+      className="bg-gray-100 px-2 py-1 rounded"
+    >
+      <option value="">All batches</option>
+      <option value="none">No batch</option>
+      {batches.map(batch => <option key={batch.id} value={batch.id}>{batch.number}</option>)}
+    </select>
+    <select
+      value={filters.machine}
+      onChange={(e) => onChange({ ...filters, machine: e.target.value })}
+      className="bg-gray-100 px-2 py-1 rounded"
+    >
+      <option value="">All machines</option>
+      {machines.map(machine => <option key={machine} value={machine}>{machine}</option>)}
+    </select>
+    {total === 0
+      ? <span className="text-gray-500">No samples in this range</span>
+      : shown !== total && <span className="text-gray-500">{shown} of {total} samples</span>}
+  </div>
+);
+
+// Filters as kept by the dashboard: batchId is '' (all), 'none' or a batch id
+export const NO_FILTERS = { batchId: '', machine: '' };
+
+export const filterSamples = (samples, { batchId, machine }) => samples.filter(sample =>
+  (batchId === '' || (batchId === 'none' ? sample.batchId == null : sample.batchId === Number(batchId)))
+  && (machine === '' || sample.machine === machine));
+
+export default SampleFilters;
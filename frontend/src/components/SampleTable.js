@@ -0,0 +1,238 @@
+import React, { useLayoutEffect, useRef, useState } from 'react';
+import { Lock } from 'lucide-react';
+import { isWithinSpec } from '../parameters';
+
+// Shown under a row whose recorded values were changed: corrections are only
+// saved together with a reason for the change
+const CorrectionRow = ({ sampleId, columns, onSave, onDiscard }) => {
+  const [reason, setReason] = useState('');
+
+  return (
+    <tr className="bg-amber-50 border-b">
+      <td colSpan={columns} className="px-4 py-2">
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            onSave(sampleId, reason.trim());
+          }}
+          className="flex items-center gap-2 text-sm"
+        >
+          <span className="text-amber-800 font-semibold">Reason for correcting sample {sampleId}:</span>
+          <input
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="e.g. transcription error"
+            className="flex-1 px-2 py-1 border rounded"
+          />
+          <button
+            type="submit"
+            disabled={!reason.trim()}
+            className="bg-amber-600 hover:bg-amber-700 disabled:opacity-50 text-white px-3 py-1 rounded font-semibold"
+          >
+            Save
+          </button>
+          <button type="button" onClick={() => onDiscard(sampleId)} className="text-gray-600 hover:text-gray-800 px-2 py-1">
+            Discard
+          </button>
+        </form>
+      </td>
+    </tr>
+  );
+};
+
+// Only the rows around the scrolled-to part of the table are drawn, with
+// spacer rows standing in for the rest, so long histories stay responsive.
+// Row height is measured from a drawn row.
+const VIEWPORT_HEIGHT = 384; // max-h-96
+const OVERSCAN_ROWS = 10;
+
+// Rows of batches that are no longer in progress are locked (read-only).
+// `violations` maps each parameter to the rules firing on each sample (by id).
+const SampleTable = ({
+  samples,
+  parameters,
+  batches,
+  violations,
+  ruleDescriptions,
+  heldIds,
+  onUpdate,
+  onSaveCorrection,
+  onDiscardCorrection,
+  onDelete
+}) => {
+  const [scrollTop, setScrollTop] = useState(0);
+  const [rowHeight, setRowHeight] = useState(57);
+  const bodyRef = useRef(null);
+
+  useLayoutEffect(() => {
+    const row = bodyRef.current && bodyRef.current.querySelector('tr[data-sample-row]');
+    if (row && row.offsetHeight > 0 && row.offsetHeight !== rowHeight) {
+      setRowHeight(row.offsetHeight);
+    }
+  }, [rowHeight, samples, parameters]);
+
+  const first = Math.max(0, Math.floor(scrollTop / rowHeight) - OVERSCAN_ROWS);
+  const last = Math.min(samples.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / rowHeight) + OVERSCAN_ROWS);
+  const columns = 7 + parameters.length * 2;
+
+  return (
+    <div className="mb-6 overflow-hidden rounded-lg border border-gray-200">
+      <div className="bg-gradient-to-r from-indigo-600 to-purple-600 text-white px-4 py-3 flex justify-between items-center">
+        <h3 className="font-bold">Data Entry Table</h3>
+        <span className="text-sm bg-white/20 px-2 py-1 rounded">
+          {samples.length} samples
+        </span>
+      </div>
+      <div className="overflow-x-auto max-h-96" onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}>
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Sample No.</th>
+              <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Measured</th>
+              <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Batch</th>
+              <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Machine</th>
+              <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Operator</th>
+              <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">Subgroup</th>
+              {parameters.map(param => (
+                <React.Fragment key={param.key}>
+                  <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700 whitespace-nowrap">
+                    {param.name} ({param.unit})
+                  </th>
+                  <th className="px-4 py-3 text-center text-sm font-semibold text-gray-700">Status</th>
+                </React.Fragment>
+              ))}
+              <th className="px-4 py-3 text-center text-sm font-semibold text-gray-700">Actions</th>
+            </tr>
+          </thead>
+          <tbody ref={bodyRef}>
+            {first > 0 && <tr aria-hidden="true" style={{ height: first * rowHeight }}><td colSpan={columns} /></tr>}
+            {samples.slice(first, last).map((sample, offset) => {
+              const index = first + offset;
+              const batch = batches.find(b => b.id === sample.batchId);
+              const isLocked = Boolean(batch) && batch.status !== 'in-progress';
+              return (
+                <React.Fragment key={sample.id}>
+                  <tr data-sample-row className={`border-b hover:bg-gray-50 ${index % 2 === 0 ? 'bg-gray-50' : 'bg-white'}`}>
+                    <td className="px-4 py-3 font-semibold">{sample.id}</td>
+                    <td className="px-4 py-3 text-xs text-gray-500 whitespace-nowrap">
+                      {sample.measuredAt ? new Date(sample.measuredAt).toLocaleString() : '—'}
+                    </td>
+                    <td className="px-4 py-3">
+                      {isLocked ? (
+                        <span className="text-sm text-gray-700 whitespace-nowrap">{batch.number}</span>
+                      ) : (
+                        <select
+                          value={sample.batchId ?? ''}
+                          onChange={(e) => onUpdate(sample.id, 'batchId', e.target.value)}
+                          className="px-2 py-1 border rounded text-sm bg-white"
+                        >
+                          <option value="">—</option>
+                          {batches.filter(b => b.status === 'in-progress').map(b => (
+                            <option key={b.id} value={b.id}>{b.number}</option>
+                          ))}
+                        </select>
+                      )}
+                    </td>
+                    {['machine', 'operator'].map(field => (
+                      <td key={field} className="px-4 py-3">
+                        <input
+                          type="text"
+                          value={sample[field] ?? ''}
+                          placeholder="—"
+                          disabled={isLocked}
+                          onChange={(e) => onUpdate(sample.id, field, e.target.value)}
+                          className="w-24 px-2 py-1 border rounded focus:ring-2 focus:ring-indigo-500 text-sm"
+                        />
+                      </td>
+                    ))}
+                    <td className="px-4 py-3">
+                      <input
+                        type="text"
+                        value={sample.subgroup ?? ''}
+                        placeholder="—"
+                        disabled={isLocked}
+                        onChange={(e) => onUpdate(sample.id, 'subgroup', e.target.value)}
+                        className="w-20 px-2 py-1 border rounded focus:ring-2 focus:ring-indigo-500 text-sm"
+                      />
+                    </td>
+                    {parameters.map(param => {
+                      const value = sample[param.key];
+                      const pass = isWithinSpec(value, param);
+                      const rules = (violations[param.key] && violations[param.key].get(sample.id)) || [];
+                      const hasViolation = rules.length > 0;
+
+                      return (
+                        <React.Fragment key={param.key}>
+                          <td className="px-4 py-3 relative group">
+                            <input
+                              type="number"
+                              step={Math.pow(10, -param.decimals)}
+                              value={value || ''}
+                              placeholder={(0).toFixed(param.decimals)}
+                              disabled={isLocked}
+                              onChange={(e) => onUpdate(sample.id, param.key, e.target.value)}
+                              className={`w-24 px-2 py-1 border rounded focus:ring-2 focus:ring-indigo-500 text-sm ${
+                                hasViolation ? 'border-red-500 bg-red-50' : ''
+                              }`}
+                            />
+                            {hasViolation && (
+                              <div className="hidden group-hover:block absolute z-10 bg-white border-2 border-red-500 rounded-lg p-3 shadow-xl left-0 top-full mt-1 w-72">
+                                <p className="text-xs font-bold text-red-600 mb-1">{param.name} Violations:</p>
+                                {rules.map(rule => (
+                                  <p key={rule} className="text-xs text-red-600">• {ruleDescriptions[rule]}</p>
+                                ))}
+                              </div>
+                            )}
+                          </td>
+                          <td className="px-4 py-3 text-center">
+                            {value > 0 && (
+                              <span
+                                className={`px-2 py-1 rounded-full text-xs font-semibold ${pass ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'} ${
+                                  hasViolation ? 'ring-1 ring-yellow-400' : ''
+                                }`}
+                              >
+                                {pass ? 'PASS' : 'FAIL'}
+                                {hasViolation && ' ⚠️'}
+                              </span>
+                            )}
+                          </td>
+                        </React.Fragment>
+                      );
+                    })}
+                    <td className="px-4 py-3 text-center">
+                      {isLocked ? (
+                        <span title={`Batch ${batch.number} is ${batch.status}`}>
+                          <Lock size={16} className="inline text-gray-400" />
+                        </span>
+                      ) : (
+                        <button
+                          onClick={() => onDelete(sample.id)}
+                          className="text-red-600 hover:text-red-800 font-semibold text-sm"
+                        >
+                          Delete
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                  {heldIds.includes(sample.id) && (
+                    <CorrectionRow
+                      sampleId={sample.id}
+                      columns={columns}
+                      onSave={onSaveCorrection}
+                      onDiscard={onDiscardCorrection}
+                    />
+                  )}
+                </React.Fragment>
+              );
+            })}
+            {last < samples.length && (
+              <tr aria-hidden="true" style={{ height: (samples.length - last) * rowHeight }}><td colSpan={columns} /></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default SampleTable;
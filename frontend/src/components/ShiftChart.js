@@ -0,0 +1,126 @@
+import React, { useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, Brush } from 'recharts';
+import { SHIFT_RULES, describeShiftRule } from '@nelson-method/spc';
+import { downsample } from '../downsample';
+import PointMarker from './PointMarker';
+
+const stepLine = {
+  type: 'stepAfter',
+  dot: false,
+  activeDot: false,
+  tooltipType: 'none',
+  isAnimationActive: false
+};
+
+// Same layout as the Shewhart chart's tooltip, with the chart's own signal
+const ShiftTooltip = ({ active, payload, label, xLabel, mode, description }) => {
+  if (active && payload && payload.length) {
+    const data = payload[0].payload;
+    const signal = data[`${mode}Signal`];
+
+    return (
+      <div className="bg-white p-4 border border-gray-300 shadow-lg rounded-lg">
+        <p className="font-bold text-gray-800 mb-2">{xLabel === 'Subgroup' ? `Subgroup ${label} (n=${data.n})` : `Sample ${label}`}</p>
+
+        {payload.map((entry, index) => (
+          <div key={index} className="mb-2">
+            <p className="text-sm font-medium" style={{ color: entry.color }}>
+              {entry.name}: <span className="font-bold">{Math.abs(Number(entry.value)).toFixed(3)}</span>
+            </p>
+          </div>
+        ))}
+
+        {signal && (
+          <div className="mt-1 ml-2">
+            <p className="text-xs font-semibold text-red-600">{SHIFT_RULES[mode].label} Signal ({data[`${mode}Status`]}):</p>
+            <p className="text-xs text-red-600 ml-2">• {description}, {signal === 'up' ? 'upward' : 'downward'} shift</p>
+          </div>
+        )}
+      </div>
+    );
+  }
+  return null;
+};
+
+// Marks the chart's signals (only those in `direction`, when given)
+const signalDot = (mode, color, direction) => (props) => {
+  const { cx, cy, payload, index } = props;
+  if (!cx || !cy) return null;
+  const signal = payload[`${mode}Signal`];
+  const marked = signal && (!direction || signal === direction);
+  return <PointMarker key={index} cx={cx} cy={cy} status={marked ? payload[`${mode}Status`] : null} color={color} />;
+};
+
+// CUSUM (C⁺ above and C⁻ below zero, in σ units, against ±h) or EWMA (in the
+// parameter's units, against its limits) for the chart points of `series`.
+// `config` holds the chart's settings from the rule set. Long series are
+// thinned out for drawing, keeping signals (see downsample.js).
+const ShiftChart = ({ parameter, mode, series: allPoints, config, xLabel }) => {
+  const { name, unit, color } = parameter;
+  const series = useMemo(() => downsample(allPoints, {
+    valuesOf: mode === 'cusum' ? [point => point.cusumUpper, point => point.cusumLower] : [point => point.ewma],
+    keep: point => Boolean(point[`${mode}Signal`])
+  }), [allPoints, mode]);
+  const description = describeShiftRule(mode, config);
+  const tooltip = <Tooltip content={<ShiftTooltip xLabel={xLabel} mode={mode} description={description} />} />;
+  const brush = (
+    <Brush
+      dataKey="x"
+      height={20}
+      stroke={color}
+      fill={`${color}14`}
+      travellerWidth={8}
+      startIndex={Math.max(0, series.length - 15)}
+      endIndex={series.length - 1}
+    />
+  );
+
+  return (
+    <ResponsiveContainer width="100%" height={350}>
+      {mode === 'cusum' ? (
+        <LineChart data={series} syncId={parameter.key} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+          <XAxis
+            dataKey="x"
+            label={{ value: xLabel, position: 'insideBottom', offset: -5, style: { fontSize: '12px' } }}
+            tick={{ fontSize: 12 }}
+          />
+          <YAxis
+            label={{ value: `CUSUM ${name} (σ)`, angle: -90, position: 'insideLeft', style: { fontSize: '12px' } }}
+            domain={['auto', 'auto']}
+            tick={{ fontSize: 12 }}
+          />
+          {tooltip}
+          <ReferenceLine y={0} stroke={color} strokeWidth={1.5} />
+          <ReferenceLine y={config.h} stroke="#dc2626" strokeWidth={1.5} strokeDasharray="3 3" ifOverflow="extendDomain" />
+          <ReferenceLine y={-config.h} stroke="#dc2626" strokeWidth={1.5} strokeDasharray="3 3" ifOverflow="extendDomain" />
+          <Line type="linear" dataKey="cusumUpper" name="C⁺" stroke={color} strokeWidth={2} dot={signalDot('cusum', color, 'up')} isAnimationActive={false} />
+          <Line type="linear" dataKey="cusumLower" name="C⁻" stroke="#6b7280" strokeWidth={2} dot={signalDot('cusum', '#6b7280', 'down')} isAnimationActive={false} />
+          {brush}
+        </LineChart>
+      ) : (
+        <LineChart data={series} syncId={parameter.key} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+          <XAxis
+            dataKey="x"
+            label={{ value: xLabel, position: 'insideBottom', offset: -5, style: { fontSize: '12px' } }}
+            tick={{ fontSize: 12 }}
+          />
+          <YAxis
+            label={{ value: `EWMA ${name} (${unit})`, angle: -90, position: 'insideLeft', style: { fontSize: '12px' } }}
+            domain={['auto', 'auto']}
+            tick={{ fontSize: 12 }}
+          />
+          {tooltip}
+          <Line {...stepLine} dataKey="ewmaCenter" stroke={color} strokeWidth={1.5} />
+          <Line {...stepLine} dataKey="ewmaUcl" stroke="#dc2626" strokeWidth={1.5} strokeDasharray="3 3" />
+          <Line {...stepLine} dataKey="ewmaLcl" stroke="#dc2626" strokeWidth={1.5} strokeDasharray="3 3" />
+          <Line type="monotone" dataKey="ewma" name="EWMA" stroke={color} strokeWidth={2.5} dot={signalDot('ewma', color)} isAnimationActive={false} />
+          {brush}
+        </LineChart>
+      )}
+    </ResponsiveContainer>
+  );
+};
+
+export default ShiftChart;
@@ -0,0 +1,80 @@
+import React, { useEffect, useState } from 'react';
+import { PenLine } from 'lucide-react';
+import { fetchJson } from '../api';
+
+// Electronic signature for releasing or rejecting a batch: the signer
+// re-enters their username and password and states what the signature means
+const SignatureForm = ({ decision, onSign, onCancel }) => {
+  const [meanings, setMeanings] = useState({});
+  const [meaning, setMeaning] = useState('approval');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [comment, setComment] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchJson('/api/batches/signature-meanings')
+      .then(setMeanings)
+      .catch(err => setError(err.message));
+  }, []);
+
+  const submit = (e) => {
+    e.preventDefault();
+    setError(null);
+    onSign({ signature: { username, password, meaning }, reason: comment.trim() || undefined })
+      .catch((err) => {
+        setPassword('');
+        setError(err.message);
+      });
+  };
+
+  return (
+    <form onSubmit={submit} className="mt-2 p-3 bg-white border rounded-lg space-y-2 text-sm">
+      <p className="font-semibold text-gray-800 flex items-center gap-2">
+        <PenLine size={16} className="text-indigo-600" />
+        Sign to {decision === 'released' ? 'release' : 'reject'} this batch
+      </p>
+      <select value={meaning} onChange={(e) => setMeaning(e.target.value)} className="w-full px-2 py-1 border rounded">
+        {Object.entries(meanings).map(([key, text]) => <option key={key} value={key}>{text}</option>)}
+      </select>
+      <div className="flex gap-2">
+        <input
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          placeholder="Username"
+          autoComplete="off"
+          className="flex-1 px-2 py-1 border rounded"
+        />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password"
+          autoComplete="off"
+          className="flex-1 px-2 py-1 border rounded"
+        />
+      </div>
+      <input
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        placeholder="Comment (optional)"
+        className="w-full px-2 py-1 border rounded"
+      />
+      <div className="flex items-center gap-2">
+        <button
+          type="submit"
+          disabled={!username || !password}
+          className={`${decision === 'released' ? 'bg-green-600 hover:bg-green-700' : 'bg-red-600 hover:bg-red-700'} disabled:opacity-50 text-white px-3 py-1 rounded font-semibold`}
+        >
+          Sign
+        </button>
+        <button type="button" onClick={onCancel} className="text-gray-600 hover:text-gray-800 px-2 py-1">
+          Cancel
+        </button>
+        {error && <span className="text-xs text-red-600">{error}</span>}
+      </div>
+    </form>
+  );
+};
+
+export default SignatureForm;
@@ -0,0 +1,35 @@
+import React from 'react';
+import { formatValue } from '../parameters';
+
+const StatsCard = ({ parameter, stats }) => {
+  const { name, unit, decimals, color } = parameter;
+
+  return (
+    <div
+      className="rounded-lg p-4 border"
+      style={{ borderColor: `${color}55`, backgroundColor: `${color}0f` }}
+    >
+      <h3 className="text-lg font-bold mb-3" style={{ color }}>{name} Statistics</h3>
+      <div className="space-y-1">
+        <div className="flex justify-between">
+          <span className="text-gray-600 text-sm">Average:</span>
+          <span className="font-semibold">{formatValue(stats.avg, decimals)} {unit}</span>
+        </div>
+        <div className="flex justify-between">
+          <span className="text-gray-600 text-sm">Std Dev (σ):</span>
+          <span className="font-semibold">{formatValue(stats.sd, decimals + 1)} {unit}</span>
+        </div>
+        <div className="flex justify-between">
+          <span className="text-gray-600 text-sm">%RSD:</span>
+          <span className="font-semibold">{formatValue(stats.rsd, 2)}%</span>
+        </div>
+        <div className="flex justify-between">
+          <span className="text-gray-600 text-sm">Samples:</span>
+          <span className="font-semibold">{stats.n}</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StatsCard;
@@ -0,0 +1,39 @@
+import React from 'react';
+import { GitMerge, X } from 'lucide-react';
+
+const describeValues = (values) => Object.entries(values)
+  .map(([field, value]) => `${field} ${value ?? '—'}`)
+  .join(', ');
+
+// Edits the server refused because someone else changed the sample first
+const SyncConflicts = ({ conflicts, onDismiss }) => {
+  if (conflicts.length === 0) return null;
+
+  return (
+    <div className="bg-orange-50 border-l-4 border-orange-400 p-4 mb-6 space-y-2">
+      {conflicts.map(conflict => (
+        <div key={conflict.id} className="flex items-start justify-between gap-2 text-sm">
+          <div className="flex items-start gap-2">
+            <GitMerge className="text-orange-600 mt-0.5" size={18} />
+            <div>
+              <p className="font-semibold text-orange-800">
+                {conflict.sampleId ? `Sample ${conflict.sampleId}: ` : ''}{conflict.message}
+              </p>
+              {conflict.attempted && !conflict.attempted.deleted && (
+                <p className="text-orange-700">Your unsaved change: {describeValues(conflict.attempted)}</p>
+              )}
+              {conflict.current && (
+                <p className="text-orange-700">Now showing their version (revision {conflict.current.revision}).</p>
+              )}
+            </div>
+          </div>
+          <button onClick={() => onDismiss(conflict.id)} className="text-orange-400 hover:text-orange-600" title="Dismiss">
+            <X size={16} />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SyncConflicts;
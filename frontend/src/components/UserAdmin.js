@@ -0,0 +1,131 @@
+import React, { useEffect, useState } from 'react';
+import { Users } from 'lucide-react';
+import { fetchJson, sendJson } from '../api';
+import { ROLES } from '../roles';
+
+const NEW_USER = { username: '', displayName: '', role: 'operator', password: '' };
+
+// User accounts (admins only). Changes to an account are audited and ask for
+// a reason.
+const UserAdmin = () => {
+  const [users, setUsers] = useState([]);
+  const [draft, setDraft] = useState(NEW_USER);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchJson('/api/users')
+      .then(setUsers)
+      .catch(err => setError(err.message));
+  }, []);
+
+  const replace = (user) => setUsers(current => current.map(u => (u.id === user.id ? user : u)));
+
+  const updateUser = (user, changes, question) => {
+    const reason = window.prompt(question || `Reason for changing ${user.username}`);
+    if (!reason) return;
+    setError(null);
+    sendJson(`/api/users/${user.id}`, 'PATCH', { ...changes, reason })
+      .then(replace)
+      .catch(err => setError(err.message));
+  };
+
+  const resetPassword = (user) => {
+    const password = window.prompt(`New password for ${user.username}`);
+    if (password) updateUser(user, { password }, `Reason for resetting the password of ${user.username}`);
+  };
+
+  const createUser = (e) => {
+    e.preventDefault();
+    setError(null);
+    sendJson('/api/users', 'POST', draft)
+      .then((user) => {
+        setUsers(current => [...current, user]);
+        setDraft(NEW_USER);
+      })
+      .catch(err => setError(err.message));
+  };
+
+  return (
+    <div className="mt-6 bg-white rounded-lg border border-gray-200 p-4">
+      <h3 className="text-lg font-bold text-gray-800 flex items-center gap-2 mb-3">
+        <Users className="text-indigo-600" />
+        Users
+      </h3>
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+      <table className="w-full text-sm mb-3">
+        <thead>
+          <tr className="text-left text-gray-600">
+            <th className="py-1">Username</th>
+            <th className="py-1">Name</th>
+            <th className="py-1">Role</th>
+            <th className="py-1">Active</th>
+            <th className="py-1" />
+          </tr>
+        </thead>
+        <tbody>
+          {users.map(user => (
+            <tr key={user.id} className="border-t">
+              <td className="py-1 font-semibold">{user.username}</td>
+              <td className="py-1">{user.displayName}</td>
+              <td className="py-1">
+                <select
+                  value={user.role}
+                  onChange={(e) => updateUser(user, { role: e.target.value })}
+                  className="bg-gray-100 px-2 py-0.5 rounded"
+                >
+                  {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                </select>
+              </td>
+              <td className="py-1">
+                <input
+                  type="checkbox"
+                  checked={user.active}
+                  onChange={(e) => updateUser(user, { active: e.target.checked })}
+                />
+              </td>
+              <td className="py-1 text-right">
+                <button onClick={() => resetPassword(user)} className="text-indigo-600 hover:text-indigo-800">
+                  Reset password
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <form onSubmit={createUser} className="flex flex-wrap items-center gap-2 text-sm">
+        <input
+          value={draft.username}
+          onChange={(e) => setDraft({ ...draft, username: e.target.value })}
+          placeholder="Username"
+          className="w-28 px-2 py-1 border rounded"
+        />
+        <input
+          value={draft.displayName}
+          onChange={(e) => setDraft({ ...draft, displayName: e.target.value })}
+          placeholder="Full name"
+          className="w-40 px-2 py-1 border rounded"
+        />
+        <select
+          value={draft.role}
+          onChange={(e) => setDraft({ ...draft, role: e.target.value })}
+          className="bg-gray-100 px-2 py-1 rounded"
+        >
+          {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+        </select>
+        <input
+          type="password"
+          value={draft.password}
+          onChange={(e) => setDraft({ ...draft, password: e.target.value })}
+          placeholder="Initial password"
+          autoComplete="new-password"
+          className="w-36 px-2 py-1 border rounded"
+        />
+        <button type="submit" className="bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1 rounded font-semibold">
+          Add User
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default UserAdmin;
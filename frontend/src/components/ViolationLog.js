@@ -0,0 +1,159 @@
+import React, { useState } from 'react';
+import { ClipboardList, ChevronDown, ChevronUp } from 'lucide-react';
+import { ruleLabel } from '@nelson-method/spc';
+
+const STATUS_STYLES = {
+  open: 'bg-red-100 text-red-800',
+  acknowledged: 'bg-amber-100 text-amber-800',
+  closed: 'bg-green-100 text-green-800'
+};
+
+// Root cause categories (6M) offered as suggestions; any text is accepted
+const ROOT_CAUSES = ['Material', 'Machine', 'Method', 'Manpower', 'Measurement', 'Environment'];
+
+const Comments = ({ comments }) => comments.length > 0 && (
+  <ul className="space-y-1">
+    {comments.map((c, i) => (
+      <li key={i} className="text-gray-700">
+        <span className="text-xs text-gray-400">{new Date(c.at).toLocaleString()}</span> {c.text}
+      </li>
+    ))}
+  </ul>
+);
+
+// What QA recorded, for users who can't work on investigations
+const InvestigationSummary = ({ violation }) => (
+  <div className="p-3 bg-gray-50 space-y-2 text-sm">
+    <Comments comments={violation.comments} />
+    <p className="text-gray-600">
+      Root cause: {violation.rootCause || '—'} · Corrective action: {violation.correctiveAction || '—'}
+    </p>
+  </div>
+);
+
+const InvestigationForm = ({ violation, onUpdate }) => {
+  const [rootCause, setRootCause] = useState(violation.rootCause || '');
+  const [correctiveAction, setCorrectiveAction] = useState(violation.correctiveAction || '');
+  const [comment, setComment] = useState('');
+  const [error, setError] = useState(null);
+
+  const submit = (status) => {
+    setError(null);
+    onUpdate(violation.id, { status, rootCause, correctiveAction, comment })
+      .then(() => setComment(''))
+      .catch(err => setError(err.message));
+  };
+
+  return (
+    <div className="p-3 bg-gray-50 space-y-2 text-sm">
+      <Comments comments={violation.comments} />
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+        <label className="block">
+          <span className="text-xs text-gray-600">Root cause</span>
+          <input
+            list="root-causes"
+            value={rootCause}
+            onChange={(e) => setRootCause(e.target.value)}
+            className="w-full px-2 py-1 border rounded"
+          />
+          <datalist id="root-causes">
+            {ROOT_CAUSES.map(cause => <option key={cause} value={cause} />)}
+          </datalist>
+        </label>
+        <label className="block">
+          <span className="text-xs text-gray-600">Corrective / preventive action</span>
+          <input
+            value={correctiveAction}
+            onChange={(e) => setCorrectiveAction(e.target.value)}
+            className="w-full px-2 py-1 border rounded"
+          />
+        </label>
+      </div>
+      <textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        placeholder="Add a comment"
+        rows={2}
+        className="w-full px-2 py-1 border rounded"
+      />
+      <div className="flex items-center gap-2">
+        <button onClick={() => submit(undefined)} className="bg-gray-200 hover:bg-gray-300 text-gray-800 px-3 py-1 rounded">
+          Save
+        </button>
+        {violation.status === 'open' && (
+          <button onClick={() => submit('acknowledged')} className="bg-amber-500 hover:bg-amber-600 text-white px-3 py-1 rounded">
+            Acknowledge
+          </button>
+        )}
+        {violation.status !== 'closed' ? (
+          <button onClick={() => submit('closed')} className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded">
+            Close
+          </button>
+        ) : (
+          <button onClick={() => submit('open')} className="bg-gray-200 hover:bg-gray-300 text-gray-800 px-3 py-1 rounded">
+            Reopen
+          </button>
+        )}
+        {error && <span className="text-xs text-red-600">{error}</span>}
+      </div>
+    </div>
+  );
+};
+
+// Investigation log of the recorded violations of the active product; only
+// QA can work on the investigations
+const ViolationLog = ({ violations, parameters, canEdit, onUpdate }) => {
+  const [statusFilter, setStatusFilter] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+
+  const parameterName = (key) => (parameters.find(p => p.key === key) || { name: key }).name;
+  const shown = violations.filter(v => !statusFilter || v.status === statusFilter);
+
+  return (
+    <div className="mt-6 bg-white rounded-lg border border-gray-200 p-4">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-lg font-bold text-gray-800 flex items-center gap-2">
+          <ClipboardList className="text-indigo-600" />
+          Violation Investigations
+        </h3>
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="text-sm bg-gray-100 text-gray-700 px-2 py-1 rounded"
+        >
+          <option value="">All statuses</option>
+          {Object.keys(STATUS_STYLES).map(status => (
+            <option key={status} value={status}>{status}</option>
+          ))}
+        </select>
+      </div>
+
+      {shown.length === 0 ? (
+        <p className="text-sm text-gray-400">No recorded violations</p>
+      ) : (
+        <div className="max-h-96 overflow-y-auto border rounded">
+          {shown.map(v => (
+            <div key={v.id} className="border-b last:border-b-0">
+              <button
+                onClick={() => setExpandedId(expandedId === v.id ? null : v.id)}
+                className="w-full flex items-center gap-3 px-3 py-2 text-sm text-left hover:bg-gray-50"
+              >
+                <span className={`text-xs px-2 py-0.5 rounded font-semibold ${STATUS_STYLES[v.status]}`}>{v.status}</span>
+                <span className="font-semibold text-gray-800">{parameterName(v.parameter)}</span>
+                <span className="text-gray-500">{v.chartType === 'imr' ? 'Sample' : 'Subgroup'} {v.x}</span>
+                <span className="text-gray-700 flex-1">{ruleLabel(v.rule)}: {v.description}</span>
+                <span className="text-xs text-gray-400">{new Date(v.detectedAt).toLocaleString()}</span>
+                {expandedId === v.id ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+              </button>
+              {expandedId === v.id && (canEdit
+                ? <InvestigationForm key={v.updatedAt} violation={v} onUpdate={onUpdate} />
+                : <InvestigationSummary violation={v} />)}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ViolationLog;
@@ -0,0 +1,50 @@
+import { comparePositions } from '@nelson-method/spc';
+
+// Descriptive statistics for the stats cards.
+export const calcStats = (arr) => {
+  const avg = arr.reduce((a, b) => a + b, 0) / arr.length;
+  const sd = Math.sqrt(arr.reduce((sum, val) => sum + Math.pow(val - avg, 2), 0) / arr.length);
+  const rsd = (sd / avg) * 100;
+  return { avg, sd, rsd, n: arr.length };
+};
+
+// Where frozen limit sets show on a chart plotting `shown`, a downsampled
+// `series` (see downsample.js). Sets are placed as applyLimits places them,
+// by sample position rather than id: the line at the first point the set
+// applies to, the baseline area over the points whose first sample lies in
+// its baseline. Each mark snaps to the nearest shown point, as the point it
+// falls on may not be plotted. Returns set => { x, x1, x2 }, null where the
+// set shows on no point.
+export const limitSetMarks = (series, shown) => {
+  const plotted = new Set(shown);
+  const shownIndices = [];
+  series.forEach((point, i) => {
+    if (plotted.has(point)) shownIndices.push(i);
+  });
+
+  const snap = (index) => {
+    if (index < 0 || shownIndices.length === 0) return null;
+    let low = 0;
+    let high = shownIndices.length - 1;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (shownIndices[mid] < index) low = mid + 1;
+      else high = mid;
+    }
+    const nearest = low > 0 && index - shownIndices[low - 1] < Math.abs(shownIndices[low] - index) ? low - 1 : low;
+    return series[shownIndices[nearest]].x;
+  };
+
+  return (set) => {
+    const from = { measuredAt: set.baselineStart, id: set.baselineFrom };
+    const to = { measuredAt: set.baselineEnd, id: set.baselineTo };
+    const first = series.findIndex(point => comparePositions(point.start, from) >= 0);
+    const last = series.findLastIndex(point => comparePositions(point.start, to) <= 0);
+    const inBaseline = first >= 0 && first <= last;
+    return {
+      x: snap(series.findIndex(point => point.limitSetId === set.id)),
+      x1: inBaseline ? snap(first) : null,
+      x2: inBaseline ? snap(last) : null
+    };
+  };
+};
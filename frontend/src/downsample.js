@@ -0,0 +1,43 @@
+// Most chart points drawn per chart. Longer series are thinned out for
+// drawing; statistics and rules always use every point.
+export const MAX_CHART_POINTS = 1000;
+
+// Of those, at most this many are signals
+export const MAX_SIGNAL_POINTS = MAX_CHART_POINTS / 2;
+
+// Chart points thinned out to at most about `maxPoints`, in order. Points
+// `keep` is true for (signals) come first, up to `maxSignals` of them: all
+// when they fit, else ones spread evenly along the series, so dense signals
+// can't bring back every point. The rest of the budget keeps the shape: the
+// series is cut into buckets of consecutive points and of each bucket the
+// lowest and highest point by every accessor in `valuesOf` is kept, so spikes
+// and dips stay visible. The last point is always kept.
+export const downsample = (points, { maxPoints = MAX_CHART_POINTS, maxSignals = MAX_SIGNAL_POINTS, valuesOf, keep }) => {
+  if (points.length <= maxPoints) return points;
+  const signals = [];
+  points.forEach((point, i) => {
+    if (keep(point)) signals.push(i);
+  });
+  const kept = new Set(signals.length <= maxSignals
+    ? signals
+    : Array.from({ length: maxSignals }, (_, k) => signals[Math.floor((k * signals.length) / maxSignals)]));
+
+  const perBucket = 2 * valuesOf.length;
+  const bucketSize = Math.ceil(points.length / Math.max(1, Math.floor((maxPoints - kept.size) / perBucket)));
+  for (let start = 0; start < points.length; start += bucketSize) {
+    const end = Math.min(start + bucketSize, points.length);
+    valuesOf.forEach((valueOf) => {
+      let low = -1;
+      let high = -1;
+      for (let i = start; i < end; i++) {
+        const value = valueOf(points[i]);
+        if (value == null || Number.isNaN(value)) continue;
+        if (low < 0 || value < valueOf(points[low])) low = i;
+        if (high < 0 || value > valueOf(points[high])) high = i;
+      }
+      if (low >= 0) kept.add(low).add(high);
+    });
+  }
+  kept.add(points.length - 1);
+  return [...kept].sort((a, b) => a - b).map(i => points[i]);
+};
@@ -0,0 +1,29 @@
+// Used until the backend's parameter registry has been fetched (or when the
+// backend isn't running at all).
+export const DEFAULT_PARAMETERS = [
+  { key: 'weight', name: 'Weight', unit: 'g', lsl: 26, usl: 28, decimals: 2, color: '#2563eb' },
+  { key: 'hardness', name: 'Hardness', unit: 'N', lsl: 9, usl: 11, decimals: 2, color: '#7c3aed' }
+];
+
+export const hasValue = (value) => typeof value === 'number' && Number.isFinite(value);
+
+export const formatValue = (value, decimals) => (hasValue(value) ? value.toFixed(decimals) : '—');
+
+export const isWithinSpec = (value, { lsl, usl }) =>
+  (lsl == null || value >= lsl) && (usl == null || value <= usl);
+
+// "Spec: 9-11 N", "Spec: ≤ 1 %", "Spec: ≥ 4 mm"
+export const specLabel = ({ lsl, usl, unit }) => {
+  if (lsl != null && usl != null) return `Spec: ${lsl}-${usl} ${unit}`;
+  if (usl != null) return `Spec: ≤ ${usl} ${unit}`;
+  if (lsl != null) return `Spec: ≥ ${lsl} ${unit}`;
+  return 'No spec limits';
+};
+
+// Overlay the active product's limits on the registry defaults. Parameters
+// the product doesn't define keep the registry's spec limits.
+export const withProductLimits = (parameters, product) => parameters.map(param => ({
+  target: null,
+  ...param,
+  ...((product && product.limits && product.limits[param.key]) || {})
+}));
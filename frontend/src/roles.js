@@ -0,0 +1,6 @@
+// Roles are ranked like on the backend (see backend/users.js): operators
+// enter data, QA also investigates violations and reviews the audit trail,
+// admins also manage products, limits and users.
+export const ROLES = ['operator', 'qa', 'admin'];
+
+export const hasRole = (user, role) => Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
@@ -0,0 +1,241 @@
+import { useMemo, useRef, useState } from 'react';
+import { fetchJson, sendJson } from './api';
+
+// Per-sample sync with the backend (protocol in backend/samples.js).
+//
+// Samples as last confirmed by the server are kept apart from the operator's
+// unsaved edits, which are shown on top of them. Edits to a sample are saved
+// after a short pause, one request per sample at a time, against the
+// revision the operator was looking at when they started typing. If somebody
+// else changed the sample in the meantime the server refuses the save and
+// the edit is reported as a conflict instead of overwriting their change.
+//
+// Filling in empty fields is saved automatically. Changing a value that was
+// already recorded is a correction: it's held until the operator saves it
+// with a reason for the change (or discards it).
+//
+// Changes from everyone (including our own) arrive as 'sample-ops'. After a
+// reconnect the client asks for the ops since the last seq it applied and
+// gets them, or a full snapshot when it's too far behind.
+//
+// Only the samples measured in the selected time range are loaded: the
+// snapshot is asked for the range, and samples that an op puts outside it
+// are dropped.
+
+const SAVE_DELAY_MS = 500;
+
+const applyOp = (samples, op) => {
+  switch (op.type) {
+    case 'add':
+      return samples.some(s => s.id === op.sampleId) ? samples : [...samples, op.sample];
+    case 'update':
+      return samples.map(s => (s.id === op.sampleId && s.revision < op.revision ? op.sample : s));
+    case 'delete':
+      return samples.filter(s => s.id !== op.sampleId);
+    default:
+      return samples;
+  }
+};
+
+// Whether a sample was measured within { from, to } (ISO, both inclusive,
+// null for open ends)
+const inRange = ({ from, to }, sample) => {
+  const at = new Date(sample.measuredAt);
+  return (!from || at >= new Date(from)) && (!to || at <= new Date(to));
+};
+
+function createSampleSync({ onSamples, onEdits, onConflict }) {
+  let samples = [];
+  let seq = null;
+  let socket = null;
+  let range = { from: null, to: null };
+  const base = {};     // sample id -> revision the current edits are based on
+  const pending = {};  // sample id -> changes not sent yet
+  const sending = {};  // sample id -> changes in flight
+  const held = new Set();  // sample ids whose pending changes need a reason
+  const timers = {};
+
+  const publishSamples = () => onSamples(samples);
+  const publishEdits = () => onEdits(
+    Object.fromEntries(
+      [...new Set([...Object.keys(sending), ...Object.keys(pending)])]
+        .map(id => [id, { ...sending[id], ...pending[id] }])
+    ),
+    [...held]
+  );
+
+  const revisionOf = (id) => (samples.find(s => s.id === id) || {}).revision;
+
+  const apply = (op) => {
+    samples = op.sample && !inRange(range, op.sample)
+      ? applyOp(samples, { type: 'delete', sampleId: op.sampleId })
+      : applyOp(samples, op);
+  };
+
+  const requestSync = () => socket.emit('sync', { since: seq, ...range });
+
+  const loadSnapshot = (snapshot) => {
+    seq = snapshot.seq;
+    samples = snapshot.samples;
+    publishSamples();
+  };
+
+  const applyOps = (ops) => {
+    const fresh = ops.filter(op => seq === null || op.seq > seq);
+    if (fresh.length === 0) return;
+    // Missed some (e.g. while a request was in flight during a reconnect)
+    if (seq !== null && fresh[0].seq > seq + 1) {
+      requestSync();
+      return;
+    }
+    fresh.forEach(apply);
+    seq = fresh[fresh.length - 1].seq;
+    publishSamples();
+  };
+
+  const attach = (newSocket) => {
+    socket = newSocket;
+    socket.on('connect', requestSync);
+    socket.on('data-update', loadSnapshot);
+    socket.on('sample-ops', applyOps);
+  };
+
+  // The server's answer to one of our own requests; the matching op may
+  // already have arrived, in which case this is a no-op
+  const receive = (sample) => {
+    apply({ type: 'update', sampleId: sample.id, revision: sample.revision, sample });
+    if (!samples.some(s => s.id === sample.id)) {
+      apply({ type: 'add', sampleId: sample.id, sample });
+    }
+    publishSamples();
+  };
+
+  const dropEdits = (id) => {
+    clearTimeout(timers[id]);
+    held.delete(id);
+    delete pending[id];
+    delete sending[id];
+    delete base[id];
+    publishEdits();
+  };
+
+  const reportFailure = (id, error, attempted) => {
+    if (error.status === 409 && error.body.sample) {
+      receive(error.body.sample);
+      onConflict({ sampleId: id, message: error.message, attempted, current: error.body.sample });
+    } else {
+      onConflict({ sampleId: id, message: error.message, attempted, current: null });
+    }
+  };
+
+  const flush = (id, reason) => {
+    if (sending[id] || !pending[id]) return;
+    const changes = pending[id];
+    const baseRevision = base[id];
+    sending[id] = changes;
+    delete pending[id];
+    held.delete(id);
+
+    sendJson(`/api/samples/${id}`, 'PATCH', { ...changes, baseRevision, reason })
+      .then((sample) => {
+        receive(sample);
+        delete sending[id];
+        if (pending[id]) {
+          // Nobody else got in between, so further edits build on our save
+          base[id] = sample.revision;
+          if (!held.has(id)) flush(id);
+        } else {
+          delete base[id];
+        }
+        publishEdits();
+      })
+      .catch((error) => {
+        dropEdits(id);
+        reportFailure(id, error, changes);
+      });
+  };
+
+  const update = (id, field, value) => {
+    if (base[id] === undefined) {
+      base[id] = revisionOf(id);
+    }
+    pending[id] = { ...pending[id], [field]: value };
+    const recorded = (samples.find(s => s.id === id) || {})[field] ?? null;
+    if (recorded !== null) {
+      held.add(id);
+    }
+    publishEdits();
+    clearTimeout(timers[id]);
+    if (!held.has(id)) {
+      timers[id] = setTimeout(() => flush(id), SAVE_DELAY_MS);
+    }
+  };
+
+  // Save held corrections with the reason for the change
+  const save = (id, reason) => {
+    flush(id, reason);
+    publishEdits();
+  };
+
+  const discard = (id) => {
+    if (!sending[id]) dropEdits(id);
+  };
+
+  const add = (sample) => sendJson('/api/samples', 'POST', sample)
+    .then(receive)
+    .catch(error => onConflict({ sampleId: null, message: error.message, attempted: sample, current: null }));
+
+  const remove = (id, reason) => {
+    const baseRevision = base[id] ?? revisionOf(id);
+    dropEdits(id);
+    const query = new URLSearchParams({ baseRevision, reason });
+    return fetchJson(`/api/samples/${id}?${query}`, { method: 'DELETE' })
+      .then(() => {
+        apply({ type: 'delete', sampleId: id });
+        publishSamples();
+      })
+      .catch(error => reportFailure(id, error, { deleted: true }));
+  };
+
+  // Load the samples of another time range; takes effect on connecting
+  // when not connected yet
+  const setRange = (newRange) => {
+    range = newRange;
+    seq = null;
+    if (socket && socket.connected) requestSync();
+  };
+
+  return { attach, loadSnapshot, setRange, add, update, save, discard, remove };
+}
+
+export const useSampleSync = () => {
+  const [confirmed, setConfirmed] = useState([]);
+  const [edits, setEdits] = useState({});
+  const [heldIds, setHeldIds] = useState([]);
+  const [conflicts, setConflicts] = useState([]);
+  const nextConflictId = useRef(1);
+  const syncRef = useRef(null);
+
+  if (!syncRef.current) {
+    syncRef.current = createSampleSync({
+      onSamples: (samples) => setConfirmed(samples),
+      onEdits: (newEdits, newHeldIds) => {
+        setEdits(newEdits);
+        setHeldIds(newHeldIds);
+      },
+      onConflict: (conflict) => {
+        const id = nextConflictId.current++;
+        setConflicts(current => [...current, { id, ...conflict }]);
+      }
+    });
+  }
+
+  const samples = useMemo(
+    () => confirmed.map(s => (edits[s.id] ? { ...s, ...edits[s.id] } : s)),
+    [confirmed, edits]
+  );
+
+  const dismissConflict = (id) => setConflicts(current => current.filter(c => c.id !== id));
+
+  return { samples, heldIds, conflicts, dismissConflict, sync: syncRef.current };
+};
@@ -0,0 +1,98 @@
+// Process capability: how the process spread compares with the spec limits.
+//
+//   Cp  = (USL − LSL) / 6σ_within       Cpk = min(USL − μ, μ − LSL) / 3σ_within
+//   Pp  = (USL − LSL) / 6σ_overall      Ppk = min(USL − μ, μ − LSL) / 3σ_overall
+//
+// σ_within is the short-term σ the control chart estimates (see
+// estimateLimits); σ_overall is the plain sample standard deviation. With
+// only one spec limit, Cp and Pp are undefined and Cpk/Ppk use that side.
+
+const { hasValue, buildSeries, estimateLimits } = require('./spc');
+
+// Standard normal density and distribution function. Φ uses the
+// Abramowitz & Stegun 7.1.26 erf approximation (|error| < 1.5e-7).
+const normalPdf = (z) => Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+
+const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))))
+    * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+const Z_95 = 1.959964;
+
+// Index pair for one σ: the two-sided index (null without both limits) and
+// the one nearest the mean
+const indices = (mean, sigma, lsl, usl) => {
+  if (!(sigma > 0)) return { both: null, nearest: null };
+  const upper = usl == null ? Infinity : (usl - mean) / (3 * sigma);
+  const lower = lsl == null ? Infinity : (mean - lsl) / (3 * sigma);
+  return {
+    both: lsl != null && usl != null ? (usl - lsl) / (6 * sigma) : null,
+    nearest: Math.min(upper, lower) === Infinity ? null : Math.min(upper, lower)
+  };
+};
+
+// Expected parts per million outside the spec limits for a normal process
+const expectedPpm = (mean, sigma, lsl, usl) => {
+  if (!(sigma > 0)) return null;
+  const below = lsl == null ? 0 : normalCdf((lsl - mean) / sigma);
+  const above = usl == null ? 0 : 1 - normalCdf((usl - mean) / sigma);
+  return (below + above) * 1e6;
+};
+
+// Capability of parameter `key` of the samples against { lsl, usl }, with σ
+// within estimated for `chartType`. Cpk comes with a 95% confidence interval
+// (Bissell's approximation). Returns null without data or spec limits.
+const capability = (samples, key, { lsl, usl }, chartType = 'imr') => {
+  const values = samples.map(s => s[key]).filter(hasValue);
+  const n = values.length;
+  if (n < 2 || (lsl == null && usl == null)) return null;
+
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  const sigmaOverall = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1));
+  const { sigma } = estimateLimits(chartType, buildSeries(chartType, samples, key));
+  const sigmaWithin = Number.isFinite(sigma) ? sigma : null;
+
+  const within = indices(mean, sigmaWithin, lsl, usl);
+  const overall = indices(mean, sigmaOverall, lsl, usl);
+  const cpk = within.nearest;
+  const halfWidth = cpk == null ? null : Z_95 * Math.sqrt(1 / (9 * n) + (cpk * cpk) / (2 * (n - 1)));
+  const outside = values.filter(v => (lsl != null && v < lsl) || (usl != null && v > usl)).length;
+
+  return {
+    n,
+    mean,
+    sigmaWithin,
+    sigmaOverall,
+    cp: within.both,
+    cpk,
+    cpkInterval: cpk == null ? null : [cpk - halfWidth, cpk + halfWidth],
+    pp: overall.both,
+    ppk: overall.nearest,
+    ppm: {
+      observed: (outside / n) * 1e6,
+      expectedWithin: expectedPpm(mean, sigmaWithin, lsl, usl),
+      expectedOverall: expectedPpm(mean, sigmaOverall, lsl, usl)
+    }
+  };
+};
+
+// Equal-width histogram of the values, Sturges' rule for the bin count
+const histogram = (values) => {
+  const recorded = values.filter(hasValue);
+  if (recorded.length === 0) return { start: 0, width: 0, counts: [] };
+  const min = Math.min(...recorded);
+  const max = Math.max(...recorded);
+  const bins = Math.min(Math.max(Math.ceil(Math.log2(recorded.length)) + 1, 5), 30);
+  const width = (max - min) / bins || 1;
+  const counts = new Array(bins).fill(0);
+  recorded.forEach((v) => {
+    counts[Math.min(Math.floor((v - min) / width), bins - 1)] += 1;
+  });
+  return { start: min, width, counts };
+};
+
+module.exports = { normalPdf, normalCdf, expectedPpm, capability, histogram };
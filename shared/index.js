@@ -0,0 +1,17 @@
+const capability = require('./capability');
+const normality = require('./normality');
+const rules = require('./rules');
+const ruleSets = require('./ruleSets');
+const shiftRules = require('./shiftRules');
+const spc = require('./spc');
+const summary = require('./summary');
+
+module.exports = {
+  ...capability,
+  ...normality,
+  ...rules,
+  ...ruleSets,
+  ...shiftRules,
+  ...spc,
+  ...summary
+};
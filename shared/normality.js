@@ -0,0 +1,204 @@
+// Normality diagnostics and variance-stabilising transformations.
+//
+// ±kσ control limits assume roughly normal data; skewed parameters (e.g.
+// disintegration time) give false zone-rule signals. A parameter can be
+// given a transformation, stored with the product as
+//
+//   { type: 'none' | 'log' | 'box-cox', lambda }
+//
+// Limits and rules are then evaluated on the transformed scale, and charts
+// map values and limit lines back to the original units. Log and Box-Cox
+// need strictly positive values; other values have no transformed value.
+
+const { hasValue } = require('./spc');
+const { normalCdf } = require('./capability');
+
+const TRANSFORMS = {
+  none: { label: 'None' },
+  log: { label: 'Log (ln x)' },
+  'box-cox': { label: 'Box-Cox' }
+};
+
+const NO_TRANSFORM = { type: 'none', lambda: null };
+
+// Inverse standard normal distribution function (Acklam's rational
+// approximation, relative error < 1.2e-9)
+const A = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+const B = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+const C = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+const D = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+const P_LOW = 0.02425;
+
+const normalQuantile = (p) => {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+  if (p < P_LOW || p > 1 - P_LOW) {
+    const q = Math.sqrt(-2 * Math.log(p < P_LOW ? p : 1 - p));
+    const z = (((((C[0] * q + C[1]) * q + C[2]) * q + C[3]) * q + C[4]) * q + C[5])
+      / ((((D[0] * q + D[1]) * q + D[2]) * q + D[3]) * q + 1);
+    return p < P_LOW ? z : -z;
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((A[0] * r + A[1]) * r + A[2]) * r + A[3]) * r + A[4]) * r + A[5]) * q
+    / (((((B[0] * r + B[1]) * r + B[2]) * r + B[3]) * r + B[4]) * r + 1);
+};
+
+const meanAndSd = (values) => {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const sd = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1));
+  return { mean, sd };
+};
+
+// Fewer values than this say little about the shape of the distribution
+const MIN_NORMALITY_N = 8;
+
+// Anderson-Darling test for normality with mean and σ estimated from the
+// data. A² is adjusted for sample size and the p-value taken from
+// D'Agostino & Stephens (1986), table 4.9. Small p-values (< 0.05) mean the
+// data are unlikely to be normal. Returns null for too few or constant values.
+const andersonDarling = (values) => {
+  const data = values.filter(hasValue);
+  const n = data.length;
+  if (n < MIN_NORMALITY_N) return null;
+  const { mean, sd } = meanAndSd(data);
+  if (!(sd > 0)) return null;
+
+  const sorted = [...data].sort((a, b) => a - b);
+  // Clamp Φ away from 0 and 1 so extreme outliers don't give log(0)
+  const cdf = sorted.map(v => Math.min(Math.max(normalCdf((v - mean) / sd), 1e-15), 1 - 1e-15));
+  const sum = cdf.reduce((total, f, i) => total + (2 * i + 1) * (Math.log(f) + Math.log(1 - cdf[n - 1 - i])), 0);
+  const statistic = -n - sum / n;
+  const adjusted = statistic * (1 + 0.75 / n + 2.25 / (n * n));
+
+  let pValue;
+  if (adjusted >= 0.6) {
+    pValue = Math.exp(1.2937 - 5.709 * adjusted + 0.0186 * adjusted ** 2);
+  } else if (adjusted >= 0.34) {
+    pValue = Math.exp(0.9177 - 4.279 * adjusted - 1.38 * adjusted ** 2);
+  } else if (adjusted >= 0.2) {
+    pValue = 1 - Math.exp(-8.318 + 42.796 * adjusted - 59.938 * adjusted ** 2);
+  } else {
+    pValue = 1 - Math.exp(-13.436 + 101.14 * adjusted - 223.73 * adjusted ** 2);
+  }
+
+  return { n, statistic, adjusted, pValue: Math.min(Math.max(pValue, 0), 1) };
+};
+
+// Normal Q-Q plot: each value against the normal quantile of its rank
+// (Blom's plotting positions), with the line a normal distribution with the
+// data's mean and σ would follow (observed = mean + sd · theoretical)
+const qqPlot = (values) => {
+  const sorted = values.filter(hasValue).sort((a, b) => a - b);
+  const n = sorted.length;
+  if (n < 2) return null;
+  const { mean, sd } = meanAndSd(sorted);
+  return {
+    points: sorted.map((observed, i) => ({ theoretical: normalQuantile((i + 1 - 0.375) / (n + 0.25)), observed })),
+    line: { intercept: mean, slope: sd }
+  };
+};
+
+// Box-Cox: (x^λ − 1) / λ, or ln x for λ = 0
+const boxCox = (x, lambda) => (Math.abs(lambda) < 1e-9 ? Math.log(x) : (x ** lambda - 1) / lambda);
+
+const LAMBDA_RANGE = [-2, 2];
+
+// λ maximising the Box-Cox profile log-likelihood
+//   −n/2 · ln σ̂²(λ) + (λ − 1) · Σ ln x
+// searched over [−2, 2] and rounded to two decimals. Null unless all values
+// are positive (and there are at least two distinct ones).
+const boxCoxLambda = (values) => {
+  const data = values.filter(hasValue);
+  if (data.length < 2 || data.some(v => v <= 0) || new Set(data).size < 2) return null;
+  const n = data.length;
+  const logSum = data.reduce((sum, v) => sum + Math.log(v), 0);
+  const logLikelihood = (lambda) => {
+    const transformed = data.map(v => boxCox(v, lambda));
+    const mean = transformed.reduce((a, b) => a + b, 0) / n;
+    const variance = transformed.reduce((sum, v) => sum + (v - mean) ** 2, 0) / n;
+    return -n / 2 * Math.log(variance) + (lambda - 1) * logSum;
+  };
+
+  let best = LAMBDA_RANGE[0];
+  let bestValue = -Infinity;
+  for (let lambda = LAMBDA_RANGE[0]; lambda <= LAMBDA_RANGE[1] + 1e-9; lambda += 0.01) {
+    const value = logLikelihood(lambda);
+    if (value > bestValue) {
+      best = lambda;
+      bestValue = value;
+    }
+  }
+  return Math.round(best * 100) / 100 || 0;
+};
+
+// Validate a transformation setting; throws with a message on bad input
+const normalizeTransform = (transform) => {
+  if (transform == null) return NO_TRANSFORM;
+  const { type = 'none', lambda = null } = transform;
+  if (!TRANSFORMS[type]) {
+    throw new Error(`Unknown transformation "${type}"`);
+  }
+  if (type !== 'box-cox') {
+    return { type, lambda: null };
+  }
+  if (typeof lambda !== 'number' || !(lambda >= LAMBDA_RANGE[0] && lambda <= LAMBDA_RANGE[1])) {
+    throw new Error(`Box-Cox λ must be a number from ${LAMBDA_RANGE[0]} to ${LAMBDA_RANGE[1]}`);
+  }
+  return { type, lambda };
+};
+
+// forward maps an original value to the transformed scale (null where it
+// has no transformed value), inverse maps back to original units
+const transformer = (transform) => {
+  const { type, lambda } = transform || NO_TRANSFORM;
+  switch (type) {
+    case 'log':
+      return {
+        forward: (x) => (hasValue(x) && x > 0 ? Math.log(x) : null),
+        inverse: (y) => Math.exp(y)
+      };
+    case 'box-cox':
+      return {
+        forward: (x) => (hasValue(x) && x > 0 ? boxCox(x, lambda) : null),
+        inverse: (y) => (Math.abs(lambda) < 1e-9 ? Math.exp(y) : Math.max(lambda * y + 1, 0) ** (1 / lambda))
+      };
+    default:
+      return { forward: (x) => (hasValue(x) ? x : null), inverse: (y) => y };
+  }
+};
+
+const isTransformed = (transform) => Boolean(transform) && transform.type !== 'none';
+
+const sameTransform = (a, b) => {
+  const left = a || NO_TRANSFORM;
+  const right = b || NO_TRANSFORM;
+  return left.type === right.type && (left.type !== 'box-cox' || left.lambda === right.lambda);
+};
+
+const describeTransform = (transform) => {
+  if (!isTransformed(transform)) return TRANSFORMS.none.label;
+  return transform.type === 'box-cox' ? `Box-Cox (λ = ${transform.lambda})` : TRANSFORMS[transform.type].label;
+};
+
+// The samples with parameter `key` on the transformed scale
+const transformSamples = (samples, key, transform) => {
+  if (!isTransformed(transform)) return samples;
+  const { forward } = transformer(transform);
+  return samples.map(sample => ({ ...sample, [key]: forward(sample[key]) }));
+};
+
+module.exports = {
+  TRANSFORMS,
+  NO_TRANSFORM,
+  normalQuantile,
+  andersonDarling,
+  qqPlot,
+  boxCoxLambda,
+  normalizeTransform,
+  transformer,
+  isTransformed,
+  sameTransform,
+  describeTransform,
+  transformSamples
+};
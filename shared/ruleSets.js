@@ -0,0 +1,126 @@
+const { RULE_IDS, DEFAULT_RULE_CONFIG, ruleDescriptions } = require('./rules');
+const { SHIFT_RULE_IDS, describeShiftRule, normalizeShiftRules, resolveShiftRules } = require('./shiftRules');
+
+// Named rule sets. A rule set as stored on a product is
+//   { preset: 'nelson' | 'western-electric' | 'aiag' | 'custom', rules,
+//     cusum, ewma }
+// where `rules` (custom only) holds per-rule overrides for evaluateRules and
+// the optional `cusum` and `ewma` settings (any preset) switch on the shift
+// charts of shiftRules.js.
+
+const off = { enabled: false };
+
+const RULE_SET_PRESETS = {
+  nelson: {
+    name: 'Nelson',
+    rules: {}
+  },
+  'western-electric': {
+    name: 'Western Electric',
+    rules: {
+      2: { window: 8 },
+      3: off,
+      4: off,
+      5: { window: 3, count: 2, sameSide: true },
+      6: { window: 5, count: 4, sameSide: true },
+      7: off,
+      8: off
+    }
+  },
+  aiag: {
+    name: 'AIAG',
+    rules: {
+      2: { window: 7 },
+      3: { window: 7 },
+      4: off,
+      5: off,
+      6: off,
+      7: off,
+      8: off
+    }
+  }
+};
+
+const DEFAULT_RULE_SET = { preset: 'nelson', rules: {} };
+
+// Fewest points each rule can sensibly look at
+const MIN_WINDOW = { 1: 1, 2: 2, 3: 3, 4: 4, 5: 2, 6: 2, 7: 2, 8: 2 };
+
+const ruleSetName = (ruleSet = DEFAULT_RULE_SET) =>
+  (ruleSet.preset === 'custom' ? 'Custom' : (RULE_SET_PRESETS[ruleSet.preset] || RULE_SET_PRESETS.nelson).name);
+
+// Per-rule overrides to pass to evaluateRules for a stored rule set
+const resolveRuleSet = (ruleSet = DEFAULT_RULE_SET) => {
+  if (ruleSet.preset === 'custom') {
+    return ruleSet.rules || {};
+  }
+  return (RULE_SET_PRESETS[ruleSet.preset] || RULE_SET_PRESETS.nelson).rules;
+};
+
+// Descriptions of the enabled run rules and shift charts, by rule id
+const ruleSetDescriptions = (ruleSet) => {
+  const shift = resolveShiftRules(ruleSet);
+  return {
+    ...ruleDescriptions(resolveRuleSet(ruleSet)),
+    ...Object.fromEntries(SHIFT_RULE_IDS
+      .filter(rule => shift[rule].enabled)
+      .map(rule => [rule, describeShiftRule(rule, shift[rule])]))
+  };
+};
+
+// Check a rule set from a client and return it in canonical form. Throws an
+// Error describing the first problem found.
+const normalizeRuleSet = (ruleSet) => {
+  if (!ruleSet || typeof ruleSet !== 'object') {
+    throw new Error('Rule set must be an object');
+  }
+  const { preset, rules = {} } = ruleSet;
+  if (preset !== 'custom') {
+    if (!RULE_SET_PRESETS[preset]) {
+      throw new Error(`Unknown rule set preset "${preset}"`);
+    }
+    return { preset, rules: {}, ...normalizeShiftRules(ruleSet) };
+  }
+
+  const normalized = {};
+  Object.entries(rules).forEach(([id, config]) => {
+    const rule = Number(id);
+    if (!RULE_IDS.includes(rule)) {
+      throw new Error(`Unknown rule "${id}"`);
+    }
+    const { enabled = true, window, count, sameSide } = config || {};
+    const entry = { enabled: Boolean(enabled) };
+
+    if (window !== undefined && rule !== 1) {
+      if (!Number.isInteger(window) || window < MIN_WINDOW[rule] || window > 50) {
+        throw new Error(`Rule ${rule} window must be a whole number from ${MIN_WINDOW[rule]} to 50`);
+      }
+      entry.window = window;
+    }
+    if ('count' in DEFAULT_RULE_CONFIG[rule]) {
+      const effectiveWindow = entry.window || DEFAULT_RULE_CONFIG[rule].window;
+      const effectiveCount = count === undefined ? DEFAULT_RULE_CONFIG[rule].count : count;
+      if (!Number.isInteger(effectiveCount) || effectiveCount < 1 || effectiveCount > effectiveWindow) {
+        throw new Error(`Rule ${rule} count must be between 1 and its window of ${effectiveWindow}`);
+      }
+      if (count !== undefined) {
+        entry.count = count;
+      }
+      if (sameSide !== undefined) {
+        entry.sameSide = Boolean(sameSide);
+      }
+    }
+    normalized[rule] = entry;
+  });
+
+  return { preset: 'custom', rules: normalized, ...normalizeShiftRules(ruleSet) };
+};
+
+module.exports = {
+  RULE_SET_PRESETS,
+  DEFAULT_RULE_SET,
+  ruleSetName,
+  resolveRuleSet,
+  ruleSetDescriptions,
+  normalizeRuleSet
+};
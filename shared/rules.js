@@ -0,0 +1,217 @@
+// Nelson rules engine.
+//
+// evaluateRules(values, limits, options) checks a series against its control
+// limits and returns one violation per rule per triggering window:
+//
+//   { rule, index, indices, direction }
+//
+// `index` is the last point of the window (the point at which the rule
+// fires), `indices` every point in the window, and `direction` 'up' or 'down'
+// when the signal points to one side of the centre line (null otherwise).
+//
+// Limits may vary from point to point (frozen limit sets, X̄ charts with
+// unequal subgroup sizes): `mean` and `sigma` are numbers or per-point arrays.
+// Zone rules compare each point in σ units of its own limits; the trend rules
+// (3 and 4) look at the raw values.
+
+// Points closer than this (in σ units) to a zone boundary count as on it, so
+// a value of exactly mean + 3σ doesn't fire rule 1 through rounding error.
+const EPSILON = 1e-9;
+
+// window: points the rule looks at; count: how many of them must qualify;
+// sameSide: the qualifying points must all lie on one side of the mean
+const DEFAULT_RULE_CONFIG = {
+  1: { window: 1 },
+  2: { window: 9 },
+  3: { window: 6 },
+  4: { window: 14 },
+  5: { window: 3, count: 2, sameSide: false },
+  6: { window: 5, count: 4, sameSide: false },
+  7: { window: 15 },
+  8: { window: 8 }
+};
+
+const RULE_IDS = Object.keys(DEFAULT_RULE_CONFIG).map(Number);
+
+const describeRule = (rule, config = {}) => {
+  const { window, count, sameSide } = { ...DEFAULT_RULE_CONFIG[rule], ...config };
+  const side = sameSide ? ' on the same side' : '';
+  switch (rule) {
+    case 1: return '1 point beyond 3σ from mean';
+    case 2: return `${window} consecutive points on same side of mean`;
+    case 3: return `${window} consecutive points increasing or decreasing`;
+    case 4: return `${window} points alternating up and down`;
+    case 5: return `${count} out of ${window} points beyond 2σ from mean${side}`;
+    case 6: return `${count} out of ${window} points beyond 1σ from mean${side}`;
+    case 7: return `${window} consecutive points within 1σ of mean (low variation)`;
+    case 8: return `${window} consecutive points beyond 1σ on either side of mean`;
+    default: return `Rule ${rule}`;
+  }
+};
+
+// Merge per-rule overrides ({ [rule]: { enabled, window, count, sameSide } })
+// onto the defaults. Rules are enabled unless switched off explicitly.
+const resolveRuleConfig = (overrides = {}) => Object.fromEntries(RULE_IDS.map(rule => [
+  rule,
+  { enabled: true, ...DEFAULT_RULE_CONFIG[rule], ...(overrides[rule] || {}) }
+]));
+
+const ruleDescriptions = (overrides) => {
+  const config = resolveRuleConfig(overrides);
+  return Object.fromEntries(RULE_IDS
+    .filter(rule => config[rule].enabled)
+    .map(rule => [rule, describeRule(rule, config[rule])]));
+};
+
+const at = (limit, index) => (Array.isArray(limit) ? limit[index] : limit);
+
+const sideOf = (z) => {
+  if (z > EPSILON) return 'up';
+  if (z < -EPSILON) return 'down';
+  return null;
+};
+
+const range = (start, end) => Array.from({ length: end - start + 1 }, (_, i) => start + i);
+
+// Length of the run of consecutive points ending at each point for which
+// `holds` is true
+const runLengths = (holds) => {
+  let run = 0;
+  return holds.map((value) => {
+    run = value ? run + 1 : 0;
+    return run;
+  });
+};
+
+// How many of the `window` points ending at each point `holds` is true for
+const windowCounts = (holds, window) => {
+  let count = 0;
+  return holds.map((value, i) => {
+    count += (value ? 1 : 0) - (i >= window && holds[i - window] ? 1 : 0);
+    return count;
+  });
+};
+
+// `count` points of the window beyond kσ, on either side or (sameSide) all
+// on the same side
+const beyond = (z, k, { window, count, sameSide }) => {
+  const above = windowCounts(z.map(v => v > k + EPSILON), window);
+  const below = windowCounts(z.map(v => v < -k - EPSILON), window);
+  return (end) => {
+    if (sameSide) {
+      if (above[end] >= count) return 'up';
+      if (below[end] >= count) return 'down';
+      return undefined;
+    }
+    if (above[end] + below[end] < count) return undefined;
+    if (above[end] > 0 && below[end] > 0) return null;
+    if (above[end] > 0) return 'up';
+    return below[end] > 0 ? 'down' : null;
+  };
+};
+
+// Each check prepares running counts over the whole series once and returns
+// a function that tells, in constant time, whether the rule fires for the
+// window ending at a point: a direction when it does, undefined when not.
+// (z: the values in σ units)
+const CHECKS = {
+  1: ({ z, window }) => (end) => {
+    const first = z[end - window + 1];
+    return Math.abs(first) > 3 + EPSILON ? sideOf(first) : undefined;
+  },
+
+  2: ({ z, window }) => {
+    const up = runLengths(z.map(v => v > EPSILON));
+    const down = runLengths(z.map(v => v < -EPSILON));
+    return (end) => {
+      if (up[end] >= window) return 'up';
+      if (down[end] >= window) return 'down';
+      return undefined;
+    };
+  },
+
+  3: ({ values, window }) => {
+    const rising = runLengths(values.map((v, i) => i > 0 && v > values[i - 1]));
+    const falling = runLengths(values.map((v, i) => i > 0 && v < values[i - 1]));
+    return (end) => {
+      if (rising[end] >= window - 1) return 'up';
+      if (falling[end] >= window - 1) return 'down';
+      return undefined;
+    };
+  },
+
+  4: ({ values, window }) => {
+    const alternating = runLengths(values.map((v, i) => i >= 2 && !((v - values[i - 1]) * (values[i - 1] - values[i - 2]) >= 0)));
+    return end => (alternating[end] >= window - 2 ? null : undefined);
+  },
+
+  5: ({ z, config }) => beyond(z, 2, config),
+
+  6: ({ z, config }) => beyond(z, 1, config),
+
+  7: ({ z, window }) => {
+    const inside = runLengths(z.map(v => Math.abs(v) < 1 - EPSILON));
+    return end => (inside[end] >= window ? null : undefined);
+  },
+
+  8: ({ z, window }) => {
+    const outside = runLengths(z.map(v => Math.abs(v) > 1 + EPSILON));
+    const up = windowCounts(z.map(v => v > EPSILON), window);
+    return (end) => {
+      if (outside[end] < window) return undefined;
+      if (up[end] === window) return 'up';
+      return up[end] === 0 ? 'down' : null;
+    };
+  }
+};
+
+// Each rule is checked in one pass over the series, so long series (tens of
+// thousands of points) are evaluated in linear time
+function evaluateRules(values, limits, options = {}) {
+  const config = resolveRuleConfig(options.rules);
+  const z = values.map((value, i) => (value - at(limits.mean, i)) / at(limits.sigma, i));
+  const violations = [];
+
+  RULE_IDS.forEach(rule => {
+    const ruleConfig = config[rule];
+    if (!ruleConfig.enabled) return;
+
+    const window = Math.max(1, ruleConfig.window);
+    const firesAt = CHECKS[rule]({ values, z, window, config: { ...ruleConfig, window } });
+    for (let end = window - 1; end < values.length; end++) {
+      const direction = firesAt(end);
+      if (direction !== undefined) {
+        violations.push({ rule, index: end, indices: range(end - window + 1, end), direction });
+      }
+    }
+  });
+
+  return violations.sort((a, b) => a.index - b.index || a.rule - b.rule);
+}
+
+// Rule ids firing at each point: [[], [1], [], [2, 5], ...]
+const violationsByIndex = (violations, length) => {
+  const byIndex = Array.from({ length }, () => []);
+  violations.forEach(({ rule, index }) => {
+    if (!byIndex[index].includes(rule)) {
+      byIndex[index].push(rule);
+    }
+  });
+  return byIndex;
+};
+
+// Stable id of a rule firing at a chart point, so the same signal found again
+// later (or by another client) is recognised as already on record
+const violationId = (productId, parameter, rule, sampleIds) =>
+  `${productId}:${parameter}:${rule}:${sampleIds.join(',')}`;
+
+module.exports = {
+  RULE_IDS,
+  DEFAULT_RULE_CONFIG,
+  describeRule,
+  resolveRuleConfig,
+  ruleDescriptions,
+  evaluateRules,
+  violationsByIndex,
+  violationId
+};
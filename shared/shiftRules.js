@@ -0,0 +1,148 @@
+// Time-weighted charts for small sustained shifts, which the run rules are
+// slow to catch: tabular CUSUM and EWMA. Both work on a location series in σ
+// units of the limits in force at each point,
+//
+//   z = (value − center) / sigma
+//
+// so frozen limit sets, X̄ subgroup sizes and transformations are handled as
+// for the run rules. Their signals are reported like rule violations, with
+// the rule ids 'cusum' and 'ewma':
+//
+//   { rule, index, indices, direction }
+//
+// and can be switched on in a rule set ({ cusum: { enabled, k, h }, ewma:
+// { enabled, lambda, L } } next to the run rules).
+
+const SHIFT_RULES = {
+  cusum: { label: 'CUSUM', defaults: { enabled: false, k: 0.5, h: 5 } },
+  ewma: { label: 'EWMA', defaults: { enabled: false, lambda: 0.2, L: 3 } }
+};
+
+const SHIFT_RULE_IDS = Object.keys(SHIFT_RULES);
+
+// Allowed range of each setting
+const SHIFT_SETTING_RANGES = {
+  cusum: { k: [0, 3], h: [0.5, 20] },
+  ewma: { lambda: [0.01, 1], L: [1, 5] }
+};
+
+const isShiftRule = (rule) => SHIFT_RULE_IDS.includes(rule);
+
+// Heading for a run rule or shift rule: 'Rule 5', 'CUSUM'
+const ruleLabel = (rule) => (isShiftRule(rule) ? SHIFT_RULES[rule].label : `Rule ${rule}`);
+
+const zOf = (point) => (point.value - point.center) / point.sigma;
+
+// Tabular CUSUM with reference value k and decision interval h (both in σ):
+//   C⁺ᵢ = max(0, C⁺ᵢ₋₁ + zᵢ − k)    C⁻ᵢ = max(0, C⁻ᵢ₋₁ − zᵢ − k)
+// A sum beyond h signals; both sums restart from 0 after a signal so a
+// persisting shift keeps signalling rather than flagging every later point.
+// `start` is where the signalling sum last left 0.
+const cusum = (points, { k, h }) => {
+  let upper = 0;
+  let lower = 0;
+  let upperStart = 0;
+  let lowerStart = 0;
+  return points.map((point, i) => {
+    const z = zOf(point);
+    if (upper === 0) upperStart = i;
+    if (lower === 0) lowerStart = i;
+    upper = Math.max(0, upper + z - k);
+    lower = Math.max(0, lower - z - k);
+    let signal = null;
+    let start = i;
+    if (upper > h) {
+      signal = 'up';
+      start = upperStart;
+    } else if (lower > h) {
+      signal = 'down';
+      start = lowerStart;
+    }
+    const entry = { upper, lower, signal, start };
+    if (signal) {
+      upper = 0;
+      lower = 0;
+    }
+    return entry;
+  });
+};
+
+// EWMA with weight λ, starting from the centre line:
+//   Eᵢ = λ·zᵢ + (1 − λ)·Eᵢ₋₁,  limits ±L·√(λ/(2 − λ)·(1 − (1 − λ)²ⁱ))
+// (exact limits, which are narrower for the first points)
+const ewma = (points, { lambda, L }) => {
+  let value = 0;
+  return points.map((point, i) => {
+    value = lambda * zOf(point) + (1 - lambda) * value;
+    const limit = L * Math.sqrt(lambda / (2 - lambda) * (1 - (1 - lambda) ** (2 * (i + 1))));
+    let signal = null;
+    if (value > limit) signal = 'up';
+    else if (value < -limit) signal = 'down';
+    return { value, limit, signal };
+  });
+};
+
+// Settings of both charts for a stored rule set, defaults filled in
+const resolveShiftRules = (ruleSet = {}) => Object.fromEntries(SHIFT_RULE_IDS.map(rule => [
+  rule,
+  { ...SHIFT_RULES[rule].defaults, ...(ruleSet[rule] || {}) }
+]));
+
+const describeShiftRule = (rule, config = resolveShiftRules()[rule]) => (rule === 'cusum'
+  ? `CUSUM beyond h = ${config.h}σ (k = ${config.k}σ)`
+  : `EWMA beyond ${config.L}σ limits (λ = ${config.lambda})`);
+
+// Signals of the enabled charts, in the shape evaluateRules reports
+const evaluateShiftRules = (points, ruleSet) => {
+  const config = resolveShiftRules(ruleSet);
+  const violations = [];
+  if (config.cusum.enabled) {
+    cusum(points, config.cusum).forEach(({ signal, start }, index) => {
+      if (signal) {
+        violations.push({ rule: 'cusum', index, indices: Array.from({ length: index - start + 1 }, (_, j) => start + j), direction: signal });
+      }
+    });
+  }
+  if (config.ewma.enabled) {
+    ewma(points, config.ewma).forEach(({ signal }, index) => {
+      if (signal) {
+        violations.push({ rule: 'ewma', index, indices: [index], direction: signal });
+      }
+    });
+  }
+  return violations.sort((a, b) => a.index - b.index);
+};
+
+// Check the shift settings of a rule set from a client; returns the ones
+// given in canonical form. Throws an Error describing the first problem.
+const normalizeShiftRules = (ruleSet) => Object.fromEntries(SHIFT_RULE_IDS
+  .filter(rule => ruleSet[rule] != null)
+  .map(rule => {
+    const given = ruleSet[rule];
+    if (typeof given !== 'object') {
+      throw new Error(`${SHIFT_RULES[rule].label} settings must be an object`);
+    }
+    const entry = { enabled: Boolean(given.enabled) };
+    Object.entries(SHIFT_SETTING_RANGES[rule]).forEach(([setting, [min, max]]) => {
+      const value = given[setting] ?? SHIFT_RULES[rule].defaults[setting];
+      if (typeof value !== 'number' || !(value >= min && value <= max)) {
+        throw new Error(`${SHIFT_RULES[rule].label} ${setting} must be a number from ${min} to ${max}`);
+      }
+      entry[setting] = value;
+    });
+    return [rule, entry];
+  }));
+
+module.exports = {
+  SHIFT_RULES,
+  SHIFT_RULE_IDS,
+  SHIFT_SETTING_RANGES,
+  isShiftRule,
+  ruleLabel,
+  cusum,
+  ewma,
+  resolveShiftRules,
+  describeShiftRule,
+  evaluateShiftRules,
+  normalizeShiftRules
+};
@@ -0,0 +1,224 @@
+// Shewhart chart calculations: chart series, σ estimation and control limits
+// for Individuals/Moving Range, X̄-R and X̄-S charts.
+
+const hasValue = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const CHART_TYPES = {
+  imr: { label: 'I-MR', location: 'Individuals', dispersion: 'Moving Range', xLabel: 'Sample Number' },
+  'xbar-r': { label: 'X̄-R', location: 'X̄', dispersion: 'Range', xLabel: 'Subgroup' },
+  'xbar-s': { label: 'X̄-S', location: 'X̄', dispersion: 'Std Dev', xLabel: 'Subgroup' }
+};
+
+// Shewhart control chart constants by subgroup size n (ASTM / AIAG tables)
+//    n: [d2,    d3,    c4,     A2,    A3,    D3,    D4,    B3,    B4]
+const CONSTANTS_TABLE = {
+  2: [1.128, 0.853, 0.7979, 1.880, 2.659, 0, 3.267, 0, 3.267],
+  3: [1.693, 0.888, 0.8862, 1.023, 1.954, 0, 2.574, 0, 2.568],
+  4: [2.059, 0.880, 0.9213, 0.729, 1.628, 0, 2.282, 0, 2.266],
+  5: [2.326, 0.864, 0.9400, 0.577, 1.427, 0, 2.114, 0, 2.089],
+  6: [2.534, 0.848, 0.9515, 0.483, 1.287, 0, 2.004, 0.030, 1.970],
+  7: [2.704, 0.833, 0.9594, 0.419, 1.182, 0.076, 1.924, 0.118, 1.882],
+  8: [2.847, 0.820, 0.9650, 0.373, 1.099, 0.136, 1.864, 0.185, 1.815],
+  9: [2.970, 0.808, 0.9693, 0.337, 1.032, 0.184, 1.816, 0.239, 1.761],
+  10: [3.078, 0.797, 0.9727, 0.308, 0.975, 0.223, 1.777, 0.284, 1.716],
+  11: [3.173, 0.787, 0.9754, 0.285, 0.927, 0.256, 1.744, 0.321, 1.679],
+  12: [3.258, 0.778, 0.9776, 0.266, 0.886, 0.283, 1.717, 0.354, 1.646],
+  13: [3.336, 0.770, 0.9794, 0.249, 0.850, 0.307, 1.693, 0.382, 1.618],
+  14: [3.407, 0.763, 0.9810, 0.235, 0.817, 0.328, 1.672, 0.406, 1.594],
+  15: [3.472, 0.756, 0.9823, 0.223, 0.789, 0.347, 1.653, 0.428, 1.572],
+  16: [3.532, 0.750, 0.9835, 0.212, 0.763, 0.363, 1.637, 0.448, 1.552],
+  17: [3.588, 0.744, 0.9845, 0.203, 0.739, 0.378, 1.622, 0.466, 1.534],
+  18: [3.640, 0.739, 0.9854, 0.194, 0.718, 0.391, 1.608, 0.482, 1.518],
+  19: [3.689, 0.734, 0.9862, 0.187, 0.698, 0.403, 1.597, 0.497, 1.503],
+  20: [3.735, 0.729, 0.9869, 0.180, 0.680, 0.415, 1.585, 0.510, 1.490],
+  21: [3.778, 0.724, 0.9876, 0.173, 0.663, 0.425, 1.575, 0.523, 1.477],
+  22: [3.819, 0.720, 0.9882, 0.167, 0.647, 0.434, 1.566, 0.534, 1.466],
+  23: [3.858, 0.716, 0.9887, 0.162, 0.633, 0.443, 1.557, 0.545, 1.455],
+  24: [3.895, 0.712, 0.9892, 0.157, 0.619, 0.451, 1.548, 0.555, 1.445],
+  25: [3.931, 0.708, 0.9896, 0.153, 0.606, 0.459, 1.541, 0.565, 1.435]
+};
+
+// Subgroups larger than the table use the n = 25 row.
+const spcConstants = (n) => {
+  const row = CONSTANTS_TABLE[Math.min(Math.max(n, 2), 25)];
+  const [d2, d3, c4, A2, A3, D3, D4, B3, B4] = row;
+  return { d2, d3, c4, A2, A3, D3, D4, B3, B4 };
+};
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+const sampleSd = (values) => {
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - avg, 2), 0) / (values.length - 1));
+};
+
+const hasSubgroup = (sample) => sample.subgroup != null && sample.subgroup !== '';
+
+// A sample's place in the order samples are kept in: by measuredAt, then id
+// (imports can stamp many samples with the same time). Ids alone don't
+// follow that order: backfilled and imported samples get new ids for old
+// times.
+const samplePosition = (sample) => ({ measuredAt: sample.measuredAt ?? null, id: sample.id });
+const comparePositions = (a, b) => {
+  if (a.measuredAt !== b.measuredAt && a.measuredAt != null && b.measuredAt != null) {
+    return a.measuredAt < b.measuredAt ? -1 : 1;
+  }
+  return a.id - b.id;
+};
+
+// One chart point per plotted statistic: every sample for I-MR, every
+// subgroup for X̄ charts. Samples without a subgroup form a subgroup of one.
+// `dispersion` is the moving range, range or standard deviation the
+// companion chart plots (null where it is undefined); `start` is the
+// position of the point's first sample.
+const buildSeries = (chartType, samples, key) => {
+  const recorded = samples
+    .map((sample, index) => ({ sample, index, value: sample[key] }))
+    .filter(entry => hasValue(entry.value));
+
+  if (chartType === 'imr') {
+    return recorded.map((entry, i) => ({
+      x: entry.sample.id,
+      value: entry.value,
+      n: 1,
+      start: samplePosition(entry.sample),
+      sampleIds: [entry.sample.id],
+      sampleIndices: [entry.index],
+      dispersion: i === 0 ? null : Math.abs(entry.value - recorded[i - 1].value)
+    }));
+  }
+
+  const groups = [];
+  const byLabel = new Map();
+  recorded.forEach(entry => {
+    const label = hasSubgroup(entry.sample) ? String(entry.sample.subgroup) : `#${entry.sample.id}`;
+    if (!byLabel.has(label)) {
+      const group = { x: label, entries: [] };
+      byLabel.set(label, group);
+      groups.push(group);
+    }
+    byLabel.get(label).entries.push(entry);
+  });
+
+  return groups.map(({ x, entries }) => {
+    const values = entries.map(e => e.value);
+    let dispersion = null;
+    if (values.length > 1) {
+      dispersion = chartType === 'xbar-s'
+        ? sampleSd(values)
+        : Math.max(...values) - Math.min(...values);
+    }
+    return {
+      x,
+      value: mean(values),
+      n: values.length,
+      start: entries.map(e => samplePosition(e.sample)).reduce((a, b) => (comparePositions(b, a) < 0 ? b : a)),
+      sampleIds: entries.map(e => e.sample.id),
+      sampleIndices: entries.map(e => e.index),
+      dispersion
+    };
+  });
+};
+
+// Centre line and within-subgroup process σ from a series:
+//   I-MR   σ = MR̄ / d2(2)
+//   X̄-R    σ = mean of R / d2(n)
+//   X̄-S    σ = mean of S / c4(n)
+// Each subgroup's statistic is scaled by its own constant so unequal
+// subgroup sizes are handled.
+const estimateLimits = (chartType, series) => {
+  if (series.length === 0) {
+    return { mean: NaN, sigma: NaN, n: 0 };
+  }
+  const totalN = series.reduce((sum, p) => sum + p.n, 0);
+  const center = series.reduce((sum, p) => sum + p.value * p.n, 0) / totalN;
+
+  const spreads = series.filter(p => p.dispersion != null);
+  const sigma = spreads.length === 0 ? NaN : mean(spreads.map(p => {
+    const { d2, c4 } = spcConstants(chartType === 'imr' ? 2 : p.n);
+    return p.dispersion / (chartType === 'xbar-s' ? c4 : d2);
+  }));
+
+  return { mean: center, sigma, n: totalN };
+};
+
+// Limits of the location chart point: its σ shrinks with √n for X̄ charts.
+const locationSigma = (sigma, n) => sigma / Math.sqrt(n);
+
+// Limits of the companion dispersion chart for a point of subgroup size n:
+//   MR: MR̄ = d2(2)·σ, UCL = D4(2)·MR̄
+//   R:  R̄ = d2(n)·σ, LCL = D3·R̄, UCL = D4·R̄
+//   S:  S̄ = c4(n)·σ, LCL = B3·S̄, UCL = B4·S̄
+const dispersionLimits = (chartType, n, sigma) => {
+  if (chartType === 'xbar-s') {
+    const { c4, B3, B4 } = spcConstants(n);
+    const center = c4 * sigma;
+    return { center, lcl: B3 * center, ucl: B4 * center };
+  }
+  const { d2, D3, D4 } = spcConstants(chartType === 'imr' ? 2 : n);
+  const center = d2 * sigma;
+  return { center, lcl: D3 * center, ucl: D4 * center };
+};
+
+const defaultChartType = (samples) => (samples.some(hasSubgroup) ? 'xbar-r' : 'imr');
+
+// Where a limit set's baseline starts and ends, as sample positions
+const baselineStart = (set) => ({ measuredAt: set.baselineStart, id: set.baselineFrom });
+const baselineEnd = (set) => ({ measuredAt: set.baselineEnd, id: set.baselineTo });
+
+// Attach control limits to every chart point. The limit set in force for a
+// point is the latest one whose baseline starts at or before the point's
+// first sample (by position, see samplePosition). Points before the first
+// baseline (or every point when nothing is frozen) fall back to live limits
+// estimated from the whole series.
+const applyLimits = (chartType, series, key, limitSets) => {
+  const sets = limitSets
+    .filter(set => set.parameter === key)
+    .sort((a, b) => comparePositions(baselineStart(a), baselineStart(b)) || a.id - b.id);
+  const live = estimateLimits(chartType, series);
+
+  return series.map(point => {
+    const set = sets.filter(s => comparePositions(baselineStart(s), point.start) <= 0).pop();
+    const { mean, sigma } = set || live;
+    const dispersion = dispersionLimits(chartType, point.n, sigma);
+    return {
+      ...point,
+      limitSetId: set ? set.id : null,
+      center: mean,
+      sigma: locationSigma(sigma, point.n),
+      dispersionCenter: dispersion.center,
+      dispersionLcl: dispersion.lcl,
+      dispersionUcl: dispersion.ucl
+    };
+  });
+};
+
+// The samples of a Phase I baseline: those from the baseline's first sample
+// to its last (both included) by position
+const baselineSamples = (samples, set) => samples.filter(sample =>
+  comparePositions(samplePosition(sample), baselineStart(set)) >= 0
+  && comparePositions(samplePosition(sample), baselineEnd(set)) <= 0);
+
+// Centre line and process σ of a Phase I baseline ({ baselineFrom,
+// baselineStart, baselineTo, baselineEnd }), estimated the same way the
+// chart type estimates its live limits.
+const baselineLimits = (chartType, samples, key, baseline) => estimateLimits(
+  chartType,
+  buildSeries(chartType, baselineSamples(samples, baseline), key)
+);
+
+module.exports = {
+  hasValue,
+  CHART_TYPES,
+  spcConstants,
+  buildSeries,
+  estimateLimits,
+  locationSigma,
+  dispersionLimits,
+  defaultChartType,
+  samplePosition,
+  comparePositions,
+  applyLimits,
+  baselineSamples,
+  baselineLimits
+};
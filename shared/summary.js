@@ -0,0 +1,60 @@
+// Descriptive statistics for comparing groups of samples (batches, machines):
+// five-number summaries with Tukey whiskers for box plots, plus mean and SD.
+
+const { hasValue } = require('./spc');
+
+// Quantile of sorted values by linear interpolation between closest ranks
+// (the default of R, Excel's QUARTILE.INC and NumPy)
+const quantile = (sorted, p) => {
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// Box plot statistics of a list of values (null when there are none).
+// Whiskers reach the furthest values within 1.5 IQR of the box; values
+// beyond are outliers.
+const summarize = (values) => {
+  const sorted = values.filter(hasValue).sort((a, b) => a - b);
+  const n = sorted.length;
+  if (n === 0) return null;
+
+  const mean = sorted.reduce((a, b) => a + b, 0) / n;
+  const sd = n > 1 ? Math.sqrt(sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1)) : null;
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const fence = 1.5 * (q3 - q1);
+  const inside = sorted.filter(v => v >= q1 - fence && v <= q3 + fence);
+
+  return {
+    n,
+    mean,
+    sd,
+    min: sorted[0],
+    q1,
+    median: quantile(sorted, 0.5),
+    q3,
+    max: sorted[n - 1],
+    whiskerLow: inside[0],
+    whiskerHigh: inside[inside.length - 1],
+    outliers: sorted.filter(v => v < q1 - fence || v > q3 + fence)
+  };
+};
+
+// Summaries of `key` per group, in order of each group's first sample.
+// `groupOf(sample)` names the group; samples it returns null for are left out.
+const summarizeGroups = (samples, key, groupOf) => {
+  const groups = new Map();
+  samples.forEach((sample) => {
+    const group = groupOf(sample);
+    if (group == null) return;
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(sample[key]);
+  });
+  return [...groups.entries()]
+    .map(([group, values]) => ({ group, ...summarize(values) }))
+    .filter(summary => summary.n > 0);
+};
+
+module.exports = { quantile, summarize, summarizeGroups };
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalCdf, capability, histogram, expectedPpm } = require('../capability');
+
+const close = (actual, expected, tolerance = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} != ${expected}`);
+
+const samplesOf = (values) => values.map((weight, i) => ({ id: i + 1, subgroup: null, weight }));
+
+test('normal distribution function', () => {
+  close(normalCdf(0), 0.5);
+  close(normalCdf(1.96), 0.975, 1e-4);
+  close(normalCdf(-3), 0.00135, 1e-5);
+});
+
+test('indices from within and overall σ', () => {
+  // A slow drift: overall σ exceeds the short-term (moving range) σ
+  const values = [9.6, 9.8, 9.7, 9.9, 10.0, 9.9, 10.1, 10.2, 10.1, 10.3, 10.4, 10.3];
+  const result = capability(samplesOf(values), 'weight', { lsl: 9, usl: 11 });
+  assert.equal(result.n, 12);
+  close(result.mean, 10.025);
+  assert.ok(result.sigmaWithin < result.sigmaOverall);
+  assert.ok(result.cp > result.pp);
+  close(result.cp, 2 / (6 * result.sigmaWithin));
+  close(result.cpk, (11 - result.mean) / (3 * result.sigmaWithin));
+  close(result.ppk, (11 - result.mean) / (3 * result.sigmaOverall));
+  assert.ok(result.cpkInterval[0] < result.cpk && result.cpk < result.cpkInterval[1]);
+  assert.equal(result.ppm.observed, 0);
+});
+
+test('one-sided specs have no Cp', () => {
+  const result = capability(samplesOf([0.2, 0.3, 0.25, 0.4, 0.35]), 'weight', { lsl: null, usl: 1 });
+  assert.equal(result.cp, null);
+  assert.equal(result.pp, null);
+  close(result.ppk, (1 - result.mean) / (3 * result.sigmaOverall));
+  assert.equal(capability(samplesOf([1, 2]), 'weight', { lsl: null, usl: null }), null);
+});
+
+test('expected PPM of a centred 3σ process', () => {
+  close(expectedPpm(0, 1, -3, 3), 2700, 1);
+});
+
+test('histogram bins cover every value', () => {
+  const { start, width, counts } = histogram([1, 2, 2, 3, 3, 3, 4, 4, 5, null]);
+  assert.equal(start, 1);
+  assert.equal(counts.reduce((a, b) => a + b, 0), 9);
+  assert.equal(counts.length, 5);
+  close(width, 0.8);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalQuantile,
+  andersonDarling,
+  qqPlot,
+  boxCoxLambda,
+  normalizeTransform,
+  transformer,
+  sameTransform,
+  transformSamples
+} = require('../normality');
+
+const close = (actual, expected, tolerance = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} != ${expected}`);
+
+// Evenly spread normal quantiles: as normal as 40 values get
+const normalish = Array.from({ length: 40 }, (_, i) => 10 + normalQuantile((i + 0.5) / 40));
+// Their exponentials: strongly right-skewed
+const skewed = normalish.map(v => Math.exp(v - 10));
+
+test('inverse normal distribution function', () => {
+  close(normalQuantile(0.5), 0);
+  close(normalQuantile(0.975), 1.959964, 1e-5);
+  close(normalQuantile(0.001), -3.090232, 1e-5);
+});
+
+test('Anderson-Darling separates normal from skewed data', () => {
+  assert.ok(andersonDarling(normalish).pValue > 0.5);
+  const result = andersonDarling(skewed);
+  assert.equal(result.n, 40);
+  assert.ok(result.pValue < 0.01);
+  assert.ok(result.adjusted > result.statistic);
+  // Too little or constant data can't be judged
+  assert.equal(andersonDarling([1, 2, 3]), null);
+  assert.equal(andersonDarling(Array(10).fill(5)), null);
+});
+
+test('Q-Q plot points follow the reference line for normal data', () => {
+  const { points, line } = qqPlot(normalish);
+  assert.equal(points.length, 40);
+  assert.ok(points.every((p, i) => i === 0 || p.observed >= points[i - 1].observed));
+  points.forEach(p => close(p.observed, line.intercept + line.slope * p.theoretical, 0.1));
+});
+
+test('Box-Cox λ of log-normal data is close to 0', () => {
+  assert.ok(Math.abs(boxCoxLambda(skewed)) <= 0.1);
+  // Symmetric data needs no transformation: λ close to 1
+  assert.ok(Math.abs(boxCoxLambda(normalish) - 1) <= 0.1);
+  assert.equal(boxCoxLambda([1, -2, 3]), null);
+});
+
+test('transformations map to the transformed scale and back', () => {
+  const log = transformer({ type: 'log' });
+  close(log.inverse(log.forward(12.5)), 12.5);
+  assert.equal(log.forward(0), null);
+  const boxCox = transformer({ type: 'box-cox', lambda: 0.5 });
+  close(boxCox.forward(4), 2);
+  close(boxCox.inverse(2), 4);
+
+  const samples = [{ id: 1, time: 4 }, { id: 2, time: -1 }, { id: 3, time: null }];
+  assert.deepEqual(transformSamples(samples, 'time', { type: 'box-cox', lambda: 0.5 }).map(s => s.time), [2, null, null]);
+  assert.equal(transformSamples(samples, 'time', { type: 'none' }), samples);
+});
+
+test('transformation settings are validated', () => {
+  assert.deepEqual(normalizeTransform(undefined), { type: 'none', lambda: null });
+  assert.deepEqual(normalizeTransform({ type: 'log', lambda: 3 }), { type: 'log', lambda: null });
+  assert.throws(() => normalizeTransform({ type: 'sqrt' }), /Unknown transformation/);
+  assert.throws(() => normalizeTransform({ type: 'box-cox' }), /λ/);
+  assert.ok(sameTransform(null, { type: 'none', lambda: null }));
+  assert.ok(!sameTransform({ type: 'box-cox', lambda: 0.5 }, { type: 'box-cox', lambda: 0 }));
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateRules } = require('../rules');
+const { resolveRuleSet, ruleSetDescriptions, ruleSetName, normalizeRuleSet } = require('../ruleSets');
+
+const LIMITS = { mean: 10, sigma: 1 };
+const rulesFired = (values, ruleSet) =>
+  [...new Set(evaluateRules(values, LIMITS, { rules: resolveRuleSet(ruleSet) }).map(v => v.rule))];
+
+test('Western Electric flags 8 on one side and ignores trends', () => {
+  const eight = [10.2, 10.4, 10.6, 10.8, 11.5, 11.6, 10.3, 10.5];
+  assert.deepEqual(rulesFired(eight, { preset: 'western-electric' }), [2]);
+  assert.deepEqual(rulesFired(eight, { preset: 'nelson' }), [3]);
+});
+
+test('Western Electric zone rules need points on the same side', () => {
+  assert.deepEqual(rulesFired([12.5, 7.5, 10], { preset: 'western-electric' }), []);
+  assert.deepEqual(rulesFired([12.5, 7.5, 10], { preset: 'nelson' }), [5]);
+  assert.deepEqual(rulesFired([12.5, 10, 12.4], { preset: 'western-electric' }), [5]);
+});
+
+test('AIAG flags a trend of 7', () => {
+  const seven = [9.1, 9.3, 9.5, 9.7, 9.9, 10.1, 10.3];
+  assert.deepEqual(rulesFired(seven.slice(0, 6), { preset: 'aiag' }), []);
+  assert.deepEqual(rulesFired(seven, { preset: 'aiag' }), [3]);
+});
+
+test('descriptions and names follow the active rule set', () => {
+  assert.equal(ruleSetName({ preset: 'aiag' }), 'AIAG');
+  assert.equal(ruleSetName(undefined), 'Nelson');
+  assert.deepEqual(Object.keys(ruleSetDescriptions({ preset: 'aiag' })), ['1', '2', '3']);
+  assert.equal(
+    ruleSetDescriptions({ preset: 'custom', rules: { 5: { sameSide: true } } })[5],
+    '2 out of 3 points beyond 2σ from mean on the same side'
+  );
+});
+
+test('normalizeRuleSet validates custom rules', () => {
+  assert.deepEqual(normalizeRuleSet({ preset: 'aiag', rules: { 2: { window: 3 } } }), { preset: 'aiag', rules: {} });
+  assert.deepEqual(
+    normalizeRuleSet({ preset: 'custom', rules: { 2: { window: 8 }, 4: { enabled: false } } }),
+    { preset: 'custom', rules: { 2: { enabled: true, window: 8 }, 4: { enabled: false } } }
+  );
+  assert.throws(() => normalizeRuleSet({ preset: 'shewhart' }), /Unknown rule set preset/);
+  assert.throws(() => normalizeRuleSet({ preset: 'custom', rules: { 9: {} } }), /Unknown rule/);
+  assert.throws(() => normalizeRuleSet({ preset: 'custom', rules: { 2: { window: 1 } } }), /window/);
+  assert.throws(() => normalizeRuleSet({ preset: 'custom', rules: { 6: { window: 3 } } }), /count/);
+});
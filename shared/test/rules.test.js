@@ -0,0 +1,185 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateRules, violationsByIndex, ruleDescriptions, violationId } = require('../rules');
+
+// Limits used throughout: mean 10, σ 1
+const LIMITS = { mean: 10, sigma: 1 };
+
+const fired = (values, rule, limits = LIMITS, options) =>
+  evaluateRules(values, limits, options).filter(v => v.rule === rule);
+
+// Alternates just above/below the mean without triggering anything else
+const quiet = (length) => Array.from({ length }, (_, i) => (i % 3 === 0 ? 10.5 : i % 3 === 1 ? 9.5 : 10.2));
+
+test('rule 1: one point beyond 3σ', () => {
+  const violations = fired([10, 13.5, 10, 6.2], 1);
+  assert.deepEqual(violations, [
+    { rule: 1, index: 1, indices: [1], direction: 'up' },
+    { rule: 1, index: 3, indices: [3], direction: 'down' }
+  ]);
+});
+
+test('rule 1: a point exactly on 3σ does not fire', () => {
+  assert.equal(fired([10 + 3 * 1, 10 - 3 * 1], 1).length, 0);
+  assert.equal(fired([10.3], 1, { mean: 10, sigma: 0.1 }).length, 0);
+});
+
+test('rule 2: nine points on the same side of the mean', () => {
+  const values = [10.1, 10.2, 10.5, 10.3, 10.1, 10.4, 10.2, 10.6, 10.3];
+  const violations = fired(values, 2);
+  assert.equal(violations.length, 1);
+  assert.deepEqual(violations[0].indices, [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+  assert.equal(violations[0].direction, 'up');
+
+  assert.equal(fired(values.map(v => 20 - v), 2)[0].direction, 'down');
+});
+
+test('rule 2: a point exactly on the mean breaks the run', () => {
+  const values = [10.1, 10.2, 10.5, 10.3, 10, 10.4, 10.2, 10.6, 10.3];
+  assert.equal(fired(values, 2).length, 0);
+});
+
+test('rule 3: six points steadily increasing or decreasing', () => {
+  assert.equal(fired([9, 9.2, 9.4, 9.6, 9.8, 10], 3)[0].direction, 'up');
+  assert.equal(fired([10, 9.8, 9.6, 9.4, 9.2, 9], 3)[0].direction, 'down');
+  // A repeated value is not an increase
+  assert.equal(fired([9, 9.2, 9.2, 9.6, 9.8, 10], 3).length, 0);
+});
+
+test('rule 4: fourteen points alternating up and down', () => {
+  const values = Array.from({ length: 14 }, (_, i) => (i % 2 === 0 ? 9.8 : 10.2));
+  const violations = fired(values, 4);
+  assert.equal(violations.length, 1);
+  assert.equal(violations[0].index, 13);
+  assert.equal(violations[0].direction, null);
+
+  assert.equal(fired(values.slice(0, 13), 4).length, 0);
+  // A flat step breaks the alternation
+  assert.equal(fired([...values.slice(0, 7), values[6], ...values.slice(8)], 4).length, 0);
+});
+
+test('rule 5: two out of three points beyond 2σ', () => {
+  assert.equal(fired([12.5, 10, 12.4], 5)[0].direction, 'up');
+  assert.equal(fired([12.5, 10, 10.1], 5).length, 0);
+  // Counted on either side of the mean; no single direction then
+  assert.equal(fired([12.5, 7.5, 10], 5)[0].direction, null);
+  // Exactly 2σ is not beyond 2σ
+  assert.equal(fired([12, 10, 12], 5).length, 0);
+});
+
+test('rule 6: four out of five points beyond 1σ', () => {
+  assert.equal(fired([11.5, 11.2, 10, 11.8, 11.1], 6)[0].direction, 'up');
+  assert.equal(fired([11.5, 11.2, 10, 10.8, 11.1], 6).length, 0);
+  assert.equal(fired([11, 11, 10, 11, 11], 6).length, 0);
+});
+
+test('rule 7: fifteen points within 1σ', () => {
+  const values = Array.from({ length: 15 }, (_, i) => (i % 2 === 0 ? 10.3 : 9.7));
+  assert.equal(fired(values, 7).length, 1);
+  // A point exactly on 1σ is not within 1σ
+  assert.equal(fired([...values.slice(0, 14), 11], 7).length, 0);
+});
+
+test('rule 8: eight points beyond 1σ on either side', () => {
+  const values = [11.5, 8.5, 11.2, 8.7, 11.4, 8.6, 11.3, 8.8];
+  const violations = fired(values, 8);
+  assert.equal(violations.length, 1);
+  assert.equal(violations[0].direction, null);
+  assert.equal(fired([...values.slice(0, 7), 10.5], 8).length, 0);
+});
+
+test('constant data raises no violations', () => {
+  const values = Array(20).fill(10);
+  assert.deepEqual(evaluateRules(values, { mean: 10, sigma: 0 }), []);
+  assert.deepEqual(evaluateRules(values, LIMITS).filter(v => v.rule !== 7), []);
+});
+
+test('quiet data raises no violations', () => {
+  assert.deepEqual(evaluateRules(quiet(30), LIMITS).filter(v => v.rule !== 7), []);
+});
+
+test('series shorter than a window do not fire that rule', () => {
+  assert.deepEqual(evaluateRules([], LIMITS), []);
+  assert.deepEqual(evaluateRules([10.5, 10.6], LIMITS), []);
+});
+
+test('per-point limits judge each point against its own limits', () => {
+  const values = [10, 12.5];
+  assert.equal(fired(values, 1).length, 0);
+  assert.equal(fired(values, 1, { mean: [10, 9], sigma: [1, 1] }).length, 1);
+});
+
+test('rules can be disabled and windows reconfigured', () => {
+  const values = [10.1, 10.2, 10.5, 10.3, 10.1, 10.4, 10.2];
+  assert.equal(fired(values, 2).length, 0);
+  assert.equal(fired(values, 2, LIMITS, { rules: { 2: { window: 7 } } }).length, 1);
+  assert.equal(fired([13.5], 1, LIMITS, { rules: { 1: { enabled: false } } }).length, 0);
+  assert.equal(fired([12.5, 10, 10], 5, LIMITS, { rules: { 5: { count: 1 } } }).length, 1);
+});
+
+test('violationsByIndex lists rules at their triggering point', () => {
+  const violations = evaluateRules([13.5, 12.5, 10], LIMITS);
+  assert.deepEqual(violationsByIndex(violations, 3), [[1], [], [5]]);
+});
+
+test('rule descriptions follow the configuration', () => {
+  const descriptions = ruleDescriptions({ 2: { window: 8 }, 4: { enabled: false } });
+  assert.equal(descriptions[2], '8 consecutive points on same side of mean');
+  assert.equal(descriptions[4], undefined);
+});
+
+test('violation ids are stable for the same signal', () => {
+  assert.equal(violationId('tab', 'weight', 1, [4]), violationId('tab', 'weight', 1, [4]));
+  assert.notEqual(violationId('tab', 'weight', 1, [4]), violationId('tab', 'weight', 5, [4]));
+  assert.equal(violationId('tab', 'weight', 2, [1, 2, 3]), 'tab:weight:2:1,2,3');
+});
+
+// The rules as written, checked window by window, to hold the one-pass
+// evaluation against
+const naive = (values, limits, rules) => {
+  const sides = (zs) => {
+    const set = new Set(zs.map(v => (v > 1e-9 ? 'up' : v < -1e-9 ? 'down' : null)));
+    return set.size === 1 ? [...set][0] : null;
+  };
+  const beyond = (z, k, { count, sameSide }) => {
+    const above = z.filter(v => v > k + 1e-9);
+    const below = z.filter(v => v < -k - 1e-9);
+    if (sameSide) return above.length >= count ? 'up' : below.length >= count ? 'down' : undefined;
+    return above.length + below.length >= count ? sides([...above, ...below]) : undefined;
+  };
+  const checks = {
+    1: ({ z }) => (Math.abs(z[0]) > 3 + 1e-9 ? sides([z[0]]) : undefined),
+    2: ({ z }) => (z.every(v => v > 1e-9) ? 'up' : z.every(v => v < -1e-9) ? 'down' : undefined),
+    3: ({ w }) => (w.every((v, j) => j === 0 || v > w[j - 1]) ? 'up' : w.every((v, j) => j === 0 || v < w[j - 1]) ? 'down' : undefined),
+    4: ({ w }) => (w.every((v, j) => j < 2 || !((v - w[j - 1]) * (w[j - 1] - w[j - 2]) >= 0)) ? null : undefined),
+    5: ({ z, config }) => beyond(z, 2, config),
+    6: ({ z, config }) => beyond(z, 1, config),
+    7: ({ z }) => (z.every(v => Math.abs(v) < 1 - 1e-9) ? null : undefined),
+    8: ({ z }) => (z.every(v => Math.abs(v) > 1 + 1e-9) ? sides(z) : undefined)
+  };
+  const z = values.map(v => (v - limits.mean) / limits.sigma);
+  const found = [];
+  Object.entries(rules).forEach(([rule, config]) => {
+    for (let end = config.window - 1; end < values.length; end++) {
+      const start = end - config.window + 1;
+      const direction = checks[rule]({ w: values.slice(start, end + 1), z: z.slice(start, end + 1), config });
+      if (direction !== undefined) found.push({ rule: Number(rule), index: end, direction });
+    }
+  });
+  return found.sort((a, b) => a.index - b.index || a.rule - b.rule);
+};
+
+test('rules are evaluated in one pass with the same results as window by window', () => {
+  // Deterministic noise with a drift and some repeated values
+  let seed = 7;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const values = Array.from({ length: 2000 }, (_, i) => Math.round((10 + (random() - 0.5) * 5 + (i > 1200 ? 1.5 : 0)) * 10) / 10);
+  const rules = {
+    1: { window: 1 }, 2: { window: 6 }, 3: { window: 4 }, 4: { window: 5 },
+    5: { window: 3, count: 2, sameSide: true }, 6: { window: 5, count: 3, sameSide: false },
+    7: { window: 4 }, 8: { window: 3 }
+  };
+  const expected = naive(values, LIMITS, rules);
+  assert.ok(expected.length > 100);
+  assert.deepEqual(evaluateRules(values, LIMITS, { rules }).map(({ rule, index, direction }) => ({ rule, index, direction })), expected);
+});
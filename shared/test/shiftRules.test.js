@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateRules } = require('../rules');
+const { cusum, ewma, evaluateShiftRules, normalizeShiftRules, ruleLabel } = require('../shiftRules');
+const { normalizeRuleSet, ruleSetDescriptions } = require('../ruleSets');
+
+const pointsOf = (values) => values.map(value => ({ value, center: 10, sigma: 1 }));
+
+// 10 in-control points, then a sustained shift of about 1.3σ that never
+// reaches 2σ
+const SHIFTED = pointsOf([
+  10.3, 9.6, 10.1, 9.8, 10.4, 9.9, 10.2, 9.7, 10.0, 10.1,
+  11.5, 11.1, 11.6, 11.2, 11.4, 11.7, 11.0, 11.3, 11.5, 11.2
+]);
+
+test('tabular CUSUM accumulates a small shift and restarts after signalling', () => {
+  const result = cusum(SHIFTED, { k: 0.5, h: 4 });
+  assert.ok(result.slice(0, 10).every(r => r.signal === null));
+  const first = result.findIndex(r => r.signal);
+  assert.equal(result[first].signal, 'up');
+  assert.ok(first > 10 && first < 20);
+  assert.equal(result[first].start, 10);
+  assert.ok(result[first].upper > 4);
+  // The sum starts again from 0 after the signal
+  assert.equal(result[first + 1].upper, Math.max(0, SHIFTED[first + 1].value - 10 - 0.5));
+});
+
+test('EWMA limits widen to their asymptote and flag the shift', () => {
+  const result = ewma(SHIFTED, { lambda: 0.2, L: 3 });
+  assert.ok(result[0].limit < result[19].limit);
+  assert.ok(Math.abs(result[19].limit - 3 * Math.sqrt(0.2 / 1.8)) < 1e-3);
+  assert.ok(result.slice(0, 10).every(r => r.signal === null));
+  assert.ok(result.slice(10).some(r => r.signal === 'up'));
+});
+
+test('shift charts flag a shift the zone rules for 2σ and 3σ miss', () => {
+  const values = SHIFTED.map(p => p.value);
+  const rules = evaluateRules(values, { mean: 10, sigma: 1 }, {}).map(v => v.rule);
+  assert.ok(!rules.includes(1) && !rules.includes(5));
+
+  assert.deepEqual(evaluateShiftRules(SHIFTED, {}), []);
+  const signals = evaluateShiftRules(SHIFTED, { cusum: { enabled: true, h: 4 }, ewma: { enabled: true } });
+  assert.ok(signals.some(v => v.rule === 'cusum' && v.indices[0] === 10));
+  assert.ok(signals.some(v => v.rule === 'ewma'));
+  assert.ok(signals.every(v => v.direction === 'up'));
+});
+
+test('shift settings are validated and kept with any preset', () => {
+  assert.deepEqual(normalizeShiftRules({ cusum: { enabled: true } }), { cusum: { enabled: true, k: 0.5, h: 5 } });
+  assert.throws(() => normalizeShiftRules({ ewma: { lambda: 0 } }), /EWMA lambda/);
+  assert.deepEqual(
+    normalizeRuleSet({ preset: 'aiag', ewma: { enabled: true, lambda: 0.1, L: 2.7 } }),
+    { preset: 'aiag', rules: {}, ewma: { enabled: true, lambda: 0.1, L: 2.7 } }
+  );
+  assert.equal(ruleSetDescriptions({ preset: 'aiag', cusum: { enabled: true, k: 0.5, h: 5 } }).cusum, 'CUSUM beyond h = 5σ (k = 0.5σ)');
+  assert.equal(ruleLabel(3), 'Rule 3');
+  assert.equal(ruleLabel('ewma'), 'EWMA');
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSeries, estimateLimits, dispersionLimits, spcConstants, applyLimits, baselineSamples, baselineLimits } = require('../spc');
+
+const close = (actual, expected, tolerance = 1e-3) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} ≠ ${expected}`);
+
+const subgrouped = [10, 11, 9, 10, 12, 11, 10, 10, 9, 11, 12, 11, 10, 10, 9]
+  .map((weight, i) => ({ id: i + 1, subgroup: String(Math.floor(i / 5) + 1), weight }));
+
+test('X̄-R limits match x̄̄ ± A2·R̄ and D3/D4·R̄', () => {
+  const series = buildSeries('xbar-r', subgrouped, 'weight');
+  assert.deepEqual(series.map(p => p.n), [5, 5, 5]);
+
+  const { mean, sigma } = estimateLimits('xbar-r', series);
+  const rBar = (3 + 2 + 3) / 3;
+  const { A2, D3, D4 } = spcConstants(5);
+  close(mean, 155 / 15);
+  close(3 * sigma / Math.sqrt(5), A2 * rBar);
+
+  const r = dispersionLimits('xbar-r', 5, sigma);
+  close(r.center, rBar);
+  close(r.ucl, D4 * rBar);
+  close(r.lcl, D3 * rBar);
+});
+
+test('X̄-S estimates σ from S̄ / c4', () => {
+  const series = buildSeries('xbar-s', subgrouped, 'weight');
+  const sBar = series.reduce((sum, p) => sum + p.dispersion, 0) / series.length;
+  close(estimateLimits('xbar-s', series).sigma, sBar / spcConstants(5).c4);
+});
+
+test('I-MR estimates σ from MR̄ / 1.128', () => {
+  const samples = [10, 12, 11, 13].map((weight, i) => ({ id: i + 1, weight }));
+  const series = buildSeries('imr', samples, 'weight');
+  assert.deepEqual(series.map(p => p.dispersion), [null, 2, 1, 2]);
+  close(estimateLimits('imr', series).sigma, (5 / 3) / 1.128);
+  close(dispersionLimits('imr', 1, 1).ucl, 3.267 * 1.128);
+});
+
+test('frozen limit sets apply from their baseline start', () => {
+  const samples = [10, 12, 11, 13].map((weight, i) => ({ id: i + 1, weight }));
+  const series = buildSeries('imr', samples, 'weight');
+  const points = applyLimits('imr', series, 'weight', [
+    { id: 1, parameter: 'weight', baselineFrom: 3, mean: 20, sigma: 2 }
+  ]);
+  assert.deepEqual(points.map(p => p.limitSetId), [null, null, 1, 1]);
+  assert.equal(points[3].center, 20);
+  assert.equal(points[3].sigma, 2);
+});
+
+test('baselines and limit sets follow measuredAt, not sample ids', () => {
+  // Sample 9 was backfilled: a new id for the oldest measurement
+  const samples = [
+    { id: 9, measuredAt: '2026-01-05T07:00:00.000Z', weight: 30 },
+    { id: 1, measuredAt: '2026-01-05T08:00:00.000Z', weight: 10 },
+    { id: 2, measuredAt: '2026-01-05T08:00:00.000Z', weight: 12 },
+    { id: 3, measuredAt: '2026-01-05T09:00:00.000Z', weight: 11 },
+    { id: 4, measuredAt: '2026-01-05T10:00:00.000Z', weight: 13 }
+  ];
+  const set = {
+    id: 1, parameter: 'weight', mean: 20, sigma: 2,
+    baselineFrom: 1, baselineStart: '2026-01-05T08:00:00.000Z', baselineTo: 3, baselineEnd: '2026-01-05T09:00:00.000Z'
+  };
+  assert.deepEqual(baselineSamples(samples, set).map(s => s.id), [1, 2, 3]);
+  assert.equal(baselineLimits('imr', samples, 'weight', set).mean, 11);
+
+  const points = applyLimits('imr', buildSeries('imr', samples, 'weight'), 'weight', [set]);
+  assert.deepEqual(points.map(p => p.limitSetId), [null, 1, 1, 1, 1]);
+  // Same time, earlier id: before the baseline's first sample
+  assert.deepEqual(applyLimits('imr', buildSeries('imr', samples, 'weight'), 'weight', [{ ...set, baselineFrom: 2 }])
+    .map(p => p.limitSetId), [null, null, 1, 1, 1]);
+});
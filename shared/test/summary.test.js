@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { quantile, summarize, summarizeGroups } = require('../summary');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('quartiles interpolate between ranks', () => {
+  const sorted = [1, 2, 3, 4, 5, 6, 7, 8];
+  close(quantile(sorted, 0.25), 2.75);
+  close(quantile(sorted, 0.5), 4.5);
+  close(quantile(sorted, 0.75), 6.25);
+});
+
+test('values beyond 1.5 IQR are outliers and the whiskers stop short of them', () => {
+  const summary = summarize([10, 10.2, 10.1, 9.9, 10.0, 9.8, 10.3, 14, null]);
+  assert.equal(summary.n, 8);
+  assert.deepEqual(summary.outliers, [14]);
+  assert.equal(summary.whiskerHigh, 10.3);
+  assert.equal(summary.whiskerLow, 9.8);
+  assert.equal(summary.max, 14);
+  assert.equal(summarize([null]), null);
+  assert.equal(summarize([5]).sd, null);
+});
+
+test('groups keep the order of their first sample', () => {
+  const samples = [
+    { batch: 'B', weight: 2 },
+    { batch: 'A', weight: 1 },
+    { batch: 'B', weight: 4 },
+    { batch: null, weight: 9 },
+    { batch: 'C', weight: null }
+  ];
+  const groups = summarizeGroups(samples, 'weight', s => s.batch);
+  assert.deepEqual(groups.map(g => [g.group, g.n, g.mean]), [['B', 2, 3], ['A', 1, 1]]);
+});